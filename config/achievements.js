@@ -0,0 +1,96 @@
+// Achievement catalogue. A rule unlocks once `metric` (see services/achievementService METRICS)
+// reaches `target`; it is only re-evaluated when one of its `events` fires.
+const ANY_ACTIVITY = ["chat.message_sent", "code.analyzed", "ingest.completed", "team.joined"]
+
+module.exports = [
+  {
+    id: "first-chat",
+    name: "Ice Breaker",
+    description: "Send your first chat message",
+    category: "learning",
+    events: ["chat.message_sent"],
+    metric: "chatMessages",
+    target: 1,
+  },
+  {
+    id: "chat-100",
+    name: "Curious Mind",
+    description: "Send 100 chat messages",
+    category: "learning",
+    events: ["chat.message_sent"],
+    metric: "chatMessages",
+    target: 100,
+  },
+  {
+    id: "first-analysis",
+    name: "Second Opinion",
+    description: "Run your first code analysis",
+    category: "coding",
+    events: ["code.analyzed"],
+    metric: "codeAnalyses",
+    target: 1,
+  },
+  {
+    id: "grade-a-10",
+    name: "Clean Coder",
+    description: "Get 10 code analyses graded A or better",
+    category: "coding",
+    events: ["code.analyzed"],
+    metric: "gradeACodeAnalyses",
+    target: 10,
+  },
+  {
+    id: "first-ingestion",
+    name: "Knowledge Builder",
+    description: "Complete your first domain ingestion",
+    category: "learning",
+    events: ["ingest.completed"],
+    metric: "completedIngestions",
+    target: 1,
+  },
+  {
+    id: "domains-3",
+    name: "Polymath",
+    description: "Complete ingestions for 3 different domains",
+    category: "learning",
+    events: ["ingest.completed"],
+    metric: "ingestedDomains",
+    target: 3,
+  },
+  {
+    id: "first-team",
+    name: "Team Player",
+    description: "Join your first team",
+    category: "social",
+    events: ["team.joined"],
+    metric: "teamsJoined",
+    target: 1,
+  },
+  {
+    id: "teams-3",
+    name: "Connector",
+    description: "Be a member of 3 teams",
+    category: "social",
+    events: ["team.joined"],
+    metric: "teamsJoined",
+    target: 3,
+  },
+  {
+    id: "streak-7",
+    name: "On a Roll",
+    description: "Stay active 7 days in a row",
+    category: "milestone",
+    events: ANY_ACTIVITY,
+    metric: "longestStreak",
+    target: 7,
+  },
+  {
+    id: "streak-30",
+    name: "Unstoppable",
+    description: "Stay active 30 days in a row",
+    category: "milestone",
+    events: ANY_ACTIVITY,
+    metric: "longestStreak",
+    target: 30,
+  },
+]
@@ -3,5 +3,45 @@ module.exports = {
     domain: process.env.AI_DOMAIN_MODEL || "meta-llama/llama-3-70b-instruct",
     extraction: process.env.AI_EXTRACTION_MODEL || "mistralai/mistral-7b-instruct",
     roadmap: process.env.AI_ROADMAP_MODEL || "anthropic/claude-3-sonnet"
+  },
+  // Chat answers; a chat mode's prompt version may override the model and sampling
+  chat: {
+    model: process.env.CHAT_MODEL || "gpt-3.5-turbo",
+    temperature: 0.7,
+    maxTokens: 1000,
+    // Used when a message names no mode, or its mode has since been disabled
+    defaultMode: "chat"
+  },
+  // Grounding chat answers in what was ingested for the chat's domain
+  retrieval: {
+    enabled: String(process.env.CHAT_RETRIEVAL_ENABLED || "true").toLowerCase() === "true",
+    maxPassages: Number.parseInt(process.env.CHAT_RETRIEVAL_MAX_PASSAGES) || 5,
+    // Crawled documents are split into passages of about this many characters
+    passageChars: Number.parseInt(process.env.CHAT_RETRIEVAL_PASSAGE_CHARS) || 800,
+    cacheTtlMs: Number.parseInt(process.env.CHAT_RETRIEVAL_CACHE_TTL_MS) || 5 * 60 * 1000,
+    // Optional re-ranking of the BM25 candidates by embedding similarity
+    embeddings: {
+      enabled: String(process.env.CHAT_RETRIEVAL_EMBEDDINGS || "false").toLowerCase() === "true",
+      model: process.env.CHAT_RETRIEVAL_EMBEDDING_MODEL || "openai/text-embedding-3-small",
+      weight: Number.parseFloat(process.env.CHAT_RETRIEVAL_EMBEDDING_WEIGHT) || 0.5
+    }
+  },
+  // Long sessions: older messages are folded into a rolling summary instead of dropped
+  memory: {
+    // Recent messages always sent verbatim
+    windowMessages: Number.parseInt(process.env.CHAT_MEMORY_WINDOW_MESSAGES) || 10,
+    // Summarise once this many unsummarised messages have piled up
+    maxWindowMessages: Number.parseInt(process.env.CHAT_MEMORY_MAX_WINDOW_MESSAGES) || 16,
+    // Facts kept per user and domain; the oldest learned ones go first
+    maxFacts: Number.parseInt(process.env.CHAT_MEMORY_MAX_FACTS) || 20,
+    summaryModel: process.env.CHAT_SUMMARY_MODEL || "gpt-3.5-turbo"
+  },
+  // Server-side tools (services/chatToolService) the model may call before answering
+  tools: {
+    enabled: String(process.env.CHAT_TOOLS_ENABLED || "true").toLowerCase() === "true",
+    // Model round trips that may ask for tools; the one after that has to answer
+    maxRounds: Number.parseInt(process.env.CHAT_TOOLS_MAX_ROUNDS) || 4,
+    // Tool output handed back to the model is cut to this many characters
+    maxResultChars: Number.parseInt(process.env.CHAT_TOOLS_MAX_RESULT_CHARS) || 4000
   }
 }
@@ -0,0 +1,90 @@
+const os = require("os")
+const path = require("path")
+
+const csv = (value, fallback) =>
+  (value || fallback)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+module.exports = {
+  clientUrl: process.env.CLIENT_URL || "http://localhost:5173",
+  emailVerification: {
+    required: String(process.env.REQUIRE_EMAIL_VERIFICATION || "true").toLowerCase() === "true",
+    tokenTtlHours: Number.parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+    resendCooldownSeconds: Number.parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60,
+    // Path prefixes an unverified account may still call
+    allowedRoutes: csv(process.env.UNVERIFIED_ALLOWED_ROUTES, "/api/auth"),
+  },
+  passwordReset: {
+    tokenTtlMinutes: Number.parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    perEmail: {
+      max: Number.parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL) || 3,
+      windowMs: 60 * 60 * 1000,
+    },
+    perIp: {
+      max: Number.parseInt(process.env.PASSWORD_RESET_MAX_PER_IP) || 10,
+      windowMs: 15 * 60 * 1000,
+    },
+  },
+  lockout: {
+    maxAttempts: Number.parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    // First lock lasts baseLockMinutes; each further lock doubles it, up to maxLockMinutes
+    baseLockMinutes: Number.parseInt(process.env.LOGIN_BASE_LOCK_MINUTES) || 5,
+    maxLockMinutes: Number.parseInt(process.env.LOGIN_MAX_LOCK_MINUTES) || 24 * 60,
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || "Synaptron",
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
+    backupCodeCount: 10,
+  },
+  apiKeys: {
+    // Keys look like syn_<64 hex chars>; the prefix makes leaked keys easy to scan for
+    prefix: "syn_",
+    scopes: ["code:analyze", "ingest:write", "chat:send", "teams:read"],
+    maxPerUser: Number.parseInt(process.env.API_KEYS_MAX_PER_USER) || 20,
+    defaultExpiryDays: Number.parseInt(process.env.API_KEYS_DEFAULT_EXPIRY_DAYS) || 90,
+    maxExpiryDays: Number.parseInt(process.env.API_KEYS_MAX_EXPIRY_DAYS) || 365,
+  },
+  authEvents: {
+    // Security events are kept this long, then removed by a TTL index
+    retentionDays: Number.parseInt(process.env.AUTH_EVENT_RETENTION_DAYS) || 180,
+  },
+  privacy: {
+    exportDir: process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), "synaptron-exports"),
+    // Archives are deleted (and the download link dies) after this long
+    exportTtlHours: Number.parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 24,
+  },
+  oauth: {
+    // Providers redirect back to <callbackBaseUrl>/api/auth/oauth/<provider>/callback
+    callbackBaseUrl: process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+    // The API then sends the browser to this client page to finish the login
+    clientCallbackPath: process.env.OAUTH_CLIENT_CALLBACK_PATH || "/oauth/callback",
+    stateTtlMinutes: Number.parseInt(process.env.OAUTH_STATE_TTL_MINUTES) || 10,
+    loginCodeTtlSeconds: Number.parseInt(process.env.OAUTH_LOGIN_CODE_TTL_SECONDS) || 60,
+    httpTimeoutMs: Number.parseInt(process.env.OAUTH_HTTP_TIMEOUT_MS) || 10000,
+    // A provider is enabled once its client id is set
+    providers: {
+      github: {
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      },
+      google: {
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      },
+      oidc: {
+        displayName: process.env.OIDC_DISPLAY_NAME || "Single sign-on",
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scopes: csv(process.env.OIDC_SCOPES, "openid,email,profile"),
+      },
+    },
+  },
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "outbox",
+    from: process.env.MAIL_FROM || "Synaptron <no-reply@synaptron.ai>",
+    outboxDir: process.env.MAIL_OUTBOX_DIR || "mail-outbox",
+  },
+}
@@ -0,0 +1,36 @@
+// Role → permission map used by services/policyService. A role gets everything
+// in `inherits` plus its own list; "*" grants every permission.
+const PERMISSIONS = {
+  "chat:use": "Chat with the assistant and manage your own sessions",
+  "chat:moderate": "Read any user's chat history",
+  "code:analyze": "Submit code for analysis and manage your own submissions",
+  "submission:moderate": "View and delete any user's code submissions",
+  "ingest:read": "Browse ingested domains, their knowledge graphs and resources, and request AI reports on them",
+  "ingest:start": "Start domain ingestions and follow their progress",
+  "ingest:moderate": "View any user's ingestion history",
+  "ingest:delete": "Delete any user's ingestion records",
+  "ingest:manage": "Run individual crawler and pipeline steps",
+  "team:create": "Create teams and manage the ones you administer",
+  "team:read": "View teams by code",
+  "team:admin": "Manage, sync and delete any team",
+}
+
+module.exports = {
+  PERMISSIONS,
+  roles: {
+    user: {
+      permissions: ["chat:use", "code:analyze", "ingest:read", "ingest:start", "team:create", "team:read"],
+    },
+    premium: {
+      inherits: ["user"],
+      permissions: [],
+    },
+    moderator: {
+      inherits: ["user"],
+      permissions: ["chat:moderate", "submission:moderate", "ingest:moderate", "ingest:delete"],
+    },
+    admin: {
+      permissions: ["*"],
+    },
+  },
+}
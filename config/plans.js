@@ -0,0 +1,52 @@
+// Plan allowances (-1 = unlimited). `limits` reset every billing period;
+// `features` are copied onto User.subscription.features when the plan changes.
+const UNLIMITED = -1
+
+module.exports = {
+  metrics: ["chatMessages", "codeAnalyses", "ingestions", "tokens"],
+  // Plan used when a subscription has lapsed
+  fallbackPlan: "free",
+  limits: {
+    free: {
+      chatMessages: Number.parseInt(process.env.FREE_PLAN_CHAT_MESSAGES) || 200,
+      codeAnalyses: Number.parseInt(process.env.FREE_PLAN_CODE_ANALYSES) || 20,
+      ingestions: Number.parseInt(process.env.FREE_PLAN_INGESTIONS) || 5,
+      tokens: Number.parseInt(process.env.FREE_PLAN_TOKENS) || 200000,
+    },
+    premium: {
+      chatMessages: Number.parseInt(process.env.PREMIUM_PLAN_CHAT_MESSAGES) || 5000,
+      codeAnalyses: Number.parseInt(process.env.PREMIUM_PLAN_CODE_ANALYSES) || 500,
+      ingestions: Number.parseInt(process.env.PREMIUM_PLAN_INGESTIONS) || 50,
+      tokens: Number.parseInt(process.env.PREMIUM_PLAN_TOKENS) || 5000000,
+    },
+    enterprise: {
+      chatMessages: UNLIMITED,
+      codeAnalyses: UNLIMITED,
+      ingestions: UNLIMITED,
+      tokens: UNLIMITED,
+    },
+  },
+  features: {
+    free: {
+      maxDomains: 3,
+      maxChatHistory: 50,
+      advancedAnalytics: false,
+      prioritySupport: false,
+    },
+    premium: {
+      maxDomains: 25,
+      maxChatHistory: 1000,
+      advancedAnalytics: true,
+      prioritySupport: true,
+    },
+    enterprise: {
+      maxDomains: UNLIMITED,
+      maxChatHistory: UNLIMITED,
+      advancedAnalytics: true,
+      prioritySupport: true,
+    },
+  },
+  // Conversations are stored on the User document, so even "unlimited" history is bounded
+  maxStoredConversationMessages: 1000,
+  UNLIMITED,
+}
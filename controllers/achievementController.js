@@ -0,0 +1,27 @@
+const { getAchievementProgress } = require("../services/achievementService")
+
+// @desc    Get unlocked achievements and progress toward locked ones
+// @route   GET /api/auth/achievements
+// @access  Private
+const getAchievements = async (req, res) => {
+  try {
+    const achievements = await getAchievementProgress(req.user)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Achievements retrieved successfully",
+      data: { achievements },
+    })
+  } catch (error) {
+    console.error("🚨 Get Achievements Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve achievements",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  getAchievements,
+}
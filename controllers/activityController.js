@@ -0,0 +1,55 @@
+const { validationResult } = require("express-validator")
+const { findAuthEvents } = require("../services/auditService")
+const { formatPagination } = require("../utils/formatters")
+
+// @desc    Review sign-ins and other security events on your account
+// @route   GET /api/auth/activity
+// @access  Private
+const getActivity = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { type, success, from, to } = req.query
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+
+    const { events, total } = await findAuthEvents({ userId: req.user._id, type, success, from, to }, { page, limit })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Account activity retrieved successfully",
+      data: {
+        events: events.map((event) => ({
+          id: event._id,
+          type: event.type,
+          success: event.success,
+          reason: event.reason,
+          ip: event.ip,
+          userAgent: event.userAgent,
+          byAdmin: !!event.actorId,
+          details: event.details,
+          createdAt: event.createdAt,
+        })),
+        pagination: formatPagination(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Activity Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve account activity",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  getActivity,
+}
@@ -0,0 +1,543 @@
+const mongoose = require("mongoose")
+const { validationResult } = require("express-validator")
+const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+const AdminAuditLog = require("../models/AdminAuditLog")
+const { revokeAllSessions, generateImpersonationToken } = require("../services/tokenService")
+const { recordAdminAction, findAuthEvents } = require("../services/auditService")
+const { sendPasswordResetEmail } = require("../services/mailer")
+const { formatAdminUserResponse, formatPagination } = require("../utils/formatters")
+const authConfig = require("../config/auth")
+
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  lastActive: "stats.lastActive",
+  name: "name",
+  email: "email",
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+const findTargetUser = async (req, res, select = "") => {
+  const { id } = req.params
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: "❌ Invalid user ID",
+    })
+    return null
+  }
+
+  const user = await User.findById(id).select(select)
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "🔍 User not found",
+    })
+    return null
+  }
+
+  return user
+}
+
+// Admins may not moderate themselves or other admins (demote first)
+const rejectProtectedTarget = (req, res, user) => {
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: "❌ You cannot perform this action on your own account",
+    })
+    return true
+  }
+
+  if (user.role === "admin") {
+    res.status(403).json({
+      success: false,
+      message: "🔒 Change this admin's role before moderating the account",
+    })
+    return true
+  }
+
+  return false
+}
+
+// @desc    Search and filter users
+// @route   GET /api/admin/users
+// @access  Admin
+const listUsers = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const {
+      q,
+      role,
+      accountStatus,
+      plan,
+      lastActiveFrom,
+      lastActiveTo,
+      sortBy = "createdAt",
+      sortOrder = "desc",
+    } = req.query
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+
+    const filter = {}
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i")
+      filter.$or = [{ name: pattern }, { email: pattern }]
+    }
+    if (role) filter.role = role
+    if (accountStatus) filter.accountStatus = accountStatus
+    if (plan) filter["subscription.plan"] = plan
+    if (lastActiveFrom || lastActiveTo) {
+      filter["stats.lastActive"] = {}
+      if (lastActiveFrom) filter["stats.lastActive"].$gte = new Date(lastActiveFrom)
+      if (lastActiveTo) filter["stats.lastActive"].$lte = new Date(lastActiveTo)
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("-password -conversationHistory -chatSessions")
+        .sort({ [SORT_FIELDS[sortBy] || "createdAt"]: sortOrder === "asc" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ])
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Users retrieved successfully",
+      data: {
+        users: users.map(formatAdminUserResponse),
+        pagination: formatPagination(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List Users Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve users",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Get one user
+// @route   GET /api/admin/users/:id
+// @access  Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, "-password -conversationHistory")
+    if (!user) return
+
+    res.status(200).json({
+      success: true,
+      message: "✅ User retrieved successfully",
+      data: { user: formatAdminUserResponse(user) },
+    })
+  } catch (error) {
+    console.error("🚨 Get User Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve user",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Get a user's security state (lockout, 2FA, sessions)
+// @route   GET /api/admin/users/:id/security
+// @access  Admin
+const getUserSecurity = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    const activeSessions = await RefreshToken.countDocuments({
+      userId: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ User security status retrieved successfully",
+      data: {
+        security: {
+          userId: user._id,
+          email: user.email,
+          accountStatus: user.accountStatus,
+          isActive: user.isActive,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: !!user.twoFactorAuth?.enabled,
+          passwordResetRequired: user.passwordResetRequired,
+          lockout: {
+            isLocked: user.isLocked,
+            lockedUntil: user.isLocked ? user.loginAttempts.lockUntil : null,
+            lockRemainingSeconds: user.lockRemainingSeconds,
+            failedAttempts: user.loginAttempts.count || 0,
+            lastFailedAttempt: user.loginAttempts.lastAttempt || null,
+            lockCount: user.loginAttempts.lockCount || 0,
+            history: user.loginAttempts.lockHistory,
+          },
+          activeSessions,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get User Security Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve user security status",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Lift a login lockout
+// @route   POST /api/admin/users/:id/unlock
+// @access  Admin
+const unlockUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    const wasLocked = user.isLocked
+    await user.unlockAccount(req.user._id)
+
+    await recordAdminAction(req, "user.unlock", { userId: user._id, details: { wasLocked } })
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked ? "✅ Account unlocked successfully" : "✅ Account was not locked; failed attempts cleared",
+      data: { userId: user._id, wasLocked },
+    })
+  } catch (error) {
+    console.error("🚨 Unlock User Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to unlock account",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// Shared by suspend and ban: set the status, sign the user out everywhere
+const moderateUser = (status, action) => async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const user = await findTargetUser(req, res)
+    if (!user || rejectProtectedTarget(req, res, user)) return
+
+    const { reason } = req.body
+    const previousStatus = user.accountStatus
+
+    user.accountStatus = status
+    user.moderation = { reason, actionedBy: req.user._id, actionedAt: new Date() }
+    await user.save({ validateBeforeSave: false })
+
+    const { revoked } = await revokeAllSessions(user._id, "account_blocked")
+
+    await recordAdminAction(req, action, {
+      userId: user._id,
+      reason,
+      details: { previousStatus, revokedSessions: revoked },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `✅ Account ${status}`,
+      data: { user: formatAdminUserResponse(user) },
+    })
+  } catch (error) {
+    console.error("🚨 Moderate User Error:", error)
+    res.status(500).json({
+      success: false,
+      message: `🔥 Failed to mark account ${status}`,
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Suspend a user
+// @route   POST /api/admin/users/:id/suspend
+// @access  Admin
+const suspendUser = moderateUser("suspended", "user.suspend")
+
+// @desc    Ban a user
+// @route   POST /api/admin/users/:id/ban
+// @access  Admin
+const banUser = moderateUser("banned", "user.ban")
+
+// @desc    Lift a suspension or ban
+// @route   POST /api/admin/users/:id/reinstate
+// @access  Admin
+const reinstateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (!user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Account is not suspended or banned",
+      })
+    }
+
+    const previousStatus = user.accountStatus
+    user.accountStatus = user.emailVerified ? "verified" : "pending"
+    user.moderation = undefined
+    await user.save({ validateBeforeSave: false })
+
+    await recordAdminAction(req, "user.reinstate", {
+      userId: user._id,
+      reason: req.body.reason,
+      details: { previousStatus },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Account reinstated",
+      data: { user: formatAdminUserResponse(user) },
+    })
+  } catch (error) {
+    console.error("🚨 Reinstate User Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to reinstate account",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Admin
+const changeUserRole = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const user = await findTargetUser(req, res)
+    if (!user) return
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ You cannot change your own role",
+      })
+    }
+
+    const previousRole = user.role
+    user.role = req.body.role
+    await user.save({ validateBeforeSave: false })
+
+    await recordAdminAction(req, "user.role_change", {
+      userId: user._id,
+      reason: req.body.reason,
+      details: { previousRole, newRole: user.role },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Role updated",
+      data: { user: formatAdminUserResponse(user) },
+    })
+  } catch (error) {
+    console.error("🚨 Change User Role Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to change role",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Force a password reset on next login
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Admin
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res)
+    if (!user || rejectProtectedTarget(req, res, user)) return
+
+    const token = user.createPasswordResetToken(authConfig.passwordReset.tokenTtlMinutes)
+    user.passwordResetRequired = true
+    await user.save({ validateBeforeSave: false })
+
+    const { revoked } = await revokeAllSessions(user._id, "password_reset")
+
+    let emailSent = true
+    try {
+      await sendPasswordResetEmail(user, token)
+    } catch (mailError) {
+      emailSent = false
+      console.error("🚨 Forced Reset Email Error:", mailError)
+    }
+
+    await recordAdminAction(req, "user.force_password_reset", {
+      userId: user._id,
+      reason: req.body.reason,
+      details: { revokedSessions: revoked, emailSent },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Password reset required; the user has been signed out and emailed a reset link",
+      data: { userId: user._id, revokedSessions: revoked, emailSent },
+    })
+  } catch (error) {
+    console.error("🚨 Force Password Reset Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to force password reset",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Issue a short-lived token to act as a user
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Admin
+const impersonateUser = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const user = await findTargetUser(req, res)
+    if (!user || rejectProtectedTarget(req, res, user)) return
+
+    if (!user.isActive || user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Cannot impersonate an inactive, suspended or banned account",
+      })
+    }
+
+    const token = generateImpersonationToken(user, req.user)
+
+    await recordAdminAction(req, "user.impersonate", { userId: user._id, reason: req.body.reason })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Impersonation token issued",
+      data: {
+        token,
+        tokenType: "Bearer",
+        expiresIn: process.env.IMPERSONATION_EXPIRE || "15m",
+        impersonating: { id: user._id, email: user.email },
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Impersonate User Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to issue impersonation token",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Browse the admin audit trail
+// @route   GET /api/admin/audit
+// @access  Admin
+const getAuditLog = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { action, actorId, targetUserId } = req.query
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+
+    const filter = {}
+    if (action) filter.action = action
+    if (actorId) filter.actorId = actorId
+    if (targetUserId) filter.targetUserId = targetUserId
+
+    const [entries, total] = await Promise.all([
+      AdminAuditLog.find(filter)
+        .populate("actorId", "name email")
+        .populate("targetUserId", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AdminAuditLog.countDocuments(filter),
+    ])
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Audit log retrieved successfully",
+      data: {
+        entries,
+        pagination: formatPagination(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Audit Log Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve audit log",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Query the security event trail (sign-ins, password and 2FA changes, revocations)
+// @route   GET /api/admin/auth-events
+// @access  Admin
+const getAuthEvents = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { userId, email, type, success, ip, from, to } = req.query
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+
+    const { events, total } = await findAuthEvents(
+      { userId, email, type, success, ip, from, to },
+      { page, limit, populate: true },
+    )
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Auth events retrieved successfully",
+      data: {
+        events,
+        pagination: formatPagination(page, limit, total),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Auth Events Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve auth events",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  getUserSecurity,
+  unlockUser,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  changeUserRole,
+  forcePasswordReset,
+  impersonateUser,
+  getAuditLog,
+  getAuthEvents,
+}
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose")
+const { validationResult } = require("express-validator")
+const ApiKey = require("../models/ApiKey")
+const { recordAuthEvent } = require("../services/auditService")
+const authConfig = require("../config/auth")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// @desc    List the current user's API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+const listApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ API keys retrieved successfully",
+      data: {
+        apiKeys: keys.map((key) => key.toJSON()),
+        availableScopes: authConfig.apiKeys.scopes,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List API Keys Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve API keys",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Create an API key (the plain key is only returned here)
+// @route   POST /api/auth/api-keys
+// @access  Private
+const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    // Keys outlive the impersonation window, so admins acting as a user may not mint them
+    if (req.impersonatorId) {
+      return res.status(403).json({
+        success: false,
+        message: "🔒 API keys cannot be created while impersonating a user",
+      })
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+    if (activeKeys >= authConfig.apiKeys.maxPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `❌ You can have at most ${authConfig.apiKeys.maxPerUser} active API keys`,
+        code: "API_KEY_LIMIT_REACHED",
+      })
+    }
+
+    const { name, scopes } = req.body
+    const expiresInDays = Number.parseInt(req.body.expiresInDays) || authConfig.apiKeys.defaultExpiryDays
+    const key = ApiKey.generateKey()
+
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      keyHash: ApiKey.hashKey(key),
+      keyPrefix: key.slice(0, authConfig.apiKeys.prefix.length + 8),
+      expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+    })
+
+    await recordAuthEvent(req, "api_key_created", req.user._id, true, { keyId: apiKey._id, scopes: apiKey.scopes })
+
+    res.status(201).json({
+      success: true,
+      message: "✅ API key created. Copy it now; it will not be shown again.",
+      data: {
+        apiKey: apiKey.toJSON(),
+        key,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Create API Key Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to create API key",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid API key ID",
+      })
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: id, userId: req.user._id })
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 API key not found",
+      })
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date()
+      await apiKey.save()
+      await recordAuthEvent(req, "api_key_revoked", req.user._id, true, { keyId: apiKey._id })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ API key revoked",
+      data: { apiKey: apiKey.toJSON() },
+    })
+  } catch (error) {
+    console.error("🚨 Revoke API Key Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to revoke API key",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+}
@@ -1,15 +1,34 @@
 const bcrypt = require("bcryptjs")
-const jwt = require("jsonwebtoken")
 const { validationResult } = require("express-validator")
 const User = require("../models/User")
 const { logAuth } = require("../utils/logger")
 const { formatUserResponse, formatSuccessResponse, formatErrorResponse } = require("../utils/formatters")
+const {
+  issueTokenPair,
+  generateMfaChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../services/tokenService")
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../services/mailer")
+const { sendAccountLocked, recordFailedLogin } = require("../services/lockoutService")
+const { recordAuthEvent } = require("../services/auditService")
+const authConfig = require("../config/auth")
+
+// Issue a fresh verification token and email it. Delivery problems are logged,
+// never surfaced, so a flaky mail provider cannot break registration.
+const dispatchVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(authConfig.emailVerification.tokenTtlHours)
+  await user.save({ validateBeforeSave: false })
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d",
-  })
+  try {
+    await sendVerificationEmail(user, token)
+    return true
+  } catch (error) {
+    console.error("🚨 Verification Email Error:", error)
+    logAuth("verification_email", user._id, false, { error: error.message })
+    return false
+  }
 }
 
 // @desc    Register new user
@@ -50,19 +69,20 @@ const register = async (req, res) => {
     // Log successful registration
     logAuth("register", user._id, true, { email: user.email })
 
-    // Generate token
-    const token = generateToken(user._id)
+    await dispatchVerificationEmail(user)
+
+    // Generate access + refresh tokens for this device
+    const tokens = await issueTokenPair(user, req)
 
-    // Remove password from response
-    const userResponse = user.toObject()
-    delete userResponse.password
+    // Remove password and token fields from response
+    const userResponse = user.toJSON()
 
     res.status(201).json({
       success: true,
       message: "🎉 User registered successfully!",
       data: {
         user: userResponse,
-        token,
+        ...tokens,
       },
     })
   } catch (error) {
@@ -97,7 +117,7 @@ const login = async (req, res) => {
     const user = await User.findOne({ email: email.toLowerCase() }).select("+password")
 
     if (!user) {
-      logAuth("login", null, false, { email, reason: "Invalid credentials" })
+      await recordAuthEvent(req, "login", null, false, { email, reason: "Invalid credentials" })
       return res.status(401).json({
         success: false,
         message: "❌ Invalid email or password",
@@ -112,35 +132,74 @@ const login = async (req, res) => {
       })
     }
 
+    if (user.isLocked) {
+      await recordAuthEvent(req, "login", user._id, false, { email, reason: "Account locked" })
+      return sendAccountLocked(res, user.loginAttempts.lockUntil)
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password)
     if (!isPasswordValid) {
-      logAuth("login", null, false, { email, reason: "Invalid credentials" })
+      const attempt = await recordFailedLogin(user, req, "Invalid credentials")
+      if (attempt.locked) return sendAccountLocked(res, attempt.lockUntil)
       return res.status(401).json({
         success: false,
         message: "❌ Invalid email or password",
       })
     }
 
+    if (user.isBlocked) {
+      await recordAuthEvent(req, "login", user._id, false, { email, reason: `Account ${user.accountStatus}` })
+      return res.status(403).json({
+        success: false,
+        message: `🚫 Account is ${user.accountStatus}. Please contact support.`,
+        code: user.accountStatus === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+      })
+    }
+
+    if (user.passwordResetRequired) {
+      await recordAuthEvent(req, "login", user._id, false, { email, reason: "Password reset required" })
+      return res.status(403).json({
+        success: false,
+        message: "🔑 A password reset is required. Check your email for the reset link.",
+        code: "PASSWORD_RESET_REQUIRED",
+      })
+    }
+
+    // Second step required: hand back a short-lived challenge instead of tokens
+    if (user.twoFactorAuth && user.twoFactorAuth.enabled) {
+      logAuth("login_password", user._id, true, { email: user.email, mfaRequired: true })
+
+      return res.status(200).json({
+        success: true,
+        message: "🔐 Two-factor authentication required",
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken(user),
+          methods: ["totp", "backup_code"],
+        },
+      })
+    }
+
+    if (user.loginAttempts.count || user.loginAttempts.lockCount) {
+      await user.resetLoginAttempts()
+    }
+
     // Update last active
     await user.updateLastActive()
 
     // Log successful login
-    logAuth("login", user._id, true, { email: user.email })
-
-    // Generate token
-    const token = generateToken(user._id)
+    await recordAuthEvent(req, "login", user._id, true, { email: user.email, method: "password" })
 
-    // Remove password from response
-    const userResponse = user.toObject()
-    delete userResponse.password
+    // Generate access + refresh tokens for this device
+    const tokens = await issueTokenPair(user, req)
 
     res.status(200).json({
       success: true,
       message: "🎉 Login successful!",
       data: {
-        user: userResponse,
-        token,
+        user: user.toJSON(),
+        ...tokens,
       },
     })
   } catch (error) {
@@ -202,8 +261,10 @@ const updateProfile = async (req, res) => {
     const { name, email, preferences, avatar } = req.body
     const userId = req.user._id
 
+    const emailChanged = !!email && email.toLowerCase().trim() !== req.user.email
+
     // Check if email is being changed and if it's already taken
-    if (email && email.toLowerCase() !== req.user.email) {
+    if (emailChanged) {
       const existingUser = await User.findOne({
         email: email.toLowerCase(),
         _id: { $ne: userId },
@@ -220,7 +281,12 @@ const updateProfile = async (req, res) => {
     // Prepare update data
     const updateData = {}
     if (name) updateData.name = name.trim()
-    if (email) updateData.email = email.toLowerCase().trim()
+    // A new address has to be confirmed again before it counts as verified
+    if (emailChanged) {
+      updateData.email = email.toLowerCase().trim()
+      updateData.emailVerified = false
+      if (req.user.accountStatus === "verified") updateData.accountStatus = "pending"
+    }
     if (avatar) updateData.avatar = avatar
     if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences }
 
@@ -236,11 +302,19 @@ const updateProfile = async (req, res) => {
       })
     }
 
+    if (emailChanged) {
+      await dispatchVerificationEmail(updatedUser)
+      logAuth("email_changed", userId, true, { from: req.user.email, to: updatedUser.email })
+    }
+
     res.status(200).json({
       success: true,
-      message: "✅ Profile updated successfully!",
+      message: emailChanged
+        ? "✅ Profile updated. Check your inbox to verify your new email address."
+        : "✅ Profile updated successfully!",
       data: {
         user: updatedUser.profile,
+        ...(emailChanged && { emailVerificationRequired: true }),
       },
     })
   } catch (error) {
@@ -293,9 +367,17 @@ const changePassword = async (req, res) => {
     user.password = newPassword
     await user.save()
 
+    // Sign out every device, then hand this one a fresh session
+    const { revoked, tokenVersion } = await revokeAllSessions(userId, "password_changed")
+    user.tokenVersion = tokenVersion
+    const tokens = await issueTokenPair(user, req)
+
+    await recordAuthEvent(req, "change_password", userId, true, { revokedSessions: revoked })
+
     res.status(200).json({
       success: true,
       message: "✅ Password changed successfully!",
+      data: tokens,
     })
   } catch (error) {
     console.error("🚨 Change Password Error:", error)
@@ -338,6 +420,8 @@ const deleteAccount = async (req, res) => {
     user.email = `deleted_${Date.now()}_${user.email}`
     await user.save()
 
+    await revokeAllSessions(userId, "account_deleted")
+
     res.status(200).json({
       success: true,
       message: "✅ Account deleted successfully",
@@ -352,6 +436,305 @@ const deleteAccount = async (req, res) => {
   }
 }
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+const refreshToken = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, req)
+
+    logAuth("refresh", user._id, true, { ip: req.ip, userAgent: req.get("User-Agent") })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Token refreshed successfully",
+      data: tokens,
+    })
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        success: false,
+        message: `🔒 ${error.message}`,
+        code: error.code,
+      })
+    }
+
+    console.error("🚨 Refresh Token Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to refresh token",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Log out the current device
+// @route   POST /api/auth/logout
+// @access  Public (requires refresh token)
+const logout = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const revoked = await revokeRefreshToken(req.body.refreshToken)
+
+    if (revoked) {
+      await recordAuthEvent(req, "logout", revoked.userId, true, { sessionId: revoked.family, deviceId: revoked.device.id })
+    }
+
+    // Always succeed so the response does not reveal whether the token existed
+    res.status(200).json({
+      success: true,
+      message: "✅ Logged out successfully",
+    })
+  } catch (error) {
+    console.error("🚨 Logout Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to log out",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Log out every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const userId = req.user._id
+    const { revoked } = await revokeAllSessions(userId, "logout_all")
+
+    await recordAuthEvent(req, "logout_all", userId, true, { revokedSessions: revoked })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Logged out of all devices",
+      data: { revokedSessions: revoked },
+    })
+  } catch (error) {
+    console.error("🚨 Logout All Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to log out of all devices",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public (requires verification token)
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token)
+    if (!user) {
+      logAuth("verify_email", null, false, { reason: "Invalid or expired token" })
+      return res.status(400).json({
+        success: false,
+        message: "❌ Verification link is invalid or has expired",
+        code: "INVALID_VERIFICATION_TOKEN",
+      })
+    }
+
+    await user.markEmailVerified()
+
+    logAuth("verify_email", user._id, true, { email: user.email })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Email verified successfully!",
+      data: {
+        emailVerified: true,
+        accountStatus: user.accountStatus,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Verify Email Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to verify email",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+emailVerificationExpires")
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 User not found",
+      })
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Email address is already verified",
+        code: "ALREADY_VERIFIED",
+      })
+    }
+
+    const { tokenTtlHours, resendCooldownSeconds } = authConfig.emailVerification
+    if (user.emailVerificationExpires) {
+      const sentAt = user.emailVerificationExpires.getTime() - tokenTtlHours * 60 * 60 * 1000
+      const retryAfter = Math.ceil((sentAt + resendCooldownSeconds * 1000 - Date.now()) / 1000)
+      if (retryAfter > 0) {
+        return res.status(429).json({
+          success: false,
+          message: "🚫 Verification email was sent recently. Please wait before requesting another.",
+          retryAfter,
+        })
+      }
+    }
+
+    await dispatchVerificationEmail(user)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Verification email sent",
+    })
+  } catch (error) {
+    console.error("🚨 Resend Verification Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to resend verification email",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  // Same answer whether or not the address exists, so the endpoint cannot be used to probe accounts
+  const genericResponse = {
+    success: true,
+    message: "📧 If an account exists for that email, a password reset link has been sent.",
+  }
+
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const email = req.body.email.toLowerCase()
+    const user = await User.findOne({ email, isActive: true })
+
+    if (!user) {
+      logAuth("forgot_password", null, false, { email, reason: "Unknown email", ip: req.ip })
+      return res.status(200).json(genericResponse)
+    }
+
+    const token = user.createPasswordResetToken(authConfig.passwordReset.tokenTtlMinutes)
+    await user.save({ validateBeforeSave: false })
+
+    try {
+      await sendPasswordResetEmail(user, token)
+    } catch (mailError) {
+      console.error("🚨 Password Reset Email Error:", mailError)
+    }
+
+    logAuth("forgot_password", user._id, true, { email, ip: req.ip, userAgent: req.get("User-Agent") })
+
+    res.status(200).json(genericResponse)
+  } catch (error) {
+    console.error("🚨 Forgot Password Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to process password reset request",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires reset token)
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { token, newPassword } = req.body
+
+    const user = await User.findByPasswordResetToken(token)
+    if (!user) {
+      await recordAuthEvent(req, "reset_password", null, false, { reason: "Invalid or expired token" })
+      return res.status(400).json({
+        success: false,
+        message: "❌ Reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN",
+      })
+    }
+
+    // Clear the token in the same write as the new password so it cannot be replayed
+    user.password = newPassword
+    user.passwordResetToken = undefined
+    user.passwordResetExpires = undefined
+    user.passwordResetRequired = false
+    await user.save()
+    await user.resetLoginAttempts()
+
+    const { revoked } = await revokeAllSessions(user._id, "password_reset")
+
+    await recordAuthEvent(req, "reset_password", user._id, true, { email: user.email, revokedSessions: revoked })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Password has been reset. Please log in with your new password.",
+    })
+  } catch (error) {
+    console.error("🚨 Reset Password Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to reset password",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
 // @desc    Get user statistics
 // @route   GET /api/auth/stats
 // @access  Private
@@ -382,4 +765,11 @@ module.exports = {
   changePassword,
   deleteAccount,
   getUserStats,
+  refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 }
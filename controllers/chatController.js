@@ -1,10 +1,24 @@
 const { validationResult } = require("express-validator")
 const OpenAI = require("openai")
 const ChatMessage = require("../models/ChatMessage")
+const SessionSummary = require("../models/SessionSummary")
+const SharedSession = require("../models/SharedSession")
 const User = require("../models/User")
 const mongoose = require("mongoose") // Import mongoose
-const { sendChatCompletion, generateChatPrompt, truncateMessages } = require("../utils/openaiClient")
+const {
+  generateChatPrompt,
+  truncateMessages,
+} = require("../utils/openaiClient")
 const { logChat } = require("../utils/logger")
+const { recordUsage } = require("../services/usageService")
+const domainEvents = require("../services/domainEvents")
+const { retrieveContext } = require("../services/retrievalService")
+const { getLearnerFacts, prepareConversationMemory } = require("../services/memoryService")
+const { parseSearchQuery, decodeCursor, searchMessages: runMessageSearch } = require("../services/searchService")
+const { resolveChatMode, renderModePrompt } = require("../services/chatModeService")
+const { runToolLoop, streamToolLoop } = require("../services/chatToolService")
+const { FORMATS, loadSessionExport, renderSession, exportFileName, buildDomainArchive } = require("../services/exportService")
+const aiConfig = require("../config/ai")
 const { formatChatMessage, formatSuccessResponse } = require("../utils/formatters")
 
 // Initialize OpenAI
@@ -14,7 +28,313 @@ const openai = new OpenAI({
 })
 
 
-// @desc    Send message to AI and get response
+// Ingested knowledge for the domain that matches the message; chat goes on without it on failure
+const retrieveForMessage = async (userMessage, domain) => {
+  if (!domain || !aiConfig.retrieval.enabled) return { passages: [], citations: [] }
+
+  try {
+    return await retrieveContext(domain, userMessage.message)
+  } catch (error) {
+    console.error("🚨 Chat Retrieval Error:", error)
+    return { passages: [], citations: [] }
+  }
+}
+
+// Learner facts are a nice-to-have; never fail a reply over them
+const learnerFactsFor = async (userId, domain) => {
+  try {
+    return await getLearnerFacts(userId, domain)
+  } catch (error) {
+    console.error("🚨 Learner Memory Error:", error)
+    return []
+  }
+}
+
+// The branch leading to a user message (older parts summarised), grounded in the
+// domain's knowledge and what we know about the learner, shaped into a prompt
+// by the chat mode's current system prompt
+const buildConversation = async (req, userMessage, { domain, mode, chatMode }) => {
+  const [branch, { passages, citations }, learnerFacts] = await Promise.all([
+    ChatMessage.getBranch(userMessage),
+    retrieveForMessage(userMessage, domain),
+    learnerFactsFor(userMessage.userId, domain),
+  ])
+  const { summary, recent } = await prepareConversationMemory(userMessage, branch, { domain, user: req.user })
+
+  const messages = generateChatPrompt(
+    recent.map((msg) => ({
+      role: msg.role === "ai" ? "assistant" : msg.role,
+      content: msg.message,
+    })),
+    domain,
+    mode,
+    { systemPrompt: renderModePrompt(chatMode, { user: req.user, domain }), passages, summary, learnerFacts },
+  )
+
+  return { messages: truncateMessages(messages, 3000), citations }
+}
+
+// Persist the assistant reply, meter it and announce it to the user's sockets
+const saveAiReply = async (
+  req,
+  { aiMessageId, parentId, branchedFrom = null, sessionId, domain, mode, chatMode, content, usage, processingTime, extra = {} },
+) => {
+  const userId = req.user._id
+
+  const aiMessage = new ChatMessage({
+    ...(aiMessageId && { _id: aiMessageId }),
+    userId,
+    sessionId,
+    role: "ai",
+    message: content,
+    parentId,
+    branchedFrom,
+    metadata: {
+      domain,
+      mode,
+      aiModel: chatMode.model,
+      // The exact prompt and settings that produced this answer
+      promptVersion: { mode: chatMode.key, version: chatMode.version },
+      tokens: {
+        prompt: usage.prompt_tokens,
+        completion: usage.completion_tokens,
+        total: usage.total_tokens,
+      },
+      responseTime: processingTime,
+      confidence: 0.85,
+      ...extra,
+    },
+  })
+
+  await aiMessage.save()
+
+  // Update user stats
+  await User.findByIdAndUpdate(userId, {
+    $inc: { "stats.totalChats": 1 },
+  })
+
+  await recordUsage(req.user, { chatMessages: 1, tokens: usage.total_tokens })
+
+  domainEvents.publish(domainEvents.EVENTS.CHAT_MESSAGE_SENT, { userId, domain, mode, sessionId })
+
+  // Emit real-time message via Socket.IO
+  const io = req.app.get("io")
+  if (io) {
+    io.to(`user-${userId}`).emit("new-ai-message", {
+      message: aiMessage,
+      sessionId,
+    })
+  }
+
+  return aiMessage
+}
+
+// Answer with Server-Sent Events: `start`, one `delta` per chunk and one `tool` per
+// server-side tool call, then `done` (or `error`). Deltas are mirrored to the user's
+// room as `ai-message-delta`.
+// Closing the connection aborts the upstream request; partial text is kept.
+const streamAiReply = async (
+  req,
+  res,
+  { userMessage, branchedFrom, sessionId, domain, mode, chatMode, messages, citations },
+) => {
+  const userId = req.user._id
+  const io = req.app.get("io")
+  const aiMessageId = new mongoose.Types.ObjectId()
+  const controller = new AbortController()
+
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort()
+  })
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+
+  const sendEvent = (event, data) => {
+    if (res.writableEnded || res.destroyed) return
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  sendEvent("start", { sessionId, userMessage, aiMessageId, citations })
+
+  let index = 0
+  const onDelta = (delta) => {
+    sendEvent("delta", { content: delta, index })
+    if (io) {
+      io.to(`user-${userId}`).emit("ai-message-delta", { sessionId, messageId: aiMessageId, delta, index })
+    }
+    index += 1
+  }
+
+  // The model reads the full result; the client only learns what ran and whether it worked
+  const onToolCall = (record) => {
+    sendEvent("tool", { id: record.id, name: record.name, round: record.round, error: record.error })
+  }
+
+  try {
+    const result = await streamToolLoop(
+      messages,
+      { model: chatMode.model, maxTokens: chatMode.maxTokens, temperature: chatMode.temperature },
+      { user: req.user, apiKey: req.apiKey, domain },
+      { onDelta, onToolCall, signal: controller.signal },
+    )
+    const { toolCalls } = result
+
+    logChat("send", userId, sessionId, {
+      domain,
+      mode,
+      streamed: true,
+      tokensUsed: result.tokensUsed,
+      processingTime: result.processingTime,
+      finishReason: result.finishReason,
+      ...(toolCalls.length > 0 && { tools: toolCalls.map((call) => call.name) }),
+    })
+
+    let aiMessage = null
+    if (result.content) {
+      aiMessage = await saveAiReply(req, {
+        aiMessageId,
+        parentId: userMessage._id,
+        branchedFrom,
+        sessionId,
+        domain,
+        mode,
+        chatMode,
+        content: result.content,
+        usage: result.usage,
+        processingTime: result.processingTime,
+        extra: {
+          citations,
+          toolCalls,
+          streamed: true,
+          finishReason: result.finishReason,
+          partial: result.aborted || !!result.error,
+          usageEstimated: result.usageEstimated,
+        },
+      })
+    }
+
+    if (result.error) {
+      sendEvent("error", {
+        message: "🔥 The response was interrupted",
+        aiMessage,
+        ...(process.env.NODE_ENV === "development" && { error: result.error.message }),
+      })
+    } else {
+      sendEvent("done", {
+        aiMessage,
+        sessionId,
+        processingTime: result.processingTime,
+        tokensUsed: result.tokensUsed,
+        finishReason: result.finishReason,
+      })
+    }
+  } catch (error) {
+    console.error("🚨 Stream Message Error:", error)
+    sendEvent("error", {
+      message:
+        error.code === "insufficient_quota"
+          ? "🤖 AI service quota exceeded. Please try again later."
+          : "🔥 Failed to send message",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+
+  res.end()
+}
+
+// Answer a saved user message, as JSON or (`?stream=true`) as SSE. Without a resolved
+// chat mode, the message's own mode is used, or the default one if it has been disabled.
+// Either way the model may call server-side tools first; those calls are kept on the answer.
+const replyTo = async (req, res, userMessage, { message, branchedFrom = null, chatMode = null }) => {
+  const userId = req.user._id
+  const { sessionId } = userMessage
+  const { domain, mode } = userMessage.metadata
+
+  const replyMode = chatMode || (await resolveChatMode(mode)) || (await resolveChatMode())
+  const { messages: truncatedMessages, citations } = await buildConversation(req, userMessage, {
+    domain,
+    mode,
+    chatMode: replyMode,
+  })
+
+  if (req.query.stream === true) {
+    return streamAiReply(req, res, {
+      userMessage,
+      branchedFrom,
+      sessionId,
+      domain,
+      mode,
+      chatMode: replyMode,
+      messages: truncatedMessages,
+      citations,
+    })
+  }
+
+  const aiResult = await runToolLoop(
+    truncatedMessages,
+    { model: replyMode.model, maxTokens: replyMode.maxTokens, temperature: replyMode.temperature },
+    { user: req.user, apiKey: req.apiKey, domain },
+  )
+  const { processingTime, toolCalls } = aiResult
+
+  // Log chat activity
+  logChat("send", userId, sessionId, {
+    domain,
+    mode,
+    tokensUsed: aiResult.tokensUsed,
+    processingTime,
+    ...(toolCalls.length > 0 && { tools: toolCalls.map((call) => call.name) }),
+  })
+
+  const aiMessage = await saveAiReply(req, {
+    parentId: userMessage._id,
+    branchedFrom,
+    sessionId,
+    domain,
+    mode,
+    chatMode: replyMode,
+    content: aiResult.content,
+    usage: aiResult.usage,
+    processingTime,
+    extra: { citations, toolCalls },
+  })
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      userMessage,
+      aiMessage,
+      sessionId,
+      processingTime,
+      tokensUsed: aiResult.tokensUsed,
+    },
+  })
+}
+
+const sendReplyError = (res, error, message) => {
+  // Handle OpenAI specific errors
+  if (error.code === "insufficient_quota") {
+    return res.status(429).json({
+      success: false,
+      message: "🤖 AI service quota exceeded. Please try again later.",
+    })
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    ...(process.env.NODE_ENV === "development" && { error: error.message }),
+  })
+}
+
+// @desc    Send message to AI and get response (`?stream=true` answers with SSE)
 // @route   POST /api/chat/send
 // @access  Private
 const sendMessage = async (req, res) => {
@@ -29,129 +349,44 @@ const sendMessage = async (req, res) => {
       })
     }
 
-    const { message, sessionId, domain, mode = "chat", attachments = [] } = req.body
+    const { message, sessionId, domain, mode = aiConfig.chat.defaultMode, attachments = [] } = req.body
     const userId = req.user._id
 
+    const chatMode = await resolveChatMode(mode)
+    if (!chatMode) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Unknown or disabled chat mode",
+      })
+    }
+
     // Generate session ID if not provided
     const chatSessionId = sessionId || `session_${userId}_${Date.now()}`
 
+    // The new message continues the branch the user is on
+    const { path } = await ChatMessage.getActivePath(userId, chatSessionId)
+    const previousMessage = path[path.length - 1]
+
     // Save user message
     const userMessage = new ChatMessage({
       userId,
       sessionId: chatSessionId,
       role: "user",
       message,
+      parentId: previousMessage ? previousMessage._id : null,
       metadata: {
         domain,
-        mode,
+        mode: chatMode.key,
         attachments,
       },
     })
 
     await userMessage.save()
 
-    // Get recent chat history for context
-    const recentMessages = await ChatMessage.find({
-      userId,
-      sessionId: chatSessionId,
-      isDeleted: false,
-    })
-      .sort({ createdAt: -1 })
-      .limit(10)
-      .select("role message")
-
-    // Replace the existing OpenAI code with:
-    const messages = generateChatPrompt(
-      recentMessages.reverse().map((msg) => ({
-        role: msg.role === "ai" ? "assistant" : msg.role,
-        content: msg.message,
-      })),
-      domain,
-      mode,
-    )
-
-    const truncatedMessages = truncateMessages(messages, 3000)
-
-    const aiResult = await sendChatCompletion(truncatedMessages, {
-      model: "gpt-3.5-turbo",
-      maxTokens: 1000,
-      temperature: 0.7,
-    })
-
-    const aiResponse = aiResult.data.choices[0].message.content
-    const processingTime = aiResult.processingTime
-
-    // Log chat activity
-    logChat("send", userId, chatSessionId, {
-      domain,
-      mode,
-      tokensUsed: aiResult.tokensUsed,
-      processingTime,
-    })
-
-    // Save AI response
-    const aiMessage = new ChatMessage({
-      userId,
-      sessionId: chatSessionId,
-      role: "ai",
-      message: aiResponse,
-      metadata: {
-        domain,
-        mode,
-        aiModel: "gpt-3.5-turbo",
-        tokens: {
-          prompt: aiResult.data.usage.prompt_tokens,
-          completion: aiResult.data.usage.completion_tokens,
-          total: aiResult.data.usage.total_tokens,
-        },
-        responseTime: processingTime,
-        confidence: 0.85,
-      },
-    })
-
-    await aiMessage.save()
-
-    // Update user stats
-    await User.findByIdAndUpdate(userId, {
-      $inc: { "stats.totalChats": 1 },
-    })
-
-    // Emit real-time message via Socket.IO
-    const io = req.app.get("io")
-    if (io) {
-      io.to(`user-${userId}`).emit("new-ai-message", {
-        message: aiMessage,
-        sessionId: chatSessionId,
-      })
-    }
-
-    res.status(200).json({
-      success: true,
-      message: "✅ Message sent successfully",
-      data: {
-        userMessage,
-        aiMessage,
-        sessionId: chatSessionId,
-        processingTime,
-        tokensUsed: aiResult.data.usage.total_tokens,
-      },
-    })
+    return await replyTo(req, res, userMessage, { message: "✅ Message sent successfully", chatMode })
   } catch (error) {
     console.error("🚨 Send Message Error:", error)
-
-    // Handle OpenAI specific errors
-    if (error.code === "insufficient_quota") {
-      return res.status(429).json({
-        success: false,
-        message: "🤖 AI service quota exceeded. Please try again later.",
-      })
-    }
-
-    res.status(500).json({
-      success: false,
-      message: "🔥 Failed to send message",
-      ...(process.env.NODE_ENV === "development" && { error: error.message }),
-    })
+    sendReplyError(res, error, "🔥 Failed to send message")
   }
 }
 
@@ -163,14 +398,7 @@ const getChatHistory = async (req, res) => {
     const { userId } = req.params
     const { sessionId, limit = 50, page = 1, domain, role, startDate, endDate } = req.query
 
-    // Check if user can access this chat history
-    if (userId !== req.user._id.toString() && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "🔒 Access denied. You can only view your own chat history.",
-      })
-    }
-
+    // Access (own history, or chat:moderate) is checked by authorize() on the route
     const options = {
       sessionId,
       limit: Number.parseInt(limit),
@@ -216,6 +444,7 @@ const getChatSessions = async (req, res) => {
           isDeleted: false,
         },
       },
+      { $sort: { createdAt: 1 } },
       {
         $group: {
           _id: "$sessionId",
@@ -284,6 +513,10 @@ const deleteChatSession = async (req, res) => {
       })
     }
 
+    await SessionSummary.deleteOne({ userId, sessionId })
+    // Snapshots are copies, so deleting the session has to take its links down explicitly
+    await SharedSession.updateMany({ userId, sessionId, revokedAt: null }, { revokedAt: new Date() })
+
     res.status(200).json({
       success: true,
       message: "✅ Chat session deleted successfully",
@@ -348,6 +581,403 @@ const updateMessageReaction = async (req, res) => {
   }
 }
 
+// @desc    Edit a prompt: the edit starts a new branch next to the original, which is kept
+// @route   PUT /api/chat/message/:messageId
+// @access  Private
+const editMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const userId = req.user._id
+    const original = await ChatMessage.findOne({ _id: req.params.messageId, userId, isDeleted: false })
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Message not found",
+      })
+    }
+
+    if (original.role !== "user") {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Only your own messages can be edited; regenerate AI answers instead",
+      })
+    }
+
+    const userMessage = new ChatMessage({
+      userId,
+      sessionId: original.sessionId,
+      role: "user",
+      message: req.body.message,
+      parentId: original.parentId,
+      branchedFrom: original._id,
+      metadata: {
+        domain: original.metadata.domain,
+        mode: original.metadata.mode,
+        attachments: original.metadata.attachments,
+      },
+    })
+
+    await userMessage.save()
+    await ChatMessage.selectBranch(userMessage)
+
+    return await replyTo(req, res, userMessage, { message: "✅ Message edited successfully" })
+  } catch (error) {
+    console.error("🚨 Edit Message Error:", error)
+    sendReplyError(res, error, "🔥 Failed to edit message")
+  }
+}
+
+// @desc    Generate another answer to the same prompt, next to the original one
+// @route   POST /api/chat/message/:messageId/regenerate
+// @access  Private
+const regenerateMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const userId = req.user._id
+    const original = await ChatMessage.findOne({ _id: req.params.messageId, userId, isDeleted: false })
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Message not found",
+      })
+    }
+
+    if (original.role !== "ai") {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Only AI answers can be regenerated",
+      })
+    }
+
+    const userMessage = original.parentId
+      ? await ChatMessage.findOne({ _id: original.parentId, userId, isDeleted: false })
+      : null
+
+    if (!userMessage) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 The prompt of this answer no longer exists",
+      })
+    }
+
+    // The new answer is the newest child of the prompt, so it becomes the active branch
+    await ChatMessage.selectBranch(userMessage)
+
+    return await replyTo(req, res, userMessage, {
+      message: "✅ Answer regenerated successfully",
+      branchedFrom: original._id,
+    })
+  } catch (error) {
+    console.error("🚨 Regenerate Message Error:", error)
+    sendReplyError(res, error, "🔥 Failed to regenerate answer")
+  }
+}
+
+// @desc    Switch to the branch a message belongs to
+// @route   POST /api/chat/message/:messageId/select
+// @access  Private
+const selectMessageBranch = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const userId = req.user._id
+    const message = await ChatMessage.findOne({ _id: req.params.messageId, userId, isDeleted: false })
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Message not found",
+      })
+    }
+
+    await ChatMessage.selectBranch(message)
+    const { path } = await ChatMessage.getActivePath(userId, message.sessionId)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Branch selected successfully",
+      data: {
+        sessionId: message.sessionId,
+        messages: path,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Select Branch Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to select branch",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    List the alternatives at each fork of the session's active path
+// @route   GET /api/chat/session/:sessionId/branches
+// @access  Private
+const getSessionBranches = async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const userId = req.user._id
+
+    const { path, forks } = await ChatMessage.getActivePath(userId, sessionId)
+
+    if (path.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Chat session not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Session branches retrieved successfully",
+      data: {
+        sessionId,
+        forks: forks.map((fork) => ({
+          parentId: fork.parentId,
+          // Position of the fork on the active path
+          depth: path.findIndex((message) => String(message._id) === String(fork.activeId)),
+          activeId: fork.activeId,
+          alternatives: fork.alternatives.map((message) => ({
+            _id: message._id,
+            role: message.role,
+            message: message.message,
+            branchedFrom: message.branchedFrom || null,
+            createdAt: message.createdAt,
+            active: String(message._id) === String(fork.activeId),
+          })),
+        })),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Session Branches Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve session branches",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Search the current user's messages across all sessions
+// @route   GET /api/chat/search?q=
+// @access  Private
+const searchMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { q, domain, mode, role, from, to, cursor, limit = 20 } = req.query
+
+    const { phrases, terms } = parseSearchQuery(q)
+    if (phrases.length === 0 && terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Search needs at least one word or phrase to look for",
+      })
+    }
+
+    const decodedCursor = cursor ? decodeCursor(cursor) : null
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid cursor",
+      })
+    }
+
+    const { results, nextCursor } = await runMessageSearch(req.user._id, {
+      q,
+      domain,
+      mode,
+      role,
+      from,
+      to,
+      cursor: decodedCursor,
+      limit: Number.parseInt(limit),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Search completed successfully",
+      data: {
+        query: q,
+        results,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Search Messages Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to search messages",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Get a message with the messages before and after it in its branch
+// @route   GET /api/chat/message/:messageId/context
+// @access  Private
+const getMessageContext = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { before = 3, after = 3 } = req.query
+    const message = await ChatMessage.findOne({ _id: req.params.messageId, userId: req.user._id, isDeleted: false })
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Message not found",
+      })
+    }
+
+    const context = await ChatMessage.getContext(message, {
+      before: Number.parseInt(before),
+      after: Number.parseInt(after),
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Message context retrieved successfully",
+      data: {
+        sessionId: message.sessionId,
+        ...context,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Message Context Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve message context",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Download a session's active branch as Markdown, HTML or JSON
+// @route   GET /api/chat/session/:sessionId/export?format=md|html|json
+// @access  Private
+const exportChatSession = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { format = "md" } = req.query
+    const session = await loadSessionExport(req.user._id, req.params.sessionId)
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Chat session not found",
+      })
+    }
+
+    res
+      .status(200)
+      .set({
+        "Content-Type": FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="${exportFileName(session, format)}"`,
+      })
+      .send(renderSession(session, format))
+  } catch (error) {
+    console.error("🚨 Export Chat Session Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to export chat session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Download every session of one domain as a zip, one file per session
+// @route   GET /api/chat/export?domain=&format=md|html|json
+// @access  Private
+const exportDomainSessions = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const { domain, format = "md" } = req.query
+    const result = await buildDomainArchive(req.user._id, domain, format)
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 No chat sessions found for this domain",
+      })
+    }
+
+    const fileName = `synaptron-chats-${domain.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${new Date().toISOString().slice(0, 10)}.zip`
+    res
+      .status(200)
+      .set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "X-Session-Count": String(result.sessionCount),
+      })
+      .send(result.archive)
+  } catch (error) {
+    console.error("🚨 Export Domain Sessions Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to export chat sessions",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
 // @desc    Get session statistics
 // @route   GET /api/chat/session/:sessionId/stats
 // @access  Private
@@ -379,5 +1009,13 @@ module.exports = {
   getChatSessions,
   deleteChatSession,
   updateMessageReaction,
+  editMessage,
+  regenerateMessage,
+  selectMessageBranch,
+  getSessionBranches,
+  searchMessages,
+  getMessageContext,
+  exportChatSession,
+  exportDomainSessions,
   getSessionStats,
 }
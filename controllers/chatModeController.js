@@ -0,0 +1,321 @@
+const { validationResult } = require("express-validator")
+const ChatMode = require("../models/ChatMode")
+const { TEMPLATE_VARIABLES } = require("../models/ChatMode")
+const { recordAdminAction } = require("../services/auditService")
+const { ensureDefaultModes } = require("../services/chatModeService")
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+const findMode = async (req, res) => {
+  await ensureDefaultModes()
+
+  const mode = await ChatMode.findOne({ key: req.params.key.toLowerCase() })
+  if (!mode) {
+    res.status(404).json({
+      success: false,
+      message: "🔍 Chat mode not found",
+    })
+    return null
+  }
+  return mode
+}
+
+const versionFields = ({ systemPrompt, model, temperature, maxTokens, note }) => ({
+  systemPrompt,
+  model: model || null,
+  temperature: temperature ?? null,
+  maxTokens: maxTokens ?? null,
+  note,
+})
+
+const formatMode = (mode) => ({
+  ...mode.toSummary(),
+  versions: [...mode.versions]
+    .sort((a, b) => b.version - a.version)
+    .map((entry) => ({ ...entry.toObject(), active: entry.version === mode.activeVersion })),
+})
+
+// @desc    List the chat modes that can be picked for new messages
+// @route   GET /api/chat/modes
+// @access  Private
+const listAvailableChatModes = async (req, res) => {
+  try {
+    await ensureDefaultModes()
+    const modes = await ChatMode.find({ isActive: true }).sort({ builtIn: -1, key: 1 })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Chat modes retrieved successfully",
+      data: {
+        modes: modes.map((mode) => ({ key: mode.key, name: mode.name, description: mode.description })),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List Chat Modes Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve chat modes",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    List every chat mode in the registry, disabled ones included
+// @route   GET /api/admin/chat-modes
+// @access  Private/Admin
+const listChatModes = async (req, res) => {
+  try {
+    await ensureDefaultModes()
+    const modes = await ChatMode.find().sort({ builtIn: -1, key: 1 })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Chat modes retrieved successfully",
+      data: {
+        modes: modes.map((mode) => mode.toSummary()),
+        templateVariables: TEMPLATE_VARIABLES,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Admin List Chat Modes Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve chat modes",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Get a chat mode with all of its prompt versions
+// @route   GET /api/admin/chat-modes/:key
+// @access  Private/Admin
+const getChatMode = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const mode = await findMode(req, res)
+    if (!mode) return
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Chat mode retrieved successfully",
+      data: { mode: formatMode(mode) },
+    })
+  } catch (error) {
+    console.error("🚨 Admin Get Chat Mode Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve chat mode",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Add a chat mode; its first prompt version goes live at once
+// @route   POST /api/admin/chat-modes
+// @access  Private/Admin
+const createChatMode = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    await ensureDefaultModes()
+    const key = req.body.key.toLowerCase()
+    if (await ChatMode.exists({ key })) {
+      return res.status(409).json({
+        success: false,
+        message: "❌ A chat mode with this key already exists",
+      })
+    }
+
+    const mode = new ChatMode({
+      key,
+      name: req.body.name,
+      description: req.body.description,
+      isActive: req.body.isActive ?? true,
+    })
+    mode.addVersion({ ...versionFields(req.body), createdBy: req.user._id })
+    await mode.save()
+
+    await recordAdminAction(req, "chat_mode.create", { details: { key, version: mode.activeVersion } })
+
+    res.status(201).json({
+      success: true,
+      message: "✅ Chat mode created successfully",
+      data: { mode: formatMode(mode) },
+    })
+  } catch (error) {
+    console.error("🚨 Admin Create Chat Mode Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to create chat mode",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Rename, describe, enable or disable a chat mode (prompts change through versions)
+// @route   PUT /api/admin/chat-modes/:key
+// @access  Private/Admin
+const updateChatMode = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const mode = await findMode(req, res)
+    if (!mode) return
+
+    const changes = {}
+    for (const field of ["name", "description", "isActive"]) {
+      if (req.body[field] !== undefined && req.body[field] !== mode[field]) {
+        changes[field] = { from: mode[field], to: req.body[field] }
+        mode[field] = req.body[field]
+      }
+    }
+    await mode.save()
+
+    if (Object.keys(changes).length > 0) {
+      await recordAdminAction(req, "chat_mode.update", { details: { key: mode.key, changes } })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Chat mode updated successfully",
+      data: { mode: formatMode(mode) },
+    })
+  } catch (error) {
+    console.error("🚨 Admin Update Chat Mode Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to update chat mode",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Add a prompt version, live at once unless `activate` is false
+// @route   POST /api/admin/chat-modes/:key/versions
+// @access  Private/Admin
+const createChatModeVersion = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const mode = await findMode(req, res)
+    if (!mode) return
+
+    const activate = req.body.activate !== false
+    const version = mode.addVersion({ ...versionFields(req.body), createdBy: req.user._id }, { activate })
+    await mode.save()
+
+    await recordAdminAction(req, "chat_mode.publish", {
+      details: { key: mode.key, version: version.version, activated: activate },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: activate ? "✅ Prompt version published" : "✅ Prompt version saved as a draft",
+      data: { mode: formatMode(mode) },
+    })
+  } catch (error) {
+    console.error("🚨 Admin Create Chat Mode Version Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to save prompt version",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Make an existing prompt version the live one (publish a draft, or roll back)
+// @route   POST /api/admin/chat-modes/:key/versions/:version/activate
+// @access  Private/Admin
+const activateChatModeVersion = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const mode = await findMode(req, res)
+    if (!mode) return
+
+    const version = mode.getVersion(req.params.version)
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Prompt version not found",
+      })
+    }
+
+    const previous = mode.activeVersion
+    mode.activeVersion = version.version
+    await mode.save()
+
+    await recordAdminAction(req, "chat_mode.publish", {
+      details: { key: mode.key, version: version.version, previousVersion: previous, activated: true },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `✅ Version ${version.version} is now live`,
+      data: { mode: formatMode(mode) },
+    })
+  } catch (error) {
+    console.error("🚨 Admin Activate Chat Mode Version Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to activate prompt version",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Delete a chat mode (built-in modes can only be disabled)
+// @route   DELETE /api/admin/chat-modes/:key
+// @access  Private/Admin
+const deleteChatMode = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const mode = await findMode(req, res)
+    if (!mode) return
+
+    if (mode.builtIn) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Built-in chat modes cannot be deleted; disable them instead",
+      })
+    }
+
+    await mode.deleteOne()
+    await recordAdminAction(req, "chat_mode.delete", { details: { key: mode.key, versions: mode.versions.length } })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Chat mode deleted successfully",
+    })
+  } catch (error) {
+    console.error("🚨 Admin Delete Chat Mode Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to delete chat mode",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  listAvailableChatModes,
+  listChatModes,
+  getChatMode,
+  createChatMode,
+  updateChatMode,
+  createChatModeVersion,
+  activateChatModeVersion,
+  deleteChatMode,
+}
@@ -10,11 +10,12 @@
 const { validationResult } = require("express-validator")
 const OpenAI = require("openai")
 const CodeSubmission = require("../models/CodeSubmission")
-const User = require("../models/User")
-const { sendChatCompletion, generateCodeAnalysisPrompt, cleanAndParseJSON } = require("../utils/openaiClient")
-const { logCode } = require("../utils/logger")
+const { runCodeAnalysis } = require("../services/codeAnalysisService")
 const { formatCodeSubmission, formatSuccessResponse } = require("../utils/formatters")
 
+// Moderators (submission:moderate) reach any submission; everyone else only their own
+const ownSubmissionsOnly = (req) => (req.authorization?.scope === "any" ? {} : { userId: req.user._id })
+
 // Initialize OpenAI
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -42,134 +43,32 @@ const analyzeCode = async (req, res) => {
     }
 
     const { title, code, language, framework, description, tags = [] } = req.body
-    const userId = req.user._id
-
-    // Create code submission
-    const codeSubmission = new CodeSubmission({
-      userId,
-      title,
-      code,
-      language,
-      framework,
-      description,
-      tags,
-      status: "analyzing",
-    })
-
-    await codeSubmission.save()
-
-    const startTime = Date.now()
-
-    try {
-      // Generate analysis prompt
-      const messages = generateCodeAnalysisPrompt(code, language, framework, description)
-
-      // Use the updated OpenAI client with JSON enforcement
-      const aiResult = await sendChatCompletion(messages, {
-        model: "gpt-4",
-        maxTokens: 2000,
-        temperature: 0.3,
-        requireJSON: true, // Force JSON response
-      })
-
-      // Use the parsed JSON content
-      const aiAnalysis = aiResult.content // This is now parsed JSON
-      const processingTime = aiResult.processingTime
-
-      // Log code analysis activity
-      logCode("analyze", userId, codeSubmission._id, {
-        language,
-        framework,
-        tokensUsed: aiResult.tokensUsed,
-        processingTime,
-      })
-
-      // Extract structured insights from parsed JSON
-      const insights = aiAnalysis.issues || []
-      const suggestions = aiAnalysis.suggestions || []
-      const metrics = {
-        ...calculateCodeMetrics(code, language),
-        aiMetrics: aiAnalysis.metrics || {}
-      }
-
-      // Update code submission with AI response
-      codeSubmission.aiResponse = {
-        analysis: aiResult.rawContent, // Store original content
-        structuredAnalysis: aiAnalysis, // Store parsed JSON
-        insights: insights,
-        metrics: metrics,
-        suggestions: suggestions,
-        summary: aiAnalysis.summary || "Analysis completed",
-        qualityScore: aiAnalysis.quality_score || calculateQualityScore(metrics),
-        aiModel: "gpt-4",
-        processingTime,
-        confidence: 0.9,
-      }
-      codeSubmission.status = "completed"
 
-      await codeSubmission.save()
-
-      // Update user stats
-      await User.findByIdAndUpdate(userId, {
-        $inc: { "stats.totalCodeAnalyses": 1 },
-      })
+    const result = await runCodeAnalysis(req.user, { title, code, language, framework, description, tags })
 
-      res.status(200).json({
+    if (result.fallback) {
+      return res.status(200).json({
         success: true,
-        message: "✅ Code analysis completed successfully",
+        message: "✅ Code analysis completed with basic heuristics",
+        warning: "AI analysis encountered issues, basic analysis provided",
         data: {
-          submission: codeSubmission,
-          processingTime,
-          tokensUsed: aiResult.tokensUsed,
-          summary: aiAnalysis.summary,
-          qualityScore: aiAnalysis.quality_score,
+          submission: result.submission,
+          processingTime: result.processingTime,
         },
       })
-    } catch (aiError) {
-      console.error("🤖 AI Analysis Error:", aiError)
-
-      // Handle JSON parsing errors specifically
-      if (aiError.message.includes('JSON')) {
-        console.error("JSON parsing failed, attempting fallback analysis...")
-        
-        // Fallback to basic analysis
-        const fallbackAnalysis = generateFallbackAnalysis(code, language)
-        
-        codeSubmission.aiResponse = {
-          analysis: "Analysis completed with basic heuristics due to AI parsing error",
-          insights: fallbackAnalysis.insights,
-          metrics: fallbackAnalysis.metrics,
-          suggestions: fallbackAnalysis.suggestions,
-          aiModel: "fallback",
-          processingTime: Date.now() - startTime,
-          confidence: 0.6,
-          error: "AI response parsing failed, used fallback analysis"
-        }
-        codeSubmission.status = "completed"
-        await codeSubmission.save()
-
-        return res.status(200).json({
-          success: true,
-          message: "✅ Code analysis completed with basic heuristics",
-          warning: "AI analysis encountered issues, basic analysis provided",
-          data: {
-            submission: codeSubmission,
-            processingTime: Date.now() - startTime,
-          },
-        })
-      }
-
-      // Update submission status to failed
-      codeSubmission.status = "failed"
-      codeSubmission.aiResponse = {
-        error: aiError.message,
-        failedAt: new Date(),
-        processingTime: Date.now() - startTime
-      }
-      await codeSubmission.save()
-
-      throw aiError
     }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Code analysis completed successfully",
+      data: {
+        submission: result.submission,
+        processingTime: result.processingTime,
+        tokensUsed: result.tokensUsed,
+        summary: result.summary,
+        qualityScore: result.qualityScore,
+      },
+    })
   } catch (error) {
     console.error("🚨 Analyze Code Error:", error)
 
@@ -198,14 +97,7 @@ const getCodeHistory = async (req, res) => {
     const { userId } = req.params
     const { language, status = "completed", limit = 20, page = 1, sortBy = "createdAt", sortOrder = "desc" } = req.query
 
-    // Check if user can access this history
-    if (userId !== req.user._id.toString() && req.user.role !== "admin") {
-      return res.status(403).json({
-        success: false,
-        message: "🔒 Access denied. You can only view your own code history.",
-      })
-    }
-
+    // Access (own history, or submission:moderate) is checked by authorize() on the route
     const options = {
       language,
       status,
@@ -240,11 +132,10 @@ const getCodeHistory = async (req, res) => {
 const getCodeSubmission = async (req, res) => {
   try {
     const { id } = req.params
-    const userId = req.user._id
 
     const submission = await CodeSubmission.findOne({
       _id: id,
-      userId,
+      ...ownSubmissionsOnly(req),
       isDeleted: false,
     }).populate("userId", "name avatar")
 
@@ -330,11 +221,10 @@ const updateSubmissionFeedback = async (req, res) => {
 const deleteCodeSubmission = async (req, res) => {
   try {
     const { id } = req.params
-    const userId = req.user._id
 
     const submission = await CodeSubmission.findOne({
       _id: id,
-      userId,
+      ...ownSubmissionsOnly(req),
       isDeleted: false,
     })
 
@@ -415,86 +305,6 @@ const getTrendingIssues = async (req, res) => {
   }
 }
 
-// Helper function to generate fallback analysis when AI fails
-const generateFallbackAnalysis = (code, language) => {
-  const lines = code.split("\n")
-  const nonEmptyLines = lines.filter((line) => line.trim().length > 0)
-  
-  const insights = []
-  const suggestions = []
-  
-  // Basic code analysis
-  if (code.includes("eval(")) {
-    insights.push({
-      type: "security",
-      severity: "high",
-      message: "Use of eval() detected - potential security risk",
-      line: findLineNumber(code, "eval("),
-      fixable: true
-    })
-  }
-  
-  if (code.includes("innerHTML")) {
-    insights.push({
-      type: "security",
-      severity: "medium",
-      message: "Use of innerHTML detected - consider using textContent for safety",
-      line: findLineNumber(code, "innerHTML"),
-      fixable: true
-    })
-  }
-  
-  // Check for very long lines
-  lines.forEach((line, index) => {
-    if (line.length > 120) {
-      insights.push({
-        type: "style",
-        severity: "low",
-        message: "Line exceeds 120 characters",
-        line: index + 1,
-        fixable: true
-      })
-    }
-  })
-  
-  const metrics = calculateCodeMetrics(code, language)
-  
-  if (metrics.complexity.cyclomatic > 10) {
-    suggestions.push({
-      category: "refactoring",
-      priority: "high",
-      title: "High Complexity Detected",
-      description: "Consider breaking down complex functions into smaller ones",
-      impact: "Improved maintainability and readability"
-    })
-  }
-  
-  return {
-    insights,
-    suggestions,
-    metrics,
-    summary: `Basic analysis completed. Found ${insights.length} issues and ${suggestions.length} suggestions.`
-  }
-}
-
-// Helper function to find line number of a pattern
-const findLineNumber = (code, pattern) => {
-  const lines = code.split("\n")
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].includes(pattern)) {
-      return i + 1
-    }
-  }
-  return null
-}
-
-// Helper function to calculate quality score
-const calculateQualityScore = (metrics) => {
-  const complexityScore = Math.max(0, 100 - (metrics.complexity.cyclomatic * 5))
-  const maintainabilityScore = metrics.quality.score || 75
-  return Math.round((complexityScore + maintainabilityScore) / 2)
-}
-
 // Helper function to parse AI insights (Updated to handle JSON structure)
 const parseCodeInsights = (aiAnalysis, language) => {
   // If aiAnalysis is already parsed JSON, use it directly
@@ -554,71 +364,6 @@ const extractLineNumber = (text) => {
   return match ? Number.parseInt(match[1]) : null
 }
 
-// Helper function to calculate basic code metrics
-const calculateCodeMetrics = (code, language) => {
-  const lines = code.split("\n")
-  const nonEmptyLines = lines.filter((line) => line.trim().length > 0)
-
-  const cyclomaticComplexity = calculateCyclomaticComplexity(code, language)
-  const maintainabilityIndex = Math.max(0, 171 - 5.2 * Math.log(nonEmptyLines.length) - 0.23 * cyclomaticComplexity)
-
-  return {
-    complexity: {
-      cyclomatic: cyclomaticComplexity,
-      cognitive: Math.min(cyclomaticComplexity * 1.2, 50),
-      maintainability: Math.round(maintainabilityIndex),
-    },
-    quality: {
-      score: Math.max(20, Math.min(100, maintainabilityIndex)),
-      grade: getQualityGrade(maintainabilityIndex),
-    },
-    performance: {
-      timeComplexity: "O(n)",
-      spaceComplexity: "O(1)",
-      bottlenecks: [],
-    },
-    security: {
-      vulnerabilities: [],
-      score: 85,
-    },
-  }
-}
-
-// Helper function to calculate cyclomatic complexity
-const calculateCyclomaticComplexity = (code, language) => {
-  const complexityKeywords = {
-    javascript: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
-    python: ["if", "elif", "else", "for", "while", "except", "and", "or"],
-    java: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
-    cpp: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
-  }
-
-  const keywords = complexityKeywords[language] || complexityKeywords.javascript
-  let complexity = 1
-
-  keywords.forEach((keyword) => {
-    const regex = new RegExp(`\\b${keyword}\\b`, "gi")
-    const matches = code.match(regex)
-    if (matches) {
-      complexity += matches.length
-    }
-  })
-
-  return Math.min(complexity, 50)
-}
-
-// Helper function to get quality grade
-const getQualityGrade = (score) => {
-  if (score >= 90) return "A+"
-  if (score >= 85) return "A"
-  if (score >= 80) return "B+"
-  if (score >= 75) return "B"
-  if (score >= 70) return "C+"
-  if (score >= 65) return "C"
-  if (score >= 60) return "D+"
-  if (score >= 55) return "D"
-  return "F"
-}
 
 // Helper function to generate suggestions (Updated)
 const generateSuggestions = (aiAnalysis) => {
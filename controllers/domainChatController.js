@@ -0,0 +1,156 @@
+const { validationResult } = require("express-validator")
+const aiConfig = require("../config/ai")
+const { sendChatCompletion, generateChatPrompt, truncateMessages } = require("../utils/openaiClient")
+const { findLatestIngestion, searchIngestion } = require("../services/retrievalService")
+const { memoryDomainKey } = require("../services/memoryService")
+const { recordUsage } = require("../services/usageService")
+
+// Earlier turns of the domain conversation sent with each question
+const HISTORY_MESSAGES = 10
+const INGESTION_FIELDS = "domain sessionId completedAt knowledgeGraph.nodes optimization.pathways"
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+const formatHistoryMessage = (entry) => ({
+  role: entry.role,
+  content: entry.content,
+  timestamp: entry.timestamp,
+  ...(entry.metadata?.model && { metadata: entry.metadata }),
+})
+
+// @desc    Ask about a domain, grounded in its latest ingestion; the exchange is kept
+//          in the user's conversation for that domain
+// @route   POST /api/ingest/chat
+// @access  Private
+const askDomain = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { domain, question } = req.body
+    const ingestion = await findLatestIngestion(domain, INGESTION_FIELDS)
+    if (!ingestion) {
+      return res.status(404).json({
+        success: false,
+        message: `🔍 No completed ingestion found for domain: ${domain}`,
+      })
+    }
+
+    const history = req.user.getConversation(domain, HISTORY_MESSAGES)
+    const passages = searchIngestion(ingestion, question)
+    const messages = generateChatPrompt(
+      [
+        ...history.map((entry) => ({ role: entry.role, content: entry.content })),
+        { role: "user", content: question },
+      ],
+      ingestion.domain,
+      "chat",
+      { passages },
+    )
+
+    const { model, maxTokens, temperature } = aiConfig.chat
+    const aiResult = await sendChatCompletion(truncateMessages(messages, 3000), { model, maxTokens, temperature })
+    const answer = aiResult.content || "I couldn't generate a response."
+
+    await req.user.addMessage(domain, "user", question)
+    await req.user.addMessage(domain, "assistant", answer, {
+      tokens: aiResult.tokensUsed,
+      model,
+      responseTime: aiResult.processingTime,
+    })
+
+    await recordUsage(req.user, { chatMessages: 1, tokens: aiResult.tokensUsed })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Answer generated successfully",
+      data: {
+        answer,
+        domain: ingestion.domain,
+        ingestion: { sessionId: ingestion.sessionId, completedAt: ingestion.completedAt },
+        sources: passages.map((passage, index) => ({ index: index + 1, type: passage.type, title: passage.title })),
+        conversationCount: req.user.getConversation(domain, Infinity).length,
+        processingTime: aiResult.processingTime,
+        tokensUsed: aiResult.tokensUsed,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Domain Chat Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to answer the question",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    The current user's conversation for a domain, oldest first
+// @route   GET /api/ingest/conversation-history/:domain
+// @access  Private
+const getDomainConversation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { domain } = req.params
+    const limit = Number.parseInt(req.query.limit) || 50
+    const history = req.user.getConversation(domain, limit)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Conversation history retrieved successfully",
+      data: {
+        domain,
+        key: memoryDomainKey(domain),
+        history: history.map(formatHistoryMessage),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Domain Conversation Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve conversation history",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Forget the current user's conversation for a domain
+// @route   DELETE /api/ingest/conversation-history/:domain
+// @access  Private
+const clearDomainConversation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { domain } = req.params
+    const cleared = req.user.getConversation(domain, Infinity).length
+    await req.user.clearConversation(domain)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Conversation history cleared",
+      data: { domain, clearedMessages: cleared },
+    })
+  } catch (error) {
+    console.error("🚨 Clear Domain Conversation Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to clear conversation history",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  askDomain,
+  getDomainConversation,
+  clearDomainConversation,
+}
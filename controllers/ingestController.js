@@ -2,6 +2,8 @@
 const IngestionService = require('../services/ingestion-service');
 const { DomainIngestion } = require('../models/DomainIngestion');
 const baseConstants = require('../config/baseConstants');
+const { recordUsage } = require('../services/usageService');
+const domainEvents = require('../services/domainEvents');
 
 // Initialize services
 const ingestionService = new IngestionService();
@@ -50,6 +52,7 @@ const startIngestion = async (req, res) => {
     // Store active ingestion with comprehensive metadata
     activeIngestions.set(sessionId, {
       domain: domain.trim(),
+      userId: req.user?._id,
       status: 'starting',
       progress: 0,
       currentStep: 0,
@@ -72,6 +75,8 @@ const startIngestion = async (req, res) => {
       }
     });
 
+    await recordUsage(req.user, { ingestions: 1 });
+
     // Start ingestion process asynchronously
     performIngestionProcess(sessionId, domain.trim()).catch(error => {
       logWithContext('error', `Async ingestion process failed for session ${sessionId}`, {
@@ -1247,6 +1252,8 @@ async function performIngestionProcess(sessionId, domain) {
         details: 'Saving results to database...'
       });
       
+      results.userId = ingestion.userId;
+
       // Save results with retry logic
       let saveResult;
       let retryCount = 0;
@@ -1279,6 +1286,14 @@ async function performIngestionProcess(sessionId, domain) {
           await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
         }
       }
+
+      if (results.userId && saveResult?.saved) {
+        domainEvents.publish(domainEvents.EVENTS.INGESTION_COMPLETED, {
+          userId: results.userId,
+          domain,
+          ingestionId: saveResult.ingestionId
+        });
+      }
       
       // Update final success status
       const finalIngestion = activeIngestions.get(sessionId);
@@ -0,0 +1,226 @@
+const { validationResult } = require("express-validator")
+const LearnerMemory = require("../models/LearnerMemory")
+const SessionSummary = require("../models/SessionSummary")
+const { memoryDomainKey, addLearnerFacts } = require("../services/memoryService")
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+const formatMemory = (memory) => ({
+  domain: memory.domain,
+  facts: memory.facts.map((fact) => ({
+    id: fact._id,
+    text: fact.text,
+    source: fact.source,
+    createdAt: fact.createdAt,
+    updatedAt: fact.updatedAt,
+  })),
+  updatedAt: memory.updatedAt,
+})
+
+// @desc    List what the assistant remembers about the current user (optionally for one domain)
+// @route   GET /api/chat/memory
+// @access  Private
+const getLearnerMemory = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const query = { userId: req.user._id }
+    if (req.query.domain) query.domain = memoryDomainKey(req.query.domain)
+
+    const memories = await LearnerMemory.find(query).sort({ domain: 1 })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Learner memory retrieved successfully",
+      data: {
+        memories: memories.map(formatMemory),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Learner Memory Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve learner memory",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Add a fact about the current user for a domain
+// @route   POST /api/chat/memory/:domain/facts
+// @access  Private
+const addLearnerFact = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const memory = await addLearnerFacts(req.user._id, req.params.domain, [req.body.text], "user")
+
+    res.status(201).json({
+      success: true,
+      message: "✅ Fact remembered",
+      data: {
+        memory: formatMemory(memory),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Add Learner Fact Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to add fact",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Rewrite a fact; an edited fact counts as written by the user
+// @route   PUT /api/chat/memory/:domain/facts/:factId
+// @access  Private
+const updateLearnerFact = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const memory = await LearnerMemory.findOne({ userId: req.user._id, domain: memoryDomainKey(req.params.domain) })
+    const fact = memory?.facts.id(req.params.factId)
+
+    if (!fact) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Fact not found",
+      })
+    }
+
+    fact.text = req.body.text
+    fact.source = "user"
+    fact.updatedAt = new Date()
+    await memory.save()
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Fact updated successfully",
+      data: {
+        memory: formatMemory(memory),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Update Learner Fact Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to update fact",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Forget one fact
+// @route   DELETE /api/chat/memory/:domain/facts/:factId
+// @access  Private
+const deleteLearnerFact = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const memory = await LearnerMemory.findOneAndUpdate(
+      { userId: req.user._id, domain: memoryDomainKey(req.params.domain), "facts._id": req.params.factId },
+      { $pull: { facts: { _id: req.params.factId } } },
+      { new: true },
+    )
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Fact not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Fact forgotten",
+      data: {
+        memory: formatMemory(memory),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Delete Learner Fact Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to delete fact",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Forget everything about the current user, for one domain or all of them
+// @route   DELETE /api/chat/memory/:domain?
+// @access  Private
+const clearLearnerMemory = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const query = { userId: req.user._id }
+    if (req.params.domain) query.domain = memoryDomainKey(req.params.domain)
+
+    const result = await LearnerMemory.deleteMany(query)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Learner memory cleared",
+      data: {
+        deletedDomains: result.deletedCount,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Clear Learner Memory Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to clear learner memory",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Get the rolling summary of a chat session
+// @route   GET /api/chat/session/:sessionId/summary
+// @access  Private
+const getSessionSummary = async (req, res) => {
+  try {
+    const record = await SessionSummary.findOne({ userId: req.user._id, sessionId: req.params.sessionId })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Session summary retrieved successfully",
+      data: {
+        sessionId: req.params.sessionId,
+        // No summary until the session outgrows the prompt window
+        summary: record?.summary || null,
+        summarizedMessages: record?.messageCount || 0,
+        throughMessageId: record?.throughMessageId || null,
+        updatedAt: record?.updatedAt || null,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Get Session Summary Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve session summary",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  getLearnerMemory,
+  addLearnerFact,
+  updateLearnerFact,
+  deleteLearnerFact,
+  clearLearnerMemory,
+  getSessionSummary,
+}
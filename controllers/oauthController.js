@@ -0,0 +1,378 @@
+const crypto = require("crypto")
+const { validationResult } = require("express-validator")
+const User = require("../models/User")
+const OAuthState = require("../models/OAuthState")
+const { logAuth } = require("../utils/logger")
+const { recordAuthEvent } = require("../services/auditService")
+const { issueTokenPair, generateMfaChallengeToken } = require("../services/tokenService")
+const { oauthError, generatePkcePair, getProvider, listProviders } = require("../services/oauthProviders")
+const authConfig = require("../config/auth")
+
+const callbackUrlFor = (providerId) =>
+  `${authConfig.oauth.callbackBaseUrl.replace(/\/+$/, "")}/api/auth/oauth/${providerId}/callback`
+
+// Send the browser back to the client app, which finishes the flow
+const redirectToClient = (res, params) => {
+  const url = new URL(authConfig.oauth.clientCallbackPath, authConfig.clientUrl)
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value)
+  res.redirect(302, url.toString())
+}
+
+const sendUnknownProvider = (res, providerId) =>
+  res.status(404).json({
+    success: false,
+    message: `🔍 Sign-in provider "${providerId}" is not available`,
+    code: "OAUTH_PROVIDER_NOT_FOUND",
+  })
+
+// Remember PKCE verifier + nonce under a fresh state and build the provider URL
+const createAuthorizationUrl = async (provider, { purpose, userId }) => {
+  const { codeVerifier, codeChallenge } = generatePkcePair()
+  const nonce = provider.usesNonce ? crypto.randomBytes(16).toString("base64url") : undefined
+  const state = await OAuthState.issue(
+    { purpose, provider: provider.id, userId, codeVerifier, nonce },
+    authConfig.oauth.stateTtlMinutes * 60,
+  )
+
+  return provider.getAuthorizationUrl({ state, codeChallenge, nonce, redirectUri: callbackUrlFor(provider.id) })
+}
+
+const nameFromProfile = (profile) => {
+  const name = String(profile.name || profile.email.split("@")[0]).trim().slice(0, 50)
+  return name.length >= 2 ? name : "Synaptron User"
+}
+
+// Find the account a provider identity signs in to: an existing link, then an account
+// whose email both sides have verified (linked on the fly), otherwise a brand-new one.
+// Accounts with 2FA still get their second-factor challenge at the code exchange.
+const resolveLoginUser = async (provider, profile) => {
+  const linkedUser = await User.findByOAuthAccount(provider.id, profile.subject)
+  if (linkedUser) return { user: linkedUser, outcome: "login" }
+
+  if (!profile.email || !profile.emailVerified) {
+    throw oauthError(`${provider.displayName} did not share a verified email address`, "OAUTH_EMAIL_UNVERIFIED")
+  }
+
+  const oauthAccount = { provider: provider.id, subject: profile.subject, email: profile.email }
+  const existingUser = await User.findOne({ email: profile.email })
+
+  if (existingUser) {
+    // Otherwise whoever registered the address first, without proving it, would share the account
+    if (!existingUser.emailVerified) {
+      throw oauthError(
+        `An account with this email exists but is not verified. Sign in with your password and link ${provider.displayName} from your settings.`,
+        "OAUTH_ACCOUNT_EXISTS",
+        409,
+      )
+    }
+
+    existingUser.oauthAccounts.push(oauthAccount)
+    await existingUser.save({ validateBeforeSave: false })
+    return { user: existingUser, outcome: "linked" }
+  }
+
+  const user = await User.create({
+    name: nameFromProfile(profile),
+    email: profile.email,
+    avatar: /^https?:\/\//.test(profile.avatar || "") ? profile.avatar : null,
+    emailVerified: true,
+    accountStatus: "verified",
+    oauthAccounts: [oauthAccount],
+  })
+  return { user, outcome: "registered" }
+}
+
+const linkToUser = async (provider, profile, userId) => {
+  const owner = await User.findByOAuthAccount(provider.id, profile.subject)
+  if (owner && !owner._id.equals(userId)) {
+    throw oauthError(`This ${provider.displayName} account is already linked to another user`, "OAUTH_ACCOUNT_IN_USE", 409)
+  }
+  if (owner) return
+
+  const result = await User.updateOne(
+    { _id: userId, isActive: true, "oauthAccounts.provider": { $ne: provider.id } },
+    {
+      $push: {
+        oauthAccounts: { provider: provider.id, subject: profile.subject, email: profile.email, linkedAt: new Date() },
+      },
+    },
+  )
+  if (result.modifiedCount === 0) {
+    throw oauthError(`Another ${provider.displayName} account is already linked`, "OAUTH_PROVIDER_ALREADY_LINKED", 409)
+  }
+}
+
+// @desc    List the social sign-in providers that are configured
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const listOAuthProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "✅ Sign-in providers retrieved successfully",
+    data: { providers: listProviders() },
+  })
+}
+
+// @desc    Start a social login (redirects to the provider)
+// @route   GET /api/auth/oauth/:provider/authorize
+// @access  Public
+const startOAuthLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) return sendUnknownProvider(res, req.params.provider)
+
+    const authorizationUrl = await createAuthorizationUrl(provider, { purpose: "login" })
+    res.redirect(302, authorizationUrl)
+  } catch (error) {
+    console.error("🚨 OAuth Start Error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: "🔥 Failed to start sign-in with the provider",
+      code: error.code,
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Start linking a provider to the signed-in account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+const startOAuthLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider)
+    if (!provider) return sendUnknownProvider(res, req.params.provider)
+
+    if (req.impersonatorId) {
+      return res.status(403).json({
+        success: false,
+        message: "🔒 Sign-in providers cannot be linked while impersonating a user",
+      })
+    }
+
+    const authorizationUrl = await createAuthorizationUrl(provider, { purpose: "link", userId: req.user._id })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Continue at the provider to link your account",
+      data: { authorizationUrl },
+    })
+  } catch (error) {
+    console.error("🚨 OAuth Link Error:", error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: "🔥 Failed to start linking the provider",
+      code: error.code,
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Provider callback: finish the login or link, then return to the client
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+const handleOAuthCallback = async (req, res) => {
+  const providerId = req.params.provider
+
+  try {
+    const provider = getProvider(providerId)
+    if (!provider) return sendUnknownProvider(res, providerId)
+
+    const state = await OAuthState.consume(req.query.state, ["login", "link"])
+    if (!state || state.provider !== provider.id) {
+      throw oauthError("Sign-in request is invalid or has expired. Please try again.", "OAUTH_INVALID_STATE")
+    }
+
+    if (req.query.error) {
+      throw oauthError(`${provider.displayName} sign-in was cancelled`, "OAUTH_DENIED")
+    }
+    if (!req.query.code) {
+      throw oauthError("Provider did not return an authorization code", "OAUTH_EXCHANGE_FAILED")
+    }
+
+    const profile = await provider.getProfile({
+      code: String(req.query.code),
+      codeVerifier: state.codeVerifier,
+      nonce: state.nonce,
+      redirectUri: callbackUrlFor(provider.id),
+    })
+
+    if (state.purpose === "link") {
+      await linkToUser(provider, profile, state.userId)
+      await recordAuthEvent(req, "oauth_link", state.userId, true, { provider: provider.id })
+      return redirectToClient(res, { linked: provider.id })
+    }
+
+    const { user, outcome } = await resolveLoginUser(provider, profile)
+    logAuth("oauth_callback", user._id, true, { provider: provider.id, outcome, email: user.email })
+
+    const code = await OAuthState.issue(
+      { purpose: "exchange", provider: provider.id, userId: user._id },
+      authConfig.oauth.loginCodeTtlSeconds,
+    )
+    redirectToClient(res, { code, provider: provider.id, ...(outcome === "registered" && { registered: "true" }) })
+  } catch (error) {
+    if (!error.code) console.error("🚨 OAuth Callback Error:", error)
+    logAuth("oauth_callback", null, false, { provider: providerId, reason: error.code, error: error.message, ip: req.ip })
+    redirectToClient(res, { error: error.code || "OAUTH_FAILED", provider: providerId })
+  }
+}
+
+// @desc    Trade the one-time code from the callback for tokens
+// @route   POST /api/auth/oauth/exchange
+// @access  Public
+const exchangeOAuthLoginCode = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    const record = await OAuthState.consume(req.body.code, "exchange")
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Login code is invalid or has expired",
+        code: "INVALID_LOGIN_CODE",
+      })
+    }
+
+    const user = await User.findById(record.userId)
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "❌ Account is deactivated. Please contact support.",
+      })
+    }
+
+    if (user.isBlocked) {
+      await recordAuthEvent(req, "login", user._id, false, {
+        email: user.email,
+        reason: `Account ${user.accountStatus}`,
+        method: "oauth",
+        provider: record.provider,
+      })
+      return res.status(403).json({
+        success: false,
+        message: `🚫 Account is ${user.accountStatus}. Please contact support.`,
+        code: user.accountStatus === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+      })
+    }
+
+    // The provider replaces the password, not the second factor
+    if (user.twoFactorAuth && user.twoFactorAuth.enabled) {
+      logAuth("login_oauth", user._id, true, { provider: record.provider, mfaRequired: true })
+
+      return res.status(200).json({
+        success: true,
+        message: "🔐 Two-factor authentication required",
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaChallengeToken(user),
+          methods: ["totp", "backup_code"],
+        },
+      })
+    }
+
+    await user.updateLastActive()
+
+    await recordAuthEvent(req, "login", user._id, true, { email: user.email, method: "oauth", provider: record.provider })
+
+    const tokens = await issueTokenPair(user, req)
+
+    res.status(200).json({
+      success: true,
+      message: "🎉 Login successful!",
+      data: {
+        user: user.toJSON(),
+        ...tokens,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 OAuth Exchange Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Login failed. Please try again.",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    List the providers linked to the current account
+// @route   GET /api/auth/oauth/accounts
+// @access  Private
+const listLinkedAccounts = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password oauthAccounts")
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Linked accounts retrieved successfully",
+      data: {
+        accounts: (user?.oauthAccounts || []).map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+        hasPassword: !!user?.password,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List Linked Accounts Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve linked accounts",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Unlink a provider from the current account
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+const unlinkOAuthAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password oauthAccounts")
+    const account = user?.oauthAccounts.find((entry) => entry.provider === req.params.provider)
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 This provider is not linked to your account",
+      })
+    }
+
+    if (!user.password && user.oauthAccounts.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Set a password before unlinking your only sign-in method",
+        code: "LAST_SIGN_IN_METHOD",
+      })
+    }
+
+    await User.updateOne({ _id: user._id }, { $pull: { oauthAccounts: { provider: account.provider } } })
+
+    await recordAuthEvent(req, "oauth_unlink", user._id, true, { provider: account.provider })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Provider unlinked successfully",
+    })
+  } catch (error) {
+    console.error("🚨 Unlink Provider Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to unlink provider",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  listOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  handleOAuthCallback,
+  exchangeOAuthLoginCode,
+  listLinkedAccounts,
+  unlinkOAuthAccount,
+}
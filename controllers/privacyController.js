@@ -0,0 +1,230 @@
+const fs = require("fs")
+const mongoose = require("mongoose")
+const { validationResult } = require("express-validator")
+const User = require("../models/User")
+const PrivacyJob = require("../models/PrivacyJob")
+const { requestExport, requestErasure } = require("../services/privacyService")
+const { revokeAllSessions } = require("../services/tokenService")
+const { logAuth } = require("../utils/logger")
+
+const findOwnExport = async (req, res, select = "") => {
+  const { id } = req.params
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: "❌ Invalid export ID",
+    })
+    return null
+  }
+
+  const job = await PrivacyJob.findOne({ _id: id, userId: req.user._id, type: "export" }).select(select)
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: "🔍 Export not found",
+    })
+    return null
+  }
+
+  return job
+}
+
+const formatExportJob = (job) => ({
+  ...job.toJSON(),
+  ...(job.status === "completed" && !job.isExpired && { downloadUrl: `/api/auth/export/${job._id}/download` }),
+})
+
+// @desc    Start a personal data export
+// @route   POST /api/auth/export
+// @access  Private
+const requestDataExport = async (req, res) => {
+  try {
+    const { job, reused } = await requestExport(req.user._id)
+
+    if (!reused) logAuth("data_export_requested", req.user._id, true, { jobId: job._id })
+
+    res.status(202).json({
+      success: true,
+      message: reused ? "⏳ An export is already being prepared" : "⏳ Export started. Poll the status URL until it completes.",
+      data: {
+        export: formatExportJob(job),
+        statusUrl: `/api/auth/export/${job._id}`,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Data Export Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to start data export",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Poll a data export
+// @route   GET /api/auth/export/:id
+// @access  Private
+const getDataExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res)
+    if (!job) return
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Export status retrieved successfully",
+      data: { export: formatExportJob(job) },
+    })
+  } catch (error) {
+    console.error("🚨 Get Data Export Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve export status",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Download a finished export archive
+// @route   GET /api/auth/export/:id/download
+// @access  Private
+const downloadDataExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res, "+filePath")
+    if (!job) return
+
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        message: "⏳ Export is not ready yet",
+        data: { export: formatExportJob(job) },
+      })
+    }
+
+    if (job.isExpired || !job.filePath || !fs.existsSync(job.filePath)) {
+      return res.status(410).json({
+        success: false,
+        message: "⌛ Export has expired. Please request a new one.",
+        code: "EXPORT_EXPIRED",
+      })
+    }
+
+    logAuth("data_export_downloaded", req.user._id, true, { jobId: job._id, ip: req.ip })
+
+    res.download(job.filePath, `synaptron-export-${job.createdAt.toISOString().slice(0, 10)}.zip`)
+  } catch (error) {
+    console.error("🚨 Download Data Export Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to download export",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Permanently erase the account and all of its data
+// @route   POST /api/auth/erase
+// @access  Private
+const eraseAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Validation failed",
+        errors: errors.array(),
+      })
+    }
+
+    if (req.impersonatorId) {
+      return res.status(403).json({
+        success: false,
+        message: "🔒 Accounts cannot be erased while impersonating a user",
+      })
+    }
+
+    const user = await User.findById(req.user._id).select("+password")
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 User not found",
+      })
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password)
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Password is incorrect",
+      })
+    }
+
+    // Lock the account out straight away; the job removes the data in the background
+    user.isActive = false
+    await user.save({ validateBeforeSave: false })
+    await revokeAllSessions(user._id, "account_deleted")
+
+    const { job, receipt } = await requestErasure(user._id)
+
+    logAuth("account_erasure_requested", user._id, true, { jobId: job._id, ip: req.ip })
+
+    res.status(202).json({
+      success: true,
+      message: "✅ Erasure started. Keep the receipt to read the final report.",
+      data: {
+        erasure: job.toJSON(),
+        receipt,
+        statusUrl: `/api/auth/erase/${job._id}`,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Erase Account Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to start account erasure",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Read an erasure report
+// @route   GET /api/auth/erase/:id
+// @access  Public (requires erasure receipt)
+const getErasureReport = async (req, res) => {
+  try {
+    const receipt = req.get("X-Erasure-Receipt") || req.query.receipt
+    const { id } = req.params
+
+    const job =
+      receipt && mongoose.Types.ObjectId.isValid(id)
+        ? await PrivacyJob.findOne({ _id: id, type: "erasure", receiptHash: PrivacyJob.hashReceipt(receipt) })
+        : null
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Erasure not found",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Erasure status retrieved successfully",
+      data: { erasure: job.toJSON() },
+    })
+  } catch (error) {
+    console.error("🚨 Get Erasure Report Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve erasure status",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+  eraseAccount,
+  getErasureReport,
+}
@@ -0,0 +1,65 @@
+const { listActiveSessions, revokeSession } = require("../services/sessionService")
+const { recordAuthEvent } = require("../services/auditService")
+
+// @desc    List the devices the current user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id, req.sessionId)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Sessions retrieved successfully",
+      data: {
+        sessions,
+        currentSessionId: req.sessionId || null,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List Sessions Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve sessions",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Sign out one device; its tokens stop working and its sockets are dropped
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.id)
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Session not found",
+      })
+    }
+
+    await recordAuthEvent(req, "session_revoked", req.user._id, true, {
+      sessionId: req.params.id,
+      current: req.params.id === req.sessionId,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Device signed out",
+      data: { sessionId: req.params.id },
+    })
+  } catch (error) {
+    console.error("🚨 Delete Session Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to sign out the session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  listSessions,
+  deleteSession,
+}
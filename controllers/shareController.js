@@ -0,0 +1,211 @@
+const mongoose = require("mongoose")
+const { validationResult } = require("express-validator")
+const SharedSession = require("../models/SharedSession")
+const { FORMATS, loadSessionExport, renderSession } = require("../services/exportService")
+const { buildShareSnapshot, toSharedSession, openSharedSession } = require("../services/shareService")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+// @desc    Publish the session's active branch as a read-only snapshot (the link is only returned here)
+// @route   POST /api/chat/session/:sessionId/share
+// @access  Private
+const createSessionShare = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { sessionId } = req.params
+    const { title, password, expiresInDays, redact = [] } = req.body
+
+    const session = await loadSessionExport(req.user._id, sessionId)
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Chat session not found",
+      })
+    }
+
+    const { snapshot, unknownIds } = buildShareSnapshot(session, redact)
+    if (unknownIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Only messages shown in the session can be hidden",
+        unknownIds,
+      })
+    }
+
+    const token = SharedSession.generateToken()
+    const share = new SharedSession({
+      userId: req.user._id,
+      sessionId,
+      tokenHash: SharedSession.hashToken(token),
+      title: title || session.title,
+      snapshot,
+      expiresAt: expiresInDays ? new Date(Date.now() + Number.parseInt(expiresInDays) * DAY_MS) : null,
+    })
+    await share.setPassword(password)
+    await share.save()
+
+    res.status(201).json({
+      success: true,
+      message: "✅ Share link created. Copy it now; it will not be shown again.",
+      data: {
+        share: share.toJSON(),
+        token,
+        url: `/api/shared/${token}`,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Create Session Share Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to share chat session",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    List the current user's share links (optionally for one session)
+// @route   GET /api/chat/shares
+// @access  Private
+const listSessionShares = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const query = { userId: req.user._id }
+    if (req.query.sessionId) query.sessionId = req.query.sessionId
+
+    const shares = await SharedSession.find(query).select("-snapshot.messages.message").sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Share links retrieved successfully",
+      data: {
+        shares: shares.map((share) => share.toJSON()),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 List Session Shares Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve share links",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Revoke a share link
+// @route   DELETE /api/chat/shares/:shareId
+// @access  Private
+const revokeSessionShare = async (req, res) => {
+  try {
+    const { shareId } = req.params
+    if (!mongoose.Types.ObjectId.isValid(shareId)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid share ID",
+      })
+    }
+
+    const share = await SharedSession.findOne({ _id: shareId, userId: req.user._id }).select("-snapshot.messages.message")
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Share link not found",
+      })
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date()
+      await share.save()
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Share link revoked successfully",
+      data: {
+        share: share.toJSON(),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Revoke Session Share Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to revoke share link",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Read a shared chat; the password, if any, goes in X-Share-Password (GET) or the body (POST)
+// @route   GET /api/shared/:token?format=json|md|html
+// @access  Public
+const getSharedSession = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    // Links must not end up in search engines or shared caches
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex, nofollow" })
+
+    const password = req.get("X-Share-Password") || req.body?.password
+    const { status, share } = await openSharedSession(req.params.token, password)
+
+    if (status === "not_found") {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 Shared chat not found",
+      })
+    }
+    if (status === "gone") {
+      return res.status(410).json({
+        success: false,
+        message: "⌛ This shared chat is no longer available",
+      })
+    }
+    if (status === "password_required" || status === "wrong_password") {
+      return res.status(401).json({
+        success: false,
+        message: status === "password_required" ? "🔒 This shared chat is password protected" : "❌ Incorrect password",
+        passwordRequired: true,
+      })
+    }
+
+    const shared = toSharedSession(share)
+    const { format } = req.query
+
+    if (format === "md" || format === "html") {
+      return res.status(200).type(FORMATS[format].contentType).send(renderSession(shared, format, { shared: true }))
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Shared chat retrieved successfully",
+      data: shared,
+    })
+  } catch (error) {
+    console.error("🚨 Get Shared Session Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve shared chat",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  createSessionShare,
+  listSessionShares,
+  revokeSessionShare,
+  getSharedSession,
+}
@@ -1,4 +1,6 @@
 const Team = require('../models/Team');
+const User = require('../models/User');
+const domainEvents = require('../services/domainEvents');
 
 // Create Team
 exports.createTeam = async (req, res) => {
@@ -26,6 +28,8 @@ exports.createTeam = async (req, res) => {
     const team = new Team({
       ...teamData,
       code: teamData.code.toUpperCase(),
+      // The creator administers the team (see services/policyService managesTeam)
+      createdBy: req.user._id.toString(),
       createdAt: new Date(),
       updatedAt: new Date()
     });
@@ -78,7 +82,8 @@ exports.getTeam = async (req, res) => {
 // Update Team (Sync)
 exports.syncTeam = async (req, res) => {
   try {
-    const { code, ...updateData } = req.body;
+    // createdBy decides who administers the team, so sync may not rewrite it
+    const { code, createdBy, ...updateData } = req.body;
 
     if (!code) {
       return res.status(400).json({
@@ -92,7 +97,8 @@ exports.syncTeam = async (req, res) => {
       { code: code.toUpperCase() },
       { 
         ...updateData, 
-        updatedAt: new Date() 
+        updatedAt: new Date(),
+        $setOnInsert: { createdBy: req.user._id.toString() }
       },
       { 
         new: true, 
@@ -251,6 +257,13 @@ exports.addMember = async (req, res) => {
       });
     }
 
+    // Members may be added by email before we know their account
+    const memberUserId = memberData.userId ||
+      (memberData.email && (await User.findOne({ email: memberData.email.toLowerCase() }).select('_id'))?._id);
+    if (memberUserId) {
+      domainEvents.publish(domainEvents.EVENTS.TEAM_JOINED, { userId: memberUserId, teamCode: team.code });
+    }
+
     res.json({
       success: true,
       team,
@@ -0,0 +1,379 @@
+const { validationResult } = require("express-validator")
+const User = require("../models/User")
+const { logAuth } = require("../utils/logger")
+const { recordAuthEvent } = require("../services/auditService")
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode,
+} = require("../utils/totp")
+const { issueTokenPair, verifyMfaChallengeToken } = require("../services/tokenService")
+const { sendAccountLocked, recordFailedLogin } = require("../services/lockoutService")
+const authConfig = require("../config/auth")
+
+const TWO_FACTOR_FIELDS = "+twoFactorAuth.secret +twoFactorAuth.backupCodes +twoFactorAuth.lastUsedStep"
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    success: false,
+    message: "❌ Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
+const issueBackupCodes = (user) => {
+  const codes = generateBackupCodes(authConfig.twoFactor.backupCodeCount)
+  user.twoFactorAuth.backupCodes = codes.map((code) => User.hashToken(normalizeBackupCode(code)))
+  return codes
+}
+
+// Check a TOTP or backup code against the user's second factor.
+// Accepted TOTP steps and backup codes are burned so neither can be replayed.
+const consumeSecondFactor = async (user, { code, backupCode }) => {
+  if (code) {
+    const step = verifyTotp(code, user.twoFactorAuth.secret)
+    if (step === null || (user.twoFactorAuth.lastUsedStep != null && step <= user.twoFactorAuth.lastUsedStep)) {
+      return null
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ "twoFactorAuth.lastUsedStep": { $exists: false } }, { "twoFactorAuth.lastUsedStep": { $lt: step } }],
+      },
+      { $set: { "twoFactorAuth.lastUsedStep": step } },
+    )
+    return result.modifiedCount === 1 ? "totp" : null
+  }
+
+  if (backupCode) {
+    const hash = User.hashToken(normalizeBackupCode(backupCode))
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactorAuth.backupCodes": hash },
+      { $pull: { "twoFactorAuth.backupCodes": hash } },
+    )
+    return result.modifiedCount === 1 ? "backup_code" : null
+  }
+
+  return null
+}
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS)
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "🔍 User not found",
+      })
+    }
+
+    if (user.twoFactorAuth.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactorAuth.secret = secret
+    user.twoFactorAuth.lastUsedStep = undefined
+    await user.save({ validateBeforeSave: false })
+
+    const otpauthUri = buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: authConfig.twoFactor.issuer,
+    })
+
+    logAuth("2fa_setup", user._id, true)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri,
+        // The client renders this payload as the QR image
+        qr: {
+          format: "otpauth",
+          payload: otpauthUri,
+        },
+      },
+    })
+  } catch (error) {
+    console.error("🚨 2FA Setup Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to start two-factor setup",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Confirm enrollment with a first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS)
+    if (!user || !user.twoFactorAuth.secret) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Start two-factor setup first",
+        code: "TWO_FACTOR_NOT_SETUP",
+      })
+    }
+
+    if (user.twoFactorAuth.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      })
+    }
+
+    const step = verifyTotp(req.body.code, user.twoFactorAuth.secret)
+    if (step === null) {
+      await recordAuthEvent(req, "2fa_enable", user._id, false, { reason: "Invalid code" })
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid authentication code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      })
+    }
+
+    const backupCodes = issueBackupCodes(user)
+    user.twoFactorAuth.enabled = true
+    user.twoFactorAuth.enabledAt = new Date()
+    user.twoFactorAuth.lastUsedStep = step
+    await user.save({ validateBeforeSave: false })
+
+    await recordAuthEvent(req, "2fa_enable", user._id, true)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Two-factor authentication enabled. Store these backup codes somewhere safe.",
+      data: { backupCodes },
+    })
+  } catch (error) {
+    console.error("🚨 2FA Enable Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to enable two-factor authentication",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Complete a login with a TOTP or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires MFA challenge token)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { mfaToken, code, backupCode } = req.body
+
+    let decoded
+    try {
+      decoded = verifyMfaChallengeToken(mfaToken)
+    } catch (challengeError) {
+      return res.status(401).json({
+        success: false,
+        message: `🔒 ${challengeError.message}`,
+        code: challengeError.code,
+      })
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS)
+    if (!user || !user.isActive || !user.twoFactorAuth.enabled || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: "🔒 MFA challenge is invalid or has expired. Please log in again.",
+        code: "INVALID_MFA_CHALLENGE",
+      })
+    }
+
+    if (user.isLocked) {
+      return sendAccountLocked(res, user.loginAttempts.lockUntil)
+    }
+
+    if (user.isBlocked) {
+      return res.status(403).json({
+        success: false,
+        message: `🚫 Account is ${user.accountStatus}. Please contact support.`,
+        code: user.accountStatus === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+      })
+    }
+
+    const method = await consumeSecondFactor(user, { code, backupCode })
+    if (!method) {
+      const attempt = await recordFailedLogin(user, req, "Invalid two-factor code")
+      if (attempt.locked) return sendAccountLocked(res, attempt.lockUntil)
+      return res.status(401).json({
+        success: false,
+        message: "❌ Invalid authentication code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      })
+    }
+
+    if (user.loginAttempts.count || user.loginAttempts.lockCount) {
+      await user.resetLoginAttempts()
+    }
+
+    await user.updateLastActive()
+    const tokens = await issueTokenPair(user, req)
+
+    await recordAuthEvent(req, "login", user._id, true, { email: user.email, method: "password", mfaMethod: method })
+
+    res.status(200).json({
+      success: true,
+      message: "🎉 Login successful!",
+      data: {
+        user: user.toJSON(),
+        ...tokens,
+        ...(method === "backup_code" && {
+          backupCodesRemaining: Math.max(0, (user.twoFactorAuth.backupCodes || []).length - 1),
+        }),
+      },
+    })
+  } catch (error) {
+    console.error("🚨 2FA Verify Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Two-factor verification failed. Please try again.",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Replace all backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS)
+    if (!user || !user.twoFactorAuth.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Two-factor authentication is not enabled",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      })
+    }
+
+    const method = await consumeSecondFactor(user, { code: req.body.code })
+    if (!method) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid authentication code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      })
+    }
+
+    const backupCodes = issueBackupCodes(user)
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactorAuth.backupCodes": user.twoFactorAuth.backupCodes } })
+
+    await recordAuthEvent(req, "2fa_backup_codes", user._id, true)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ New backup codes generated. Previous codes no longer work.",
+      data: { backupCodes },
+    })
+  } catch (error) {
+    console.error("🚨 2FA Backup Codes Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to regenerate backup codes",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+// @desc    Turn 2FA off
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return
+
+    const { password, code, backupCode } = req.body
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`)
+    if (!user || !user.twoFactorAuth.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Two-factor authentication is not enabled",
+        code: "TWO_FACTOR_NOT_ENABLED",
+      })
+    }
+
+    const isPasswordValid = await user.comparePassword(password)
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Password is incorrect",
+      })
+    }
+
+    const method = await consumeSecondFactor(user, { code, backupCode })
+    if (!method) {
+      await recordAuthEvent(req, "2fa_disable", user._id, false, { reason: "Invalid code" })
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid authentication code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      })
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactorAuth.enabled": false },
+        $unset: {
+          "twoFactorAuth.secret": 1,
+          "twoFactorAuth.backupCodes": 1,
+          "twoFactorAuth.lastUsedStep": 1,
+          "twoFactorAuth.enabledAt": 1,
+        },
+      },
+    )
+
+    await recordAuthEvent(req, "2fa_disable", user._id, true)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Two-factor authentication disabled",
+    })
+  } catch (error) {
+    console.error("🚨 2FA Disable Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to disable two-factor authentication",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateBackupCodes,
+  disableTwoFactor,
+}
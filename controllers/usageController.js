@@ -0,0 +1,27 @@
+const { getUsageSummary } = require("../services/usageService")
+
+// @desc    Get plan allowance and usage for the current billing period
+// @route   GET /api/auth/usage
+// @access  Private
+const getUsage = async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user)
+
+    res.status(200).json({
+      success: true,
+      message: "✅ Usage retrieved successfully",
+      data: { usage },
+    })
+  } catch (error) {
+    console.error("🚨 Get Usage Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to retrieve usage",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  getUsage,
+}
@@ -34,8 +34,12 @@ const chatRoutes = require('./routes/chat');
 const codeRoutes = require('./routes/code');
 const ingestRoutes = require('./routes/ingest');
 const teamRoutes = require('./routes/team'); // 🔥 NEW: Team collaboration routes
+const adminRoutes = require('./routes/admin');
+const sharedRoutes = require('./routes/shared');
 const swaggerUi = require('swagger-ui-express');
 const { logRequest } = require('./utils/logger');
+const { startAchievementEngine } = require('./services/achievementService');
+const { attachSocketSession } = require('./services/sessionService');
 
 const AUTH_DISABLED = String(process.env.DISABLE_AUTH || "true").toLowerCase() === "true";
 
@@ -144,6 +148,10 @@ const io = new Server(server, {
     io.on("connection", (socket) => {
       console.log(`----->  Socket.IO: Client connected - ${socket.id}`);
 
+      // Sockets that authenticate with an access token join their session room,
+      // so signing that session out elsewhere disconnects them immediately
+      attachSocketSession(socket);
+
       // Original user room functionality
       socket.on("join-user-room", (userId) => {
         socket.join(`user-${userId}`);
@@ -357,12 +365,17 @@ const io = new Server(server, {
     // Make io globally available for controllers
     global.io = io;
 
+    // React to domain events (chat, code, ingest, teams) by unlocking achievements
+    startAchievementEngine();
+
     // Routes
     app.use("/api/auth", authRoutes);
     app.use("/api/chat", chatRoutes);
     app.use("/api/code", codeRoutes);
     app.use("/api/ingest", ingestRoutes);
     app.use("/api/teams", teamRoutes); // 🔥 NEW: Team collaboration routes
+    app.use("/api/admin", adminRoutes);
+    app.use("/api/shared", sharedRoutes);
 
     // Health endpoint - Enhanced
     app.get("/api/health", (req, res) => {
@@ -398,6 +411,7 @@ const io = new Server(server, {
           code: "/api/code",
           ingest: "/api/ingest",
           teams: "/api/teams", // 🔥 NEW
+          admin: "/api/admin",
           health: "/api/health"
         },
         features: {
@@ -420,6 +434,7 @@ const io = new Server(server, {
           "/api/code",
           "/api/ingest",
           "/api/teams", // 🔥 NEW
+          "/api/admin",
           "/api/health"
         ]
       });
@@ -1,5 +1,9 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const ApiKey = require("../models/ApiKey")
+const authConfig = require("../config/auth")
+const { can } = require("../services/policyService")
+const { findActiveSession, touchSession } = require("../services/sessionService")
 
 const AUTH_DISABLED = String(process.env.DISABLE_AUTH || "true").toLowerCase() === "true"
 const GUEST_EMAIL = process.env.GUEST_EMAIL || "guest@synaptron.com."
@@ -8,6 +12,14 @@ const GUEST_PASSWORD = process.env.GUEST_PASSWORD || "GuestPassword123!"
 
 let guestUserCache = null
 
+// Unverified accounts may only reach the configured route prefixes
+const isAllowedWhileUnverified = (req) => {
+  const path = (req.originalUrl || req.url || "").split("?")[0]
+  return authConfig.emailVerification.allowedRoutes.some(
+    (prefix) => path === prefix || path.startsWith(prefix.endsWith("/") ? prefix : `${prefix}/`),
+  )
+}
+
 async function getOrCreateGuestUser() {
   if (guestUserCache) return guestUserCache
   let user = await User.findOne({ email: GUEST_EMAIL }).select("-password")
@@ -32,6 +44,76 @@ async function getOrCreateGuestUser() {
   return user
 }
 
+// Declare which API key scope unlocks the route. Must run before verifyToken;
+// routes without it refuse API keys entirely.
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope
+  next()
+}
+
+// Authenticate an `Authorization: ApiKey <key>` request
+const verifyApiKey = async (req, res, next, rawKey) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      message: "🔒 Access denied. This endpoint does not accept API keys.",
+      code: "API_KEY_NOT_ALLOWED",
+    })
+  }
+
+  const apiKey = rawKey ? await ApiKey.findByKey(rawKey) : null
+  if (!apiKey || apiKey.revokedAt) {
+    return res.status(401).json({
+      success: false,
+      message: "🔒 Access denied. Invalid API key.",
+      code: "INVALID_API_KEY",
+    })
+  }
+
+  if (apiKey.isExpired) {
+    return res.status(401).json({
+      success: false,
+      message: "🔒 Access denied. API key has expired.",
+      code: "API_KEY_EXPIRED",
+    })
+  }
+
+  if (!apiKey.hasScope(req.apiKeyScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `🔒 Access denied. API key is missing the ${req.apiKeyScope} scope.`,
+      code: "INSUFFICIENT_SCOPE",
+      requiredScope: req.apiKeyScope,
+    })
+  }
+
+  const user = await User.findById(apiKey.userId).select("-password")
+  if (!user || !user.isActive || user.isBlocked) {
+    return res.status(401).json({
+      success: false,
+      message: "🔒 Access denied. Account is not active.",
+      code: "INVALID_API_KEY",
+    })
+  }
+
+  if (authConfig.emailVerification.required && !user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: "📧 Please verify your email address to access this resource.",
+      code: "EMAIL_NOT_VERIFIED",
+    })
+  }
+
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }).catch((error) =>
+    console.error("🚨 API Key Usage Update Error:", error),
+  )
+  user.updateLastActive()
+
+  req.user = user
+  req.apiKey = apiKey
+  next()
+}
+
 // Verify JWT Token (becomes a no-op with a guest user when DISABLE_AUTH=true)
 const verifyToken = async (req, res, next) => {
   try {
@@ -41,6 +123,10 @@ const verifyToken = async (req, res, next) => {
       return next()
     }
 
+    if (req.headers.authorization && req.headers.authorization.startsWith("ApiKey ")) {
+      return await verifyApiKey(req, res, next, req.headers.authorization.slice("ApiKey ".length).trim())
+    }
+
     let token
 
     // Check for token in Authorization header
@@ -62,6 +148,15 @@ const verifyToken = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+      // Purpose-bound tokens (e.g. MFA challenges) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          message: "🔒 Access denied. Invalid token.",
+          code: "INVALID_TOKEN",
+        })
+      }
+
       // Get user from database
       const user = await User.findById(decoded.id).select("-password")
 
@@ -79,6 +174,58 @@ const verifyToken = async (req, res, next) => {
         })
       }
 
+      // Tokens signed before the last logout-all / password change are dead
+      if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: "🔒 Access denied. Token has been revoked.",
+          code: "TOKEN_REVOKED",
+        })
+      }
+
+      if (user.isBlocked) {
+        return res.status(403).json({
+          success: false,
+          message: `🚫 Access denied. Account is ${user.accountStatus}.`,
+          code: user.accountStatus === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+        })
+      }
+
+      // Tokens of a session that was signed out (e.g. from another device) are dead
+      if (decoded.sid) {
+        const session = await findActiveSession(decoded.sid, user._id)
+        if (!session) {
+          return res.status(401).json({
+            success: false,
+            message: "🔒 Access denied. This session has been signed out.",
+            code: "SESSION_REVOKED",
+          })
+        }
+        touchSession(session, req.ip)
+        req.sessionId = decoded.sid
+      }
+
+      // Impersonation tokens stay valid only while the issuer is still an admin
+      if (decoded.imp) {
+        const impersonator = await User.findById(decoded.imp).select("role isActive")
+        if (!impersonator || !impersonator.isActive || impersonator.role !== "admin") {
+          return res.status(401).json({
+            success: false,
+            message: "🔒 Access denied. Token has been revoked.",
+            code: "TOKEN_REVOKED",
+          })
+        }
+        req.impersonatorId = impersonator._id
+      }
+
+      if (authConfig.emailVerification.required && !user.emailVerified && !isAllowedWhileUnverified(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "📧 Please verify your email address to access this resource.",
+          code: "EMAIL_NOT_VERIFIED",
+        })
+      }
+
       // Update last active timestamp
       user.updateLastActive()
 
@@ -112,6 +259,17 @@ const verifyToken = async (req, res, next) => {
   }
 }
 
+// Refuse routes that must never be open to the DISABLE_AUTH guest bypass. Admin
+// actions (user PII, bans, impersonation tokens that outlive the bypass) stay closed.
+const requireAuthEnabled = (req, res, next) => {
+  if (!AUTH_DISABLED) return next()
+  res.status(403).json({
+    success: false,
+    message: "🔒 Access denied. This endpoint is unavailable while authentication is disabled.",
+    code: "AUTH_DISABLED",
+  })
+}
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
   if (AUTH_DISABLED) return next()
@@ -139,6 +297,60 @@ const requirePremium = (req, res, next) => {
   }
 }
 
+// Require a permission from config/permissions. With `owns` (see services/policyService),
+// the resource's owner passes too and `permission` is what lets anyone else in.
+// req.authorization.scope tells the controller which case applied ("own" | "any").
+const authorize = (permission, { owns } = {}) => {
+  return async (req, res, next) => {
+    try {
+      // Like requireAdmin, role checks are off with auth disabled; ownership still applies
+      if (AUTH_DISABLED && !owns) {
+        req.authorization = { permission, scope: "any" }
+        return next()
+      }
+
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "🔒 Access denied. Authentication required.",
+        })
+      }
+
+      if (can(req.user, permission)) {
+        req.authorization = { permission, scope: "any" }
+        return next()
+      }
+
+      if (owns) {
+        const owned = await owns(req)
+        if (owned === null) {
+          return res.status(404).json({
+            success: false,
+            message: "🔍 Resource not found.",
+          })
+        }
+        if (owned) {
+          req.authorization = { permission, scope: "own" }
+          return next()
+        }
+      }
+
+      res.status(403).json({
+        success: false,
+        message: "🔒 Access denied. You do not have permission to perform this action.",
+        code: "FORBIDDEN",
+        requiredPermission: permission,
+      })
+    } catch (error) {
+      console.error("🚨 Authorization Error:", error)
+      res.status(500).json({
+        success: false,
+        message: "🔒 Failed to check permissions.",
+      })
+    }
+  }
+}
+
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -158,7 +370,14 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET)
         const user = await User.findById(decoded.id).select("-password")
 
-        if (user && user.isActive) {
+        if (
+          user &&
+          user.isActive &&
+          !user.isBlocked &&
+          !decoded.purpose &&
+          !decoded.imp &&
+          (decoded.tv || 0) === (user.tokenVersion || 0)
+        ) {
           req.user = user
           user.updateLastActive()
         }
@@ -270,9 +489,12 @@ const validateOwnership = (Model, paramName = "id") => {
 }
 
 module.exports = {
+  allowApiKey,
   verifyToken,
+  requireAuthEnabled,
   requireAdmin,
   requirePremium,
+  authorize,
   optionalAuth,
   userRateLimit,
   validateOwnership,
@@ -0,0 +1,100 @@
+const { checkQuota, getUserDomains } = require("../services/usageService")
+
+const AUTH_DISABLED = String(process.env.DISABLE_AUTH || "true").toLowerCase() === "true"
+
+// The shared guest user (auth disabled) and admins are never metered against a plan
+const isExempt = (req) => AUTH_DISABLED || !req.user || req.user.role === "admin"
+
+const UPGRADE_HINT = "Upgrade your plan for a higher allowance."
+
+// Reject once any of `metrics` is used up for the billing period (429 until the period resets)
+const enforceQuota = (...metrics) => {
+  return async (req, res, next) => {
+    try {
+      if (isExempt(req)) return next()
+
+      for (const metric of metrics) {
+        const quota = await checkQuota(req.user, metric)
+        if (quota.allowed) continue
+
+        const retryAfter = Math.max(1, Math.ceil((quota.resetsAt - Date.now()) / 1000))
+        res.set("Retry-After", String(retryAfter))
+        return res.status(429).json({
+          success: false,
+          message: `🚫 You have used your ${metric} allowance for this billing period. ${UPGRADE_HINT}`,
+          code: "QUOTA_EXCEEDED",
+          quota: {
+            metric,
+            used: quota.used,
+            limit: quota.limit,
+            plan: req.user.effectivePlan,
+            resetsAt: quota.resetsAt,
+          },
+          retryAfter,
+        })
+      }
+
+      next()
+    } catch (error) {
+      console.error("🚨 Quota Check Error:", error)
+      res.status(500).json({
+        success: false,
+        message: "🔥 Failed to check usage allowance",
+        ...(process.env.NODE_ENV === "development" && { error: error.message }),
+      })
+    }
+  }
+}
+
+// Reject when the user's plan does not include `feature` (402: only an upgrade helps)
+const requireFeature = (feature) => {
+  return (req, res, next) => {
+    if (isExempt(req) || req.user.hasFeature(feature)) return next()
+
+    res.status(402).json({
+      success: false,
+      message: `💳 Your plan does not include ${feature}. ${UPGRADE_HINT}`,
+      code: "FEATURE_NOT_IN_PLAN",
+      feature,
+      plan: req.user.effectivePlan,
+    })
+  }
+}
+
+// Reject ingestion of a new domain once subscription.features.maxDomains is reached
+const enforceDomainLimit = async (req, res, next) => {
+  try {
+    if (isExempt(req)) return next()
+
+    const domain = String(req.body.domain || "").trim()
+    const domains = await getUserDomains(req.user)
+    const isKnown = domains.some((existing) => existing.toLowerCase() === domain.toLowerCase())
+
+    if (isKnown || req.user.canAddDomain(domains.length)) return next()
+
+    res.status(402).json({
+      success: false,
+      message: `💳 Your plan allows ${req.user.effectiveFeatures.maxDomains} domains. ${UPGRADE_HINT}`,
+      code: "DOMAIN_LIMIT_REACHED",
+      quota: {
+        metric: "domains",
+        used: domains.length,
+        limit: req.user.effectiveFeatures.maxDomains,
+        plan: req.user.effectivePlan,
+      },
+    })
+  } catch (error) {
+    console.error("🚨 Domain Limit Check Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "🔥 Failed to check domain allowance",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    })
+  }
+}
+
+module.exports = {
+  enforceQuota,
+  requireFeature,
+  enforceDomainLimit,
+}
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+const adminAuditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Actor ID is required"],
+    },
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      enum: [
+        "user.unlock",
+        "user.suspend",
+        "user.ban",
+        "user.reinstate",
+        "user.role_change",
+        "user.force_password_reset",
+        "user.impersonate",
+        "chat_mode.create",
+        "chat_mode.update",
+        "chat_mode.publish",
+        "chat_mode.delete",
+      ],
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// ✅ Indexes
+adminAuditLogSchema.index({ createdAt: -1 })
+adminAuditLogSchema.index({ targetUserId: 1, createdAt: -1 })
+adminAuditLogSchema.index({ actorId: 1, createdAt: -1 })
+adminAuditLogSchema.index({ action: 1, createdAt: -1 })
+
+module.exports = mongoose.model("AdminAuditLog", adminAuditLogSchema)
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+const authConfig = require("../config/auth")
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [100, "Key name cannot exceed 100 characters"],
+    },
+    // Only the SHA-256 of the key is stored; the plain key is shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the key, so users can tell their keys apart
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: authConfig.apiKeys.scopes }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+apiKeySchema.index({ userId: 1, revokedAt: 1 })
+
+// Virtuals
+apiKeySchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= Date.now()
+})
+
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && !this.isExpired
+})
+
+// Instance Methods
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope)
+}
+
+apiKeySchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    keyPrefix: this.keyPrefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt || null,
+    revokedAt: this.revokedAt || null,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+  }
+}
+
+// Static Methods
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex")
+}
+
+apiKeySchema.statics.generateKey = function () {
+  return `${authConfig.apiKeys.prefix}${crypto.randomBytes(32).toString("hex")}`
+}
+
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key) })
+}
+
+module.exports = mongoose.model("ApiKey", apiKeySchema)
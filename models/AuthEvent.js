@@ -0,0 +1,73 @@
+const mongoose = require("mongoose")
+const AdminAuditLog = require("./AdminAuditLog")
+const authConfig = require("../config/auth")
+
+const authEventSchema = new mongoose.Schema(
+  {
+    // Null when the attempt named an unknown account
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+      enum: [
+        "login",
+        "account_locked",
+        "change_password",
+        "reset_password",
+        "logout",
+        "logout_all",
+        "session_revoked",
+        "refresh_reuse",
+        "2fa_enable",
+        "2fa_disable",
+        "2fa_backup_codes",
+        "api_key_created",
+        "api_key_revoked",
+        "oauth_link",
+        "oauth_unlink",
+        ...AdminAuditLog.schema.path("action").enumValues.map((action) => `admin:${action}`),
+      ],
+    },
+    success: {
+      type: Boolean,
+      default: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Admin who acted on the account (admin actions and impersonated requests)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    ip: String,
+    userAgent: String,
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// ✅ Indexes
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: authConfig.authEvents.retentionDays * 24 * 60 * 60 })
+authEventSchema.index({ userId: 1, createdAt: -1 })
+authEventSchema.index({ type: 1, createdAt: -1 })
+authEventSchema.index({ email: 1, createdAt: -1 })
+authEventSchema.index({ ip: 1, createdAt: -1 })
+
+module.exports = mongoose.model("AuthEvent", authEventSchema)
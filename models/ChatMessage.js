@@ -1,209 +1,363 @@
-const jwt = require("jsonwebtoken")
-const User = require("../models/User")
+const mongoose = require("mongoose")
 
-// Verify JWT Token
-const verifyToken = async (req, res, next) => {
-  try {
-    let token
+const chatMessageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    sessionId: {
+      type: String,
+      required: [true, "Session ID is required"],
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["user", "ai", "system"],
+      required: [true, "Message role is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Message content is required"],
+      maxlength: [50000, "Message cannot exceed 50000 characters"],
+    },
+    // The message this one answers (null for the first message of a thread)
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null,
+    },
+    // First message of the thread; every reply below it shares the id
+    threadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+    },
+    // The message this one is an edit or regeneration of (a sibling under the same parent)
+    branchedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null,
+    },
+    // When this branch was last chosen; at each fork the latest one is on the active path
+    selectedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    metadata: {
+      domain: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Domain cannot exceed 100 characters"],
+      },
+      // Key of a mode in the chat mode registry (models/ChatMode)
+      mode: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: "chat",
+      },
+      attachments: [mongoose.Schema.Types.Mixed],
+      aiModel: String,
+      // Registry prompt version an answer was generated with
+      promptVersion: {
+        mode: String,
+        version: Number,
+      },
+      tokens: {
+        prompt: Number,
+        completion: Number,
+        total: Number,
+      },
+      responseTime: Number,
+      confidence: Number,
+      // Ingested knowledge the answer was grounded in, numbered as cited in the text
+      citations: [
+        {
+          _id: false,
+          index: Number,
+          type: { type: String, enum: ["node", "pathway", "document"] },
+          title: String,
+          url: String,
+          nodeId: String,
+          nodeIds: [String],
+          score: Number,
+        },
+      ],
+      // Server-side tools the model called before answering (services/chatToolService), in call order
+      toolCalls: [
+        {
+          _id: false,
+          id: String,
+          name: String,
+          round: Number,
+          arguments: mongoose.Schema.Types.Mixed,
+          result: mongoose.Schema.Types.Mixed,
+          error: String,
+          durationMs: Number,
+        },
+      ],
+      // Streaming: how the reply ended, and whether it was cut short
+      streamed: Boolean,
+      finishReason: String,
+      partial: Boolean,
+      usageEstimated: Boolean,
+      // Set on messages copied from User.conversationHistory
+      migratedFrom: String,
+    },
+    reactions: {
+      liked: Boolean,
+      helpful: Boolean,
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+      },
+    },
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editHistory: [
+      {
+        message: {
+          type: String,
+          required: true,
+        },
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
-      token = req.headers.authorization.split(" ")[1]
-    }
-    // Check for token in cookies (if using cookie-based auth)
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token
-    }
+// Indexes for the session, history and thread queries
+chatMessageSchema.index({ userId: 1, sessionId: 1, isDeleted: 1, createdAt: -1 })
+chatMessageSchema.index({ userId: 1, isDeleted: 1, createdAt: -1 })
+chatMessageSchema.index({ userId: 1, "metadata.domain": 1, createdAt: -1 })
+chatMessageSchema.index({ threadId: 1, createdAt: 1 })
+chatMessageSchema.index({ parentId: 1 })
+// Full-text search over a user's history (GET /api/chat/search)
+chatMessageSchema.index({ message: "text" }, { name: "message_text", default_language: "english" })
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "🔒 Access denied. No token provided.",
-      })
-    }
+const ROOT = "root"
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+// Newest selection wins at a fork; documents without selectedAt fall back to createdAt
+const selectionTime = (message) => message.selectedAt || message.createdAt
 
-      // Get user from database
-      const user = await User.findById(decoded.id).select("-password")
+const pickActive = (siblings) => siblings.reduce((active, message) => (selectionTime(message) >= selectionTime(active) ? message : active))
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          message: "🔒 Access denied. User not found.",
-        })
-      }
+const groupByParent = (messages) => {
+  const children = new Map()
+  for (const message of messages) {
+    const key = message.parentId ? String(message.parentId) : ROOT
+    if (!children.has(key)) children.set(key, [])
+    children.get(key).push(message)
+  }
+  return children
+}
 
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: "🔒 Access denied. Account is deactivated.",
-        })
-      }
+// Virtual for display time
+chatMessageSchema.virtual("formattedTime").get(function () {
+  return this.createdAt ? this.createdAt.toISOString() : null
+})
 
-      // Update last active timestamp
-      user.updateLastActive()
-
-      // Add user to request object
-      req.user = user
-      next()
-    } catch (jwtError) {
-      if (jwtError.name === "TokenExpiredError") {
-        return res.status(401).json({
-          success: false,
-          message: "🔒 Access denied. Token has expired.",
-          code: "TOKEN_EXPIRED",
-        })
-      } else if (jwtError.name === "JsonWebTokenError") {
-        return res.status(401).json({
-          success: false,
-          message: "🔒 Access denied. Invalid token.",
-          code: "INVALID_TOKEN",
-        })
+// Replies join their parent's thread; a message without a parent starts one
+chatMessageSchema.pre("save", async function (next) {
+  try {
+    if (!this.threadId) {
+      if (this.parentId) {
+        const parent = await this.constructor.findById(this.parentId).select("threadId")
+        this.threadId = parent?.threadId || this.parentId
       } else {
-        throw jwtError
+        this.threadId = this._id
       }
     }
+    next()
   } catch (error) {
-    console.error("🚨 Auth Middleware Error:", error)
-    res.status(500).json({
-      success: false,
-      message: "🔒 Authentication failed. Please try again.",
-      ...(process.env.NODE_ENV === "development" && { error: error.message }),
-    })
+    next(error)
   }
+})
+
+// Instance method to replace the text, keeping the previous version
+chatMessageSchema.methods.editMessage = function (newMessage) {
+  this.editHistory.push({ message: this.message, editedAt: new Date() })
+  this.message = newMessage
+  this.isEdited = true
+  return this.save()
 }
 
-// Check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user && req.user.role === "admin") {
-    next()
-  } else {
-    res.status(403).json({
-      success: false,
-      message: "🔒 Access denied. Admin privileges required.",
-    })
-  }
+// Instance method to soft delete
+chatMessageSchema.methods.softDelete = function () {
+  this.isDeleted = true
+  this.deletedAt = new Date()
+  return this.save()
 }
 
-// Check if user is premium or admin
-const requirePremium = (req, res, next) => {
-  if (req.user && (req.user.role === "premium" || req.user.role === "admin")) {
-    next()
-  } else {
-    res.status(403).json({
-      success: false,
-      message: "🔒 Access denied. Premium subscription required.",
-      code: "PREMIUM_REQUIRED",
-    })
+// Static method to get a user's chat history
+chatMessageSchema.statics.getChatHistory = async function (userId, options = {}) {
+  const { sessionId, limit = 50, page = 1, domain, role, startDate, endDate } = options
+
+  const query = {
+    userId,
+    isDeleted: false,
   }
-}
 
-// Optional authentication (doesn't fail if no token)
-const optionalAuth = async (req, res, next) => {
-  try {
-    let token
+  // A session is a tree of branches; only the branch the user is on is history
+  if (sessionId) {
+    query.sessionId = sessionId
+    const { path } = await this.getActivePath(userId, sessionId)
+    query._id = { $in: path.map((message) => message._id) }
+  }
+  if (domain) query["metadata.domain"] = domain
+  if (role) query.role = role
+  if (startDate || endDate) {
+    query.createdAt = {}
+    if (startDate) query.createdAt.$gte = new Date(startDate)
+    if (endDate) query.createdAt.$lte = new Date(endDate)
+  }
 
-    if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
-      token = req.headers.authorization.split(" ")[1]
-    }
+  const skip = (page - 1) * limit
 
-    if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET)
-        const user = await User.findById(decoded.id).select("-password")
-
-        if (user && user.isActive) {
-          req.user = user
-          user.updateLastActive()
-        }
-      } catch (jwtError) {
-        // Silently fail for optional auth
-        console.log("Optional auth failed:", jwtError.message)
-      }
-    }
+  const [messages, total] = await Promise.all([
+    this.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).select("-editHistory").lean(),
+    this.countDocuments(query),
+  ])
 
-    next()
-  } catch (error) {
-    console.error("🚨 Optional Auth Error:", error)
-    next() // Continue without authentication
+  return {
+    messages,
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1,
+    },
+    total,
   }
 }
 
-// Rate limiting for specific users
-const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map()
-
-  return (req, res, next) => {
-    if (!req.user) return next()
+// Static method to walk a session from its first message along the selected branch
+// at every fork. Returns the path (oldest first) and the forks met on the way.
+chatMessageSchema.statics.getActivePath = async function (userId, sessionId) {
+  const messages = await this.find({ userId, sessionId, isDeleted: false })
+    .sort({ createdAt: 1 })
+    .select("-editHistory")
+    .lean()
+  const children = groupByParent(messages)
 
-    const userId = req.user._id.toString()
-    const now = Date.now()
-    const windowStart = now - windowMs
-
-    // Clean old entries
-    if (requests.has(userId)) {
-      const userRequests = requests.get(userId).filter((time) => time > windowStart)
-      requests.set(userId, userRequests)
-    } else {
-      requests.set(userId, [])
+  const path = []
+  const forks = []
+  let siblings = children.get(ROOT)
+  while (siblings?.length) {
+    const active = pickActive(siblings)
+    if (siblings.length > 1) {
+      forks.push({ parentId: active.parentId || null, activeId: active._id, alternatives: siblings })
     }
+    path.push(active)
+    siblings = children.get(String(active._id))
+  }
 
-    const userRequests = requests.get(userId)
+  return { path, forks }
+}
 
-    if (userRequests.length >= maxRequests) {
-      return res.status(429).json({
-        success: false,
-        message: "🚫 Too many requests. Please slow down.",
-        retryAfter: Math.ceil(windowMs / 1000),
-      })
-    }
+// Static method to get a message and the messages above it in its branch, oldest first
+chatMessageSchema.statics.getBranch = async function (message, limit = Number.POSITIVE_INFINITY) {
+  const messages = await this.find({ userId: message.userId, sessionId: message.sessionId, isDeleted: false })
+    .select("role message parentId selectedAt createdAt")
+    .lean()
+  const byId = new Map(messages.map((entry) => [String(entry._id), entry]))
 
-    userRequests.push(now)
-    next()
+  const branch = []
+  let current = byId.get(String(message._id))
+  while (current && branch.length < limit) {
+    branch.unshift(current)
+    current = current.parentId ? byId.get(String(current.parentId)) : null
   }
+  return branch
 }
 
-// Validate user ownership of resource
-const validateOwnership = (Model, paramName = "id") => {
-  return async (req, res, next) => {
-    try {
-      const resourceId = req.params[paramName]
-      const resource = await Model.findById(resourceId)
-
-      if (!resource) {
-        return res.status(404).json({
-          success: false,
-          message: "🔍 Resource not found.",
-        })
-      }
+// Static method to get the messages around one: the ones above it in its branch
+// and the ones below it along the selected branch at each fork
+chatMessageSchema.statics.getContext = async function (message, { before = 3, after = 3 } = {}) {
+  const messages = await this.find({ userId: message.userId, sessionId: message.sessionId, isDeleted: false })
+    .sort({ createdAt: 1 })
+    .select("-editHistory")
+    .lean()
+  const byId = new Map(messages.map((entry) => [String(entry._id), entry]))
+  const children = groupByParent(messages)
+  const target = byId.get(String(message._id))
 
-      if (resource.userId.toString() !== req.user._id.toString() && req.user.role !== "admin") {
-        return res.status(403).json({
-          success: false,
-          message: "🔒 Access denied. You can only access your own resources.",
-        })
-      }
+  const above = []
+  let current = target?.parentId ? byId.get(String(target.parentId)) : null
+  while (current && above.length < before) {
+    above.unshift(current)
+    current = current.parentId ? byId.get(String(current.parentId)) : null
+  }
 
-      req.resource = resource
-      next()
-    } catch (error) {
-      console.error("🚨 Ownership Validation Error:", error)
-      res.status(500).json({
-        success: false,
-        message: "🔒 Failed to validate resource ownership.",
-      })
-    }
+  const below = []
+  let siblings = target ? children.get(String(target._id)) : null
+  while (siblings?.length && below.length < after) {
+    const next = pickActive(siblings)
+    below.push(next)
+    siblings = children.get(String(next._id))
   }
+
+  return { before: above, message: target || null, after: below }
 }
 
-module.exports = {
-  verifyToken,
-  requireAdmin,
-  requirePremium,
-  optionalAuth,
-  userRateLimit,
-  validateOwnership,
+// Static method to put a message's branch on the active path
+chatMessageSchema.statics.selectBranch = async function (message) {
+  const branch = await this.getBranch(message)
+  await this.updateMany({ _id: { $in: branch.map((entry) => entry._id) } }, { $set: { selectedAt: new Date() } })
+  return branch
 }
+
+// Static method to get statistics for one session
+chatMessageSchema.statics.getSessionStats = async function (userId, sessionId) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        sessionId,
+        isDeleted: false,
+      },
+    },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$sessionId",
+        messageCount: { $sum: 1 },
+        userMessages: { $sum: { $cond: [{ $eq: ["$role", "user"] }, 1, 0] } },
+        aiMessages: { $sum: { $cond: [{ $eq: ["$role", "ai"] }, 1, 0] } },
+        totalTokens: { $sum: { $ifNull: ["$metadata.tokens.total", 0] } },
+        avgResponseTime: { $avg: "$metadata.responseTime" },
+        likedCount: { $sum: { $cond: [{ $eq: ["$reactions.liked", true] }, 1, 0] } },
+        helpfulCount: { $sum: { $cond: [{ $eq: ["$reactions.helpful", true] }, 1, 0] } },
+        avgRating: { $avg: "$reactions.rating" },
+        domain: { $last: "$metadata.domain" },
+        mode: { $last: "$metadata.mode" },
+        firstMessageAt: { $first: "$createdAt" },
+        lastMessageAt: { $last: "$createdAt" },
+      },
+    },
+  ])
+
+  if (!stats) return null
+
+  const { _id, ...rest } = stats
+  return { sessionId: _id, ...rest }
+}
+
+module.exports = mongoose.model("ChatMessage", chatMessageSchema)
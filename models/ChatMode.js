@@ -0,0 +1,136 @@
+const mongoose = require("mongoose")
+const { templateVariables } = require("../utils/promptTemplate")
+
+// Variables a system prompt may use; filled in per message by services/chatModeService
+const TEMPLATE_VARIABLES = ["domain", "learnerLevel", "learnerName", "modeName", "date"]
+
+// One published system prompt. Versions are never edited, so an answer's recorded
+// { mode, version } always points at the exact prompt and settings that produced it.
+const promptVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    systemPrompt: {
+      type: String,
+      required: [true, "System prompt is required"],
+      maxlength: [8000, "System prompt cannot exceed 8000 characters"],
+      validate: {
+        validator: (template) => templateVariables(template).every((name) => TEMPLATE_VARIABLES.includes(name)),
+        message: `System prompts may only use the variables ${TEMPLATE_VARIABLES.join(", ")}`,
+      },
+    },
+    // null: the chat defaults in config/ai.js
+    model: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    temperature: {
+      type: Number,
+      min: 0,
+      max: 2,
+      default: null,
+    },
+    maxTokens: {
+      type: Number,
+      min: 1,
+      max: 8000,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+const chatModeSchema = new mongoose.Schema(
+  {
+    // What clients send as `mode`
+    key: {
+      type: String,
+      required: [true, "Mode key is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9-]{1,39}$/, "Mode key must be 2-40 lowercase letters, digits or dashes"],
+    },
+    name: {
+      type: String,
+      required: [true, "Mode name is required"],
+      trim: true,
+      maxlength: [100, "Mode name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    // Disabled modes cannot be picked for new messages
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Shipped with the app: can be changed and disabled, not deleted
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+    versions: [promptVersionSchema],
+    activeVersion: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Instance Methods
+chatModeSchema.methods.getVersion = function (version = this.activeVersion) {
+  return this.versions.find((entry) => entry.version === Number(version)) || null
+}
+
+// Append a version (numbered after the latest) and optionally make it the live one
+chatModeSchema.methods.addVersion = function (data, { activate = true } = {}) {
+  const version = Math.max(0, ...this.versions.map((entry) => entry.version)) + 1
+  this.versions.push({ ...data, version })
+  if (activate) this.activeVersion = version
+  return this.getVersion(version)
+}
+
+chatModeSchema.methods.toSummary = function () {
+  const current = this.getVersion()
+  return {
+    key: this.key,
+    name: this.name,
+    description: this.description,
+    isActive: this.isActive,
+    builtIn: this.builtIn,
+    activeVersion: this.activeVersion,
+    versionCount: this.versions.length,
+    model: current?.model || null,
+    temperature: current?.temperature ?? null,
+    variables: templateVariables(current?.systemPrompt),
+    updatedAt: this.updatedAt,
+  }
+}
+
+module.exports = mongoose.model("ChatMode", chatModeSchema)
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES
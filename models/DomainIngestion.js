@@ -10,6 +10,12 @@ const domainIngestionSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Who started the ingestion (absent on records created before ownership was tracked)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   status: {
     type: String,
     enum: ['starting', 'analyzing', 'collecting', 'processing', 'building', 'optimizing', 'completed', 'failed'],
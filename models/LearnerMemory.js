@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// What the assistant knows about a learner in one domain: goals, level, preferences.
+// Facts are picked up from conversations ("auto") or written by the user ("user").
+const learnerMemorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    // Normalised like User.conversationHistory keys: lowercase, spaces as underscores
+    domain: {
+      type: String,
+      required: [true, "Domain is required"],
+      trim: true,
+      maxlength: [100, "Domain cannot exceed 100 characters"],
+    },
+    facts: [
+      {
+        text: {
+          type: String,
+          required: [true, "Fact text is required"],
+          trim: true,
+          maxlength: [500, "A fact cannot exceed 500 characters"],
+        },
+        source: {
+          type: String,
+          enum: ["auto", "user"],
+          default: "user",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        updatedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+learnerMemorySchema.index({ userId: 1, domain: 1 }, { unique: true })
+
+module.exports = mongoose.model("LearnerMemory", learnerMemorySchema)
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+// Short-lived, single-use records backing the social login flow:
+//  - "login"/"link": the state of an authorization request awaiting the provider callback
+//  - "exchange": the one-time code the client trades for tokens after a successful callback
+const oauthStateSchema = new mongoose.Schema(
+  {
+    // Only the SHA-256 of the state / login code is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "link", "exchange"],
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Account being linked ("link") or signing in ("exchange")
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // PKCE verifier and OIDC nonce, kept server-side until the callback
+    codeVerifier: {
+      type: String,
+      select: false,
+    },
+    nonce: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Static Methods
+oauthStateSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+/**
+ * Store a new single-use record and return the raw token that identifies it
+ * @param {Object} data - purpose, provider, and optional userId/codeVerifier/nonce
+ * @param {number} ttlSeconds - Lifetime
+ * @returns {Promise<string>} Raw token (state or login code)
+ */
+oauthStateSchema.statics.issue = async function (data, ttlSeconds) {
+  const token = crypto.randomBytes(32).toString("base64url")
+  await this.create({
+    ...data,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  })
+  return token
+}
+
+/**
+ * Claim a record atomically so it can only ever be used once
+ * @param {string} token - Raw token
+ * @param {string|string[]} purpose - Accepted purpose(s)
+ * @returns {Promise<Object|null>} The record, or null when unknown, expired or already used
+ */
+oauthStateSchema.statics.consume = function (token, purpose) {
+  if (!token) return Promise.resolve(null)
+
+  return this.findOneAndDelete({
+    tokenHash: this.hashToken(token),
+    purpose: { $in: [].concat(purpose) },
+    expiresAt: { $gt: new Date() },
+  }).select("+codeVerifier +nonce")
+}
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema)
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+// Development/test mail sink: messages land here instead of a real inbox
+const outboxEmailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: [true, "Recipient is required"],
+      lowercase: true,
+      trim: true,
+    },
+    from: String,
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+    },
+    text: String,
+    html: String,
+    template: String,
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+outboxEmailSchema.index({ to: 1, createdAt: -1 })
+outboxEmailSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+// Static Methods
+outboxEmailSchema.statics.latestFor = function (to, template) {
+  const filter = { to: String(to).toLowerCase() }
+  if (template) filter.template = template
+  return this.findOne(filter).sort({ createdAt: -1 })
+}
+
+module.exports = mongoose.model("OutboxEmail", outboxEmailSchema)
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const privacyJobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["export", "erasure"],
+      required: true,
+    },
+    // Kept after erasure so the report still says whose data was removed
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed"],
+      default: "pending",
+    },
+    // Export archive on disk
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: Number,
+    // Erasure jobs outlive the account, so their status is read with a receipt instead of a login
+    receiptHash: {
+      type: String,
+      select: false,
+    },
+    report: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    // Exports only; erasure reports are kept
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+privacyJobSchema.index({ userId: 1, type: 1, createdAt: -1 })
+privacyJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Virtuals
+privacyJobSchema.virtual("isExpired").get(function () {
+  return !!this.expiresAt && this.expiresAt <= Date.now()
+})
+
+// Instance Methods
+privacyJobSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    report: this.report,
+    error: this.error,
+    fileSize: this.fileSize,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+  }
+}
+
+// Static Methods
+privacyJobSchema.statics.hashReceipt = function (receipt) {
+  return crypto.createHash("sha256").update(String(receipt)).digest("hex")
+}
+
+module.exports = mongoose.model("PrivacyJob", privacyJobSchema)
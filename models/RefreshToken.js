@@ -0,0 +1,98 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // Only the SHA-256 of the opaque token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every rotation of one login shares a family id
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    device: {
+      id: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [128, "Device ID cannot exceed 128 characters"],
+      },
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Device name cannot exceed 100 characters"],
+      },
+      userAgent: String,
+      ip: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // When the login that started this family happened (carried across rotations)
+    sessionStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastUsedAt: Date,
+    // Last authenticated request made with an access token from this session
+    lastSeenAt: Date,
+    lastSeenIp: String,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "logout_all", "reuse_detected", "password_changed", "password_reset", "account_deleted", "account_blocked", "device_replaced", "session_revoked"],
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+refreshTokenSchema.index({ userId: 1, "device.id": 1, revokedAt: 1 })
+refreshTokenSchema.index({ family: 1, createdAt: -1 })
+
+// Virtuals
+refreshTokenSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= Date.now()
+})
+
+refreshTokenSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && !this.isExpired
+})
+
+// Static Methods
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) })
+}
+
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+}
+
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } })
+}
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema)
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+// Rolling summary of the part of a chat session that no longer fits the prompt window.
+// It covers the branch ending at `throughMessageId`; other branches start their own.
+const sessionSummarySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    sessionId: {
+      type: String,
+      required: [true, "Session ID is required"],
+      trim: true,
+    },
+    summary: {
+      type: String,
+      default: "",
+      maxlength: [10000, "Summary cannot exceed 10000 characters"],
+    },
+    // Last message folded into the summary
+    throughMessageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatMessage",
+      default: null,
+    },
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+sessionSummarySchema.index({ userId: 1, sessionId: 1 }, { unique: true })
+
+module.exports = mongoose.model("SessionSummary", sessionSummarySchema)
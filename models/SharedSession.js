@@ -0,0 +1,154 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+const bcrypt = require("bcryptjs")
+
+// A frozen, read-only copy of a session's active branch, published behind an unguessable link.
+// Later messages, edits or deletions in the original session never reach the snapshot.
+const sharedMessageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["user", "ai", "system"],
+      required: true,
+    },
+    message: {
+      type: String,
+      default: "",
+    },
+    createdAt: Date,
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    // Hidden by the author: the text and sources are not stored at all
+    redacted: {
+      type: Boolean,
+      default: false,
+    },
+    citations: [
+      {
+        _id: false,
+        index: Number,
+        type: { type: String },
+        title: String,
+        url: String,
+        nodeId: String,
+      },
+    ],
+  },
+  { _id: false },
+)
+
+const sharedSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    sessionId: {
+      type: String,
+      required: [true, "Session ID is required"],
+      trim: true,
+    },
+    // Only the SHA-256 of the link token is stored; the link is shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    snapshot: {
+      domain: String,
+      mode: String,
+      firstMessageAt: Date,
+      lastMessageAt: Date,
+      messages: [sharedMessageSchema],
+    },
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+    passwordProtected: {
+      type: Boolean,
+      default: false,
+    },
+    // null: the link does not expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: Date,
+    viewCount: {
+      type: Number,
+      default: 0,
+    },
+    lastViewedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+sharedSessionSchema.index({ userId: 1, sessionId: 1 })
+
+// Virtuals
+sharedSessionSchema.virtual("isExpired").get(function () {
+  return !!this.expiresAt && this.expiresAt <= Date.now()
+})
+
+sharedSessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && !this.isExpired
+})
+
+// Instance Methods
+sharedSessionSchema.methods.setPassword = async function (password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 10) : undefined
+  this.passwordProtected = !!password
+}
+
+// Needs the document to have been loaded with +passwordHash
+sharedSessionSchema.methods.checkPassword = async function (password) {
+  if (!this.passwordProtected) return true
+  if (!password || !this.passwordHash) return false
+  return bcrypt.compare(String(password), this.passwordHash)
+}
+
+sharedSessionSchema.methods.toJSON = function () {
+  const messages = this.snapshot?.messages || []
+  return {
+    id: this._id,
+    sessionId: this.sessionId,
+    title: this.title,
+    messageCount: messages.length,
+    redactedCount: messages.filter((message) => message.redacted).length,
+    passwordProtected: this.passwordProtected,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt || null,
+    isActive: this.isActive,
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt || null,
+    createdAt: this.createdAt,
+  }
+}
+
+// Static Methods
+sharedSessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+sharedSessionSchema.statics.generateToken = function () {
+  return crypto.randomBytes(32).toString("base64url")
+}
+
+sharedSessionSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: this.hashToken(token) })
+}
+
+module.exports = mongoose.model("SharedSession", sharedSessionSchema)
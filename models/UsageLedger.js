@@ -0,0 +1,36 @@
+const mongoose = require("mongoose")
+
+// One document per user per billing period; counters are only ever $inc'ed
+const usageLedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    // Plan in effect when the period was opened
+    plan: String,
+    usage: {
+      chatMessages: { type: Number, default: 0 },
+      codeAnalyses: { type: Number, default: 0 },
+      ingestions: { type: Number, default: 0 },
+      tokens: { type: Number, default: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// ✅ Indexes
+usageLedgerSchema.index({ userId: 1, periodStart: -1 }, { unique: true })
+
+module.exports = mongoose.model("UsageLedger", usageLedgerSchema)
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
+const plans = require("../config/plans")
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,7 +22,13 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Accounts created through a social login have no password until they set one
+      required: [
+        function () {
+          return !this.oauthAccounts || this.oauthAccounts.length === 0
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters long"],
       maxlength: [128, "Password cannot exceed 128 characters"],
       select: false,
@@ -219,6 +227,8 @@ const userSchema = new mongoose.Schema(
         }
       },
       achievements: [{
+        // Catalogue id from config/achievements (absent on legacy entries)
+        key: String,
         name: String,
         description: String,
         unlockedAt: {
@@ -285,14 +295,44 @@ const userSchema = new mongoose.Schema(
       enum: ["pending", "verified", "suspended", "banned"],
       default: "pending"
     },
+    // Set when an admin suspends or bans the account
+    moderation: {
+      reason: String,
+      actionedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      },
+      actionedAt: Date
+    },
     emailVerified: {
       type: Boolean,
       default: false
     },
+    // External identities (see services/oauthProviders) that can sign in to this account
+    oauthAccounts: [{
+      provider: {
+        type: String,
+        required: true
+      },
+      // The provider's stable user id ("sub")
+      subject: {
+        type: String,
+        required: true
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     emailVerificationToken: {
       type: String,
       select: false
     },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
     passwordResetToken: {
       type: String,
       select: false
@@ -301,27 +341,60 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false
     },
+    // Admin-forced reset: login is refused until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false
+    },
     loginAttempts: {
       count: {
         type: Number,
         default: 0
       },
       lastAttempt: Date,
-      lockUntil: Date
+      lockUntil: Date,
+      // Consecutive locks since the last successful login; drives the backoff
+      lockCount: {
+        type: Number,
+        default: 0
+      },
+      lockHistory: [{
+        lockedAt: Date,
+        lockedUntil: Date,
+        unlockedAt: Date,
+        unlockedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User"
+        },
+        ip: String
+      }]
+    },
+    // Bumped to invalidate every outstanding access token
+    tokenVersion: {
+      type: Number,
+      default: 0
     },
     twoFactorAuth: {
       enabled: {
         type: Boolean,
         default: false
       },
+      // Base32 TOTP secret; set on setup, trusted once `enabled` is true
       secret: {
         type: String,
         select: false
       },
-      backupCodes: [{
-        type: String,
+      // SHA-256 hashes of unused one-time backup codes
+      backupCodes: {
+        type: [String],
         select: false
-      }]
+      },
+      // Last accepted TOTP time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
     }
   },
   {
@@ -331,11 +404,17 @@ const userSchema = new mongoose.Schema(
       transform: function(doc, ret) {
         delete ret.password;
         delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        delete ret.tokenVersion;
+        if (ret.loginAttempts) {
+          delete ret.loginAttempts.lockHistory;
+        }
         if (ret.twoFactorAuth) {
           delete ret.twoFactorAuth.secret;
           delete ret.twoFactorAuth.backupCodes;
+          delete ret.twoFactorAuth.lastUsedStep;
         }
         return ret;
       }
@@ -351,6 +430,10 @@ userSchema.index({ isActive: 1, role: 1 })
 userSchema.index({ accountStatus: 1 })
 userSchema.index({ "subscription.plan": 1, "subscription.status": 1 })
 userSchema.index({ emailVerified: 1 })
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+)
 userSchema.index({ "stats.streak.current": -1 })
 userSchema.index({ "preferences.domains.name": 1 })
 userSchema.index({ "chatSessions.domainName": 1, "chatSessions.lastMessageAt": -1 })
@@ -403,10 +486,32 @@ userSchema.virtual("subscriptionInfo").get(function () {
   }
 })
 
+// Lapsed subscriptions fall back to the free plan's allowances
+userSchema.virtual("effectivePlan").get(function () {
+  const { plan, status, endDate } = this.subscription || {}
+  const lapsed = status === "expired" || (endDate && endDate <= Date.now())
+  return lapsed || !plans.limits[plan] ? plans.fallbackPlan : plan
+})
+
+userSchema.virtual("effectiveFeatures").get(function () {
+  return this.effectivePlan === this.subscription?.plan
+    ? this.subscription.features
+    : plans.features[this.effectivePlan]
+})
+
 userSchema.virtual("isLocked").get(function () {
   return !!(this.loginAttempts.lockUntil && this.loginAttempts.lockUntil > Date.now())
 })
 
+userSchema.virtual("isBlocked").get(function () {
+  return this.accountStatus === "suspended" || this.accountStatus === "banned"
+})
+
+userSchema.virtual("lockRemainingSeconds").get(function () {
+  if (!this.isLocked) return 0
+  return Math.ceil((this.loginAttempts.lockUntil - Date.now()) / 1000)
+})
+
 // Pre-save middleware - Password hashing
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next()
@@ -450,39 +555,16 @@ userSchema.pre("save", function (next) {
 
 // Pre-save middleware - Subscription features
 userSchema.pre("save", function (next) {
-  if (this.isModified("subscription.plan")) {
-    switch (this.subscription.plan) {
-      case "free":
-        this.subscription.features = {
-          maxDomains: 3,
-          maxChatHistory: 50,
-          advancedAnalytics: false,
-          prioritySupport: false
-        }
-        break
-      case "premium":
-        this.subscription.features = {
-          maxDomains: 25,
-          maxChatHistory: 1000,
-          advancedAnalytics: true,
-          prioritySupport: true
-        }
-        break
-      case "enterprise":
-        this.subscription.features = {
-          maxDomains: -1,
-          maxChatHistory: -1,
-          advancedAnalytics: true,
-          prioritySupport: true
-        }
-        break
-    }
+  if (this.isModified("subscription.plan") && plans.features[this.subscription.plan]) {
+    this.subscription.features = { ...plans.features[this.subscription.plan] }
   }
   next()
 })
 
 // Instance Methods
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false
+
   try {
     return await bcrypt.compare(candidatePassword, this.password)
   } catch (error) {
@@ -502,7 +584,8 @@ userSchema.methods.updateStreak = function () {
   const dayInMs = 24 * 60 * 60 * 1000
 
   if (lastActivity) {
-    const daysSinceLastActivity = Math.floor((now - lastActivity) / dayInMs)
+    // Compare calendar days (UTC): activity runs on every save, so elapsed time rarely hits exactly 24h
+    const daysSinceLastActivity = Math.floor(now / dayInMs) - Math.floor(lastActivity / dayInMs)
     
     if (daysSinceLastActivity === 1) {
       this.stats.streak.current += 1
@@ -511,6 +594,9 @@ userSchema.methods.updateStreak = function () {
       }
     } else if (daysSinceLastActivity > 1) {
       this.stats.streak.current = 1
+    } else if (!this.stats.streak.current) {
+      this.stats.streak.current = 1
+      this.stats.streak.longest = Math.max(this.stats.streak.longest, 1)
     }
   } else {
     this.stats.streak.current = 1
@@ -552,8 +638,12 @@ userSchema.methods.addMessage = async function (domain, role, content, metadata
   
   conversation.push(newMessage)
   
-  if (conversation.length > 100) {
-    conversation = conversation.slice(-100)
+  const maxChatHistory = this.effectiveFeatures?.maxChatHistory
+  const historyLimit = maxChatHistory > 0
+    ? Math.min(maxChatHistory, plans.maxStoredConversationMessages)
+    : plans.maxStoredConversationMessages
+  if (conversation.length > historyLimit) {
+    conversation = conversation.slice(-historyLimit)
   }
   
   this.conversationHistory.set(conversationKey, conversation)
@@ -653,42 +743,133 @@ userSchema.methods.getConversationAnalytics = function (domain = null) {
   return analytics
 }
 
-userSchema.methods.canAddDomain = function () {
-  const maxDomains = this.subscription.features.maxDomains
-  return maxDomains === -1 || this.preferences.domains.length < maxDomains
+userSchema.methods.canAddDomain = function (domainCount = this.preferences.domains.length) {
+  const maxDomains = this.effectiveFeatures.maxDomains
+  return maxDomains === plans.UNLIMITED || domainCount < maxDomains
 }
 
 userSchema.methods.hasFeature = function (featureName) {
-  return this.subscription.features[featureName] === true
+  return this.effectiveFeatures[featureName] === true
+}
+
+// 🔐 Email verification: only the SHA-256 of the emailed token is persisted
+userSchema.methods.createEmailVerificationToken = function (ttlHours = 24) {
+  const token = crypto.randomBytes(32).toString("hex")
+  this.emailVerificationToken = this.constructor.hashToken(token)
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  return token
+}
+
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true
+  if (this.accountStatus === "pending") {
+    this.accountStatus = "verified"
+  }
+  this.emailVerificationToken = undefined
+  this.emailVerificationExpires = undefined
+  return this.save({ validateBeforeSave: false })
 }
 
-userSchema.methods.incLoginAttempts = function () {
-  if (this.loginAttempts.lockUntil && this.loginAttempts.lockUntil < Date.now()) {
-    return this.updateOne({
+// 🔐 Password reset: single-use, hashed at rest, short-lived
+userSchema.methods.createPasswordResetToken = function (ttlMinutes = 60) {
+  const token = crypto.randomBytes(32).toString("hex")
+  this.passwordResetToken = this.constructor.hashToken(token)
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000)
+  return token
+}
+
+// 🔒 Progressive lockout: every lock doubles the previous window
+userSchema.methods.incLoginAttempts = async function (options = {}) {
+  const { maxAttempts = 5, baseLockMinutes = 5, maxLockMinutes = 24 * 60, ip } = options
+  const now = Date.now()
+
+  // A lock that has run out starts a fresh round of attempts
+  if (this.loginAttempts.lockUntil && this.loginAttempts.lockUntil < now) {
+    await this.updateOne({
       $unset: { 'loginAttempts.lockUntil': 1 },
-      $set: { 'loginAttempts.count': 1, 'loginAttempts.lastAttempt': Date.now() }
+      $set: { 'loginAttempts.count': 1, 'loginAttempts.lastAttempt': now }
     })
+    return { locked: false, lockUntil: null }
   }
 
-  const updates = { 
+  const updates = {
     $inc: { 'loginAttempts.count': 1 },
-    $set: { 'loginAttempts.lastAttempt': Date.now() }
+    $set: { 'loginAttempts.lastAttempt': now }
   }
 
-  if (this.loginAttempts.count + 1 >= 5 && !this.loginAttempts.lockUntil) {
-    updates.$set['loginAttempts.lockUntil'] = Date.now() + 2 * 60 * 60 * 1000
+  if ((this.loginAttempts.count || 0) + 1 >= maxAttempts && !this.loginAttempts.lockUntil) {
+    const lockCount = (this.loginAttempts.lockCount || 0) + 1
+    const lockMinutes = Math.min(baseLockMinutes * 2 ** (lockCount - 1), maxLockMinutes)
+    const lockUntil = new Date(now + lockMinutes * 60 * 1000)
+
+    updates.$set['loginAttempts.lockUntil'] = lockUntil
+    updates.$set['loginAttempts.lockCount'] = lockCount
+    updates.$push = {
+      'loginAttempts.lockHistory': {
+        $each: [{ lockedAt: new Date(now), lockedUntil: lockUntil, ip }],
+        $slice: -20
+      }
+    }
+
+    await this.updateOne(updates)
+    return { locked: true, lockUntil, lockCount }
   }
 
-  return this.updateOne(updates)
+  await this.updateOne(updates)
+  return { locked: false, lockUntil: null }
 }
 
 userSchema.methods.resetLoginAttempts = function () {
   return this.updateOne({
-    $unset: { 'loginAttempts.count': 1, 'loginAttempts.lockUntil': 1 }
+    $unset: { 'loginAttempts.count': 1, 'loginAttempts.lockUntil': 1, 'loginAttempts.lockCount': 1 }
   })
 }
 
+// Admin override: clear the lock and record who lifted it
+userSchema.methods.unlockAccount = function (adminId) {
+  const updates = {
+    $unset: { 'loginAttempts.count': 1, 'loginAttempts.lockUntil': 1, 'loginAttempts.lockCount': 1 }
+  }
+
+  const openLock = this.loginAttempts.lockHistory.length
+    ? this.loginAttempts.lockHistory[this.loginAttempts.lockHistory.length - 1]
+    : null
+  if (openLock && !openLock.unlockedAt) {
+    updates.$set = {
+      [`loginAttempts.lockHistory.${this.loginAttempts.lockHistory.length - 1}.unlockedAt`]: new Date(),
+      [`loginAttempts.lockHistory.${this.loginAttempts.lockHistory.length - 1}.unlockedBy`]: adminId
+    }
+  }
+
+  return this.updateOne(updates)
+}
+
 // Static Methods
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationToken: this.hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select("+emailVerificationToken +emailVerificationExpires")
+}
+
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetToken: this.hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  }).select("+password +passwordResetToken +passwordResetExpires")
+}
+
+userSchema.statics.findByOAuthAccount = function (provider, subject) {
+  return this.findOne({
+    oauthAccounts: { $elemMatch: { provider, subject: String(subject) } }
+  })
+}
+
 userSchema.statics.findActiveUsers = function (limit = 50) {
   return this.find({ 
     isActive: true, 
@@ -0,0 +1,175 @@
+const express = require("express")
+const { body, param, query } = require("express-validator")
+const {
+  listUsers,
+  getUser,
+  getUserSecurity,
+  unlockUser,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  changeUserRole,
+  forcePasswordReset,
+  impersonateUser,
+  getAuditLog,
+  getAuthEvents,
+} = require("../controllers/adminController")
+const {
+  listChatModes,
+  getChatMode,
+  createChatMode,
+  updateChatMode,
+  createChatModeVersion,
+  activateChatModeVersion,
+  deleteChatMode,
+} = require("../controllers/chatModeController")
+const AuthEvent = require("../models/AuthEvent")
+const AdminAuditLog = require("../models/AdminAuditLog")
+const { TEMPLATE_VARIABLES } = require("../models/ChatMode")
+const { templateVariables } = require("../utils/promptTemplate")
+const { verifyToken, requireAuthEnabled, requireAdmin } = require("../middlewares/authMiddleware")
+
+const router = express.Router()
+
+// Every admin route needs an authenticated admin; none of them is reachable with auth disabled
+router.use(requireAuthEnabled, verifyToken, requireAdmin)
+
+// Validation rules
+const userIdValidation = [param("id").isMongoId().withMessage("Invalid user ID")]
+
+const paginationValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+]
+
+const listUsersValidation = [
+  ...paginationValidation,
+  query("q").optional().isString().trim().isLength({ max: 100 }).withMessage("Search query cannot exceed 100 characters"),
+  query("role").optional().isIn(["user", "admin", "premium", "moderator"]).withMessage("Invalid role"),
+  query("accountStatus")
+    .optional()
+    .isIn(["pending", "verified", "suspended", "banned"])
+    .withMessage("Invalid account status"),
+  query("plan").optional().isIn(["free", "premium", "enterprise"]).withMessage("Invalid plan"),
+  query("lastActiveFrom").optional().isISO8601().withMessage("lastActiveFrom must be an ISO 8601 date"),
+  query("lastActiveTo").optional().isISO8601().withMessage("lastActiveTo must be an ISO 8601 date"),
+  query("sortBy").optional().isIn(["createdAt", "lastActive", "name", "email"]).withMessage("Invalid sort field"),
+  query("sortOrder").optional().isIn(["asc", "desc"]).withMessage("Sort order must be asc or desc"),
+]
+
+const reasonValidation = [
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+]
+
+const moderationValidation = [
+  ...userIdValidation,
+  body("reason")
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage("Reason must be between 3 and 500 characters"),
+]
+
+const roleValidation = [
+  ...userIdValidation,
+  ...reasonValidation,
+  body("role").isIn(["user", "admin", "premium", "moderator"]).withMessage("Invalid role"),
+]
+
+const auditLogValidation = [
+  ...paginationValidation,
+  query("action").optional().isIn(AdminAuditLog.schema.path("action").enumValues).withMessage("Invalid action"),
+  query("actorId").optional().isMongoId().withMessage("Invalid actor ID"),
+  query("targetUserId").optional().isMongoId().withMessage("Invalid target user ID"),
+]
+
+const authEventsValidation = [
+  ...paginationValidation,
+  query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+  query("email").optional().isEmail().withMessage("Invalid email"),
+  query("type").optional().isIn(AuthEvent.schema.path("type").enumValues).withMessage("Invalid event type"),
+  query("success").optional().isBoolean().withMessage("success must be true or false").toBoolean(),
+  query("ip").optional().isIP().withMessage("Invalid IP address"),
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+]
+
+const chatModeKeyValidation = [
+  param("key").matches(/^[a-z][a-z0-9-]{1,39}$/i).withMessage("Invalid chat mode key"),
+]
+
+const promptVersionValidation = [
+  body("systemPrompt")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 8000 })
+    .withMessage("System prompt must be between 1 and 8000 characters")
+    .custom((template) => {
+      const unknown = templateVariables(template).filter((name) => !TEMPLATE_VARIABLES.includes(name))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown template variables: ${unknown.join(", ")} (available: ${TEMPLATE_VARIABLES.join(", ")})`)
+      }
+      return true
+    }),
+  body("model").optional({ values: "null" }).isString().trim().isLength({ min: 1, max: 100 }).withMessage("Model must be a model ID"),
+  body("temperature").optional({ values: "null" }).isFloat({ min: 0, max: 2 }).withMessage("Temperature must be between 0 and 2").toFloat(),
+  body("maxTokens").optional({ values: "null" }).isInt({ min: 1, max: 8000 }).withMessage("Max tokens must be between 1 and 8000").toInt(),
+  body("note").optional().isString().trim().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+]
+
+const chatModeDetailsValidation = [
+  body("name").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+  body("description").optional().isString().trim().isLength({ max: 500 }).withMessage("Description cannot exceed 500 characters"),
+  body("isActive").optional().isBoolean().withMessage("isActive must be true or false").toBoolean(),
+]
+
+const createChatModeValidation = [
+  body("key")
+    .isString()
+    .trim()
+    .matches(/^[a-z][a-z0-9-]{1,39}$/i)
+    .withMessage("Key must be 2-40 letters, digits or dashes, starting with a letter"),
+  body("name").isString().trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+  ...chatModeDetailsValidation,
+  ...promptVersionValidation,
+]
+
+const createChatModeVersionValidation = [
+  ...chatModeKeyValidation,
+  ...promptVersionValidation,
+  body("activate").optional().isBoolean().withMessage("activate must be true or false").toBoolean(),
+]
+
+const activateChatModeVersionValidation = [
+  ...chatModeKeyValidation,
+  param("version").isInt({ min: 1 }).withMessage("Version must be a positive integer"),
+]
+
+// Routes
+router.get("/users", listUsersValidation, listUsers)
+router.get("/users/:id", userIdValidation, getUser)
+router.get("/users/:id/security", userIdValidation, getUserSecurity)
+router.post("/users/:id/unlock", userIdValidation, unlockUser)
+router.post("/users/:id/suspend", moderationValidation, suspendUser)
+router.post("/users/:id/ban", moderationValidation, banUser)
+router.post("/users/:id/reinstate", [...userIdValidation, ...reasonValidation], reinstateUser)
+router.put("/users/:id/role", roleValidation, changeUserRole)
+router.post("/users/:id/force-password-reset", [...userIdValidation, ...reasonValidation], forcePasswordReset)
+router.post("/users/:id/impersonate", [...userIdValidation, ...reasonValidation], impersonateUser)
+router.get("/audit", auditLogValidation, getAuditLog)
+router.get("/auth-events", authEventsValidation, getAuthEvents)
+
+// Chat mode registry: prompts are versioned, answers record the version they used
+router.get("/chat-modes", listChatModes)
+router.post("/chat-modes", createChatModeValidation, createChatMode)
+router.get("/chat-modes/:key", chatModeKeyValidation, getChatMode)
+router.put("/chat-modes/:key", [...chatModeKeyValidation, ...chatModeDetailsValidation], updateChatMode)
+router.delete("/chat-modes/:key", chatModeKeyValidation, deleteChatMode)
+router.post("/chat-modes/:key/versions", createChatModeVersionValidation, createChatModeVersion)
+router.post("/chat-modes/:key/versions/:version/activate", activateChatModeVersionValidation, activateChatModeVersion)
+
+module.exports = router
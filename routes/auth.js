@@ -1,5 +1,6 @@
 const express = require("express")
-const { body } = require("express-validator")
+const rateLimit = require("express-rate-limit")
+const { body, query } = require("express-validator")
 const {
   register,
   login,
@@ -8,8 +9,45 @@ const {
   changePassword,
   deleteAccount,
   getUserStats,
+  refreshToken,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 } = require("../controllers/authController")
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateBackupCodes,
+  disableTwoFactor,
+} = require("../controllers/twoFactorController")
+const { listApiKeys, createApiKey, revokeApiKey } = require("../controllers/apiKeyController")
+const {
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+  eraseAccount,
+  getErasureReport,
+} = require("../controllers/privacyController")
+const { getUsage } = require("../controllers/usageController")
+const { getAchievements } = require("../controllers/achievementController")
+const { listSessions, deleteSession } = require("../controllers/sessionController")
+const { getActivity } = require("../controllers/activityController")
+const AuthEvent = require("../models/AuthEvent")
+const {
+  listOAuthProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  handleOAuthCallback,
+  exchangeOAuthLoginCode,
+  listLinkedAccounts,
+  unlinkOAuthAccount,
+} = require("../controllers/oauthController")
 const { verifyToken } = require("../middlewares/authMiddleware")
+const authConfig = require("../config/auth")
 
 const router = express.Router()
 
@@ -47,6 +85,122 @@ const changePasswordValidation = [
     .withMessage("New password must contain at least one lowercase letter, one uppercase letter, and one number"),
 ]
 
+const refreshTokenValidation = [
+  body("refreshToken").isString().notEmpty().withMessage("Refresh token is required"),
+]
+
+const verifyEmailValidation = [body("token").isString().notEmpty().withMessage("Verification token is required")]
+
+const forgotPasswordValidation = [
+  body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email address"),
+]
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  body("newPassword")
+    .isLength({ min: 6 })
+    .withMessage("New password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage("New password must contain at least one lowercase letter, one uppercase letter, and one number"),
+]
+
+// Password reset throttling: per client IP, and per target address
+const passwordResetLimitMessage = {
+  success: false,
+  message: "🚫 Too many password reset requests. Please try again later.",
+}
+
+const passwordResetIpLimit = rateLimit({
+  windowMs: authConfig.passwordReset.perIp.windowMs,
+  max: authConfig.passwordReset.perIp.max,
+  message: passwordResetLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const passwordResetEmailLimit = rateLimit({
+  windowMs: authConfig.passwordReset.perEmail.windowMs,
+  max: authConfig.passwordReset.perEmail.max,
+  keyGenerator: (req) => `email:${String(req.body.email || "").toLowerCase()}`,
+  message: passwordResetLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const twoFactorCodeValidation = [
+  body("code").isString().trim().matches(/^\d{6}$/).withMessage("Code must be 6 digits"),
+]
+
+const twoFactorLoginValidation = [
+  body("mfaToken").isString().notEmpty().withMessage("MFA token is required"),
+  body().custom((value) => {
+    if (!value.code && !value.backupCode) {
+      throw new Error("Either code or backupCode is required")
+    }
+    return true
+  }),
+]
+
+const disableTwoFactorValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  body().custom((value) => {
+    if (!value.code && !value.backupCode) {
+      throw new Error("Either code or backupCode is required")
+    }
+    return true
+  }),
+]
+
+const createApiKeyValidation = [
+  body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Name must be between 1 and 100 characters"),
+  body("scopes").isArray({ min: 1 }).withMessage("At least one scope is required"),
+  body("scopes.*").isIn(authConfig.apiKeys.scopes).withMessage(`Scopes must be any of: ${authConfig.apiKeys.scopes.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: authConfig.apiKeys.maxExpiryDays })
+    .withMessage(`Expiry must be between 1 and ${authConfig.apiKeys.maxExpiryDays} days`),
+]
+
+const eraseAccountValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  body("confirm").equals("ERASE").withMessage('Set confirm to "ERASE" to permanently delete your data'),
+]
+
+const oauthExchangeValidation = [body("code").isString().notEmpty().withMessage("Login code is required")]
+
+const activityValidation = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  query("type").optional().isIn(AuthEvent.schema.path("type").enumValues).withMessage("Invalid event type"),
+  query("success").optional().isBoolean().withMessage("success must be true or false").toBoolean(),
+  query("from").optional().isISO8601().withMessage("from must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("to must be an ISO 8601 date"),
+]
+
+// Data exports are expensive to build
+const dataExportLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: "🚫 Too many export requests. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Guess protection for the second login step
+const twoFactorLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    message: "🚫 Too many verification attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 // Routes
 router.post("/register", registerValidation, register)
 router.post("/login", loginValidation, login)
@@ -55,5 +209,37 @@ router.put("/profile", verifyToken, updateProfileValidation, updateProfile)
 router.put("/change-password", verifyToken, changePasswordValidation, changePassword)
 router.delete("/account", verifyToken, deleteAccount)
 router.get("/stats", verifyToken, getUserStats)
+router.post("/refresh", refreshTokenValidation, refreshToken)
+router.post("/logout", refreshTokenValidation, logout)
+router.post("/logout-all", verifyToken, logoutAll)
+router.get("/sessions", verifyToken, listSessions)
+router.delete("/sessions/:id", verifyToken, deleteSession)
+router.get("/activity", verifyToken, activityValidation, getActivity)
+router.post("/verify-email", verifyEmailValidation, verifyEmail)
+router.post("/resend-verification", verifyToken, resendVerification)
+router.post("/forgot-password", passwordResetIpLimit, forgotPasswordValidation, passwordResetEmailLimit, forgotPassword)
+router.post("/reset-password", passwordResetIpLimit, resetPasswordValidation, resetPassword)
+router.post("/2fa/setup", verifyToken, setupTwoFactor)
+router.post("/2fa/enable", verifyToken, twoFactorCodeValidation, enableTwoFactor)
+router.post("/2fa/verify", twoFactorLimit, twoFactorLoginValidation, verifyTwoFactorLogin)
+router.post("/2fa/backup-codes", verifyToken, twoFactorCodeValidation, regenerateBackupCodes)
+router.post("/2fa/disable", verifyToken, disableTwoFactorValidation, disableTwoFactor)
+router.get("/api-keys", verifyToken, listApiKeys)
+router.post("/api-keys", verifyToken, createApiKeyValidation, createApiKey)
+router.delete("/api-keys/:id", verifyToken, revokeApiKey)
+router.post("/export", verifyToken, dataExportLimit, requestDataExport)
+router.get("/export/:id", verifyToken, getDataExport)
+router.get("/export/:id/download", verifyToken, downloadDataExport)
+router.post("/erase", verifyToken, eraseAccountValidation, eraseAccount)
+router.get("/erase/:id", getErasureReport)
+router.get("/usage", verifyToken, getUsage)
+router.get("/achievements", verifyToken, getAchievements)
+router.get("/oauth/providers", listOAuthProviders)
+router.get("/oauth/accounts", verifyToken, listLinkedAccounts)
+router.post("/oauth/exchange", oauthExchangeValidation, exchangeOAuthLoginCode)
+router.get("/oauth/:provider/authorize", startOAuthLogin)
+router.get("/oauth/:provider/callback", handleOAuthCallback)
+router.post("/oauth/:provider/link", verifyToken, startOAuthLink)
+router.delete("/oauth/:provider", verifyToken, unlinkOAuthAccount)
 
 module.exports = router
@@ -6,9 +6,33 @@ const {
   getChatSessions,
   deleteChatSession,
   updateMessageReaction,
+  editMessage,
+  regenerateMessage,
+  selectMessageBranch,
+  getSessionBranches,
+  searchMessages,
+  getMessageContext,
+  exportChatSession,
+  exportDomainSessions,
   getSessionStats,
 } = require("../controllers/chatController")
-const { verifyToken, userRateLimit } = require("../middlewares/authMiddleware")
+const {
+  getLearnerMemory,
+  addLearnerFact,
+  updateLearnerFact,
+  deleteLearnerFact,
+  clearLearnerMemory,
+  getSessionSummary,
+} = require("../controllers/memoryController")
+const {
+  createSessionShare,
+  listSessionShares,
+  revokeSessionShare,
+} = require("../controllers/shareController")
+const { listAvailableChatModes } = require("../controllers/chatModeController")
+const { allowApiKey, verifyToken, userRateLimit, authorize } = require("../middlewares/authMiddleware")
+const { ownsParam } = require("../services/policyService")
+const { enforceQuota } = require("../middlewares/quotaMiddleware")
 
 const router = express.Router()
 
@@ -19,9 +43,10 @@ const sendMessageValidation = [
   body("domain").optional().trim().isLength({ max: 100 }).withMessage("Domain cannot exceed 100 characters"),
   body("mode")
     .optional()
-    .isIn(["chat", "code", "debug", "help"])
-    .withMessage("Mode must be chat, code, debug, or help"),
+    .matches(/^[a-z][a-z0-9-]{1,39}$/i)
+    .withMessage("Mode must be the key of a chat mode"),
   body("attachments").optional().isArray().withMessage("Attachments must be an array"),
+  query("stream").optional().isBoolean().withMessage("Stream must be true or false").toBoolean(),
 ]
 
 const chatHistoryValidation = [
@@ -37,15 +62,136 @@ const messageReactionValidation = [
   body("rating").optional().isInt({ min: 1, max: 5 }).withMessage("Rating must be between 1 and 5"),
 ]
 
+const editMessageValidation = [
+  param("messageId").isMongoId().withMessage("Invalid message ID"),
+  body("message").trim().isLength({ min: 1, max: 10000 }).withMessage("Message must be between 1 and 10000 characters"),
+  query("stream").optional().isBoolean().withMessage("Stream must be true or false").toBoolean(),
+]
+
+const regenerateMessageValidation = [
+  param("messageId").isMongoId().withMessage("Invalid message ID"),
+  query("stream").optional().isBoolean().withMessage("Stream must be true or false").toBoolean(),
+]
+
+const messageIdValidation = [param("messageId").isMongoId().withMessage("Invalid message ID")]
+
+const searchValidation = [
+  query("q").trim().isLength({ min: 1, max: 200 }).withMessage("Search query must be between 1 and 200 characters"),
+  query("domain").optional().trim().isLength({ max: 100 }).withMessage("Domain cannot exceed 100 characters"),
+  query("mode").optional().matches(/^[a-z][a-z0-9-]{1,39}$/i).withMessage("Mode must be the key of a chat mode").toLowerCase(),
+  query("role").optional().isIn(["user", "ai", "system"]).withMessage("Role must be user, ai, or system"),
+  query("from").optional().isISO8601().withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+  query("cursor").optional().isString().withMessage("Cursor must be a string"),
+  query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+]
+
+const messageContextValidation = [
+  param("messageId").isMongoId().withMessage("Invalid message ID"),
+  query("before").optional().isInt({ min: 0, max: 20 }).withMessage("Before must be between 0 and 20"),
+  query("after").optional().isInt({ min: 0, max: 20 }).withMessage("After must be between 0 and 20"),
+]
+
+const exportFormatValidation = query("format")
+  .optional()
+  .isIn(["md", "html", "json"])
+  .withMessage("Format must be md, html, or json")
+
+const sessionExportValidation = [exportFormatValidation]
+
+const domainExportValidation = [
+  query("domain").trim().isLength({ min: 1, max: 100 }).withMessage("Domain must be between 1 and 100 characters"),
+  exportFormatValidation,
+]
+
+const createShareValidation = [
+  body("title").optional().trim().isLength({ min: 1, max: 200 }).withMessage("Title must be between 1 and 200 characters"),
+  body("password").optional().isString().isLength({ min: 4, max: 128 }).withMessage("Password must be between 4 and 128 characters"),
+  body("expiresInDays").optional().isInt({ min: 1, max: 365 }).withMessage("Expiry must be between 1 and 365 days"),
+  body("redact").optional().isArray({ max: 500 }).withMessage("Redact must be an array of message IDs"),
+  body("redact.*").isMongoId().withMessage("Invalid message ID in redact"),
+]
+
+const listSharesValidation = [query("sessionId").optional().isString().withMessage("Session ID must be a string")]
+
+const memoryDomainValidation = [
+  param("domain").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Domain must be between 1 and 100 characters"),
+  query("domain").optional().trim().isLength({ min: 1, max: 100 }).withMessage("Domain must be between 1 and 100 characters"),
+]
+
+const learnerFactValidation = [
+  ...memoryDomainValidation,
+  param("factId").optional().isMongoId().withMessage("Invalid fact ID"),
+  body("text").trim().isLength({ min: 1, max: 500 }).withMessage("Fact must be between 1 and 500 characters"),
+]
+
+const learnerFactIdValidation = [...memoryDomainValidation, param("factId").isMongoId().withMessage("Invalid fact ID")]
+
 // Apply rate limiting to chat routes
 const chatRateLimit = userRateLimit(50, 15 * 60 * 1000) // 50 requests per 15 minutes
 
 // Routes
-router.post("/send", verifyToken, chatRateLimit, sendMessageValidation, sendMessage)
-router.get("/history/:userId", verifyToken, chatHistoryValidation, getChatHistory)
-router.get("/sessions", verifyToken, getChatSessions)
-router.delete("/session/:sessionId", verifyToken, deleteChatSession)
-router.put("/message/:messageId/reaction", verifyToken, messageReactionValidation, updateMessageReaction)
-router.get("/session/:sessionId/stats", verifyToken, getSessionStats)
+router.post(
+  "/send",
+  allowApiKey("chat:send"),
+  verifyToken,
+  authorize("chat:use"),
+  chatRateLimit,
+  enforceQuota("chatMessages", "tokens"),
+  sendMessageValidation,
+  sendMessage,
+)
+router.get(
+  "/history/:userId",
+  verifyToken,
+  authorize("chat:moderate", { owns: ownsParam("userId") }),
+  chatHistoryValidation,
+  getChatHistory,
+)
+router.get("/sessions", verifyToken, authorize("chat:use"), getChatSessions)
+router.get("/modes", verifyToken, authorize("chat:use"), listAvailableChatModes)
+router.get("/search", verifyToken, authorize("chat:use"), searchValidation, searchMessages)
+router.get("/export", verifyToken, authorize("chat:use"), domainExportValidation, exportDomainSessions)
+router.delete("/session/:sessionId", verifyToken, authorize("chat:use"), deleteChatSession)
+router.put("/message/:messageId/reaction", verifyToken, authorize("chat:use"), messageReactionValidation, updateMessageReaction)
+router.put(
+  "/message/:messageId",
+  allowApiKey("chat:send"),
+  verifyToken,
+  authorize("chat:use"),
+  chatRateLimit,
+  enforceQuota("chatMessages", "tokens"),
+  editMessageValidation,
+  editMessage,
+)
+router.post(
+  "/message/:messageId/regenerate",
+  allowApiKey("chat:send"),
+  verifyToken,
+  authorize("chat:use"),
+  chatRateLimit,
+  enforceQuota("chatMessages", "tokens"),
+  regenerateMessageValidation,
+  regenerateMessage,
+)
+router.get("/message/:messageId/context", verifyToken, authorize("chat:use"), messageContextValidation, getMessageContext)
+router.post("/message/:messageId/select", verifyToken, authorize("chat:use"), messageIdValidation, selectMessageBranch)
+router.get("/session/:sessionId/branches", verifyToken, authorize("chat:use"), getSessionBranches)
+router.get("/session/:sessionId/export", verifyToken, authorize("chat:use"), sessionExportValidation, exportChatSession)
+router.post("/session/:sessionId/share", verifyToken, authorize("chat:use"), createShareValidation, createSessionShare)
+router.get("/session/:sessionId/summary", verifyToken, authorize("chat:use"), getSessionSummary)
+
+// What the assistant remembers about the learner, per domain
+router.get("/memory", verifyToken, authorize("chat:use"), memoryDomainValidation, getLearnerMemory)
+router.delete("/memory", verifyToken, authorize("chat:use"), clearLearnerMemory)
+router.delete("/memory/:domain", verifyToken, authorize("chat:use"), memoryDomainValidation, clearLearnerMemory)
+router.post("/memory/:domain/facts", verifyToken, authorize("chat:use"), learnerFactValidation, addLearnerFact)
+router.put("/memory/:domain/facts/:factId", verifyToken, authorize("chat:use"), learnerFactValidation, updateLearnerFact)
+router.delete("/memory/:domain/facts/:factId", verifyToken, authorize("chat:use"), learnerFactIdValidation, deleteLearnerFact)
+router.get("/session/:sessionId/stats", verifyToken, authorize("chat:use"), getSessionStats)
+
+// Read-only share links (read through the public /api/shared/:token)
+router.get("/shares", verifyToken, authorize("chat:use"), listSharesValidation, listSessionShares)
+router.delete("/shares/:shareId", verifyToken, authorize("chat:use"), revokeSessionShare)
 
 module.exports = router
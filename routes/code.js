@@ -9,7 +9,9 @@ const {
   getLanguageStats,
   getTrendingIssues,
 } = require("../controllers/codeController")
-const { verifyToken, userRateLimit } = require("../middlewares/authMiddleware")
+const { allowApiKey, verifyToken, userRateLimit, authorize } = require("../middlewares/authMiddleware")
+const { ownsParam, ownsSubmission } = require("../services/policyService")
+const { enforceQuota, requireFeature } = require("../middlewares/quotaMiddleware")
 
 const router = express.Router()
 
@@ -70,12 +72,40 @@ const submissionFeedbackValidation = [
 const codeAnalysisRateLimit = userRateLimit(10, 60 * 60 * 1000) // 10 requests per hour
 
 // Routes
-router.post("/analyze", verifyToken, codeAnalysisRateLimit, analyzeCodeValidation, analyzeCode)
-router.get("/history/:userId", verifyToken, codeHistoryValidation, getCodeHistory)
-router.get("/submission/:id", verifyToken, getCodeSubmission)
-router.put("/submission/:id/feedback", verifyToken, submissionFeedbackValidation, updateSubmissionFeedback)
-router.delete("/submission/:id", verifyToken, deleteCodeSubmission)
-router.get("/stats/languages", verifyToken, getLanguageStats)
-router.get("/stats/trending", verifyToken, getTrendingIssues)
+router.post(
+  "/analyze",
+  allowApiKey("code:analyze"),
+  verifyToken,
+  authorize("code:analyze"),
+  codeAnalysisRateLimit,
+  enforceQuota("codeAnalyses", "tokens"),
+  analyzeCodeValidation,
+  analyzeCode,
+)
+router.get(
+  "/history/:userId",
+  verifyToken,
+  authorize("submission:moderate", { owns: ownsParam("userId") }),
+  codeHistoryValidation,
+  getCodeHistory,
+)
+router.get(
+  "/submission/:id",
+  allowApiKey("code:analyze"),
+  verifyToken,
+  authorize("submission:moderate", { owns: ownsSubmission }),
+  getCodeSubmission,
+)
+// Feedback belongs to the author, so moderators get no override here
+router.put("/submission/:id/feedback", verifyToken, authorize("code:analyze"), submissionFeedbackValidation, updateSubmissionFeedback)
+router.delete("/submission/:id", verifyToken, authorize("submission:moderate", { owns: ownsSubmission }), deleteCodeSubmission)
+router.get("/stats/languages", verifyToken, authorize("code:analyze"), getLanguageStats)
+router.get(
+  "/stats/trending",
+  verifyToken,
+  authorize("code:analyze"),
+  requireFeature("advancedAnalytics"),
+  getTrendingIssues,
+)
 
 module.exports = router
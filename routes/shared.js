@@ -0,0 +1,29 @@
+const express = require("express")
+const rateLimit = require("express-rate-limit")
+const { param, query } = require("express-validator")
+const { getSharedSession } = require("../controllers/shareController")
+
+const router = express.Router()
+
+// Public, so guessing passwords is limited per client IP
+const sharedViewLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: {
+    success: false,
+    message: "🚫 Too many requests for shared chats. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const sharedSessionValidation = [
+  param("token").matches(/^[\w-]{43}$/).withMessage("Invalid share link"),
+  query("format").optional().isIn(["json", "md", "html"]).withMessage("Format must be json, md, or html"),
+]
+
+// Routes
+router.get("/:token", sharedViewLimit, sharedSessionValidation, getSharedSession)
+router.post("/:token", sharedViewLimit, sharedSessionValidation, getSharedSession)
+
+module.exports = router
@@ -1,30 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const teamController = require('../controllers/teamcontroller');
+const { allowApiKey, verifyToken, authorize } = require('../middlewares/authMiddleware');
+const { managesTeam } = require('../services/policyService');
 
 // Create team
-router.post('/create', teamController.createTeam);
+router.post('/create', verifyToken, authorize('team:create'), teamController.createTeam);
 
 // Get team by code
-router.get('/:code', teamController.getTeam);
+router.get('/:code', allowApiKey('teams:read'), verifyToken, authorize('team:read'), teamController.getTeam);
 
-// Sync team (update)
-router.post('/sync', teamController.syncTeam);
+// Sync team (update; creates the team when the code is new)
+router.post(
+  '/sync',
+  verifyToken,
+  authorize('team:admin', { owns: managesTeam('canManageSettings', { codeFrom: 'body', allowMissing: true }) }),
+  teamController.syncTeam
+);
 
 // Get team stats
-router.get('/:code/stats', teamController.getTeamStats);
+router.get('/:code/stats', allowApiKey('teams:read'), verifyToken, authorize('team:read'), teamController.getTeamStats);
 
 // Delete team
-router.delete('/:code', teamController.deleteTeam);
+router.delete('/:code', verifyToken, authorize('team:admin', { owns: managesTeam('isAdmin') }), teamController.deleteTeam);
 
 // Get all teams (admin)
-router.get('/', teamController.getAllTeams);
+router.get('/', verifyToken, authorize('team:admin'), teamController.getAllTeams);
 
 // Add member
-router.post('/:code/members', teamController.addMember);
+router.post('/:code/members', verifyToken, authorize('team:admin', { owns: managesTeam('canManageMembers') }), teamController.addMember);
 
 // Add task
-router.post('/:code/tasks', teamController.addTask);
+router.post('/:code/tasks', verifyToken, authorize('team:admin', { owns: managesTeam('canCreateTasks') }), teamController.addTask);
 
 module.exports = router;
 
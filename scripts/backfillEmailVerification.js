@@ -0,0 +1,58 @@
+/**
+ * Marks accounts created before email verification existed as verified, so turning
+ * REQUIRE_EMAIL_VERIFICATION on does not lock them out of the app. Run it once when
+ * deploying email verification, before the new code serves traffic.
+ *
+ *   npm run migrate:email-verified            # write
+ *   npm run migrate:email-verified -- --dry-run
+ *
+ * Only accounts that never had a verification token are touched: anyone who signed up
+ * (or changed their email) since verification shipped still has to confirm the address.
+ * Safe to re-run.
+ */
+require("dotenv").config()
+const mongoose = require("mongoose")
+const User = require("../models/User")
+
+// Unverified, and never sent a verification link
+const LEGACY_FILTER = {
+  emailVerified: { $ne: true },
+  emailVerificationToken: { $exists: false },
+}
+
+/**
+ * Mark every legacy account verified
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Count what would be changed without changing it
+ * @returns {Promise<Object>} { users } - Accounts marked (or, on a dry run, to be marked) verified
+ */
+const backfillEmailVerification = async ({ dryRun = false } = {}) => {
+  if (dryRun) return { users: await User.countDocuments(LEGACY_FILTER) }
+
+  // Same status change as User.markEmailVerified; suspended and banned accounts stay so
+  await User.updateMany({ ...LEGACY_FILTER, accountStatus: "pending" }, { $set: { accountStatus: "verified" } })
+  const result = await User.updateMany(LEGACY_FILTER, { $set: { emailVerified: true } })
+
+  return { users: result.modifiedCount }
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run")
+
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => backfillEmailVerification({ dryRun }))
+    .then((summary) => {
+      console.log(`✅ Email verification ${dryRun ? "dry run" : "backfill"} complete:`, summary)
+      return mongoose.connection.close()
+    })
+    .catch(async (error) => {
+      console.error("🚨 Email Verification Backfill Error:", error)
+      await mongoose.connection.close()
+      process.exitCode = 1
+    })
+}
+
+module.exports = {
+  backfillEmailVerification,
+}
@@ -0,0 +1,138 @@
+/**
+ * Copies the per-domain conversations kept on User.conversationHistory into
+ * ChatMessage documents, one thread per conversation.
+ *
+ *   npm run migrate:chat-history            # write
+ *   npm run migrate:chat-history -- --dry-run
+ *
+ * Safe to re-run: conversations that already have migrated messages are skipped.
+ * The embedded history is left in place for the ingest chat endpoints.
+ */
+require("dotenv").config()
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const ChatMessage = require("../models/ChatMessage")
+
+const MIGRATED_FROM = "conversationHistory"
+const ROLE_MAP = { user: "user", assistant: "ai", system: "system" }
+
+const conversationKey = (domain) => domain.toLowerCase().replace(/\s+/g, "_")
+
+// Sessions recorded by User.addMessage carry the original domain name and id
+const findSession = (user, key) =>
+  (user.chatSessions || [])
+    .filter((session) => conversationKey(session.domainName) === key)
+    .sort((a, b) => (a.status === "active") - (b.status === "active") || a.startedAt - b.startedAt)
+    .pop()
+
+/**
+ * Build the ChatMessage documents for one conversation, chained parent to child
+ * @param {Object} user - User document
+ * @param {string} key - conversationHistory key
+ * @param {Array} conversation - Embedded messages, oldest first
+ * @returns {{ sessionId: string, messages: Array<Object> }}
+ */
+const buildThread = (user, key, conversation) => {
+  const session = findSession(user, key)
+  const sessionId = session?.sessionId || `legacy_${user._id}_${key}`
+  const domain = session?.domainName || key.replace(/_/g, " ")
+
+  const messages = []
+  let threadId = null
+  let parentId = null
+
+  for (const entry of conversation) {
+    const _id = new mongoose.Types.ObjectId()
+    threadId = threadId || _id
+    const timestamp = entry.timestamp || new Date()
+
+    messages.push({
+      _id,
+      userId: user._id,
+      sessionId,
+      role: ROLE_MAP[entry.role] || "user",
+      message: entry.content,
+      parentId,
+      threadId,
+      metadata: {
+        domain,
+        mode: "chat",
+        ...(entry.metadata?.model && { aiModel: entry.metadata.model }),
+        ...(entry.metadata?.tokens && { tokens: { total: entry.metadata.tokens } }),
+        ...(entry.metadata?.responseTime && { responseTime: entry.metadata.responseTime }),
+        migratedFrom: MIGRATED_FROM,
+      },
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    })
+    parentId = _id
+  }
+
+  return { sessionId, messages }
+}
+
+/**
+ * Migrate every user's conversation history
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Count what would be written without writing it
+ * @returns {Promise<Object>} Users, conversations and messages migrated or skipped
+ */
+const migrateConversationHistory = async ({ dryRun = false } = {}) => {
+  const summary = { users: 0, conversations: 0, messages: 0, skipped: 0 }
+  const cursor = User.find({ conversationHistory: { $exists: true } })
+    .select("conversationHistory chatSessions")
+    .cursor()
+
+  for await (const user of cursor) {
+    if (!user.conversationHistory?.size) continue
+    let migratedForUser = false
+
+    for (const [key, conversation] of user.conversationHistory.entries()) {
+      if (!conversation?.length) continue
+
+      const { sessionId, messages } = buildThread(user, key, conversation)
+      const alreadyMigrated = await ChatMessage.exists({
+        userId: user._id,
+        sessionId,
+        "metadata.migratedFrom": MIGRATED_FROM,
+      })
+      if (alreadyMigrated) {
+        summary.skipped += 1
+        continue
+      }
+
+      if (!dryRun) {
+        await ChatMessage.insertMany(messages, { ordered: true })
+      }
+      summary.conversations += 1
+      summary.messages += messages.length
+      migratedForUser = true
+    }
+
+    if (migratedForUser) summary.users += 1
+  }
+
+  return summary
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run")
+
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(() => migrateConversationHistory({ dryRun }))
+    .then((summary) => {
+      console.log(`✅ Conversation history ${dryRun ? "dry run" : "migration"} complete:`, summary)
+      return mongoose.connection.close()
+    })
+    .catch(async (error) => {
+      console.error("🚨 Conversation History Migration Error:", error)
+      await mongoose.connection.close()
+      process.exitCode = 1
+    })
+}
+
+module.exports = {
+  migrateConversationHistory,
+  buildThread,
+}
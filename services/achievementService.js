@@ -0,0 +1,185 @@
+const User = require("../models/User")
+const CodeSubmission = require("../models/CodeSubmission")
+const { DomainIngestion } = require("../models/DomainIngestion")
+const Team = require("../models/Team")
+const achievements = require("../config/achievements")
+const domainEvents = require("./domainEvents")
+const { logger } = require("../utils/logger")
+
+const A_GRADES = ["A+", "A"]
+
+// How far a user is along each metric referenced by config/achievements
+const METRICS = {
+  chatMessages: async (user) => user.stats?.totalChats || 0,
+  codeAnalyses: (user) => CodeSubmission.countDocuments({ userId: user._id, status: "completed" }),
+  gradeACodeAnalyses: (user) =>
+    CodeSubmission.countDocuments({
+      userId: user._id,
+      status: "completed",
+      "aiResponse.metrics.quality.grade": { $in: A_GRADES },
+    }),
+  completedIngestions: (user) => DomainIngestion.countDocuments({ userId: user._id, status: "completed" }),
+  ingestedDomains: async (user) =>
+    (await DomainIngestion.distinct("domain", { userId: user._id, status: "completed" })).length,
+  teamsJoined: (user) =>
+    Team.countDocuments({ $or: [{ "members.userId": user._id }, { "members.email": user.email }] }),
+  longestStreak: async (user) => user.stats?.streak?.longest || 0,
+}
+
+// Read each metric at most once, however many rules share it
+const createMetricReader = (user) => {
+  const cache = new Map()
+  return (metric) => {
+    if (!METRICS[metric]) throw new Error(`Unknown achievement metric: ${metric}`)
+    if (!cache.has(metric)) cache.set(metric, Promise.resolve(METRICS[metric](user)))
+    return cache.get(metric)
+  }
+}
+
+const unlockedKeys = (user) => new Set((user.stats?.achievements || []).map((achievement) => achievement.key))
+
+/**
+ * Progress toward a rule
+ * @param {Object} rule - Catalogue entry
+ * @param {number} current - Current metric value
+ * @returns {Object} { current, target, percent, met }
+ */
+const getProgress = (rule, current) => ({
+  current: Math.min(current, rule.target),
+  target: rule.target,
+  percent: Math.floor((Math.min(current, rule.target) / rule.target) * 100),
+  met: current >= rule.target,
+})
+
+/**
+ * Rules still locked for the user that `eventType` may affect
+ * @param {Object} user - User document
+ * @param {string} eventType - Domain event type, or null for every rule
+ * @returns {Array} Catalogue entries
+ */
+const getCandidateRules = (user, eventType = null) => {
+  const unlocked = unlockedKeys(user)
+  return achievements.filter((rule) => !unlocked.has(rule.id) && (!eventType || rule.events.includes(eventType)))
+}
+
+// Push the achievement unless already there, so concurrent evaluations cannot unlock twice
+const unlock = async (userId, rule) => {
+  const unlockedAt = new Date()
+  const result = await User.updateOne(
+    { _id: userId, "stats.achievements.key": { $ne: rule.id } },
+    {
+      $push: {
+        "stats.achievements": {
+          key: rule.id,
+          name: rule.name,
+          description: rule.description,
+          category: rule.category,
+          unlockedAt,
+        },
+      },
+    },
+  )
+
+  if (result.modifiedCount === 0) return null
+
+  const achievement = {
+    id: rule.id,
+    name: rule.name,
+    description: rule.description,
+    category: rule.category,
+    unlockedAt,
+  }
+
+  if (global.io) {
+    global.io.to(`user-${userId}`).emit("achievement_unlocked", achievement)
+  }
+  logger.info("Achievement unlocked", { userId: userId.toString(), achievement: rule.id })
+
+  return achievement
+}
+
+/**
+ * Unlock every rule the user now satisfies. Safe to run any number of times.
+ * @param {string} userId - User id
+ * @param {string} eventType - Domain event that triggered the evaluation, or null for all rules
+ * @returns {Promise<Array>} Achievements unlocked by this call
+ */
+const evaluateAchievements = async (userId, eventType = null) => {
+  const user = await User.findById(userId).select("email stats")
+  if (!user) return []
+
+  const rules = getCandidateRules(user, eventType)
+  const readMetric = createMetricReader(user)
+  const unlocked = []
+
+  for (const rule of rules) {
+    const current = await readMetric(rule.metric)
+    if (!getProgress(rule, current).met) continue
+
+    const achievement = await unlock(user._id, rule)
+    if (achievement) unlocked.push(achievement)
+  }
+
+  return unlocked
+}
+
+/**
+ * Unlocked achievements plus progress toward the locked ones
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { unlocked, locked, total }
+ */
+const getAchievementProgress = async (user) => {
+  const readMetric = createMetricReader(user)
+  const earned = new Map((user.stats?.achievements || []).filter((a) => a.key).map((a) => [a.key, a]))
+
+  const unlocked = []
+  const locked = []
+
+  for (const rule of achievements) {
+    const entry = {
+      id: rule.id,
+      name: rule.name,
+      description: rule.description,
+      category: rule.category,
+    }
+
+    if (earned.has(rule.id)) {
+      unlocked.push({ ...entry, unlockedAt: earned.get(rule.id).unlockedAt })
+      continue
+    }
+
+    const { met, ...progress } = getProgress(rule, await readMetric(rule.metric))
+    locked.push({ ...entry, progress })
+  }
+
+  return { unlocked, locked, total: achievements.length }
+}
+
+let unsubscribe = null
+
+// Evaluate achievements whenever a user-owned domain event is published
+const startAchievementEngine = () => {
+  if (unsubscribe) return unsubscribe
+
+  unsubscribe = domainEvents.subscribe(async (event) => {
+    if (!event.userId) return
+    await evaluateAchievements(event.userId, event.type)
+  })
+
+  return unsubscribe
+}
+
+const stopAchievementEngine = () => {
+  if (unsubscribe) unsubscribe()
+  unsubscribe = null
+}
+
+module.exports = {
+  METRICS,
+  getProgress,
+  getCandidateRules,
+  evaluateAchievements,
+  getAchievementProgress,
+  startAchievementEngine,
+  stopAchievementEngine,
+}
@@ -0,0 +1,105 @@
+const AdminAuditLog = require("../models/AdminAuditLog")
+const AuthEvent = require("../models/AuthEvent")
+const { logAuth } = require("../utils/logger")
+
+/**
+ * Persist a security event for an account and mirror it to the auth log.
+ * Storage failures are logged, never thrown, so auditing cannot break sign-in.
+ * @param {Object|null} req - Express request (IP, user agent, impersonator)
+ * @param {string} type - AuthEvent type, e.g. "login"
+ * @param {string|null} userId - Account the event concerns
+ * @param {boolean} success - Outcome
+ * @param {Object} info - { email, reason, actorId }; anything else is kept as details
+ * @returns {Promise<Object|null>} The stored event
+ */
+const recordAuthEvent = async (req, type, userId, success, { email, reason, actorId, ...details } = {}) => {
+  const ip = req?.ip
+  const userAgent = req?.get?.("User-Agent")
+  const actor = actorId || req?.impersonatorId
+
+  logAuth(type, userId, success, {
+    ...(email && { email }),
+    ...(reason && { reason }),
+    ...(actor && { actorId: actor }),
+    ...details,
+    ip,
+    userAgent,
+  })
+
+  try {
+    return await AuthEvent.create({
+      userId: userId || null,
+      email,
+      type,
+      success,
+      reason,
+      actorId: actor,
+      ip,
+      userAgent,
+      details,
+    })
+  } catch (error) {
+    console.error("🚨 Auth Event Error:", error)
+    return null
+  }
+}
+
+/**
+ * Persist an admin action and record it on the target's security trail
+ * @param {Object} req - Express request (actor is req.user)
+ * @param {string} action - Audit action, e.g. "user.suspend"
+ * @param {Object} target - { userId, reason, details }
+ * @returns {Promise<Object>} The audit entry
+ */
+const recordAdminAction = async (req, action, { userId, reason, details = {} } = {}) => {
+  const entry = await AdminAuditLog.create({
+    actorId: req.user._id,
+    action,
+    targetUserId: userId,
+    reason,
+    details,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  })
+
+  await recordAuthEvent(req, `admin:${action}`, userId, true, { ...details, reason, actorId: req.user._id })
+
+  return entry
+}
+
+/**
+ * Page through stored auth events, newest first
+ * @param {Object} filters - { userId, email, type, success, ip, from, to }
+ * @param {Object} paging - { page, limit, populate }
+ * @returns {Promise<Object>} { events, total }
+ */
+const findAuthEvents = async ({ userId, email, type, success, ip, from, to } = {}, { page = 1, limit = 20, populate = false } = {}) => {
+  const filter = {}
+  if (userId) filter.userId = userId
+  if (email) filter.email = String(email).toLowerCase()
+  if (type) filter.type = type
+  if (typeof success === "boolean") filter.success = success
+  if (ip) filter.ip = ip
+  if (from || to) {
+    filter.createdAt = {}
+    if (from) filter.createdAt.$gte = new Date(from)
+    if (to) filter.createdAt.$lte = new Date(to)
+  }
+
+  let query = AuthEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+  if (populate) {
+    query = query.populate("userId", "name email").populate("actorId", "name email")
+  }
+
+  const [events, total] = await Promise.all([query, AuthEvent.countDocuments(filter)])
+  return { events, total }
+}
+
+module.exports = {
+  recordAuthEvent,
+  findAuthEvents,
+  recordAdminAction,
+}
@@ -0,0 +1,162 @@
+const ChatMode = require("../models/ChatMode")
+const aiConfig = require("../config/ai")
+const { renderTemplate } = require("../utils/promptTemplate")
+
+// Modes the registry starts with. Changing a prompt here does not touch a registry that
+// already has the mode; admins publish new versions through /api/admin/chat-modes instead.
+const DEFAULT_MODES = [
+  {
+    key: "chat",
+    name: "Chat",
+    description: "General conversation about the domain",
+    systemPrompt:
+      "You are Synaptron, an AI assistant specialized in {{domain}}. You are helpful, knowledgeable, and provide clear explanations. Keep responses conversational but informative.",
+  },
+  {
+    key: "code",
+    name: "Code",
+    description: "Programming help with worked examples",
+    systemPrompt:
+      "You are Synaptron, a coding expert in {{domain}}. Help with programming questions, provide code examples, explain concepts, and debug issues. Format code properly with syntax highlighting.",
+  },
+  {
+    key: "debug",
+    name: "Debug",
+    description: "Step-by-step help finding and fixing bugs",
+    systemPrompt:
+      "You are Synaptron, a debugging specialist in {{domain}}. Help identify and fix bugs, explain error messages, and provide step-by-step debugging guidance.",
+  },
+  {
+    key: "help",
+    name: "Help",
+    description: "Patient guidance and instructions",
+    systemPrompt:
+      "You are Synaptron, a helpful assistant in {{domain}}. Provide guidance, explanations, and step-by-step instructions. Be patient and thorough in your explanations.",
+  },
+  {
+    key: "tutor",
+    name: "Tutor",
+    description: "Teaches one concept at a time and checks understanding",
+    systemPrompt:
+      "You are Synaptron, a patient {{domain}} tutor for a {{learnerLevel}} learner. Teach one concept at a time, build on what the learner already knows, and end each answer with a short question that checks their understanding.",
+  },
+  {
+    key: "interviewer",
+    name: "Interviewer",
+    description: "Mock technical interview",
+    systemPrompt:
+      "You are Synaptron, running a mock technical interview on {{domain}} for a {{learnerLevel}} candidate. Ask one question at a time, wait for the answer, then give brief feedback before moving on. Do not reveal model answers unless asked.",
+    temperature: 0.5,
+  },
+  {
+    key: "code-reviewer",
+    name: "Code reviewer",
+    description: "Reviews pasted code like a senior engineer",
+    systemPrompt:
+      "You are Synaptron, a senior {{domain}} engineer reviewing code from a {{learnerLevel}} developer. Point out bugs first, then readability and performance issues, each with a concrete fix. Keep praise short.",
+    temperature: 0.3,
+  },
+  {
+    key: "socratic",
+    name: "Socratic",
+    description: "Guides with questions instead of answers",
+    systemPrompt:
+      "You are Synaptron, a Socratic guide for {{domain}}. Do not give answers outright. Lead the {{learnerLevel}} learner to them with one focused question at a time, and confirm when they get there.",
+  },
+  {
+    key: "eli5",
+    name: "Explain like I'm five",
+    description: "Plain-language explanations with everyday analogies",
+    systemPrompt:
+      "You are Synaptron. Explain {{domain}} topics in plain language a curious five-year-old could follow, using everyday analogies and no jargon. Keep answers short.",
+  },
+]
+
+let seeded = null
+
+/**
+ * Add the default modes the registry is missing (existing ones are left alone). Runs once per process.
+ * @returns {Promise<void>}
+ */
+const ensureDefaultModes = () => {
+  if (!seeded) {
+    seeded = ChatMode.bulkWrite(
+      DEFAULT_MODES.map(({ key, name, description, ...version }) => ({
+        updateOne: {
+          filter: { key },
+          update: {
+            $setOnInsert: { key, name, description, builtIn: true, isActive: true, activeVersion: 1, versions: [{ ...version, version: 1 }] },
+          },
+          upsert: true,
+        },
+      })),
+    ).catch((error) => {
+      seeded = null
+      throw error
+    })
+  }
+  return seeded.then(() => undefined)
+}
+
+const withChatDefaults = ({ model = null, temperature = null, maxTokens = null }) => ({
+  model: model || aiConfig.chat.model,
+  temperature: temperature ?? aiConfig.chat.temperature,
+  maxTokens: maxTokens || aiConfig.chat.maxTokens,
+})
+
+const fromDefault = (key) => {
+  const mode = DEFAULT_MODES.find((entry) => entry.key === key)
+  return mode ? { key: mode.key, name: mode.name, version: 1, systemPrompt: mode.systemPrompt, ...withChatDefaults(mode) } : null
+}
+
+/**
+ * The live prompt version of a mode, with the chat defaults filled in
+ * @param {string} key - Mode key
+ * @returns {Promise<{ key, name, version, systemPrompt, model, temperature, maxTokens }|null>} null when unknown or disabled
+ */
+const resolveChatMode = async (key = aiConfig.chat.defaultMode) => {
+  await ensureDefaultModes()
+
+  const mode = await ChatMode.findOne({ key: String(key).toLowerCase() })
+  // A registry that lost a default (e.g. a wiped collection) still answers with the shipped prompt
+  if (!mode) return fromDefault(String(key).toLowerCase())
+
+  const current = mode.getVersion()
+  if (!mode.isActive || !current) return null
+
+  return { key: mode.key, name: mode.name, version: current.version, systemPrompt: current.systemPrompt, ...withChatDefaults(current) }
+}
+
+// Complexity the learner set for a domain (1-10) as a word a prompt can use
+const learnerLevel = (user, domain) => {
+  const preference = (user?.preferences?.domains || []).find(
+    (entry) => domain && entry.name.toLowerCase() === String(domain).toLowerCase(),
+  )
+  if (!preference) return "intermediate"
+  if (preference.complexity <= 3) return "beginner"
+  if (preference.complexity >= 8) return "advanced"
+  return "intermediate"
+}
+
+/**
+ * A mode's system prompt with its variables filled in for one learner and domain
+ * @param {Object} chatMode - resolveChatMode result
+ * @param {Object} context - { user, domain }
+ * @returns {string}
+ */
+const renderModePrompt = (chatMode, { user, domain } = {}) =>
+  renderTemplate(chatMode.systemPrompt, {
+    domain: domain || "general",
+    learnerLevel: learnerLevel(user, domain),
+    learnerName: user?.name?.split(" ")[0] || "the learner",
+    modeName: chatMode.name,
+    date: new Date().toISOString().slice(0, 10),
+  })
+
+module.exports = {
+  DEFAULT_MODES,
+  ensureDefaultModes,
+  resolveChatMode,
+  learnerLevel,
+  renderModePrompt,
+}
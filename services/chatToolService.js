@@ -0,0 +1,459 @@
+const CodeSubmission = require("../models/CodeSubmission")
+const Team = require("../models/Team")
+const aiConfig = require("../config/ai")
+const { sendChatCompletion, streamChatCompletion } = require("../utils/openaiClient")
+const { can } = require("./policyService")
+const { loadDomainGraph } = require("./retrievalService")
+const { runCodeAnalysis } = require("./codeAnalysisService")
+const { teamMemberMatch } = require("./privacyService")
+const { checkQuota } = require("./usageService")
+
+const AUTH_DISABLED = String(process.env.DISABLE_AUTH || "true").toLowerCase() === "true"
+
+// Tasks that still need doing, most urgent first
+const OPEN_TASK_STATUSES = ["backlog", "todo", "in_progress", "in_review", "blocked"]
+const PRIORITY_ORDER = ["P0-Critical", "P1-High", "P2-Medium", "P3-Low"]
+const MAX_MATCHES = 10
+const MAX_TASKS_PER_TEAM = 25
+
+const asArray = (value) => (Array.isArray(value) ? value.filter(Boolean) : [])
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+
+// Edges name their ends by node id or, in older graphs, by concept name
+const findNode = (nodes, ref) =>
+  nodes.find((node) => String(node.id) === String(ref)) || nodes.find((node) => node.name && sameText(node.name, ref)) || null
+
+const nodeSummary = (node) => ({
+  id: node.id ?? null,
+  name: node.name,
+  description: node.description || null,
+  ...(node.category && { category: node.category }),
+  ...(node.importance !== undefined && { importance: node.importance }),
+})
+
+const resolveEdges = (graph) => {
+  const nodes = asArray(graph.nodes)
+  return asArray(graph.edges)
+    .map((edge) => ({ from: findNode(nodes, edge.source), to: findNode(nodes, edge.target), relationship: edge.relationship || "related" }))
+    .filter((edge) => edge.from && edge.to)
+}
+
+const noGraph = (domain) => ({ domain, found: false, message: `Nothing has been ingested for ${domain} yet` })
+
+// Graph the tool should read: the argument, or the chat's own domain
+const graphFor = async (args, context) => {
+  const domain = args.domain || context.domain
+  if (!domain) return { domain: null, graph: null }
+  const graph = await loadDomainGraph(domain)
+  return { domain, graph: graph && asArray(graph.nodes).length > 0 ? graph : null }
+}
+
+const queryKnowledgeGraph = async (args, context) => {
+  const { domain, graph } = await graphFor(args, context)
+  if (!domain) return { found: false, message: "No domain given and the chat has none" }
+  if (!graph) return noGraph(domain)
+
+  const terms = String(args.query).toLowerCase().split(/\s+/).filter(Boolean)
+  const edges = resolveEdges(graph)
+
+  const matches = asArray(graph.nodes)
+    .filter((node) => node.name)
+    .map((node) => {
+      const name = node.name.toLowerCase()
+      const text = [node.description, node.category, ...asArray(node.keywords)].join(" ").toLowerCase()
+      const score = terms.reduce((total, term) => total + (name.includes(term) ? 2 : 0) + (text.includes(term) ? 1 : 0), 0)
+      return { node, score }
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.min(Number(args.limit) || MAX_MATCHES, MAX_MATCHES))
+
+  return {
+    domain,
+    found: matches.length > 0,
+    matches: matches.map(({ node }) => ({
+      ...nodeSummary(node),
+      related: edges
+        .filter((edge) => edge.from === node || edge.to === node)
+        .map((edge) =>
+          edge.from === node
+            ? { name: edge.to.name, relationship: edge.relationship, direction: "outgoing" }
+            : { name: edge.from.name, relationship: edge.relationship, direction: "incoming" },
+        ),
+    })),
+  }
+}
+
+// Shortest chain of concepts between two nodes. Edges point in learning order, so
+// those are tried first; concepts only linked against that order still get a path.
+const shortestPath = (edges, start, goal, { directed }) => {
+  const previous = new Map([[start, null]])
+  const queue = [start]
+
+  while (queue.length > 0) {
+    const node = queue.shift()
+    if (node === goal) break
+
+    for (const edge of edges) {
+      const next = edge.from === node ? edge.to : !directed && edge.to === node ? edge.from : null
+      if (next && !previous.has(next)) {
+        previous.set(next, { node, edge })
+        queue.push(next)
+      }
+    }
+  }
+  if (!previous.has(goal)) return null
+
+  const steps = [{ node: goal, edge: null }]
+  for (let step = previous.get(goal); step; step = previous.get(step.node)) steps.unshift(step)
+  return steps
+}
+
+const findLearningPath = async (args, context) => {
+  const { domain, graph } = await graphFor(args, context)
+  if (!domain) return { found: false, message: "No domain given and the chat has none" }
+  if (!graph) return noGraph(domain)
+
+  const nodes = asArray(graph.nodes)
+  const start = findNode(nodes, args.from)
+  const goal = findNode(nodes, args.to)
+  const missing = [!start && args.from, !goal && args.to].filter(Boolean)
+  if (missing.length > 0) {
+    return { domain, found: false, message: `Not in the ${domain} knowledge graph: ${missing.join(", ")}` }
+  }
+
+  const edges = resolveEdges(graph)
+  const steps = shortestPath(edges, start, goal, { directed: true }) || shortestPath(edges, start, goal, { directed: false })
+  if (!steps) return { domain, found: false, message: `${start.name} and ${goal.name} are not connected` }
+
+  return {
+    domain,
+    found: true,
+    steps: steps.map(({ node, edge }) => ({
+      ...nodeSummary(node),
+      ...(edge && { next: { relationship: edge.relationship, reversed: edge.from !== node } }),
+    })),
+  }
+}
+
+const analyzeSnippet = async (args, context) => {
+  const { submission, summary, qualityScore, fallback } = await runCodeAnalysis(context.user, {
+    title: args.title || "Snippet from chat",
+    code: args.code,
+    language: args.language,
+    framework: args.framework,
+    tags: ["chat"],
+  })
+  const analysis = submission.aiResponse || {}
+
+  return {
+    submissionId: submission._id.toString(),
+    summary: summary || analysis.summary || null,
+    qualityScore: qualityScore ?? analysis.qualityScore ?? null,
+    grade: analysis.metrics?.quality?.grade || null,
+    issues: asArray(analysis.insights).slice(0, 5),
+    suggestions: asArray(analysis.suggestions).slice(0, 5),
+    basicHeuristicsOnly: fallback,
+  }
+}
+
+const isAssignedTo = (task, user) =>
+  !!task.assignee && [user._id.toString(), user.email, user.name].some((value) => value && sameText(task.assignee, value))
+
+const listTeamTasks = async (args, context) => {
+  const { user } = context
+  const filter = { $or: [{ members: { $elemMatch: teamMemberMatch(user) } }, { createdBy: user._id.toString() }] }
+  if (args.teamCode) filter.code = String(args.teamCode).toUpperCase()
+
+  const teams = await Team.find(filter).select("code name tasks").lean()
+  if (args.teamCode && teams.length === 0) {
+    return { found: false, message: `You are not on a team with code ${filter.code}` }
+  }
+
+  return {
+    found: teams.length > 0,
+    teams: teams.map((team) => {
+      const open = asArray(team.tasks)
+        .filter((task) => OPEN_TASK_STATUSES.includes(task.status))
+        .filter((task) => !args.assignedToMe || isAssignedTo(task, user))
+        .sort(
+          (a, b) =>
+            PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority) ||
+            (a.dueDate ? new Date(a.dueDate).getTime() : Infinity) - (b.dueDate ? new Date(b.dueDate).getTime() : Infinity),
+        )
+
+      return {
+        code: team.code,
+        name: team.name,
+        openTasks: open.length,
+        tasks: open.slice(0, MAX_TASKS_PER_TEAM).map((task) => ({
+          id: task.id,
+          title: task.title,
+          status: task.status,
+          priority: task.priority,
+          assignee: task.assignee || null,
+          dueDate: task.dueDate || null,
+        })),
+      }
+    }),
+  }
+}
+
+// Everything the chat model may call. `permission` (config/permissions) is checked
+// against the caller's role and, for API key requests, `apiKeyScope` against the key.
+const TOOLS = [
+  {
+    name: "query_knowledge_graph",
+    description: "Look up concepts in the knowledge graph ingested for a domain, with how they relate to other concepts.",
+    permission: "chat:use",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Concept names or keywords to look for" },
+        domain: { type: "string", description: "Domain to search; defaults to the chat's domain" },
+        limit: { type: "integer", minimum: 1, maximum: MAX_MATCHES },
+      },
+      required: ["query"],
+    },
+    run: queryKnowledgeGraph,
+  },
+  {
+    name: "find_learning_path",
+    description: "Find the chain of concepts leading from one concept to another in a domain's knowledge graph.",
+    permission: "chat:use",
+    parameters: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "Concept the learner starts from (name or node id)" },
+        to: { type: "string", description: "Concept the learner wants to reach (name or node id)" },
+        domain: { type: "string", description: "Domain of the graph; defaults to the chat's domain" },
+      },
+      required: ["from", "to"],
+    },
+    run: findLearningPath,
+  },
+  {
+    name: "analyze_code",
+    description: "Run a code analysis on a snippet: issues, suggestions and a quality score. Saved to the user's submissions.",
+    permission: "code:analyze",
+    apiKeyScope: "code:analyze",
+    quota: "codeAnalyses",
+    parameters: {
+      type: "object",
+      properties: {
+        code: { type: "string", description: "The code to analyse" },
+        language: { type: "string", enum: CodeSubmission.schema.path("language").enumValues },
+        framework: { type: "string" },
+        title: { type: "string", description: "Short name for the submission" },
+      },
+      required: ["code", "language"],
+    },
+    run: analyzeSnippet,
+  },
+  {
+    name: "list_team_tasks",
+    description: "List the open tasks of the teams the user belongs to, most urgent first.",
+    permission: "team:read",
+    apiKeyScope: "teams:read",
+    parameters: {
+      type: "object",
+      properties: {
+        teamCode: { type: "string", description: "Only this team" },
+        assignedToMe: { type: "boolean", description: "Only tasks assigned to the user" },
+      },
+    },
+    run: listTeamTasks,
+  },
+]
+
+const TOOLS_BY_NAME = new Map(TOOLS.map((tool) => [tool.name, tool]))
+
+/**
+ * Why the caller may not use a tool, or null when they may
+ * @param {Object} tool - Entry of TOOLS
+ * @param {Object} context - { user, apiKey }
+ * @returns {string|null}
+ */
+const toolDenial = (tool, { user, apiKey } = {}) => {
+  if (!can(user, tool.permission)) return `Permission denied: ${tool.name} requires ${tool.permission}`
+  if (apiKey && tool.apiKeyScope && !apiKey.hasScope(tool.apiKeyScope)) {
+    return `Permission denied: the API key is missing the ${tool.apiKeyScope} scope`
+  }
+  return null
+}
+
+/**
+ * Why the caller's plan does not allow another run of a tool, or null when it does.
+ * Exempt the same callers as enforceQuota: the shared guest user and admins.
+ * @param {Object} tool - Entry of TOOLS
+ * @param {Object} context - { user }
+ * @returns {Promise<string|null>}
+ */
+const quotaDenial = async (tool, { user } = {}) => {
+  if (!tool.quota || AUTH_DISABLED || !user || user.role === "admin") return null
+
+  const quota = await checkQuota(user, tool.quota)
+  if (quota.allowed) return null
+  return `Quota exceeded: the ${tool.quota} allowance for this billing period is used up (resets ${new Date(quota.resetsAt).toISOString()})`
+}
+
+// Tools offered to the model: only the ones this caller could run
+const toolDefinitions = (context) =>
+  TOOLS.filter((tool) => !toolDenial(tool, context)).map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }))
+
+const parseArguments = (tool, raw) => {
+  let args
+  try {
+    args = raw ? JSON.parse(raw) : {}
+  } catch (error) {
+    return { error: "Arguments are not valid JSON" }
+  }
+  if (!args || typeof args !== "object" || Array.isArray(args)) return { error: "Arguments must be a JSON object" }
+
+  const missing = (tool.parameters.required || []).filter((name) => args[name] === undefined || args[name] === "")
+  if (missing.length > 0) return { args, error: `Missing required arguments: ${missing.join(", ")}` }
+  return { args }
+}
+
+/**
+ * Run one tool call from the model. Failures (unknown tool, bad arguments, permission,
+ * exhausted quota, errors thrown by the tool) are reported in `error` for the model to read, never thrown.
+ * @param {Object} toolCall - { id, function: { name, arguments } } as the model sent it
+ * @param {Object} context - { user, apiKey, domain }
+ * @returns {Promise<{ id, name, arguments, result, error, durationMs }>}
+ */
+const executeToolCall = async (toolCall, context) => {
+  const startTime = Date.now()
+  const name = toolCall.function?.name
+  const record = { id: toolCall.id, name, arguments: null, result: null, error: null }
+
+  const tool = TOOLS_BY_NAME.get(name)
+  if (!tool) {
+    record.error = `Unknown tool: ${name}`
+  } else {
+    const { args, error } = parseArguments(tool, toolCall.function.arguments)
+    record.arguments = args || null
+    record.error = error || toolDenial(tool, context)
+
+    if (!record.error) {
+      try {
+        record.error = await quotaDenial(tool, context)
+        if (!record.error) record.result = await tool.run(args, context)
+      } catch (runError) {
+        console.error(`🚨 Chat Tool Error (${name}):`, runError)
+        record.error = `The tool failed: ${runError.message}`
+      }
+    }
+  }
+
+  record.durationMs = Date.now() - startTime
+  return record
+}
+
+// What the model reads back for a call
+const toolMessageContent = (record) => {
+  const content = JSON.stringify(record.error ? { error: record.error } : record.result)
+  const { maxResultChars } = aiConfig.tools
+  return content.length > maxResultChars ? `${content.slice(0, maxResultChars)}... [truncated]` : content
+}
+
+// Rounds of model turn, then the tools it called, until it answers without tools.
+// `ask` makes one model turn and returns { content, calls, usage, processingTime, finishReason };
+// a turn with `stop` set (aborted or failed stream) ends the loop as it is.
+const toolLoop = async (messages, options, context, ask, onToolCall) => {
+  const { enabled, maxRounds } = aiConfig.tools
+  const tools = enabled ? toolDefinitions(context) : []
+  const conversation = [...messages]
+  const toolCalls = []
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  let processingTime = 0
+
+  for (let round = 1; ; round++) {
+    const offerTools = tools.length > 0 && round <= maxRounds
+    const turn = await ask(conversation, { ...options, ...(offerTools && { tools }) })
+
+    for (const key of Object.keys(usage)) usage[key] += turn.usage?.[key] || 0
+    processingTime += turn.processingTime || 0
+
+    const calls = offerTools && !turn.stop ? asArray(turn.calls) : []
+    if (calls.length === 0) {
+      return { turn, usage, processingTime, tokensUsed: usage.total_tokens, finishReason: turn.finishReason, toolCalls, rounds: round }
+    }
+
+    conversation.push({ role: "assistant", content: turn.content || null, tool_calls: calls })
+    // One at a time: later calls may depend on what earlier ones changed
+    for (const call of calls) {
+      const record = { ...(await executeToolCall(call, context)), round }
+      toolCalls.push(record)
+      if (onToolCall) onToolCall(record)
+      conversation.push({ role: "tool", tool_call_id: call.id, content: toolMessageContent(record) })
+    }
+  }
+}
+
+/**
+ * Ask the model for an answer, running the tools it calls in between. Each round's tool
+ * results go back to the model; after `maxRounds` it is asked to answer without tools.
+ * @param {Array<Object>} messages - Prompt messages (not modified)
+ * @param {Object} options - { model, maxTokens, temperature }
+ * @param {Object} context - { user, apiKey, domain }
+ * @returns {Promise<{ content, usage, processingTime, tokensUsed, finishReason, toolCalls, rounds }>}
+ */
+const runToolLoop = async (messages, options, context) => {
+  const { turn, ...result } = await toolLoop(messages, options, context, async (conversation, roundOptions) => {
+    const reply = await sendChatCompletion(conversation, roundOptions)
+    const choice = reply.data.choices[0]
+    return {
+      content: choice.message.content,
+      calls: choice.message.tool_calls,
+      usage: reply.data.usage,
+      processingTime: reply.processingTime,
+      finishReason: choice.finish_reason,
+    }
+  })
+
+  return { content: turn.content || "", ...result }
+}
+
+/**
+ * runToolLoop with every model turn streamed: text goes to `onDelta` as it arrives,
+ * each finished tool call to `onToolCall`. The content is all text streamed, so it
+ * matches what the listener saw. An abort or stream failure ends the loop with the
+ * text so far (`aborted` / `error`, as from streamChatCompletion).
+ * @param {Array<Object>} messages - Prompt messages (not modified)
+ * @param {Object} options - { model, maxTokens, temperature }
+ * @param {Object} context - { user, apiKey, domain }
+ * @param {Object} handlers - { onDelta, onToolCall, signal }
+ * @returns {Promise<{ content, usage, usageEstimated, processingTime, tokensUsed, finishReason, toolCalls, rounds, aborted, error }>}
+ */
+const streamToolLoop = async (messages, options, context, { onDelta, onToolCall, signal } = {}) => {
+  let content = ""
+  let usageEstimated = false
+
+  const { turn, ...result } = await toolLoop(
+    messages,
+    options,
+    context,
+    async (conversation, roundOptions) => {
+      const reply = await streamChatCompletion(conversation, roundOptions, { onDelta, signal })
+      content += reply.content || ""
+      usageEstimated = usageEstimated || !!reply.usageEstimated
+      return { ...reply, calls: reply.toolCalls, stop: reply.aborted || !!reply.error }
+    },
+    onToolCall,
+  )
+
+  return { content, ...result, usageEstimated, aborted: !!turn.aborted, error: turn.error || null }
+}
+
+module.exports = {
+  TOOLS,
+  toolDenial,
+  toolDefinitions,
+  executeToolCall,
+  runToolLoop,
+  streamToolLoop,
+}
@@ -0,0 +1,311 @@
+const CodeSubmission = require("../models/CodeSubmission")
+const User = require("../models/User")
+const { sendChatCompletion, generateCodeAnalysisPrompt } = require("../utils/openaiClient")
+const { logCode } = require("../utils/logger")
+const { recordUsage } = require("./usageService")
+const domainEvents = require("./domainEvents")
+
+const ANALYSIS_MODEL = "gpt-4"
+
+/**
+ * Analyse a snippet for a user and keep it as a code submission.
+ * When the model's answer cannot be parsed, basic heuristics are used instead (`fallback: true`).
+ * Any other AI failure marks the submission failed and is rethrown.
+ * @param {Object} user - User document (for usage metering)
+ * @param {Object} input - { title, code, language, framework, description, tags }
+ * @returns {Promise<{ submission, processingTime, tokensUsed, summary, qualityScore, fallback }>}
+ */
+const runCodeAnalysis = async (user, { title, code, language, framework, description, tags = [] }) => {
+  const userId = user._id
+
+  // Create code submission
+  const codeSubmission = new CodeSubmission({
+    userId,
+    title,
+    code,
+    language,
+    framework,
+    description,
+    tags,
+    status: "analyzing",
+  })
+
+  await codeSubmission.save()
+
+  const startTime = Date.now()
+
+  try {
+    // Generate analysis prompt
+    const messages = generateCodeAnalysisPrompt(code, language, framework, description)
+
+    // Use the updated OpenAI client with JSON enforcement
+    const aiResult = await sendChatCompletion(messages, {
+      model: ANALYSIS_MODEL,
+      maxTokens: 2000,
+      temperature: 0.3,
+      requireJSON: true, // Force JSON response
+    })
+
+    // Use the parsed JSON content
+    const aiAnalysis = aiResult.content // This is now parsed JSON
+    const processingTime = aiResult.processingTime
+
+    // Log code analysis activity
+    logCode("analyze", userId, codeSubmission._id, {
+      language,
+      framework,
+      tokensUsed: aiResult.tokensUsed,
+      processingTime,
+    })
+
+    // Extract structured insights from parsed JSON
+    const insights = aiAnalysis.issues || []
+    const suggestions = aiAnalysis.suggestions || []
+    const metrics = {
+      ...calculateCodeMetrics(code, language),
+      aiMetrics: aiAnalysis.metrics || {}
+    }
+
+    // Update code submission with AI response
+    codeSubmission.aiResponse = {
+      analysis: aiResult.rawContent, // Store original content
+      structuredAnalysis: aiAnalysis, // Store parsed JSON
+      insights: insights,
+      metrics: metrics,
+      suggestions: suggestions,
+      summary: aiAnalysis.summary || "Analysis completed",
+      qualityScore: aiAnalysis.quality_score || calculateQualityScore(metrics),
+      aiModel: ANALYSIS_MODEL,
+      processingTime,
+      confidence: 0.9,
+    }
+    codeSubmission.status = "completed"
+
+    await codeSubmission.save()
+
+    // Update user stats
+    await User.findByIdAndUpdate(userId, {
+      $inc: { "stats.totalCodeAnalyses": 1 },
+    })
+
+    await recordUsage(user, { codeAnalyses: 1, tokens: aiResult.tokensUsed })
+
+    domainEvents.publish(domainEvents.EVENTS.CODE_ANALYZED, {
+      userId,
+      submissionId: codeSubmission._id,
+      language,
+      grade: metrics.quality?.grade,
+    })
+
+    return {
+      submission: codeSubmission,
+      processingTime,
+      tokensUsed: aiResult.tokensUsed,
+      summary: aiAnalysis.summary,
+      qualityScore: aiAnalysis.quality_score,
+      fallback: false,
+    }
+  } catch (aiError) {
+    console.error("🤖 AI Analysis Error:", aiError)
+
+    // Handle JSON parsing errors specifically
+    if (aiError.message.includes('JSON')) {
+      console.error("JSON parsing failed, attempting fallback analysis...")
+      
+      // Fallback to basic analysis
+      const fallbackAnalysis = generateFallbackAnalysis(code, language)
+      
+      codeSubmission.aiResponse = {
+        analysis: "Analysis completed with basic heuristics due to AI parsing error",
+        insights: fallbackAnalysis.insights,
+        metrics: fallbackAnalysis.metrics,
+        suggestions: fallbackAnalysis.suggestions,
+        aiModel: "fallback",
+        processingTime: Date.now() - startTime,
+        confidence: 0.6,
+        error: "AI response parsing failed, used fallback analysis"
+      }
+      codeSubmission.status = "completed"
+      await codeSubmission.save()
+
+      await recordUsage(user, { codeAnalyses: 1 })
+
+      domainEvents.publish(domainEvents.EVENTS.CODE_ANALYZED, {
+        userId,
+        submissionId: codeSubmission._id,
+        language,
+        grade: fallbackAnalysis.metrics?.quality?.grade,
+      })
+
+      return {
+        submission: codeSubmission,
+        processingTime: Date.now() - startTime,
+        tokensUsed: 0,
+        summary: fallbackAnalysis.summary,
+        qualityScore: null,
+        fallback: true,
+      }
+    }
+
+    // Update submission status to failed
+    codeSubmission.status = "failed"
+    codeSubmission.aiResponse = {
+      error: aiError.message,
+      failedAt: new Date(),
+      processingTime: Date.now() - startTime
+    }
+    await codeSubmission.save()
+
+    throw aiError
+  }
+}
+
+// Helper function to generate fallback analysis when AI fails
+const generateFallbackAnalysis = (code, language) => {
+  const lines = code.split("\n")
+  const nonEmptyLines = lines.filter((line) => line.trim().length > 0)
+  
+  const insights = []
+  const suggestions = []
+  
+  // Basic code analysis
+  if (code.includes("eval(")) {
+    insights.push({
+      type: "security",
+      severity: "high",
+      message: "Use of eval() detected - potential security risk",
+      line: findLineNumber(code, "eval("),
+      fixable: true
+    })
+  }
+  
+  if (code.includes("innerHTML")) {
+    insights.push({
+      type: "security",
+      severity: "medium",
+      message: "Use of innerHTML detected - consider using textContent for safety",
+      line: findLineNumber(code, "innerHTML"),
+      fixable: true
+    })
+  }
+  
+  // Check for very long lines
+  lines.forEach((line, index) => {
+    if (line.length > 120) {
+      insights.push({
+        type: "style",
+        severity: "low",
+        message: "Line exceeds 120 characters",
+        line: index + 1,
+        fixable: true
+      })
+    }
+  })
+  
+  const metrics = calculateCodeMetrics(code, language)
+  
+  if (metrics.complexity.cyclomatic > 10) {
+    suggestions.push({
+      category: "refactoring",
+      priority: "high",
+      title: "High Complexity Detected",
+      description: "Consider breaking down complex functions into smaller ones",
+      impact: "Improved maintainability and readability"
+    })
+  }
+  
+  return {
+    insights,
+    suggestions,
+    metrics,
+    summary: `Basic analysis completed. Found ${insights.length} issues and ${suggestions.length} suggestions.`
+  }
+}
+
+// Helper function to find line number of a pattern
+const findLineNumber = (code, pattern) => {
+  const lines = code.split("\n")
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].includes(pattern)) {
+      return i + 1
+    }
+  }
+  return null
+}
+
+// Helper function to calculate quality score
+const calculateQualityScore = (metrics) => {
+  const complexityScore = Math.max(0, 100 - (metrics.complexity.cyclomatic * 5))
+  const maintainabilityScore = metrics.quality.score || 75
+  return Math.round((complexityScore + maintainabilityScore) / 2)
+}
+
+// Helper function to calculate basic code metrics
+const calculateCodeMetrics = (code, language) => {
+  const lines = code.split("\n")
+  const nonEmptyLines = lines.filter((line) => line.trim().length > 0)
+
+  const cyclomaticComplexity = calculateCyclomaticComplexity(code, language)
+  const maintainabilityIndex = Math.max(0, 171 - 5.2 * Math.log(nonEmptyLines.length) - 0.23 * cyclomaticComplexity)
+
+  return {
+    complexity: {
+      cyclomatic: cyclomaticComplexity,
+      cognitive: Math.min(cyclomaticComplexity * 1.2, 50),
+      maintainability: Math.round(maintainabilityIndex),
+    },
+    quality: {
+      score: Math.max(20, Math.min(100, maintainabilityIndex)),
+      grade: getQualityGrade(maintainabilityIndex),
+    },
+    performance: {
+      timeComplexity: "O(n)",
+      spaceComplexity: "O(1)",
+      bottlenecks: [],
+    },
+    security: {
+      vulnerabilities: [],
+      score: 85,
+    },
+  }
+}
+
+// Helper function to calculate cyclomatic complexity
+const calculateCyclomaticComplexity = (code, language) => {
+  const complexityKeywords = {
+    javascript: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
+    python: ["if", "elif", "else", "for", "while", "except", "and", "or"],
+    java: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
+    cpp: ["if", "else", "for", "while", "switch", "case", "catch", "&&", "||", "?"],
+  }
+
+  const keywords = complexityKeywords[language] || complexityKeywords.javascript
+  let complexity = 1
+
+  keywords.forEach((keyword) => {
+    const regex = new RegExp(`\\b${keyword}\\b`, "gi")
+    const matches = code.match(regex)
+    if (matches) {
+      complexity += matches.length
+    }
+  })
+
+  return Math.min(complexity, 50)
+}
+
+// Helper function to get quality grade
+const getQualityGrade = (score) => {
+  if (score >= 90) return "A+"
+  if (score >= 85) return "A"
+  if (score >= 80) return "B+"
+  if (score >= 75) return "B"
+  if (score >= 70) return "C+"
+  if (score >= 65) return "C"
+  if (score >= 60) return "D+"
+  if (score >= 55) return "D"
+  return "F"
+}
+
+module.exports = {
+  runCodeAnalysis,
+}
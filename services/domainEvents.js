@@ -0,0 +1,49 @@
+const { logger } = require("../utils/logger")
+
+// Things that happened in the app that other features may react to
+const EVENTS = {
+  CHAT_MESSAGE_SENT: "chat.message_sent",
+  CODE_ANALYZED: "code.analyzed",
+  INGESTION_COMPLETED: "ingest.completed",
+  TEAM_JOINED: "team.joined",
+}
+
+const subscribers = new Set()
+
+/**
+ * Listen to every domain event
+ * @param {Function} handler - async ({ type, userId, occurredAt, ...payload }) => void
+ * @returns {Function} Unsubscribe
+ */
+const subscribe = (handler) => {
+  subscribers.add(handler)
+  return () => subscribers.delete(handler)
+}
+
+/**
+ * Deliver an event to every subscriber. Handler failures are logged, never thrown,
+ * so callers can fire and forget; await the result when the outcome matters (tests).
+ * @param {string} type - One of EVENTS
+ * @param {Object} payload - Must include userId when the event belongs to a user
+ * @returns {Promise<Array>} Settled handler results
+ */
+const publish = (type, payload = {}) => {
+  const event = { type, occurredAt: new Date(), ...payload }
+
+  return Promise.allSettled(
+    [...subscribers].map((handler) =>
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch((error) => {
+          logger.error("Domain event handler failed", { type, error: error.message })
+          throw error
+        }),
+    ),
+  )
+}
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish,
+}
@@ -0,0 +1,258 @@
+const mongoose = require("mongoose")
+const ChatMessage = require("../models/ChatMessage")
+const { createZip } = require("../utils/zip")
+const { escapeHtml, markdownToHtml } = require("../utils/markdown")
+
+const FORMATS = {
+  md: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+}
+
+// Sessions per bulk archive; older ones are left out
+const MAX_BULK_SESSIONS = 200
+
+const ROLE_LABELS = { user: "You", ai: "Synaptron", system: "System" }
+// Read-only links are read by someone other than the author
+const SHARED_ROLE_LABELS = { ...ROLE_LABELS, user: "Learner" }
+
+const formatDate = (date) => (date ? new Date(date).toISOString().replace("T", " ").slice(0, 19) + " UTC" : "—")
+
+/**
+ * The branch of a session the user is on, with its statistics
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} null when the session has no messages
+ */
+const loadSessionExport = async (userId, sessionId) => {
+  const [{ path }, stats] = await Promise.all([
+    ChatMessage.getActivePath(userId, sessionId),
+    ChatMessage.getSessionStats(userId, sessionId),
+  ])
+  if (path.length === 0) return null
+
+  return {
+    sessionId,
+    title: `${stats?.domain || "General"} chat — ${formatDate(stats?.firstMessageAt).slice(0, 10)}`,
+    stats,
+    messages: path.map((message) => ({
+      id: message._id,
+      role: message.role,
+      message: message.message,
+      createdAt: message.createdAt,
+      isEdited: !!message.isEdited,
+      reactions: message.reactions || {},
+      citations: message.metadata?.citations || [],
+      aiModel: message.metadata?.aiModel || null,
+    })),
+  }
+}
+
+const statsLines = (session, shared) => {
+  const { stats } = session
+  const messages = `${stats?.messageCount ?? session.messages.length} (${stats?.userMessages ?? 0} from ${
+    shared ? "the learner" : "you"
+  }, ${stats?.aiMessages ?? 0} answers)`
+
+  return [
+    ...(shared ? [] : [["Session", session.sessionId]]),
+    ["Domain", stats?.domain || "General"],
+    ["Mode", stats?.mode || "chat"],
+    ["Messages", messages],
+    ["Started", formatDate(stats?.firstMessageAt)],
+    ["Last message", formatDate(stats?.lastMessageAt)],
+    ...(shared ? [] : [["Tokens", stats?.totalTokens ?? 0]]),
+    ...(stats?.avgRating ? [["Average rating", `${Math.round(stats.avgRating * 10) / 10}/5`]] : []),
+  ]
+}
+
+const reactionText = (reactions) =>
+  [
+    reactions.liked === true && "👍 liked",
+    reactions.liked === false && "👎 disliked",
+    reactions.helpful && "✅ helpful",
+    reactions.rating && `★ ${reactions.rating}/5`,
+  ]
+    .filter(Boolean)
+    .join(" · ")
+
+const citationText = (citation) =>
+  [
+    `[${citation.index}] ${citation.title}`,
+    citation.url,
+    citation.nodeId && `node ${citation.nodeId}`,
+  ]
+    .filter(Boolean)
+    .join(" — ")
+
+const renderMarkdown = (session, shared) => {
+  const labels = shared ? SHARED_ROLE_LABELS : ROLE_LABELS
+  const parts = [`# ${session.title}`, "", ...statsLines(session, shared).map(([label, value]) => `- **${label}:** ${value}`)]
+
+  for (const message of session.messages) {
+    parts.push(
+      "",
+      "---",
+      "",
+      `### ${labels[message.role] || message.role} · ${formatDate(message.createdAt)}${message.isEdited ? " (edited)" : ""}`,
+      "",
+      message.message,
+    )
+    if (message.citations.length) {
+      parts.push("", "**Sources**", "", ...message.citations.map((citation) => `- ${citationText(citation)}`))
+    }
+    const reactions = reactionText(message.reactions)
+    if (reactions) parts.push("", `_${reactions}_`)
+  }
+
+  return `${parts.join("\n")}\n`
+}
+
+const HTML_STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.55; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  article { border-top: 1px solid #d0d7de; padding: 1rem 0; }
+  article.ai header { color: #0969da; }
+  header { font-weight: 600; margin-bottom: .5rem; }
+  time { font-weight: 400; color: #656d76; font-size: .875rem; }
+  pre { background: #f6f8fa; padding: .75rem; overflow-x: auto; border-radius: 6px; }
+  code { font-family: ui-monospace, monospace; font-size: .875rem; }
+  .sources, .reactions { font-size: .875rem; color: #656d76; }`
+
+const renderHtml = (session, shared) => {
+  const labels = shared ? SHARED_ROLE_LABELS : ROLE_LABELS
+  const meta = statsLines(session, shared)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join("")
+
+  const articles = session.messages.map((message) => {
+    const sources = message.citations.length
+      ? `<ol class="sources">${message.citations
+          .map(
+            (citation) =>
+              `<li value="${Number(citation.index) || ""}">${
+                /^https?:\/\//i.test(citation.url || "")
+                  ? `<a href="${escapeHtml(citation.url)}" rel="noopener noreferrer">${escapeHtml(citation.title)}</a>`
+                  : escapeHtml(citation.title)
+              }${citation.nodeId ? ` <small>(node ${escapeHtml(citation.nodeId)})</small>` : ""}</li>`,
+          )
+          .join("")}</ol>`
+      : ""
+    const reactions = reactionText(message.reactions)
+
+    return `<article class="${escapeHtml(message.role)}">
+<header>${escapeHtml(labels[message.role] || message.role)} <time datetime="${new Date(message.createdAt).toISOString()}">${escapeHtml(
+      formatDate(message.createdAt),
+    )}</time>${message.isEdited ? " <small>(edited)</small>" : ""}</header>
+${markdownToHtml(message.message)}
+${sources}${reactions ? `<p class="reactions">${escapeHtml(reactions)}</p>` : ""}
+</article>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(session.title)}</h1>
+<dl>${meta}</dl>
+${articles.join("\n")}
+</body>
+</html>
+`
+}
+
+const renderJson = (session) =>
+  JSON.stringify({ exportedAt: new Date().toISOString(), ...session }, null, 2)
+
+/**
+ * Render a loaded session export
+ * @param {Object} session - loadSessionExport result
+ * @param {string} format - md, html or json
+ * @param {Object} options
+ * @param {boolean} options.shared - For a public link: no session ID or token counts, neutral role labels
+ * @returns {string}
+ */
+const renderSession = (session, format, { shared = false } = {}) => {
+  if (format === "html") return renderHtml(session, shared)
+  if (format === "json") return renderJson(session)
+  return renderMarkdown(session, shared)
+}
+
+const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "chat"
+
+/**
+ * File name for one exported session
+ * @param {Object} session - loadSessionExport result
+ * @param {string} format
+ * @returns {string}
+ */
+const exportFileName = (session, format) =>
+  [
+    slugify(session.stats?.domain || "chat"),
+    session.stats?.firstMessageAt && new Date(session.stats.firstMessageAt).toISOString().slice(0, 10),
+    slugify(session.sessionId).replace(/^session-/, ""),
+  ]
+    .filter(Boolean)
+    .join("-") + `.${FORMATS[format].extension}`
+
+/**
+ * Every session of one domain, one file each, zipped
+ * @param {string} userId
+ * @param {string} domain - Matched exactly against metadata.domain
+ * @param {string} format - md, html or json
+ * @returns {Promise<{ archive: Buffer, sessionCount: number }|null>} null when the domain has no sessions
+ */
+const buildDomainArchive = async (userId, domain, format) => {
+  const sessions = await ChatMessage.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), "metadata.domain": domain, isDeleted: false } },
+    { $group: { _id: "$sessionId", lastMessageAt: { $max: "$createdAt" } } },
+    { $sort: { lastMessageAt: -1 } },
+    { $limit: MAX_BULK_SESSIONS },
+  ])
+  if (sessions.length === 0) return null
+
+  const files = []
+  const usedNames = new Set()
+  for (const { _id: sessionId } of sessions) {
+    const session = await loadSessionExport(userId, sessionId)
+    if (!session) continue
+
+    const baseName = exportFileName(session, format)
+    let name = baseName
+    for (let n = 2; usedNames.has(name); n++) name = baseName.replace(/(\.\w+)$/, `-${n}$1`)
+    usedNames.add(name)
+    files.push({ name, data: renderSession(session, format) })
+  }
+
+  const manifest = {
+    domain,
+    format,
+    exportedAt: new Date().toISOString(),
+    sessions: files.map((file) => file.name),
+  }
+
+  return {
+    archive: createZip([{ name: "manifest.json", data: JSON.stringify(manifest, null, 2) }, ...files]),
+    sessionCount: files.length,
+  }
+}
+
+module.exports = {
+  FORMATS,
+  loadSessionExport,
+  renderSession,
+  exportFileName,
+  buildDomainArchive,
+}
@@ -2111,6 +2111,7 @@ calculateGraphComplexity(nodes, edges) {
       const ingestionRecord = new DomainIngestion({
         sessionId: results.sessionId,
         domain: results.domain,
+        userId: results.userId,
         status: results.success ? 'completed' : 'failed',
         
         analysisResults: sanitizedAnalysisResults,
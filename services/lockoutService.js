@@ -0,0 +1,46 @@
+const authConfig = require("../config/auth")
+const { recordAuthEvent } = require("./auditService")
+
+/**
+ * Answer 423 with how long the caller has to wait
+ * @param {Object} res - Express response
+ * @param {Date} lockUntil - When the lock ends
+ */
+const sendAccountLocked = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((new Date(lockUntil).getTime() - Date.now()) / 1000))
+  res.set("Retry-After", String(retryAfter))
+  return res.status(423).json({
+    success: false,
+    message: "🔒 Account temporarily locked due to too many failed login attempts.",
+    code: "ACCOUNT_LOCKED",
+    lockedUntil: new Date(lockUntil).toISOString(),
+    retryAfter,
+  })
+}
+
+/**
+ * Count a failed login step (password or second factor)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {string} reason - Why the attempt failed
+ * @returns {Promise<Object>} { locked, lockUntil, lockCount }
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  const result = await user.incLoginAttempts({ ...authConfig.lockout, ip: req.ip })
+  await recordAuthEvent(req, "login", user._id, false, { email: user.email, reason })
+
+  if (result.locked) {
+    await recordAuthEvent(req, "account_locked", user._id, true, {
+      email: user.email,
+      lockedUntil: result.lockUntil,
+      lockCount: result.lockCount,
+    })
+  }
+
+  return result
+}
+
+module.exports = {
+  sendAccountLocked,
+  recordFailedLogin,
+}
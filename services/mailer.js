@@ -0,0 +1,118 @@
+const fs = require("fs").promises
+const path = require("path")
+const crypto = require("crypto")
+const OutboxEmail = require("../models/OutboxEmail")
+const authConfig = require("../config/auth")
+const { logger } = require("../utils/logger")
+const { escapeHtml } = require("../utils/markdown")
+
+/**
+ * A transport is any object with a `name` and an async `send(message)`.
+ * Register real providers (SMTP, SES, ...) with `registerTransport`.
+ */
+const transports = {
+  // Stores every message in the OutboxEmail collection
+  outbox: {
+    name: "outbox",
+    send: async (message) => {
+      const record = await OutboxEmail.create(message)
+      return { id: record._id.toString() }
+    },
+  },
+
+  // Writes every message as a JSON file under MAIL_OUTBOX_DIR
+  file: {
+    name: "file",
+    send: async (message) => {
+      const dir = path.isAbsolute(authConfig.mail.outboxDir)
+        ? authConfig.mail.outboxDir
+        : path.join(__dirname, "..", authConfig.mail.outboxDir)
+      await fs.mkdir(dir, { recursive: true })
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ ...message, createdAt: new Date() }, null, 2))
+      return { id }
+    },
+  },
+}
+
+let activeTransport = null
+
+const registerTransport = (transport) => {
+  if (!transport || !transport.name || typeof transport.send !== "function") {
+    throw new Error("Mail transport must have a name and a send(message) function")
+  }
+  transports[transport.name] = transport
+}
+
+const setTransport = (nameOrTransport) => {
+  if (typeof nameOrTransport === "object") {
+    registerTransport(nameOrTransport)
+    activeTransport = nameOrTransport
+    return activeTransport
+  }
+
+  if (!transports[nameOrTransport]) {
+    throw new Error(`Unknown mail transport: ${nameOrTransport}`)
+  }
+  activeTransport = transports[nameOrTransport]
+  return activeTransport
+}
+
+const getTransport = () => activeTransport || setTransport(authConfig.mail.transport)
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html, template, metadata }
+ * @returns {Promise<Object>} Transport result ({ id })
+ */
+const sendMail = async (message) => {
+  const transport = getTransport()
+  const payload = { from: authConfig.mail.from, ...message }
+
+  try {
+    const result = await transport.send(payload)
+    logger.info("Mail sent", { transport: transport.name, to: payload.to, template: payload.template })
+    return result
+  } catch (error) {
+    logger.error("Mail delivery failed", { transport: transport.name, to: payload.to, error: error.message })
+    throw error
+  }
+}
+
+// Templates
+const sendVerificationEmail = (user, token) => {
+  const link = `${authConfig.clientUrl}/verify-email?token=${encodeURIComponent(token)}`
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your Synaptron email address",
+    template: "verify-email",
+    text: `Hi ${user.name},\n\nConfirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${authConfig.emailVerification.tokenTtlHours} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening the link below:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>The link expires in ${authConfig.emailVerification.tokenTtlHours} hours.</p>`,
+    metadata: { userId: user._id.toString() },
+  })
+}
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${authConfig.clientUrl}/reset-password?token=${encodeURIComponent(token)}`
+  const ttl = authConfig.passwordReset.tokenTtlMinutes
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Synaptron password",
+    template: "reset-password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, open the link below:\n\n${link}\n\nThe link expires in ${ttl} minutes and can be used once. If you did not ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset the password for this account. If it was you, open the link below:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>The link expires in ${ttl} minutes and can be used once. If you did not ask for this, ignore this email.</p>`,
+    metadata: { userId: user._id.toString() },
+  })
+}
+
+module.exports = {
+  registerTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+}
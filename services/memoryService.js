@@ -0,0 +1,178 @@
+const SessionSummary = require("../models/SessionSummary")
+const LearnerMemory = require("../models/LearnerMemory")
+const aiConfig = require("../config/ai")
+const { sendChatCompletion, cleanAndParseJSON } = require("../utils/openaiClient")
+const { recordUsage } = require("./usageService")
+
+// Same normalisation as User.conversationHistory keys
+const memoryDomainKey = (domain) => String(domain).trim().toLowerCase().replace(/\s+/g, "_")
+
+/**
+ * Facts about a learner in one domain, oldest first
+ * @param {string} userId
+ * @param {string} domain
+ * @returns {Promise<Array<string>>}
+ */
+const getLearnerFacts = async (userId, domain) => {
+  if (!domain) return []
+  const memory = await LearnerMemory.findOne({ userId, domain: memoryDomainKey(domain) }).lean()
+  return memory ? memory.facts.map((fact) => fact.text) : []
+}
+
+/**
+ * Add facts to a learner's memory, skipping ones already known (case-insensitive).
+ * Past the cap, the oldest learned ("auto") facts are dropped; facts the user wrote stay.
+ * @param {string} userId
+ * @param {string} domain
+ * @param {Array<string>} texts
+ * @param {string} source - "auto" or "user"
+ * @returns {Promise<Object>} LearnerMemory document
+ */
+const addLearnerFacts = async (userId, domain, texts, source = "auto") => {
+  const key = memoryDomainKey(domain)
+  const memory = (await LearnerMemory.findOne({ userId, domain: key })) || new LearnerMemory({ userId, domain: key })
+
+  const known = new Set(memory.facts.map((fact) => fact.text.toLowerCase()))
+  for (const text of texts) {
+    const trimmed = typeof text === "string" ? text.trim().slice(0, 500) : ""
+    if (!trimmed || known.has(trimmed.toLowerCase())) continue
+    known.add(trimmed.toLowerCase())
+    memory.facts.push({ text: trimmed, source })
+  }
+
+  let overflow = memory.facts.length - aiConfig.memory.maxFacts
+  while (overflow > 0) {
+    const oldestLearned = memory.facts.findIndex((fact) => fact.source === "auto")
+    if (oldestLearned === -1) break
+    memory.facts.splice(oldestLearned, 1)
+    overflow -= 1
+  }
+
+  return memory.save()
+}
+
+const transcript = (messages) =>
+  messages.map((message) => `${message.role === "ai" ? "Assistant" : "Learner"}: ${message.message}`).join("\n\n")
+
+/**
+ * Fold messages into a running summary and pick out new facts about the learner
+ * @param {Object} input
+ * @param {string} input.previousSummary - Summary so far ("" for none)
+ * @param {Array<Object>} input.messages - ChatMessages to fold in, oldest first
+ * @param {string} input.domain
+ * @param {Array<string>} input.knownFacts - Facts already stored, so they are not repeated
+ * @param {Object} input.user - User document the completion's tokens are metered to (optional)
+ * @param {Function} complete - Chat completion function (sendChatCompletion signature)
+ * @returns {Promise<{ summary: string, facts: Array<string> }>}
+ */
+const summarizeMessages = async ({ previousSummary, messages, domain, knownFacts = [], user }, complete = sendChatCompletion) => {
+  const prompt = [
+    {
+      role: "system",
+      content:
+        `You maintain the memory of a tutoring conversation about ${domain || "general topics"}. ` +
+        "Update the running summary with the new messages: keep the learner's goals, decisions, open questions " +
+        "and what has already been explained; drop small talk. Stay under 250 words. " +
+        'Also list up to 5 new durable facts about the learner (goals, level, background, preferences), not about the topic. ' +
+        'Respond as JSON: {"summary": string, "facts": string[]}',
+    },
+    {
+      role: "user",
+      content:
+        `Summary so far:\n${previousSummary || "(none)"}\n\n` +
+        `Facts already known:\n${knownFacts.length ? knownFacts.map((fact) => `- ${fact}`).join("\n") : "(none)"}\n\n` +
+        `New messages:\n${transcript(messages)}`,
+    },
+  ]
+
+  const result = await complete(prompt, {
+    model: aiConfig.memory.summaryModel,
+    maxTokens: 600,
+    temperature: 0.2,
+    requireJSON: true,
+  })
+  // Spent whether or not the answer turns out usable
+  if (user) await recordUsage(user, { tokens: result.tokensUsed })
+
+  // sendChatCompletion parses JSON itself and hands back the raw text when it could not
+  const parsed =
+    result.content && typeof result.content === "object" ? result.content : cleanAndParseJSON(result.rawContent || "")
+
+  if (typeof parsed.summary !== "string" || !parsed.summary.trim()) {
+    throw new Error("Summary response had no summary")
+  }
+
+  return {
+    summary: parsed.summary.trim().slice(0, 10000),
+    facts: Array.isArray(parsed.facts) ? parsed.facts.filter((fact) => typeof fact === "string") : [],
+  }
+}
+
+/**
+ * Decide what of a branch goes into the prompt. Messages already covered by the
+ * session summary are replaced by it; when too many uncovered messages pile up, the
+ * oldest are folded into the summary (and learner facts) so only the window remains.
+ * If summarising fails the branch is simply cut to the window.
+ * @param {Object} userMessage - The message being answered (its userId and sessionId are used)
+ * @param {Array<Object>} branch - Messages from the first one to userMessage, oldest first
+ * @param {Object} options
+ * @param {string} options.domain
+ * @param {Object} options.user - User document the summarising is metered to
+ * @param {Function} options.complete - Chat completion function, for tests
+ * @returns {Promise<{ summary: string, recent: Array<Object> }>}
+ */
+const prepareConversationMemory = async (userMessage, branch, { domain, user, complete } = {}) => {
+  const { userId, sessionId } = userMessage
+  const { windowMessages, maxWindowMessages } = aiConfig.memory
+
+  const record = await SessionSummary.findOne({ userId, sessionId }).lean()
+
+  // A summary written for another branch does not describe this one
+  let summary = ""
+  let coveredCount = 0
+  if (record?.throughMessageId) {
+    const position = branch.findIndex((message) => String(message._id) === String(record.throughMessageId))
+    if (position !== -1) {
+      summary = record.summary
+      coveredCount = position + 1
+    }
+  }
+
+  const recent = branch.slice(coveredCount)
+  if (recent.length <= maxWindowMessages) return { summary, recent }
+
+  const overflow = recent.slice(0, recent.length - windowMessages)
+  try {
+    const knownFacts = await getLearnerFacts(userId, domain)
+    const result = await summarizeMessages(
+      { previousSummary: summary, messages: overflow, domain, knownFacts, user },
+      complete,
+    )
+
+    await SessionSummary.findOneAndUpdate(
+      { userId, sessionId },
+      {
+        summary: result.summary,
+        throughMessageId: overflow[overflow.length - 1]._id,
+        messageCount: coveredCount + overflow.length,
+      },
+      { upsert: true, setDefaultsOnInsert: true },
+    )
+    if (domain && result.facts.length > 0) {
+      await addLearnerFacts(userId, domain, result.facts, "auto")
+    }
+
+    return { summary: result.summary, recent: recent.slice(overflow.length) }
+  } catch (error) {
+    console.error("🚨 Conversation Summary Error:", error)
+    return { summary, recent: recent.slice(-maxWindowMessages) }
+  }
+}
+
+module.exports = {
+  memoryDomainKey,
+  getLearnerFacts,
+  addLearnerFacts,
+  summarizeMessages,
+  prepareConversationMemory,
+}
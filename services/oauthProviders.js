@@ -0,0 +1,268 @@
+const crypto = require("crypto")
+const axios = require("axios")
+const jwt = require("jsonwebtoken")
+const authConfig = require("../config/auth")
+
+const http = axios.create({
+  timeout: authConfig.oauth.httpTimeoutMs,
+  headers: { Accept: "application/json" },
+})
+
+const oauthError = (message, code, status = 400) => {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+/**
+ * PKCE (RFC 7636) verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+const generatePkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url")
+  const codeChallenge = crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  return { codeVerifier, codeChallenge }
+}
+
+const buildUrl = (base, params) => {
+  const url = new URL(base)
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value)
+  }
+  return url.toString()
+}
+
+// Trade an authorization code for tokens (client_secret_post)
+const requestTokens = async (tokenEndpoint, { clientId, clientSecret, code, codeVerifier, redirectUri }) => {
+  let data
+  try {
+    const response = await http.post(
+      tokenEndpoint,
+      new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        ...(clientSecret && { client_secret: clientSecret }),
+        code_verifier: codeVerifier,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } },
+    )
+    data = response.data
+  } catch (error) {
+    const reason = error.response?.data?.error || error.message
+    throw oauthError(`Provider rejected the authorization code: ${reason}`, "OAUTH_EXCHANGE_FAILED", 502)
+  }
+
+  // Some providers (GitHub) report failures with a 200
+  if (!data || data.error || !data.access_token) {
+    const reason = data?.error || "no access token"
+    throw oauthError(`Provider rejected the authorization code: ${reason}`, "OAUTH_EXCHANGE_FAILED", 502)
+  }
+  return data
+}
+
+const getJson = async (url, accessToken) => {
+  try {
+    const { data } = await http.get(url, { headers: { Authorization: `Bearer ${accessToken}` } })
+    return data
+  } catch (error) {
+    throw oauthError(`Failed to load the provider profile: ${error.message}`, "OAUTH_PROFILE_FAILED", 502)
+  }
+}
+
+const isTrue = (value) => value === true || value === "true"
+
+/**
+ * Generic OpenID Connect provider configured through discovery
+ * @param {Object} options - { id, displayName, issuer, clientId, clientSecret, scopes }
+ * @returns {Object} Provider
+ */
+const createOidcProvider = ({ id, displayName, issuer, clientId, clientSecret, scopes = ["openid", "email", "profile"] }) => {
+  const normalizedIssuer = String(issuer).replace(/\/+$/, "")
+  let metadata = null
+
+  const discover = async () => {
+    if (metadata) return metadata
+
+    let data
+    try {
+      const response = await http.get(`${normalizedIssuer}/.well-known/openid-configuration`)
+      data = response.data
+    } catch (error) {
+      throw oauthError(`OIDC discovery failed for ${id}: ${error.message}`, "OAUTH_DISCOVERY_FAILED", 502)
+    }
+    if (String(data.issuer).replace(/\/+$/, "") !== normalizedIssuer) {
+      throw oauthError(`OIDC discovery for ${id} returned a different issuer`, "OAUTH_DISCOVERY_FAILED", 502)
+    }
+
+    metadata = data
+    return metadata
+  }
+
+  // The ID token comes straight from the token endpoint over TLS, so its signature
+  // may be taken on trust (OIDC Core 3.1.3.7); the claims are still checked.
+  const verifyIdToken = (idToken, nonce) => {
+    const claims = idToken && jwt.decode(idToken)
+    if (!claims) throw oauthError("Provider returned no ID token", "OAUTH_INVALID_ID_TOKEN")
+
+    const audiences = [].concat(claims.aud)
+    if (String(claims.iss).replace(/\/+$/, "") !== normalizedIssuer) {
+      throw oauthError("ID token was issued by someone else", "OAUTH_INVALID_ID_TOKEN")
+    }
+    if (!audiences.includes(clientId)) {
+      throw oauthError("ID token was issued for another client", "OAUTH_INVALID_ID_TOKEN")
+    }
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      throw oauthError("ID token has expired", "OAUTH_INVALID_ID_TOKEN")
+    }
+    if (claims.nonce !== nonce) {
+      throw oauthError("ID token nonce does not match", "OAUTH_INVALID_ID_TOKEN")
+    }
+    return claims
+  }
+
+  return {
+    id,
+    displayName,
+    type: "oidc",
+    usesNonce: true,
+
+    async getAuthorizationUrl({ state, codeChallenge, nonce, redirectUri }) {
+      const { authorization_endpoint: authorizationEndpoint } = await discover()
+      return buildUrl(authorizationEndpoint, {
+        response_type: "code",
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(" "),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      })
+    },
+
+    async getProfile({ code, codeVerifier, nonce, redirectUri }) {
+      const endpoints = await discover()
+      const tokens = await requestTokens(endpoints.token_endpoint, {
+        clientId,
+        clientSecret,
+        code,
+        codeVerifier,
+        redirectUri,
+      })
+      let claims = verifyIdToken(tokens.id_token, nonce)
+
+      if (endpoints.userinfo_endpoint && (!claims.email || claims.email_verified === undefined)) {
+        const userInfo = await getJson(endpoints.userinfo_endpoint, tokens.access_token)
+        if (String(userInfo.sub) !== String(claims.sub)) {
+          throw oauthError("UserInfo subject does not match the ID token", "OAUTH_INVALID_ID_TOKEN")
+        }
+        claims = {
+          ...userInfo,
+          ...claims,
+          email: claims.email || userInfo.email,
+          email_verified: claims.email_verified ?? userInfo.email_verified,
+        }
+      }
+
+      return {
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase() : null,
+        emailVerified: isTrue(claims.email_verified),
+        name: claims.name || claims.preferred_username || null,
+        avatar: claims.picture || null,
+      }
+    },
+  }
+}
+
+/**
+ * GitHub OAuth app (GitHub does not speak OIDC, so the profile comes from its REST API)
+ * @param {Object} options - { clientId, clientSecret }
+ * @returns {Object} Provider
+ */
+const createGithubProvider = ({ clientId, clientSecret }) => ({
+  id: "github",
+  displayName: "GitHub",
+  type: "oauth2",
+  usesNonce: false,
+
+  async getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+    return buildUrl("https://github.com/login/oauth/authorize", {
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: "read:user user:email",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+    })
+  },
+
+  async getProfile({ code, codeVerifier, redirectUri }) {
+    const tokens = await requestTokens("https://github.com/login/oauth/access_token", {
+      clientId,
+      clientSecret,
+      code,
+      codeVerifier,
+      redirectUri,
+    })
+    const [profile, emails] = await Promise.all([
+      getJson("https://api.github.com/user", tokens.access_token),
+      getJson("https://api.github.com/user/emails", tokens.access_token),
+    ])
+    const primary = (emails || []).find((entry) => entry.primary) || null
+
+    return {
+      subject: String(profile.id),
+      email: primary ? primary.email.toLowerCase() : null,
+      emailVerified: !!primary?.verified,
+      name: profile.name || profile.login,
+      avatar: profile.avatar_url || null,
+    }
+  },
+})
+
+const registry = new Map()
+
+const registerProvider = (provider) => {
+  registry.set(provider.id, provider)
+  return provider
+}
+
+const unregisterProvider = (id) => registry.delete(id)
+
+const getProvider = (id) => registry.get(id) || null
+
+const listProviders = () =>
+  [...registry.values()].map(({ id, displayName, type }) => ({ id, displayName, type }))
+
+// Register every provider whose client id is configured
+const registerConfiguredProviders = (providers = authConfig.oauth.providers) => {
+  if (providers.github?.clientId) {
+    registerProvider(createGithubProvider(providers.github))
+  }
+  if (providers.google?.clientId) {
+    registerProvider(
+      createOidcProvider({ id: "google", displayName: "Google", issuer: "https://accounts.google.com", ...providers.google }),
+    )
+  }
+  if (providers.oidc?.clientId && providers.oidc.issuer) {
+    registerProvider(createOidcProvider({ id: "oidc", ...providers.oidc }))
+  }
+}
+
+registerConfiguredProviders()
+
+module.exports = {
+  oauthError,
+  generatePkcePair,
+  createOidcProvider,
+  createGithubProvider,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  registerConfiguredProviders,
+}
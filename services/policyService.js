@@ -0,0 +1,94 @@
+const mongoose = require("mongoose")
+const CodeSubmission = require("../models/CodeSubmission")
+const { DomainIngestion } = require("../models/DomainIngestion")
+const Team = require("../models/Team")
+const permissionConfig = require("../config/permissions")
+
+const resolved = new Map()
+
+/**
+ * Every permission a role grants, including inherited ones
+ * @param {string} role - User role
+ * @returns {Set<string>} Permissions ("*" means all)
+ */
+const getRolePermissions = (role, seen = new Set()) => {
+  if (resolved.has(role)) return resolved.get(role)
+
+  const definition = permissionConfig.roles[role]
+  const permissions = new Set()
+  if (!definition || seen.has(role)) return permissions
+
+  seen.add(role)
+  for (const parent of definition.inherits || []) {
+    getRolePermissions(parent, seen).forEach((permission) => permissions.add(permission))
+  }
+  definition.permissions.forEach((permission) => permissions.add(permission))
+
+  resolved.set(role, permissions)
+  return permissions
+}
+
+/**
+ * Whether the user's role grants `permission`
+ * @param {Object} user - User document
+ * @param {string} permission - e.g. "submission:moderate"
+ * @returns {boolean}
+ */
+const can = (user, permission) => {
+  if (!user) return false
+  const permissions = getRolePermissions(user.role)
+  return permissions.has("*") || permissions.has(permission)
+}
+
+// Ownership rules for authorize({ owns }). Each resolves true when the caller
+// owns the target, false when it exists but belongs to someone else, and null
+// when it does not exist.
+const ownsParam = (param) => async (req) => String(req.params[param]) === req.user._id.toString()
+
+const ownsSubmission = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null
+
+  const submission = await CodeSubmission.findOne({ _id: req.params.id, isDeleted: false }).select("userId")
+  if (!submission) return null
+  return submission.userId.equals(req.user._id)
+}
+
+const ownsIngestion = async (req) => {
+  const ingestion = await DomainIngestion.findOne({ sessionId: req.params.sessionId }).select("userId")
+  if (!ingestion) return null
+  return !!ingestion.userId && ingestion.userId.equals(req.user._id)
+}
+
+/**
+ * The team's creator, or a member holding `flag` (or isAdmin) in their team permissions
+ * @param {string} flag - Member permission, e.g. "canManageMembers"
+ * @param {Object} options - codeFrom: "params" | "body"; allowMissing: treat an unknown team as owned (upserts)
+ * @returns {Function} Ownership rule
+ */
+const managesTeam = (flag, { codeFrom = "params", allowMissing = false } = {}) => {
+  return async (req) => {
+    const code = codeFrom === "body" ? req.body?.code : req.params.code
+    // Let the controller report the missing code
+    if (!code) return true
+
+    const team = await Team.findOne({ code: String(code).toUpperCase() }).select("createdBy members")
+    if (!team) return allowMissing ? true : null
+
+    const userId = req.user._id.toString()
+    if (team.createdBy === userId) return true
+
+    const member = team.members.find(
+      (entry) => (entry.userId && entry.userId.toString() === userId) || (entry.email && entry.email === req.user.email),
+    )
+    return !!member && !!(member.permissions?.isAdmin || member.permissions?.[flag])
+  }
+}
+
+module.exports = {
+  getRolePermissions,
+  can,
+  ownsParam,
+  ownsSubmission,
+  ownsIngestion,
+  managesTeam,
+}
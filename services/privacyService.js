@@ -0,0 +1,325 @@
+const fs = require("fs").promises
+const path = require("path")
+const crypto = require("crypto")
+const User = require("../models/User")
+const ChatMessage = require("../models/ChatMessage")
+const SessionSummary = require("../models/SessionSummary")
+const LearnerMemory = require("../models/LearnerMemory")
+const SharedSession = require("../models/SharedSession")
+const CodeSubmission = require("../models/CodeSubmission")
+const Document = require("../models/Document")
+const DomainIngestion = require("../models/DomainIngestion")
+const { KnowledgeGraph } = require("../models/DomainIngestion")
+const Team = require("../models/Team")
+const RefreshToken = require("../models/RefreshToken")
+const ApiKey = require("../models/ApiKey")
+const OutboxEmail = require("../models/OutboxEmail")
+const AdminAuditLog = require("../models/AdminAuditLog")
+const AuthEvent = require("../models/AuthEvent")
+const PrivacyJob = require("../models/PrivacyJob")
+const UsageLedger = require("../models/UsageLedger")
+const { createZip } = require("../utils/zip")
+const { logger } = require("../utils/logger")
+const authConfig = require("../config/auth")
+
+const HOUR_MS = 60 * 60 * 1000
+
+const teamMemberMatch = (user) => ({
+  $or: [{ userId: user._id }, ...(user.email ? [{ email: user.email.toLowerCase() }] : [])],
+})
+
+/**
+ * Everything stored about a user, one entry per archive file.
+ * `export` returns the user's records; `erase` removes them and returns how many went.
+ * The User document itself is removed last by eraseUserData.
+ */
+const DATA_SOURCES = [
+  {
+    name: "profile",
+    export: async (user) => {
+      const profile = user.toJSON()
+      // Kept out of API responses, but the lock history (with IPs) is the user's own data
+      profile.loginAttempts = { ...profile.loginAttempts, lockHistory: user.toObject().loginAttempts?.lockHistory || [] }
+      return profile
+    },
+  },
+  {
+    name: "conversation-history",
+    export: async (user) => ({
+      conversationHistory: user.conversationHistory || [],
+      chatSessions: user.chatSessions || [],
+    }),
+  },
+  {
+    name: "chat-messages",
+    export: (user) => ChatMessage.find({ userId: user._id }).lean(),
+    erase: async (user) => (await ChatMessage.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "chat-summaries",
+    export: (user) => SessionSummary.find({ userId: user._id }).lean(),
+    erase: async (user) => (await SessionSummary.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "learner-memory",
+    export: (user) => LearnerMemory.find({ userId: user._id }).lean(),
+    erase: async (user) => (await LearnerMemory.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "chat-shares",
+    export: (user) => SharedSession.find({ userId: user._id }).lean(),
+    erase: async (user) => (await SharedSession.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "code-submissions",
+    export: (user) => CodeSubmission.find({ userId: user._id }).lean(),
+    erase: async (user) => (await CodeSubmission.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "documents",
+    export: (user) => Document.find({ userId: user._id }).lean(),
+    erase: async (user) => (await Document.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    // Before domain-ingestions, which it is found through
+    name: "knowledge-graphs",
+    export: async (user) => {
+      const ingestionIds = await DomainIngestion.distinct("_id", { userId: user._id })
+      return KnowledgeGraph.find({ ingestionId: { $in: ingestionIds } }).lean()
+    },
+    erase: async (user) => {
+      const ingestionIds = await DomainIngestion.distinct("_id", { userId: user._id })
+      return (await KnowledgeGraph.deleteMany({ ingestionId: { $in: ingestionIds } })).deletedCount
+    },
+  },
+  {
+    name: "domain-ingestions",
+    export: (user) => DomainIngestion.find({ userId: user._id }).lean(),
+    erase: async (user) => (await DomainIngestion.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "team-memberships",
+    export: async (user) => {
+      const match = teamMemberMatch(user)
+      const teams = await Team.find({ members: { $elemMatch: match } }).select("code name members").lean()
+      return teams.map((team) => ({
+        teamCode: team.code,
+        teamName: team.name,
+        membership: team.members.find(
+          (member) =>
+            member.userId?.toString() === user._id.toString() ||
+            (member.email && member.email === user.email?.toLowerCase()),
+        ),
+      }))
+    },
+    erase: async (user) =>
+      (await Team.updateMany({ members: { $elemMatch: teamMemberMatch(user) } }, { $pull: { members: teamMemberMatch(user) } }))
+        .modifiedCount,
+  },
+  {
+    name: "sessions",
+    export: (user) => RefreshToken.find({ userId: user._id }).select("-tokenHash -family -replacedBy").lean(),
+    erase: async (user) => (await RefreshToken.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "auth-events",
+    // The user's own sign-in trail; which admin acted on the account stays private
+    export: (user) => AuthEvent.find({ userId: user._id }).select("-actorId").sort({ createdAt: -1 }).lean(),
+    erase: async (user) => (await AuthEvent.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "api-keys",
+    export: async (user) => (await ApiKey.find({ userId: user._id })).map((key) => key.toJSON()),
+    erase: async (user) => (await ApiKey.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "emails",
+    // Bodies may contain live tokens, so only the envelope is exported
+    export: (user) => OutboxEmail.find({ to: user.email }).select("to subject template createdAt").lean(),
+    erase: async (user) => (await OutboxEmail.deleteMany({ to: user.email })).deletedCount,
+  },
+  {
+    name: "usage",
+    export: (user) => UsageLedger.find({ userId: user._id }).sort({ periodStart: -1 }).lean(),
+    erase: async (user) => (await UsageLedger.deleteMany({ userId: user._id })).deletedCount,
+  },
+  {
+    name: "account-actions",
+    export: (user) => AdminAuditLog.find({ targetUserId: user._id }).select("-actorId -ip -userAgent").lean(),
+    erase: async (user) => (await AdminAuditLog.deleteMany({ targetUserId: user._id })).deletedCount,
+  },
+]
+
+const exportPath = (jobId) => path.join(authConfig.privacy.exportDir, `${jobId}.zip`)
+
+// Remove archives older than the export TTL
+const sweepExpiredExports = async () => {
+  const cutoff = Date.now() - authConfig.privacy.exportTtlHours * HOUR_MS
+  let files = []
+  try {
+    files = await fs.readdir(authConfig.privacy.exportDir)
+  } catch (error) {
+    if (error.code === "ENOENT") return
+    throw error
+  }
+
+  await Promise.all(
+    files.map(async (file) => {
+      const filePath = path.join(authConfig.privacy.exportDir, file)
+      const stats = await fs.stat(filePath)
+      if (stats.mtimeMs < cutoff) await fs.rm(filePath, { force: true })
+    }),
+  )
+}
+
+/**
+ * Collect a user's data into a zip of JSON files
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { archive (Buffer), counts }
+ */
+const buildExportArchive = async (user) => {
+  const files = []
+  const counts = {}
+
+  for (const source of DATA_SOURCES) {
+    const data = await source.export(user)
+    counts[source.name] = Array.isArray(data) ? data.length : 1
+    files.push({ name: `${source.name}.json`, data: JSON.stringify(data, null, 2) })
+  }
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    userId: user._id.toString(),
+    email: user.email,
+    files: Object.entries(counts).map(([name, records]) => ({ file: `${name}.json`, records })),
+  }
+
+  return {
+    archive: createZip([{ name: "manifest.json", data: JSON.stringify(manifest, null, 2) }, ...files]),
+    counts,
+  }
+}
+
+/**
+ * Remove everything tied to a user, then the user
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Report: { removed: { source: count }, totalRemoved }
+ */
+const eraseUserData = async (user) => {
+  const removed = {}
+
+  for (const source of DATA_SOURCES) {
+    if (source.erase) removed[source.name] = await source.erase(user)
+  }
+
+  // Previous exports: archives on disk, then their job records
+  const exports = await PrivacyJob.find({ userId: user._id, type: "export" }).select("+filePath")
+  await Promise.all(exports.filter((job) => job.filePath).map((job) => fs.rm(job.filePath, { force: true })))
+  removed["data-exports"] = (await PrivacyJob.deleteMany({ userId: user._id, type: "export" })).deletedCount
+
+  removed.user = (await User.deleteOne({ _id: user._id })).deletedCount
+
+  return {
+    removed,
+    totalRemoved: Object.values(removed).reduce((sum, count) => sum + count, 0),
+  }
+}
+
+const runExport = async (job) => {
+  const user = await User.findById(job.userId)
+  if (!user) throw new Error("User no longer exists")
+
+  await sweepExpiredExports()
+  const { archive, counts } = await buildExportArchive(user)
+
+  await fs.mkdir(authConfig.privacy.exportDir, { recursive: true })
+  const filePath = exportPath(job._id)
+  await fs.writeFile(filePath, archive)
+
+  job.filePath = filePath
+  job.fileSize = archive.length
+  job.report = { records: counts }
+  job.expiresAt = new Date(Date.now() + authConfig.privacy.exportTtlHours * HOUR_MS)
+}
+
+const runErasure = async (job) => {
+  const user = await User.findById(job.userId)
+  if (!user) throw new Error("User no longer exists")
+
+  job.report = await eraseUserData(user)
+}
+
+const RUNNERS = { export: runExport, erasure: runErasure }
+
+/**
+ * Run a privacy job to completion, recording status on the job document
+ * @param {Object} job - PrivacyJob document
+ * @returns {Promise<Object>} The finished job
+ */
+const runJob = async (job) => {
+  job.status = "running"
+  job.startedAt = new Date()
+  await job.save()
+
+  try {
+    await RUNNERS[job.type](job)
+    job.status = "completed"
+    logger.info("Privacy job completed", { jobId: job._id.toString(), type: job.type, report: job.report })
+  } catch (error) {
+    job.status = "failed"
+    job.error = error.message
+    logger.error("Privacy job failed", { jobId: job._id.toString(), type: job.type, error: error.message })
+  }
+
+  job.completedAt = new Date()
+  await job.save()
+  return job
+}
+
+// Queue a job in the background; callers poll the job document for progress
+const enqueueJob = (job) => {
+  setImmediate(() => {
+    runJob(job).catch((error) => logger.error("Privacy job crashed", { jobId: job._id.toString(), error: error.message }))
+  })
+  return job
+}
+
+/**
+ * Create and queue an export for a user, reusing one that is still in progress
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { job, reused }
+ */
+const requestExport = async (userId) => {
+  const inFlight = await PrivacyJob.findOne({ userId, type: "export", status: { $in: ["pending", "running"] } })
+  if (inFlight) return { job: inFlight, reused: true }
+
+  const job = await PrivacyJob.create({ userId, type: "export" })
+  enqueueJob(job)
+  return { job, reused: false }
+}
+
+/**
+ * Create and queue an erasure; the returned receipt is the only way to read the report afterwards
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { job, receipt }
+ */
+const requestErasure = async (userId) => {
+  const receipt = crypto.randomBytes(32).toString("hex")
+  const job = await PrivacyJob.create({
+    userId,
+    type: "erasure",
+    receiptHash: PrivacyJob.hashReceipt(receipt),
+  })
+  enqueueJob(job)
+  return { job, receipt }
+}
+
+module.exports = {
+  DATA_SOURCES,
+  teamMemberMatch,
+  buildExportArchive,
+  eraseUserData,
+  runJob,
+  requestExport,
+  requestErasure,
+}
@@ -0,0 +1,275 @@
+const DomainIngestion = require("../models/DomainIngestion")
+const { KnowledgeGraph, CrawledDocument } = require("../models/DomainIngestion")
+const aiConfig = require("../config/ai")
+const domainEvents = require("./domainEvents")
+const { createBm25Index } = require("../utils/bm25")
+const { createEmbeddings } = require("../utils/openaiClient")
+
+// Newest crawled documents considered per domain
+const MAX_DOCUMENTS = 200
+// BM25 candidates handed to the embedding re-ranker, per requested passage
+const RERANK_FACTOR = 4
+
+// domain key -> { expiresAt, index, vectors }
+const corpusCache = new Map()
+
+const domainKey = (domain) => String(domain).trim().toLowerCase()
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+const domainFilter = (domain) => ({ domain: new RegExp(`^${escapeRegex(String(domain).trim())}$`, "i") })
+
+const joinText = (parts) =>
+  parts
+    .flat()
+    .filter((part) => typeof part === "string" && part.trim())
+    .join(". ")
+
+/**
+ * Split text into passages of about `size` characters, on sentence boundaries where possible
+ * @param {string} text
+ * @param {number} size
+ * @returns {Array<string>}
+ */
+const splitPassages = (text, size) => {
+  const sentences = String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+  const passages = []
+  let current = ""
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > size) {
+      passages.push(current.trim())
+      current = ""
+    }
+    // A single overlong sentence is cut into pieces
+    for (let start = 0; start < sentence.length; start += size) {
+      const piece = sentence.slice(start, start + size)
+      if (piece.length === size) passages.push(piece.trim())
+      else current += `${piece} `
+    }
+  }
+  if (current.trim()) passages.push(current.trim())
+
+  return passages
+}
+
+// One passage per node and per learning pathway
+const graphPassages = (graph) => {
+  const nodes = (Array.isArray(graph?.nodes) ? graph.nodes : [])
+    .filter((node) => node && node.name)
+    .map((node) => ({
+      id: `node:${node.id}`,
+      type: "node",
+      nodeId: node.id ?? null,
+      title: node.name,
+      url: node.sources?.documentation?.[0]?.url || null,
+      text: joinText([node.name, node.description, node.category, node.keywords || []]),
+    }))
+
+  const pathways = (Array.isArray(graph?.pathways) ? graph.pathways : [])
+    .filter((pathway) => pathway && pathway.name)
+    .map((pathway, index) => {
+      const steps = Array.isArray(pathway.steps) ? pathway.steps.filter(Boolean) : []
+      return {
+        id: `pathway:${index}`,
+        type: "pathway",
+        nodeIds: steps.map((step) => step.id).filter((id) => id !== undefined),
+        title: pathway.name,
+        url: null,
+        text: joinText([
+          pathway.name,
+          pathway.description,
+          steps.length ? `Steps: ${steps.map((step) => step.name).join(" -> ")}` : "",
+        ]),
+      }
+    })
+
+  return [...nodes, ...pathways]
+}
+
+const documentPassages = (document, size) => {
+  const { summary, fullText, keyPoints = [] } = document.content || {}
+  const body = joinText([fullText || summary, keyPoints])
+
+  return splitPassages(body, size).map((text, index) => ({
+    id: `document:${document._id}:${index}`,
+    type: "document",
+    documentId: document._id,
+    title: document.title,
+    url: document.url,
+    text: `${document.title}. ${text}`,
+  }))
+}
+
+/**
+ * The latest completed ingestion of a domain
+ * @param {string} domain - Matched case-insensitively
+ * @param {string} fields - Mongoose select
+ * @returns {Promise<Object|null>} Lean document
+ */
+const findLatestIngestion = (domain, fields) =>
+  DomainIngestion.findOne({ ...domainFilter(domain), status: "completed" }).sort({ completedAt: -1 }).select(fields).lean()
+
+/**
+ * The newest knowledge graph ingested for a domain, falling back to the graph kept on
+ * its latest completed ingestion
+ * @param {string} domain - Matched case-insensitively
+ * @returns {Promise<{ nodes, edges, pathways }|null>}
+ */
+const loadDomainGraph = async (domain) => {
+  const graph = await KnowledgeGraph.findOne(domainFilter(domain)).sort({ createdAt: -1 }).select("nodes edges pathways").lean()
+  if (graph) return graph
+
+  const ingestion = await findLatestIngestion(domain, "knowledgeGraph.nodes knowledgeGraph.edges optimization.pathways")
+  return (
+    ingestion && {
+      nodes: ingestion.knowledgeGraph?.nodes,
+      edges: ingestion.knowledgeGraph?.edges,
+      pathways: ingestion.optimization?.pathways,
+    }
+  )
+}
+
+/**
+ * Load the knowledge ingested for a domain: the latest knowledge graph (falling back
+ * to the latest completed ingestion) and its crawled documents
+ * @param {string} domain
+ * @returns {Promise<Array<Object>>} Passages
+ */
+const loadDomainPassages = async (domain) => {
+  const [graph, documents] = await Promise.all([
+    loadDomainGraph(domain),
+    CrawledDocument.find(domainFilter(domain))
+      .sort({ createdAt: -1 })
+      .limit(MAX_DOCUMENTS)
+      .select("title url content")
+      .lean(),
+  ])
+
+  const { passageChars } = aiConfig.retrieval
+  return [...graphPassages(graph), ...documents.flatMap((document) => documentPassages(document, passageChars))]
+}
+
+const getCorpus = async (domain) => {
+  const key = domainKey(domain)
+  const cached = corpusCache.get(key)
+  if (cached && cached.expiresAt > Date.now()) return cached
+
+  const passages = await loadDomainPassages(domain)
+  const corpus = { expiresAt: Date.now() + aiConfig.retrieval.cacheTtlMs, index: createBm25Index(passages), vectors: new Map() }
+  corpusCache.set(key, corpus)
+  return corpus
+}
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+// Blend normalised BM25 with embedding similarity; passage vectors are cached with the corpus
+const rerankWithEmbeddings = async (corpus, query, results, { embed, weight }) => {
+  const missing = results.filter(({ document }) => !corpus.vectors.has(document.id))
+  const vectors = await embed([query, ...missing.map(({ document }) => document.text)])
+  missing.forEach(({ document }, index) => corpus.vectors.set(document.id, vectors[index + 1]))
+
+  const topScore = results[0].score
+  return results
+    .map((result) => ({
+      ...result,
+      score:
+        (1 - weight) * (result.score / topScore) + weight * cosineSimilarity(vectors[0], corpus.vectors.get(result.document.id)),
+    }))
+    .sort((left, right) => right.score - left.score)
+}
+
+/**
+ * Find the ingested knowledge most relevant to a chat message
+ * @param {string} domain - Chat domain (matched case-insensitively against ingestions)
+ * @param {string} query - Usually the user's message
+ * @param {Object} options
+ * @param {number} options.limit - Passages to return
+ * @param {boolean} options.embeddings - Re-rank with embeddings (defaults to config)
+ * @param {Function} options.embed - async (texts) => vectors; defaults to the OpenAI client
+ * @returns {Promise<{ passages: Array<Object>, citations: Array<Object> }>}
+ */
+const retrieveContext = async (domain, query, options = {}) => {
+  const config = aiConfig.retrieval
+  const {
+    limit = config.maxPassages,
+    embeddings = config.embeddings.enabled,
+    embed = (texts) => createEmbeddings(texts, { model: config.embeddings.model }),
+  } = options
+
+  if (!domain || !query) return { passages: [], citations: [] }
+
+  const corpus = await getCorpus(domain)
+  let results = corpus.index.search(query, embeddings ? limit * RERANK_FACTOR : limit)
+
+  if (embeddings && results.length > 1) {
+    try {
+      results = await rerankWithEmbeddings(corpus, query, results, { embed, weight: config.embeddings.weight })
+    } catch (error) {
+      console.error("🚨 Retrieval Embedding Error:", error.message)
+    }
+  }
+
+  const passages = results.slice(0, limit).map(({ document, score }) => ({ ...document, score: Math.round(score * 1000) / 1000 }))
+
+  return {
+    passages,
+    citations: passages.map((passage, index) => ({
+      index: index + 1,
+      type: passage.type,
+      title: passage.title,
+      url: passage.url,
+      ...(passage.nodeId !== undefined && { nodeId: passage.nodeId }),
+      ...(passage.nodeIds && { nodeIds: passage.nodeIds }),
+      score: passage.score,
+    })),
+  }
+}
+
+/**
+ * Passages of one ingestion's knowledge graph and learning pathways that best match `query`
+ * @param {Object} ingestion - With knowledgeGraph.nodes and optimization.pathways
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Array<Object>} Passages, best first
+ */
+const searchIngestion = (ingestion, query, limit = aiConfig.retrieval.maxPassages) => {
+  const passages = graphPassages({ nodes: ingestion?.knowledgeGraph?.nodes, pathways: ingestion?.optimization?.pathways })
+  return createBm25Index(passages)
+    .search(query, limit)
+    .map(({ document }) => document)
+}
+
+/**
+ * Forget the cached corpus of one domain, or of every domain
+ * @param {string} [domain]
+ */
+const clearRetrievalCache = (domain) => {
+  if (domain) corpusCache.delete(domainKey(domain))
+  else corpusCache.clear()
+}
+
+// A finished ingestion changes what there is to retrieve
+domainEvents.subscribe((event) => {
+  if (event.type === domainEvents.EVENTS.INGESTION_COMPLETED && event.domain) clearRetrievalCache(event.domain)
+})
+
+module.exports = {
+  splitPassages,
+  graphPassages,
+  findLatestIngestion,
+  loadDomainGraph,
+  retrieveContext,
+  searchIngestion,
+  clearRetrievalCache,
+}
@@ -0,0 +1,164 @@
+const ChatMessage = require("../models/ChatMessage")
+const { escapeHtml } = require("../utils/markdown")
+
+// Characters of message text around the first match
+const SNIPPET_LENGTH = 160
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * Split a search string into "quoted phrases", -excluded words and plain terms
+ * @param {string} q
+ * @returns {{ phrases: Array<string>, terms: Array<string>, excluded: Array<string> }}
+ */
+const parseSearchQuery = (q = "") => {
+  const phrases = []
+  const rest = String(q).replace(/"([^"]+)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().replace(/\s+/g, " "))
+    return " "
+  })
+
+  const terms = []
+  const excluded = []
+  for (const word of rest.replace(/"/g, " ").split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-") && word.length > 1) excluded.push(word.slice(1))
+    else if (word !== "-") terms.push(word)
+  }
+
+  return { phrases, terms, excluded }
+}
+
+// The $text search string: phrases must all appear, any term may, excluded words must not
+const toTextSearch = ({ phrases, terms, excluded }) =>
+  [...phrases.map((phrase) => `"${phrase}"`), ...terms, ...excluded.map((word) => `-${word}`)].join(" ")
+
+// Terms are matched on their stem so the highlight follows the text index (loops -> loop)
+const stem = (term) => (term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, "") : term)
+
+const highlightPattern = ({ phrases, terms }) => {
+  const alternatives = [
+    ...phrases.map((phrase) => phrase.split(" ").map(escapeRegex).join("\\s+")),
+    ...terms.map((term) => `${escapeRegex(stem(term))}\\w*`),
+  ]
+  return alternatives.length ? new RegExp(`\\b(?:${alternatives.join("|")})`, "gi") : null
+}
+
+/**
+ * A window of the message around its first match, HTML-escaped, matches wrapped in <mark>
+ * @param {string} text - Message text
+ * @param {Object} parsed - parseSearchQuery result
+ * @returns {string}
+ */
+const buildSnippet = (text, parsed) => {
+  const pattern = highlightPattern(parsed)
+  const first = pattern ? pattern.exec(text) : null
+  const center = first ? first.index : 0
+
+  let start = Math.max(0, center - Math.floor(SNIPPET_LENGTH / 3))
+  let end = Math.min(text.length, start + SNIPPET_LENGTH)
+  start = Math.max(0, end - SNIPPET_LENGTH)
+  // Do not cut words in half
+  if (start > 0) start = text.indexOf(" ", start) + 1 || start
+  if (end < text.length) end = text.lastIndexOf(" ", end) > start ? text.lastIndexOf(" ", end) : end
+
+  const window = text.slice(start, end)
+  let snippet = ""
+  let last = 0
+  if (pattern) {
+    pattern.lastIndex = 0
+    for (const match of window.matchAll(pattern)) {
+      snippet += `${escapeHtml(window.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`
+      last = match.index + match[0].length
+    }
+  }
+  snippet += escapeHtml(window.slice(last))
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`
+}
+
+const encodeCursor = (message) =>
+  Buffer.from(JSON.stringify({ t: message.createdAt.getTime(), id: String(message._id) })).toString("base64url")
+
+/**
+ * @param {string} cursor - From a previous page's nextCursor
+ * @returns {{ createdAt: Date, id: string }|null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    if (!Number.isFinite(t) || !/^[a-f0-9]{24}$/i.test(id)) return null
+    return { createdAt: new Date(t), id }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Search a user's messages, newest first, `limit` per page
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.q - Search string
+ * @param {string} options.domain
+ * @param {string} options.mode
+ * @param {string} options.role
+ * @param {string|Date} options.from
+ * @param {string|Date} options.to
+ * @param {Object} options.cursor - decodeCursor result
+ * @param {number} options.limit
+ * @returns {Promise<{ results: Array<Object>, nextCursor: string|null }>}
+ */
+const searchMessages = async (userId, { q, domain, mode, role, from, to, cursor, limit = 20 }) => {
+  const parsed = parseSearchQuery(q)
+
+  const filter = {
+    userId,
+    isDeleted: false,
+    $text: { $search: toTextSearch(parsed) },
+  }
+  if (domain) filter["metadata.domain"] = domain
+  if (mode) filter["metadata.mode"] = mode
+  if (role) filter.role = role
+  if (from || to) {
+    filter.createdAt = {}
+    if (from) filter.createdAt.$gte = new Date(from)
+    if (to) filter.createdAt.$lte = new Date(to)
+  }
+  if (cursor) {
+    filter.$or = [{ createdAt: { $lt: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }]
+  }
+
+  // One extra tells whether there is another page
+  const messages = await ChatMessage.find(filter, { score: { $meta: "textScore" } })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .select("sessionId role message parentId metadata.domain metadata.mode createdAt")
+    .lean()
+
+  const page = messages.slice(0, limit)
+
+  return {
+    results: page.map((message) => ({
+      messageId: message._id,
+      sessionId: message.sessionId,
+      role: message.role,
+      domain: message.metadata?.domain || null,
+      mode: message.metadata?.mode || null,
+      createdAt: message.createdAt,
+      score: message.score,
+      snippet: buildSnippet(message.message, parsed),
+      links: {
+        context: `/api/chat/message/${message._id}/context`,
+        session: `/api/chat/history/${userId}?sessionId=${encodeURIComponent(message.sessionId)}`,
+      },
+    })),
+    nextCursor: messages.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  }
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildSnippet,
+  encodeCursor,
+  decodeCursor,
+  searchMessages,
+}
@@ -0,0 +1,146 @@
+const jwt = require("jsonwebtoken")
+const RefreshToken = require("../models/RefreshToken")
+
+// A rotated token stays usable this long so a refresh racing a request does not sign it out
+const ROTATION_GRACE_MS = 30 * 1000
+// lastSeenAt is only written this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000
+
+const sessionRoom = (sessionId) => `session-${sessionId}`
+
+/**
+ * The newest token of a live session. A session (refresh token family) is live
+ * while that token is unexpired and unrevoked, or was rotated moments ago.
+ * @param {string} sessionId - Refresh token family
+ * @param {string} userId - Owner of the session
+ * @returns {Promise<Object|null>} RefreshToken document, or null when signed out
+ */
+const findActiveSession = async (sessionId, userId) => {
+  const latest = await RefreshToken.findOne({ family: sessionId, userId }).sort({ createdAt: -1 })
+  if (!latest || latest.isExpired) return null
+
+  if (latest.revokedAt) {
+    const recentlyRotated = latest.revokedReason === "rotated" && Date.now() - latest.revokedAt < ROTATION_GRACE_MS
+    if (!recentlyRotated) return null
+  }
+  return latest
+}
+
+/**
+ * Record activity on a session without blocking the request
+ * @param {Object} session - RefreshToken document from findActiveSession
+ * @param {string} ip - Client IP
+ */
+const touchSession = (session, ip) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt < LAST_SEEN_INTERVAL_MS) return
+
+  RefreshToken.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), lastSeenIp: ip } }).catch((error) =>
+    console.error("🚨 Session Touch Error:", error),
+  )
+}
+
+/**
+ * Signed-in devices of a user, most recently active first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the caller, flagged as current
+ * @returns {Promise<Array>} Session summaries
+ */
+const listActiveSessions = async (userId, currentSessionId) => {
+  const tokens = await RefreshToken.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({
+    createdAt: -1,
+  })
+
+  return tokens
+    .map((token) => ({
+      id: token.family,
+      device: {
+        id: token.device.id,
+        name: token.device.name || null,
+        userAgent: token.device.userAgent,
+      },
+      ip: token.lastSeenIp || token.device.ip,
+      createdAt: token.sessionStartedAt || token.createdAt,
+      lastSeenAt: token.lastSeenAt || token.lastUsedAt || token.createdAt,
+      expiresAt: token.expiresAt,
+      current: token.family === currentSessionId,
+    }))
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+}
+
+/**
+ * Tell every socket of the given sessions that it was signed out, then drop it
+ * @param {Array<string>} sessionIds - Refresh token families
+ * @param {string} reason - Revocation reason sent to the client
+ */
+const disconnectSessions = (sessionIds, reason) => {
+  const io = global.io
+  if (!io) return
+
+  for (const sessionId of sessionIds) {
+    io.to(sessionRoom(sessionId)).emit("session_revoked", { sessionId, reason })
+    io.in(sessionRoom(sessionId)).disconnectSockets(true)
+  }
+}
+
+/**
+ * Sign out one session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Refresh token family
+ * @returns {Promise<boolean>} Whether a live session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  const session = await findActiveSession(sessionId, userId)
+  if (!session) return false
+
+  await RefreshToken.updateMany(
+    { userId, family: sessionId, $or: [{ revokedAt: null }, { _id: session._id }] },
+    { $set: { revokedAt: new Date(), revokedReason: "session_revoked" } },
+  )
+  disconnectSessions([sessionId], "session_revoked")
+  return true
+}
+
+/**
+ * Bind a socket to the session of the access token in its handshake
+ * (`io({ auth: { token } })`) so a remote sign-out can reach it. Sockets
+ * without a session token stay connected as before.
+ * @param {Object} socket - Socket.IO socket
+ */
+const attachSocketSession = async (socket) => {
+  const token = socket.handshake.auth?.token
+  if (!token) return
+
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    return
+  }
+  if (decoded.purpose || !decoded.sid) return
+
+  try {
+    const session = await findActiveSession(decoded.sid, decoded.id)
+    if (!session) {
+      socket.emit("session_revoked", { sessionId: decoded.sid, reason: "session_revoked" })
+      socket.disconnect(true)
+      return
+    }
+
+    socket.data.userId = String(decoded.id)
+    socket.data.sessionId = decoded.sid
+    socket.join(sessionRoom(decoded.sid))
+    socket.join(`user-${decoded.id}`)
+  } catch (error) {
+    console.error("🚨 Socket Session Error:", error)
+  }
+}
+
+module.exports = {
+  sessionRoom,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+  disconnectSessions,
+  revokeSession,
+  attachSocketSession,
+}
@@ -0,0 +1,95 @@
+const SharedSession = require("../models/SharedSession")
+
+// What readers of a shared link see in place of a hidden message
+const REDACTED_TEXT = "_This message was hidden by the author._"
+
+/**
+ * Freeze a loaded session for sharing, leaving out reactions, token counts and hidden messages
+ * @param {Object} session - exportService.loadSessionExport result
+ * @param {Array<string>} redact - IDs of messages on the session's active branch to hide
+ * @returns {{ snapshot: Object, unknownIds: Array<string> }} unknownIds: redactions not on the branch
+ */
+const buildShareSnapshot = (session, redact = []) => {
+  const hidden = new Set(redact.map(String))
+  const onBranch = new Set(session.messages.map((message) => String(message.id)))
+
+  return {
+    snapshot: {
+      domain: session.stats?.domain || null,
+      mode: session.stats?.mode || null,
+      firstMessageAt: session.messages[0].createdAt,
+      lastMessageAt: session.messages[session.messages.length - 1].createdAt,
+      messages: session.messages.map((message) =>
+        hidden.has(String(message.id))
+          ? { role: message.role, message: "", createdAt: message.createdAt, redacted: true, citations: [] }
+          : {
+              role: message.role,
+              message: message.message,
+              createdAt: message.createdAt,
+              isEdited: message.isEdited,
+              citations: message.citations.map(({ index, type, title, url, nodeId }) => ({ index, type, title, url, nodeId })),
+            },
+      ),
+    },
+    unknownIds: [...hidden].filter((id) => !onBranch.has(id)),
+  }
+}
+
+/**
+ * A shared snapshot in the shape exportService.renderSession expects
+ * @param {Object} share - SharedSession document
+ * @returns {Object}
+ */
+const toSharedSession = (share) => {
+  const { domain, mode, firstMessageAt, lastMessageAt, messages } = share.snapshot
+
+  return {
+    title: share.title,
+    sharedAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    stats: {
+      domain,
+      mode,
+      messageCount: messages.length,
+      userMessages: messages.filter((message) => message.role === "user").length,
+      aiMessages: messages.filter((message) => message.role === "ai").length,
+      firstMessageAt,
+      lastMessageAt,
+    },
+    messages: messages.map((message) => ({
+      role: message.role,
+      message: message.redacted ? REDACTED_TEXT : message.message,
+      createdAt: message.createdAt,
+      isEdited: message.isEdited,
+      redacted: message.redacted,
+      reactions: {},
+      citations: message.citations,
+    })),
+  }
+}
+
+/**
+ * Look up a link and check it may be read
+ * @param {string} token - Raw link token
+ * @param {string} password - Supplied by the reader, if any
+ * @returns {Promise<{ status: "ok"|"not_found"|"gone"|"password_required"|"wrong_password", share?: Object }>}
+ */
+const openSharedSession = async (token, password) => {
+  const share = await SharedSession.findByToken(token).select("+passwordHash")
+  if (!share) return { status: "not_found" }
+  if (!share.isActive) return { status: "gone" }
+  if (share.passwordProtected) {
+    if (!password) return { status: "password_required" }
+    if (!(await share.checkPassword(password))) return { status: "wrong_password" }
+  }
+
+  await SharedSession.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() })
+  return { status: "ok", share }
+}
+
+module.exports = {
+  REDACTED_TEXT,
+  buildShareSnapshot,
+  toSharedSession,
+  openSharedSession,
+}
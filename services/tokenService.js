@@ -0,0 +1,257 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+const { disconnectSessions } = require("./sessionService")
+const { recordAuthEvent } = require("./auditService")
+const authConfig = require("../config/auth")
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const tokenError = (message, code, status = 401) => {
+  const error = new Error(message)
+  error.code = code
+  error.status = status
+  return error
+}
+
+/**
+ * Extract the device descriptor a refresh token is bound to
+ * @param {Object} req - Express request
+ * @returns {Object} Device id, name, user agent and IP
+ */
+const getDeviceInfo = (req) => {
+  const userAgent = req.get("User-Agent") || "unknown"
+  const deviceId =
+    (req.body && req.body.deviceId) ||
+    crypto.createHash("sha256").update(userAgent).digest("hex").substring(0, 32)
+
+  return {
+    id: String(deviceId),
+    name: (req.body && req.body.deviceName) || undefined,
+    userAgent,
+    ip: req.ip || req.connection?.remoteAddress,
+  }
+}
+
+/**
+ * Sign a short-lived access token. `tv` pins it to the user's token version so
+ * bumping the version (password change, logout-all) invalidates it at once;
+ * `sid` ties it to one session so signing that device out does the same.
+ * @param {Object} user - User document
+ * @param {string} [sessionId] - Refresh token family the token belongs to
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, ...(sessionId && { sid: sessionId }) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE },
+  )
+}
+
+/**
+ * Sign the short-lived challenge a password login returns when 2FA is on.
+ * The `purpose` claim keeps it from being accepted as an access token.
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const generateMfaChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, purpose: "mfa" }, process.env.JWT_SECRET, {
+    expiresIn: authConfig.twoFactor.challengeExpire,
+  })
+}
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded payload
+ */
+const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    if (decoded.purpose !== "mfa") {
+      throw new Error("Wrong token purpose")
+    }
+    return decoded
+  } catch (error) {
+    throw tokenError("MFA challenge is invalid or has expired. Please log in again.", "INVALID_MFA_CHALLENGE")
+  }
+}
+
+/**
+ * Sign an access token that lets an admin act as another user. The `imp`
+ * claim carries the admin id so every request made with it can be traced.
+ * @param {Object} user - Target user document
+ * @param {Object} admin - Admin user document
+ * @returns {string} Signed JWT
+ */
+const generateImpersonationToken = (user, admin) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0, imp: admin._id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.IMPERSONATION_EXPIRE || "15m",
+  })
+}
+
+const createRefreshToken = async (user, device, family, sessionStartedAt = new Date()) => {
+  const token = crypto.randomBytes(48).toString("base64url")
+
+  const record = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: RefreshToken.hashToken(token),
+    family,
+    device,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  })
+
+  return { token, record }
+}
+
+const buildTokenResponse = (user, refreshToken, sessionId) => ({
+  token: generateAccessToken(user, sessionId),
+  refreshToken,
+  tokenType: "Bearer",
+  expiresIn: ACCESS_TOKEN_EXPIRE,
+})
+
+/**
+ * Start a new session for a device. Any session the device already had is
+ * revoked, so each device holds at most one live refresh token family.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device info)
+ * @returns {Promise<Object>} { token, refreshToken, tokenType, expiresIn }
+ */
+const issueTokenPair = async (user, req) => {
+  const device = getDeviceInfo(req)
+
+  const replaced = await RefreshToken.distinct("family", { userId: user._id, "device.id": device.id, revokedAt: null })
+  await RefreshToken.updateMany(
+    { userId: user._id, "device.id": device.id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "device_replaced" } },
+  )
+  disconnectSessions(replaced, "device_replaced")
+
+  const family = crypto.randomUUID()
+  const { token } = await createRefreshToken(user, device, family)
+
+  return buildTokenResponse(user, token, family)
+}
+
+/**
+ * Exchange a refresh token for a new pair. Presenting a token that was already
+ * rotated is treated as theft and revokes the whole family.
+ * @param {string} rawToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { user, tokens }
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+  const existing = await RefreshToken.findByToken(rawToken)
+
+  if (!existing) {
+    throw tokenError("Invalid refresh token.", "INVALID_REFRESH_TOKEN")
+  }
+
+  if (existing.revokedAt) {
+    if (existing.revokedReason === "rotated") {
+      await RefreshToken.revokeFamily(existing.family, "reuse_detected")
+      disconnectSessions([existing.family], "reuse_detected")
+      await recordAuthEvent(req, "refresh_reuse", existing.userId, false, {
+        reason: "Rotated refresh token presented again",
+        sessionId: existing.family,
+        deviceId: existing.device.id,
+      })
+      throw tokenError("Refresh token reuse detected. Please log in again.", "REFRESH_TOKEN_REUSED")
+    }
+    throw tokenError("Refresh token has been revoked.", "REFRESH_TOKEN_REVOKED")
+  }
+
+  if (existing.isExpired) {
+    throw tokenError("Refresh token has expired.", "REFRESH_TOKEN_EXPIRED")
+  }
+
+  const user = await User.findById(existing.userId).select("-password")
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(existing.family, "account_deleted")
+    throw tokenError("Account is no longer active.", "ACCOUNT_INACTIVE")
+  }
+
+  if (user.isBlocked) {
+    await RefreshToken.revokeFamily(existing.family, "account_blocked")
+    throw tokenError(`Account is ${user.accountStatus}.`, "ACCOUNT_BLOCKED")
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate it
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated", lastUsedAt: new Date() } },
+    { new: true },
+  )
+
+  if (!claimed) {
+    await RefreshToken.revokeFamily(existing.family, "reuse_detected")
+    disconnectSessions([existing.family], "reuse_detected")
+    throw tokenError("Refresh token reuse detected. Please log in again.", "REFRESH_TOKEN_REUSED")
+  }
+
+  const device = {
+    ...existing.device.toObject(),
+    userAgent: req.get("User-Agent") || existing.device.userAgent,
+    ip: req.ip || existing.device.ip,
+  }
+  const { token, record } = await createRefreshToken(
+    user,
+    device,
+    existing.family,
+    existing.sessionStartedAt || existing.createdAt,
+  )
+
+  claimed.replacedBy = record._id
+  await claimed.save()
+
+  return { user, tokens: buildTokenResponse(user, token, existing.family) }
+}
+
+/**
+ * Revoke the session (token family) a refresh token belongs to
+ * @param {string} rawToken - Refresh token from the client
+ * @returns {Promise<Object|null>} The revoked token record, if any
+ */
+const revokeRefreshToken = async (rawToken) => {
+  const existing = await RefreshToken.findByToken(rawToken)
+  if (!existing) return null
+
+  await RefreshToken.revokeFamily(existing.family, "logout")
+  disconnectSessions([existing.family], "logout")
+  return existing
+}
+
+/**
+ * Revoke every session of a user and invalidate outstanding access tokens
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason recorded on each token
+ * @returns {Promise<Object>} { revoked, tokenVersion }
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const families = await RefreshToken.distinct("family", { userId, revokedAt: null })
+  const result = await RefreshToken.revokeAllForUser(userId, reason)
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true }).select("tokenVersion")
+  disconnectSessions(families, reason)
+
+  return {
+    revoked: result.modifiedCount,
+    tokenVersion: user ? user.tokenVersion : null,
+  }
+}
+
+module.exports = {
+  getDeviceInfo,
+  generateAccessToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateImpersonationToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+}
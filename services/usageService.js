@@ -0,0 +1,150 @@
+const UsageLedger = require("../models/UsageLedger")
+const DomainIngestion = require("../models/DomainIngestion")
+const plans = require("../config/plans")
+const { logger } = require("../utils/logger")
+
+// Add months to a date, clamping to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const result = new Date(date)
+  const day = result.getUTCDate()
+  result.setUTCDate(1)
+  result.setUTCMonth(result.getUTCMonth() + months)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+  result.setUTCDate(Math.min(day, lastDay))
+  return result
+}
+
+/**
+ * Monthly billing period containing `now`, anchored on the subscription start date
+ * @param {Object} user - User document
+ * @param {Date} now - Reference time
+ * @returns {Object} { start, end }
+ */
+const getBillingPeriod = (user, now = new Date()) => {
+  const anchor = new Date(user.subscription?.startDate || user.createdAt || now)
+  let months =
+    (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (now.getUTCMonth() - anchor.getUTCMonth())
+
+  if (addMonths(anchor, months) > now) months -= 1
+  months = Math.max(0, months)
+
+  return {
+    start: addMonths(anchor, months),
+    end: addMonths(anchor, months + 1),
+  }
+}
+
+const getPlanLimits = (user) => plans.limits[user.effectivePlan]
+
+const emptyUsage = () => Object.fromEntries(plans.metrics.map((metric) => [metric, 0]))
+
+/**
+ * Counters for the current billing period
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { period, usage }
+ */
+const getCurrentUsage = async (user) => {
+  const period = getBillingPeriod(user)
+  const ledger = await UsageLedger.findOne({ userId: user._id, periodStart: period.start }).lean()
+  return { period, usage: { ...emptyUsage(), ...(ledger?.usage || {}) } }
+}
+
+/**
+ * Check whether a request costing `amount` of `metric` fits in the allowance
+ * @param {Object} user - User document
+ * @param {string} metric - One of plans.metrics
+ * @param {number} amount - Units the request will consume
+ * @returns {Promise<Object>} { allowed, metric, used, limit, remaining, resetsAt }
+ */
+const checkQuota = async (user, metric, amount = 1) => {
+  const limit = getPlanLimits(user)[metric]
+  const { period, usage } = await getCurrentUsage(user)
+  const used = usage[metric] || 0
+
+  return {
+    allowed: limit === plans.UNLIMITED || used + amount <= limit,
+    metric,
+    used,
+    limit,
+    remaining: limit === plans.UNLIMITED ? null : Math.max(0, limit - used),
+    resetsAt: period.end,
+  }
+}
+
+/**
+ * Add usage to the current period's ledger. Never throws: metering must not fail the request.
+ * @param {Object} user - User document
+ * @param {Object} increments - e.g. { chatMessages: 1, tokens: 812 }
+ */
+const recordUsage = async (user, increments) => {
+  const $inc = {}
+  for (const metric of plans.metrics) {
+    const amount = Number(increments[metric]) || 0
+    if (amount > 0) $inc[`usage.${metric}`] = amount
+  }
+  if (Object.keys($inc).length === 0) return
+
+  const period = getBillingPeriod(user)
+  try {
+    await UsageLedger.updateOne(
+      { userId: user._id, periodStart: period.start },
+      { $inc, $setOnInsert: { periodEnd: period.end, plan: user.effectivePlan } },
+      { upsert: true },
+    )
+  } catch (error) {
+    logger.error("Usage metering failed", { userId: user._id.toString(), increments, error: error.message })
+  }
+}
+
+// Domains the user has ingested (counted against subscription.features.maxDomains)
+const getUserDomains = (user) => DomainIngestion.distinct("domain", { userId: user._id })
+
+/**
+ * Everything the frontend needs to show remaining allowance
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Usage summary
+ */
+const getUsageSummary = async (user) => {
+  const plan = user.effectivePlan
+  const limits = plans.limits[plan]
+  const [{ period, usage }, domains] = await Promise.all([getCurrentUsage(user), getUserDomains(user)])
+  const features = user.effectiveFeatures
+
+  const metrics = Object.fromEntries(
+    plans.metrics.map((metric) => [
+      metric,
+      {
+        used: usage[metric],
+        limit: limits[metric],
+        remaining: limits[metric] === plans.UNLIMITED ? null : Math.max(0, limits[metric] - usage[metric]),
+      },
+    ]),
+  )
+
+  return {
+    plan,
+    subscribedPlan: user.subscription?.plan,
+    period: { start: period.start, end: period.end },
+    metrics,
+    features: {
+      domains: {
+        used: domains.length,
+        limit: features.maxDomains,
+        remaining: features.maxDomains === plans.UNLIMITED ? null : Math.max(0, features.maxDomains - domains.length),
+      },
+      maxChatHistory: features.maxChatHistory,
+      advancedAnalytics: !!features.advancedAnalytics,
+    },
+  }
+}
+
+module.exports = {
+  addMonths,
+  getBillingPeriod,
+  getPlanLimits,
+  getCurrentUsage,
+  checkQuota,
+  recordUsage,
+  getUserDomains,
+  getUsageSummary,
+}
@@ -0,0 +1,110 @@
+const achievements = require("../config/achievements")
+const { METRICS, getProgress, getCandidateRules } = require("../services/achievementService")
+const domainEvents = require("../services/domainEvents")
+const User = require("../models/User")
+
+const rule = (id) => achievements.find((entry) => entry.id === id)
+
+describe("Achievements engine", () => {
+  describe("catalogue", () => {
+    it("should only reference known metrics, events and categories", () => {
+      const events = Object.values(domainEvents.EVENTS)
+
+      for (const entry of achievements) {
+        expect(METRICS[entry.metric]).toBeDefined()
+        expect(entry.target).toBeGreaterThan(0)
+        expect(entry.events.length).toBeGreaterThan(0)
+        entry.events.forEach((event) => expect(events).toContain(event))
+        expect(["learning", "coding", "social", "milestone"]).toContain(entry.category)
+      }
+    })
+
+    it("should use unique ids", () => {
+      const ids = achievements.map((entry) => entry.id)
+      expect(new Set(ids).size).toBe(ids.length)
+    })
+  })
+
+  describe("getProgress", () => {
+    it("should report partial progress", () => {
+      expect(getProgress(rule("grade-a-10"), 4)).toEqual({ current: 4, target: 10, percent: 40, met: false })
+    })
+
+    it("should cap progress at the target once met", () => {
+      expect(getProgress(rule("streak-7"), 12)).toEqual({ current: 7, target: 7, percent: 100, met: true })
+    })
+  })
+
+  describe("getCandidateRules", () => {
+    const userWith = (keys) => ({ stats: { achievements: keys.map((key) => ({ key, name: key })) } })
+
+    it("should only consider rules listening to the event", () => {
+      const ids = getCandidateRules(userWith([]), "code.analyzed").map((entry) => entry.id)
+
+      expect(ids).toEqual(expect.arrayContaining(["first-analysis", "grade-a-10", "streak-7"]))
+      expect(ids).not.toContain("first-chat")
+    })
+
+    it("should skip rules the user already unlocked", () => {
+      const ids = getCandidateRules(userWith(["first-analysis"]), "code.analyzed").map((entry) => entry.id)
+
+      expect(ids).not.toContain("first-analysis")
+      expect(ids).toContain("grade-a-10")
+    })
+  })
+
+  describe("domainEvents", () => {
+    it("should deliver events to every subscriber even when one fails", async () => {
+      const received = []
+      const unsubscribeFailing = domainEvents.subscribe(() => {
+        throw new Error("boom")
+      })
+      const unsubscribe = domainEvents.subscribe((event) => received.push(event))
+
+      const results = await domainEvents.publish(domainEvents.EVENTS.CHAT_MESSAGE_SENT, { userId: "u1" })
+      unsubscribeFailing()
+      unsubscribe()
+
+      expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"])
+      expect(received).toHaveLength(1)
+      expect(received[0]).toMatchObject({ type: "chat.message_sent", userId: "u1" })
+      expect(received[0].occurredAt).toBeInstanceOf(Date)
+    })
+  })
+
+  describe("User.updateStreak", () => {
+    const userLastActiveAt = (iso, current = 3, longest = 5) =>
+      new User({ stats: { streak: { current, longest, lastActivity: new Date(iso) } } })
+
+    afterEach(() => jest.useRealTimers())
+
+    it("should extend the streak on the next calendar day even within 24 hours", () => {
+      jest.useFakeTimers().setSystemTime(new Date("2025-05-02T08:00:00Z"))
+      const user = userLastActiveAt("2025-05-01T22:00:00Z")
+
+      user.updateStreak()
+
+      expect(user.stats.streak.current).toBe(4)
+    })
+
+    it("should not extend the streak twice on the same day", () => {
+      jest.useFakeTimers().setSystemTime(new Date("2025-05-01T23:00:00Z"))
+      const user = userLastActiveAt("2025-05-01T01:00:00Z")
+
+      user.updateStreak()
+
+      expect(user.stats.streak.current).toBe(3)
+    })
+
+    it("should reset after a missed day and track the longest streak", () => {
+      jest.useFakeTimers().setSystemTime(new Date("2025-05-04T08:00:00Z"))
+      const user = userLastActiveAt("2025-05-02T08:00:00Z")
+      user.updateStreak()
+      expect(user.stats.streak.current).toBe(1)
+
+      const onARoll = userLastActiveAt("2025-05-03T08:00:00Z", 5, 5)
+      onARoll.updateStreak()
+      expect(onARoll.stats.streak.longest).toBe(6)
+    })
+  })
+})
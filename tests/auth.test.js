@@ -2,10 +2,29 @@ const request = require("supertest")
 const mongoose = require("mongoose")
 const app = require("../index")
 const User = require("../models/User")
+const OutboxEmail = require("../models/OutboxEmail")
+const AdminAuditLog = require("../models/AdminAuditLog")
+const AuthEvent = require("../models/AuthEvent")
+const ApiKey = require("../models/ApiKey")
+const CodeSubmission = require("../models/CodeSubmission")
+const PrivacyJob = require("../models/PrivacyJob")
+const UsageLedger = require("../models/UsageLedger")
+const OAuthState = require("../models/OAuthState")
+const ChatMode = require("../models/ChatMode")
+const { recordUsage } = require("../services/usageService")
+const { evaluateAchievements } = require("../services/achievementService")
+const { createOidcProvider, registerProvider, unregisterProvider } = require("../services/oauthProviders")
+const { createMockIdp } = require("./helpers/mockIdp")
+const { readZip } = require("../utils/zip")
+const { totp } = require("../utils/totp")
+const { backfillEmailVerification } = require("../scripts/backfillEmailVerification")
 
 // Test database
 const MONGODB_URI = process.env.MONGODB_TEST_URI || "mongodb://localhost:27017/synaptron_test"
 
+// The token from the link in a sent email (only the email itself carries it)
+const mailedToken = (email) => new URL(email.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token")
+
 describe("Authentication Routes", () => {
   beforeAll(async () => {
     await mongoose.connect(MONGODB_URI)
@@ -17,6 +36,7 @@ describe("Authentication Routes", () => {
 
   beforeEach(async () => {
     await User.deleteMany({})
+    await OutboxEmail.deleteMany({})
   })
 
   describe("POST /api/auth/register", () => {
@@ -104,6 +124,22 @@ describe("Authentication Routes", () => {
       expect(response.body.data.user.password).toBeUndefined()
     })
 
+    it("should leave token versions and lock history out of the login response", async () => {
+      await User.updateOne(
+        { email: userData.email },
+        { tokenVersion: 3, "loginAttempts.lockHistory": [{ lockedAt: new Date(), ip: "203.0.113.7" }] },
+      )
+
+      const response = await request(app)
+        .post("/api/auth/login")
+        .send({ email: userData.email, password: userData.password })
+        .expect(200)
+
+      expect(response.body.data.user.tokenVersion).toBeUndefined()
+      expect(response.body.data.user.loginAttempts?.lockHistory).toBeUndefined()
+      expect(JSON.stringify(response.body.data.user)).not.toContain("203.0.113.7")
+    })
+
     it("should not login with invalid email", async () => {
       const loginData = {
         email: "nonexistent@example.com",
@@ -221,6 +257,27 @@ describe("Authentication Routes", () => {
       expect(response.body.data.user.preferences.theme).toBe("dark")
     })
 
+    it("should require the new address to be verified after an email change", async () => {
+      await User.updateOne({ email: "test@example.com" }, { emailVerified: true, accountStatus: "verified" })
+
+      const response = await request(app)
+        .put("/api/auth/profile")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ email: "New.Address@example.com" })
+        .expect(200)
+
+      expect(response.body.data.emailVerificationRequired).toBe(true)
+      const user = await User.findOne({ email: "new.address@example.com" })
+      expect(user.emailVerified).toBe(false)
+      expect(user.accountStatus).toBe("pending")
+
+      const email = await OutboxEmail.latestFor("new.address@example.com", "verify-email")
+      expect(email).toBeTruthy()
+      await request(app).post("/api/auth/verify-email").send({ token: mailedToken(email) }).expect(200)
+      const verified = await User.findById(user._id).lean()
+      expect(verified).toMatchObject({ emailVerified: true, accountStatus: "verified" })
+    })
+
     it("should not update profile with invalid data", async () => {
       const invalidData = {
         name: "A", // Too short
@@ -287,4 +344,1234 @@ describe("Authentication Routes", () => {
       expect(response.body.message).toContain("Current password is incorrect")
     })
   })
+
+  describe("POST /api/auth/refresh", () => {
+    let refreshToken
+
+    beforeEach(async () => {
+      const userData = {
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        confirmPassword: "Password123",
+      }
+
+      const registerResponse = await request(app).post("/api/auth/register").send(userData)
+      refreshToken = registerResponse.body.data.refreshToken
+    })
+
+    it("should rotate the refresh token", async () => {
+      const response = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+      expect(response.body.data.refreshToken).not.toBe(refreshToken)
+    })
+
+    it("should revoke the whole family when an old refresh token is reused", async () => {
+      const first = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(200)
+      const rotated = first.body.data.refreshToken
+
+      const reuse = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+      expect(reuse.body.code).toBe("REFRESH_TOKEN_REUSED")
+
+      const afterReuse = await request(app).post("/api/auth/refresh").send({ refreshToken: rotated }).expect(401)
+      expect(afterReuse.body.success).toBe(false)
+    })
+
+    it("should not refresh after logout", async () => {
+      await request(app).post("/api/auth/logout").send({ refreshToken }).expect(200)
+
+      const response = await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+      expect(response.body.code).toBe("REFRESH_TOKEN_REVOKED")
+    })
+
+    it("should require a refresh token", async () => {
+      const response = await request(app).post("/api/auth/refresh").send({}).expect(400)
+      expect(response.body.message).toContain("Validation failed")
+    })
+  })
+
+  describe("POST /api/auth/logout-all", () => {
+    let authToken
+    let refreshToken
+
+    beforeEach(async () => {
+      const userData = {
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        confirmPassword: "Password123",
+      }
+
+      const registerResponse = await request(app).post("/api/auth/register").send(userData)
+      authToken = registerResponse.body.data.token
+      refreshToken = registerResponse.body.data.refreshToken
+    })
+
+    it("should revoke every session and outstanding access token", async () => {
+      await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${authToken}`).expect(200)
+
+      await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+
+      const response = await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(401)
+      expect(response.body.code).toBe("TOKEN_REVOKED")
+    })
+
+    it("should revoke every session when the password changes", async () => {
+      const passwordData = {
+        currentPassword: "Password123",
+        newPassword: "NewPassword123",
+        confirmNewPassword: "NewPassword123",
+      }
+
+      const response = await request(app)
+        .put("/api/auth/change-password")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(passwordData)
+        .expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401)
+    })
+  })
+
+  describe("Active sessions", () => {
+    const credentials = { email: "test@example.com", password: "Password123" }
+    let laptop
+    let phone
+
+    const loginFrom = async (deviceId, deviceName) => {
+      const response = await request(app)
+        .post("/api/auth/login")
+        .set("User-Agent", `${deviceName} browser`)
+        .send({ ...credentials, deviceId, deviceName })
+        .expect(200)
+      return response.body.data
+    }
+
+    beforeEach(async () => {
+      await User.create({ name: "Test User", ...credentials, emailVerified: true, accountStatus: "verified" })
+      laptop = await loginFrom("laptop-1", "Laptop")
+      phone = await loginFrom("phone-1", "Phone")
+    })
+
+    it("should list signed-in devices and flag the current one", async () => {
+      const response = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${laptop.token}`)
+        .expect(200)
+
+      const { sessions, currentSessionId } = response.body.data
+      expect(sessions).toHaveLength(2)
+      expect(sessions.map((session) => session.device.name).sort()).toEqual(["Laptop", "Phone"])
+
+      const current = sessions.find((session) => session.current)
+      expect(current.id).toBe(currentSessionId)
+      expect(current.device.userAgent).toBe("Laptop browser")
+      expect(current.createdAt).toBeDefined()
+      expect(current.lastSeenAt).toBeDefined()
+    })
+
+    it("should sign out another device and reject its tokens", async () => {
+      const list = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${laptop.token}`)
+      const phoneSession = list.body.data.sessions.find((session) => session.device.name === "Phone")
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set("Authorization", `Bearer ${laptop.token}`)
+        .expect(200)
+
+      const profile = await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${phone.token}`)
+        .expect(401)
+      expect(profile.body.code).toBe("SESSION_REVOKED")
+      await request(app).post("/api/auth/refresh").send({ refreshToken: phone.refreshToken }).expect(401)
+
+      await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${laptop.token}`).expect(200)
+      const remaining = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${laptop.token}`)
+      expect(remaining.body.data.sessions).toHaveLength(1)
+    })
+
+    it("should keep the session across refresh token rotation", async () => {
+      const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken: phone.refreshToken }).expect(200)
+
+      await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${phone.token}`).expect(200)
+      const list = await request(app)
+        .get("/api/auth/sessions")
+        .set("Authorization", `Bearer ${refreshed.body.data.token}`)
+        .expect(200)
+      expect(list.body.data.sessions).toHaveLength(2)
+      expect(list.body.data.sessions.find((session) => session.current).device.name).toBe("Phone")
+    })
+
+    it("should not sign out sessions of other users", async () => {
+      await User.create({ name: "Other", email: "other@example.com", password: "Password123", emailVerified: true })
+      const other = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "other@example.com", password: "Password123" })
+        .expect(200)
+      const list = await request(app).get("/api/auth/sessions").set("Authorization", `Bearer ${laptop.token}`)
+
+      await request(app)
+        .delete(`/api/auth/sessions/${list.body.data.currentSessionId}`)
+        .set("Authorization", `Bearer ${other.body.data.token}`)
+        .expect(404)
+      await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${laptop.token}`).expect(200)
+    })
+  })
+
+  describe("Security activity", () => {
+    const credentials = { email: "test@example.com", password: "Password123" }
+    let userId
+    let userToken
+    let adminToken
+
+    beforeEach(async () => {
+      await AuthEvent.deleteMany({})
+      await User.create({
+        name: "Admin User",
+        email: "admin@example.com",
+        password: "Password123",
+        role: "admin",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const user = await User.create({ name: "Test User", ...credentials, emailVerified: true, accountStatus: "verified" })
+      userId = user._id.toString()
+
+      await request(app).post("/api/auth/login").send({ ...credentials, password: "WrongPassword123" }).expect(401)
+      const login = await request(app).post("/api/auth/login").set("User-Agent", "Activity browser").send(credentials)
+      userToken = login.body.data.token
+      const adminLogin = await request(app).post("/api/auth/login").send({ email: "admin@example.com", password: "Password123" })
+      adminToken = adminLogin.body.data.token
+    })
+
+    it("should list the caller's own sign-ins, newest first", async () => {
+      const response = await request(app)
+        .get("/api/auth/activity")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200)
+
+      const { events, pagination } = response.body.data
+      expect(events.map((event) => [event.type, event.success])).toEqual([
+        ["login", true],
+        ["login", false],
+      ])
+      expect(events[0].userAgent).toBe("Activity browser")
+      expect(events[0].ip).toBeDefined()
+      expect(events[1].reason).toBe("Invalid credentials")
+      expect(pagination.totalItems).toBe(2)
+    })
+
+    it("should filter activity by outcome", async () => {
+      const response = await request(app)
+        .get("/api/auth/activity?type=login&success=false")
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200)
+
+      expect(response.body.data.events).toHaveLength(1)
+      expect(response.body.data.events[0].success).toBe(false)
+    })
+
+    it("should record password changes and revocations", async () => {
+      await request(app)
+        .put("/api/auth/change-password")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ currentPassword: "Password123", newPassword: "NewPassword123", confirmNewPassword: "NewPassword123" })
+        .expect(200)
+
+      const events = await AuthEvent.find({ userId, type: "change_password" })
+      expect(events).toHaveLength(1)
+      expect(events[0].details.revokedSessions).toBe(1)
+    })
+
+    it("should let admins query events across accounts, including unknown emails", async () => {
+      await request(app).post("/api/auth/login").send({ email: "nobody@example.com", password: "Password123" }).expect(401)
+      await request(app)
+        .post(`/api/admin/users/${userId}/suspend`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Spamming the community" })
+        .expect(200)
+
+      const unknown = await request(app)
+        .get("/api/admin/auth-events?email=nobody@example.com")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(unknown.body.data.events).toHaveLength(1)
+      expect(unknown.body.data.events[0].userId).toBeNull()
+
+      const suspension = await request(app)
+        .get(`/api/admin/auth-events?userId=${userId}&type=admin:user.suspend`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(suspension.body.data.events).toHaveLength(1)
+      expect(suspension.body.data.events[0].actorId.email).toBe("admin@example.com")
+      expect(suspension.body.data.events[0].reason).toBe("Spamming the community")
+    })
+
+    it("should keep the admin query to admins", async () => {
+      await request(app).get("/api/admin/auth-events").set("Authorization", `Bearer ${userToken}`).expect(403)
+    })
+
+    it("should expire events through a TTL index", () => {
+      const ttl = AuthEvent.schema.indexes().find(([fields, options]) => fields.createdAt === 1 && options.expireAfterSeconds)
+      expect(ttl[1].expireAfterSeconds).toBeGreaterThan(0)
+    })
+  })
+
+  describe("POST /api/auth/verify-email", () => {
+    let authToken
+
+    beforeEach(async () => {
+      const userData = {
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        confirmPassword: "Password123",
+      }
+
+      const registerResponse = await request(app).post("/api/auth/register").send(userData)
+      authToken = registerResponse.body.data.token
+    })
+
+    it("should send a verification email on registration and store only its hash", async () => {
+      const email = await OutboxEmail.latestFor("test@example.com", "verify-email")
+      expect(email).not.toBeNull()
+
+      const user = await User.findOne({ email: "test@example.com" }).select("+emailVerificationToken")
+      expect(user.emailVerified).toBe(false)
+      expect(user.emailVerificationToken).toBe(User.hashToken(mailedToken(email)))
+      expect(email.metadata).toEqual({ userId: user._id.toString() })
+    })
+
+    it("should verify the email with the mailed token", async () => {
+      const email = await OutboxEmail.latestFor("test@example.com", "verify-email")
+
+      const response = await request(app).post("/api/auth/verify-email").send({ token: mailedToken(email) }).expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.accountStatus).toBe("verified")
+
+      // Token is single use
+      await request(app).post("/api/auth/verify-email").send({ token: mailedToken(email) }).expect(400)
+    })
+
+    it("should reject an expired token", async () => {
+      const email = await OutboxEmail.latestFor("test@example.com", "verify-email")
+      await User.updateOne({ email: "test@example.com" }, { emailVerificationExpires: new Date(Date.now() - 1000) })
+
+      const response = await request(app).post("/api/auth/verify-email").send({ token: mailedToken(email) }).expect(400)
+      expect(response.body.code).toBe("INVALID_VERIFICATION_TOKEN")
+    })
+
+    it("should throttle resend requests", async () => {
+      const response = await request(app)
+        .post("/api/auth/resend-verification")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(429)
+
+      expect(response.body.retryAfter).toBeGreaterThan(0)
+    })
+
+    it("should keep unverified accounts out of non-auth routes", async () => {
+      const response = await request(app)
+        .get("/api/chat/sessions")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(403)
+
+      expect(response.body.code).toBe("EMAIL_NOT_VERIFIED")
+    })
+
+    it("should backfill accounts from before verification, but not pending sign-ups", async () => {
+      const legacy = await User.create({ name: "Legacy User", email: "legacy@example.com", password: "Password123" })
+
+      expect(await backfillEmailVerification({ dryRun: true })).toEqual({ users: 1 })
+      expect((await User.findById(legacy._id)).emailVerified).toBe(false)
+
+      expect(await backfillEmailVerification()).toEqual({ users: 1 })
+      expect(await User.findById(legacy._id).lean()).toMatchObject({ emailVerified: true, accountStatus: "verified" })
+      expect((await User.findOne({ email: "test@example.com" })).emailVerified).toBe(false)
+
+      expect(await backfillEmailVerification()).toEqual({ users: 0 })
+    })
+  })
+
+  describe("Password reset", () => {
+    beforeEach(async () => {
+      const userData = {
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        confirmPassword: "Password123",
+      }
+
+      await request(app).post("/api/auth/register").send(userData)
+    })
+
+    it("should answer identically for known and unknown emails", async () => {
+      const known = await request(app).post("/api/auth/forgot-password").send({ email: "test@example.com" }).expect(200)
+      const unknown = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "nobody@example.com" })
+        .expect(200)
+
+      expect(known.body.message).toBe(unknown.body.message)
+      expect(await OutboxEmail.latestFor("nobody@example.com")).toBeNull()
+    })
+
+    it("should reset the password once with the mailed token", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "test@example.com" }).expect(200)
+      const email = await OutboxEmail.latestFor("test@example.com", "reset-password")
+
+      await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: mailedToken(email), newPassword: "NewPassword123" })
+        .expect(200)
+
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "NewPassword123" })
+        .expect(200)
+
+      const replay = await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: mailedToken(email), newPassword: "OtherPassword123" })
+        .expect(400)
+      expect(replay.body.code).toBe("INVALID_RESET_TOKEN")
+    })
+
+    it("should throttle repeated requests for one email", async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app).post("/api/auth/forgot-password").send({ email: "test@example.com" }).expect(200)
+      }
+
+      await request(app).post("/api/auth/forgot-password").send({ email: "test@example.com" }).expect(429)
+    })
+  })
+
+  describe("Two-factor authentication", () => {
+    let authToken
+    let secret
+    let backupCodes
+
+    const credentials = { email: "test@example.com", password: "Password123" }
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post("/api/auth/register")
+        .send({ name: "Test User", ...credentials, confirmPassword: credentials.password })
+      authToken = registerResponse.body.data.token
+
+      const setup = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${authToken}`).expect(200)
+      secret = setup.body.data.secret
+      expect(setup.body.data.otpauthUri).toContain("otpauth://totp/")
+
+      const enable = await request(app)
+        .post("/api/auth/2fa/enable")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: totp(secret) })
+        .expect(200)
+      backupCodes = enable.body.data.backupCodes
+    })
+
+    it("should require a second step after the password", async () => {
+      const response = await request(app).post("/api/auth/login").send(credentials).expect(200)
+
+      expect(response.body.data.mfaRequired).toBe(true)
+      expect(response.body.data.token).toBeUndefined()
+
+      // The challenge is not an access token
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${response.body.data.mfaToken}`)
+        .expect(401)
+    })
+
+    it("should complete login with a backup code exactly once", async () => {
+      const first = await request(app).post("/api/auth/login").send(credentials).expect(200)
+      const verified = await request(app)
+        .post("/api/auth/2fa/verify")
+        .send({ mfaToken: first.body.data.mfaToken, backupCode: backupCodes[0] })
+        .expect(200)
+      expect(verified.body.data.token).toBeDefined()
+
+      const second = await request(app).post("/api/auth/login").send(credentials).expect(200)
+      await request(app)
+        .post("/api/auth/2fa/verify")
+        .send({ mfaToken: second.body.data.mfaToken, backupCode: backupCodes[0] })
+        .expect(401)
+    })
+
+    it("should reject a wrong TOTP code", async () => {
+      const login = await request(app).post("/api/auth/login").send(credentials).expect(200)
+
+      const response = await request(app)
+        .post("/api/auth/2fa/verify")
+        .send({ mfaToken: login.body.data.mfaToken, code: "000000" })
+        .expect(401)
+      expect(response.body.code).toBe("INVALID_TWO_FACTOR_CODE")
+    })
+
+    it("should disable 2FA with password and backup code", async () => {
+      await request(app)
+        .post("/api/auth/2fa/disable")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ password: credentials.password, backupCode: backupCodes[1] })
+        .expect(200)
+
+      const login = await request(app).post("/api/auth/login").send(credentials).expect(200)
+      expect(login.body.data.token).toBeDefined()
+    })
+  })
+
+  describe("Account lockout", () => {
+    const credentials = { email: "test@example.com", password: "Password123" }
+    let userId
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post("/api/auth/register")
+        .send({ name: "Test User", ...credentials, confirmPassword: credentials.password })
+      userId = registerResponse.body.data.user.id
+    })
+
+    const failLogins = async (times) => {
+      let response
+      for (let i = 0; i < times; i++) {
+        response = await request(app).post("/api/auth/login").send({ ...credentials, password: "WrongPassword123" })
+      }
+      return response
+    }
+
+    it("should lock the account after repeated failures and report the remaining time", async () => {
+      const response = await failLogins(5)
+
+      expect(response.status).toBe(423)
+      expect(response.body.code).toBe("ACCOUNT_LOCKED")
+      expect(response.body.retryAfter).toBeGreaterThan(0)
+
+      // Even the right password is refused while locked
+      const locked = await request(app).post("/api/auth/login").send(credentials).expect(423)
+      expect(locked.body.lockedUntil).toBeDefined()
+    })
+
+    it("should double the lock window on the next lock", async () => {
+      await failLogins(5)
+      const first = await User.findById(userId)
+      const firstWindow = first.loginAttempts.lockUntil - first.loginAttempts.lockHistory[0].lockedAt
+
+      await User.updateOne({ _id: userId }, { "loginAttempts.lockUntil": new Date(Date.now() - 1000) })
+      await failLogins(5)
+
+      const second = await User.findById(userId)
+      const secondWindow = second.loginAttempts.lockUntil - second.loginAttempts.lockHistory[1].lockedAt
+      expect(secondWindow).toBe(firstWindow * 2)
+    })
+
+    it("should let an admin inspect and lift the lock", async () => {
+      await User.create({
+        name: "Admin User",
+        email: "admin@example.com",
+        password: "Password123",
+        role: "admin",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const adminLogin = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "admin@example.com", password: "Password123" })
+      const adminToken = adminLogin.body.data.token
+
+      await failLogins(5)
+
+      const security = await request(app)
+        .get(`/api/admin/users/${userId}/security`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(security.body.data.security.lockout.isLocked).toBe(true)
+
+      await request(app).post(`/api/admin/users/${userId}/unlock`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      await request(app).post("/api/auth/login").send(credentials).expect(200)
+      const unlocked = await User.findById(userId)
+      expect(unlocked.loginAttempts.lockHistory[0].unlockedAt).toBeDefined()
+    })
+
+    it("should keep non-admins out of the admin API", async () => {
+      const login = await request(app).post("/api/auth/login").send(credentials)
+
+      await request(app)
+        .get(`/api/admin/users/${userId}/security`)
+        .set("Authorization", `Bearer ${login.body.data.token}`)
+        .expect(403)
+    })
+  })
+
+  describe("Admin user management", () => {
+    let adminToken
+    let userId
+    let userToken
+
+    beforeEach(async () => {
+      await AdminAuditLog.deleteMany({})
+      await User.create({
+        name: "Admin User",
+        email: "admin@example.com",
+        password: "Password123",
+        role: "admin",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const adminLogin = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "admin@example.com", password: "Password123" })
+      adminToken = adminLogin.body.data.token
+
+      const user = await User.create({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      userId = user._id.toString()
+      const userLogin = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+      userToken = userLogin.body.data.token
+    })
+
+    it("should search and filter users", async () => {
+      const response = await request(app)
+        .get("/api/admin/users?q=test&role=user&accountStatus=verified")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.users).toHaveLength(1)
+      expect(response.body.data.users[0].email).toBe("test@example.com")
+      expect(response.body.data.pagination.totalItems).toBe(1)
+    })
+
+    it("should suspend a user, revoke their sessions and record the action", async () => {
+      await request(app)
+        .post(`/api/admin/users/${userId}/suspend`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Spamming the community" })
+        .expect(200)
+
+      const profile = await request(app).get("/api/auth/profile").set("Authorization", `Bearer ${userToken}`)
+      expect(profile.status).toBe(401)
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+        .expect(403)
+      expect(login.body.code).toBe("ACCOUNT_SUSPENDED")
+
+      const audit = await request(app)
+        .get(`/api/admin/audit?targetUserId=${userId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(audit.body.data.entries[0].action).toBe("user.suspend")
+      expect(audit.body.data.entries[0].reason).toBe("Spamming the community")
+    })
+
+    it("should reinstate a banned user", async () => {
+      await request(app)
+        .post(`/api/admin/users/${userId}/ban`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Abuse" })
+        .expect(200)
+
+      await request(app).post(`/api/admin/users/${userId}/reinstate`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+        .expect(200)
+    })
+
+    it("should force a password reset on next login", async () => {
+      await request(app)
+        .post(`/api/admin/users/${userId}/force-password-reset`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+        .expect(403)
+      expect(login.body.code).toBe("PASSWORD_RESET_REQUIRED")
+
+      const email = await OutboxEmail.latestFor("test@example.com", "reset-password")
+      expect(email).toBeTruthy()
+    })
+
+    it("should issue an impersonation token that acts as the user", async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${userId}/impersonate`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ reason: "Reproducing a support ticket" })
+        .expect(200)
+
+      expect(response.body.data.refreshToken).toBeUndefined()
+
+      expect(response.body.data.impersonating.email).toBe("test@example.com")
+
+      await request(app)
+        .get("/api/auth/profile")
+        .set("Authorization", `Bearer ${response.body.data.token}`)
+        .expect(200)
+    })
+
+    it("should not let an admin change their own role", async () => {
+      const admin = await User.findOne({ email: "admin@example.com" })
+
+      await request(app)
+        .put(`/api/admin/users/${admin._id}/role`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "user" })
+        .expect(400)
+    })
+
+    it("should manage versioned chat modes", async () => {
+      await ChatMode.deleteMany({ builtIn: false })
+      const admin = (req) => req.set("Authorization", `Bearer ${adminToken}`)
+
+      const created = await admin(request(app).post("/api/admin/chat-modes"))
+        .send({ key: "pair-programmer", name: "Pair programmer", systemPrompt: "Pair on {{domain}} with {{learnerName}}." })
+        .expect(201)
+      expect(created.body.data.mode).toEqual(expect.objectContaining({ activeVersion: 1, variables: ["domain", "learnerName"] }))
+
+      await admin(request(app).post("/api/admin/chat-modes"))
+        .send({ key: "pair-programmer", name: "Again", systemPrompt: "x" })
+        .expect(409)
+      await admin(request(app).post("/api/admin/chat-modes/pair-programmer/versions"))
+        .send({ systemPrompt: "Ask for {{password}}" })
+        .expect(400)
+
+      const draft = await admin(request(app).post("/api/admin/chat-modes/pair-programmer/versions"))
+        .send({ systemPrompt: "Pair on {{domain}}, tests first.", temperature: 0.1, activate: false })
+        .expect(201)
+      expect(draft.body.data.mode.activeVersion).toBe(1)
+
+      const live = await admin(request(app).post("/api/admin/chat-modes/pair-programmer/versions/2/activate")).expect(200)
+      expect(live.body.data.mode.activeVersion).toBe(2)
+      expect(live.body.data.mode.versions[0]).toEqual(expect.objectContaining({ version: 2, temperature: 0.1, active: true }))
+
+      await admin(request(app).put("/api/admin/chat-modes/pair-programmer")).send({ isActive: false }).expect(200)
+      await admin(request(app).delete("/api/admin/chat-modes/chat")).expect(400)
+      await admin(request(app).delete("/api/admin/chat-modes/pair-programmer")).expect(200)
+
+      const audit = await admin(request(app).get("/api/admin/audit?action=chat_mode.publish")).expect(200)
+      expect(audit.body.data.entries).toHaveLength(2)
+
+      await request(app).get("/api/admin/chat-modes").set("Authorization", `Bearer ${userToken}`).expect(403)
+    })
+  })
+
+  describe("API keys", () => {
+    let authToken
+
+    beforeEach(async () => {
+      await ApiKey.deleteMany({})
+      await User.create({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+      authToken = login.body.data.token
+    })
+
+    const createKey = (scopes) =>
+      request(app)
+        .post("/api/auth/api-keys")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ name: "CI", scopes, expiresInDays: 30 })
+
+    it("should return the key once and store only its hash", async () => {
+      const response = await createKey(["teams:read"]).expect(201)
+
+      const { key, apiKey } = response.body.data
+      expect(key).toMatch(/^syn_[a-f0-9]{64}$/)
+      expect(key.startsWith(apiKey.keyPrefix)).toBe(true)
+
+      const stored = await ApiKey.findById(apiKey.id)
+      expect(stored.keyHash).toBe(ApiKey.hashKey(key))
+      expect(JSON.stringify(stored.toObject())).not.toContain(key)
+
+      const list = await request(app).get("/api/auth/api-keys").set("Authorization", `Bearer ${authToken}`).expect(200)
+      expect(list.body.data.apiKeys).toHaveLength(1)
+      expect(list.body.data.apiKeys[0].key).toBeUndefined()
+    })
+
+    it("should reject unknown scopes", async () => {
+      await createKey(["admin:everything"]).expect(400)
+    })
+
+    it("should authenticate routes that allow the key's scope and record usage", async () => {
+      const { key, apiKey } = (await createKey(["teams:read"])).body.data
+
+      // Authenticated; the team simply does not exist
+      await request(app).get("/api/teams/NOPE42").set("Authorization", `ApiKey ${key}`).expect(404)
+
+      const stored = await ApiKey.findById(apiKey.id)
+      expect(stored.lastUsedAt).toBeDefined()
+    })
+
+    it("should enforce scopes per route", async () => {
+      const { key } = (await createKey(["chat:send"])).body.data
+
+      const response = await request(app).get("/api/teams/NOPE42").set("Authorization", `ApiKey ${key}`).expect(403)
+      expect(response.body.code).toBe("INSUFFICIENT_SCOPE")
+      expect(response.body.requiredScope).toBe("teams:read")
+    })
+
+    it("should refuse API keys on routes that do not declare a scope", async () => {
+      const { key } = (await createKey(["teams:read"])).body.data
+
+      const response = await request(app).get("/api/auth/profile").set("Authorization", `ApiKey ${key}`).expect(403)
+      expect(response.body.code).toBe("API_KEY_NOT_ALLOWED")
+    })
+
+    it("should reject revoked and expired keys", async () => {
+      const { key, apiKey } = (await createKey(["teams:read"])).body.data
+
+      await ApiKey.updateOne({ _id: apiKey.id }, { expiresAt: new Date(Date.now() - 1000) })
+      const expired = await request(app).get("/api/teams/NOPE42").set("Authorization", `ApiKey ${key}`).expect(401)
+      expect(expired.body.code).toBe("API_KEY_EXPIRED")
+
+      await request(app).delete(`/api/auth/api-keys/${apiKey.id}`).set("Authorization", `Bearer ${authToken}`).expect(200)
+      const revoked = await request(app).get("/api/teams/NOPE42").set("Authorization", `ApiKey ${key}`).expect(401)
+      expect(revoked.body.code).toBe("INVALID_API_KEY")
+    })
+  })
+
+  describe("Personal data export and erasure", () => {
+    let authToken
+    let userId
+
+    // Jobs run in the background; poll the way a client would
+    const waitForJob = async (jobId) => {
+      for (let i = 0; i < 50; i++) {
+        const job = await PrivacyJob.findById(jobId)
+        if (["completed", "failed"].includes(job.status)) return job
+        await new Promise((resolve) => setTimeout(resolve, 100))
+      }
+      throw new Error("Privacy job did not finish")
+    }
+
+    const binaryParser = (res, callback) => {
+      const chunks = []
+      res.on("data", (chunk) => chunks.push(chunk))
+      res.on("end", () => callback(null, Buffer.concat(chunks)))
+    }
+
+    beforeEach(async () => {
+      await PrivacyJob.deleteMany({})
+      await CodeSubmission.deleteMany({})
+      const user = await User.create({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      userId = user._id
+      await CodeSubmission.create({ userId, title: "Hello", code: "console.log('hi')", language: "javascript" })
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+      authToken = login.body.data.token
+    })
+
+    it("should build a downloadable zip of the user's data", async () => {
+      const response = await request(app)
+        .post("/api/auth/export")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(202)
+
+      const { id } = response.body.data.export
+      await waitForJob(id)
+
+      const status = await request(app)
+        .get(`/api/auth/export/${id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200)
+      expect(status.body.data.export.status).toBe("completed")
+      expect(status.body.data.export.downloadUrl).toBe(`/api/auth/export/${id}/download`)
+
+      const download = await request(app)
+        .get(`/api/auth/export/${id}/download`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200)
+
+      const files = Object.fromEntries(readZip(download.body).map((entry) => [entry.name, entry.data.toString("utf8")]))
+      expect(JSON.parse(files["profile.json"]).email).toBe("test@example.com")
+      expect(JSON.parse(files["code-submissions.json"])).toHaveLength(1)
+      expect(files["profile.json"]).not.toContain("password")
+      expect(JSON.parse(files["manifest.json"]).files.length).toBeGreaterThan(1)
+
+      const authEvents = JSON.parse(files["auth-events.json"])
+      expect(authEvents).toEqual([expect.objectContaining({ type: "login", success: true, email: "test@example.com" })])
+    })
+
+    it("should not reveal which admin acted on the account in an export", async () => {
+      await AuthEvent.create({ userId, type: "admin:user.suspend", actorId: new mongoose.Types.ObjectId(), reason: "Spam" })
+
+      const { body } = await request(app).post("/api/auth/export").set("Authorization", `Bearer ${authToken}`).expect(202)
+      await waitForJob(body.data.export.id)
+      const download = await request(app)
+        .get(`/api/auth/export/${body.data.export.id}/download`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200)
+
+      const file = readZip(download.body).find((entry) => entry.name === "auth-events.json")
+      const events = JSON.parse(file.data.toString("utf8"))
+      expect(events.find((event) => event.type === "admin:user.suspend")).toEqual(expect.objectContaining({ reason: "Spam" }))
+      expect(events.every((event) => !("actorId" in event))).toBe(true)
+    })
+
+    it("should not let other users read an export", async () => {
+      const { body } = await request(app).post("/api/auth/export").set("Authorization", `Bearer ${authToken}`)
+
+      await User.create({
+        name: "Other User",
+        email: "other@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const other = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "other@example.com", password: "Password123" })
+
+      await request(app)
+        .get(`/api/auth/export/${body.data.export.id}`)
+        .set("Authorization", `Bearer ${other.body.data.token}`)
+        .expect(404)
+    })
+
+    it("should erase every record and report what was removed", async () => {
+      const response = await request(app)
+        .post("/api/auth/erase")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ password: "Password123", confirm: "ERASE" })
+        .expect(202)
+
+      const { erasure, receipt } = response.body.data
+      await waitForJob(erasure.id)
+
+      expect(await User.findById(userId)).toBeNull()
+      expect(await CodeSubmission.countDocuments({ userId })).toBe(0)
+      expect(await AuthEvent.countDocuments({ userId })).toBe(0)
+
+      const report = await request(app).get(`/api/auth/erase/${erasure.id}`).set("X-Erasure-Receipt", receipt).expect(200)
+      expect(report.body.data.erasure.status).toBe("completed")
+      expect(report.body.data.erasure.report.removed["code-submissions"]).toBe(1)
+      expect(report.body.data.erasure.report.removed["auth-events"]).toBeGreaterThan(0)
+      expect(report.body.data.erasure.report.removed.user).toBe(1)
+
+      await request(app).get(`/api/auth/erase/${erasure.id}`).set("X-Erasure-Receipt", "wrong").expect(404)
+    })
+
+    it("should require explicit confirmation to erase", async () => {
+      await request(app)
+        .post("/api/auth/erase")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ password: "Password123" })
+        .expect(400)
+    })
+  })
+
+  describe("GET /api/auth/usage", () => {
+    let authToken
+    let user
+
+    beforeEach(async () => {
+      await UsageLedger.deleteMany({})
+      user = await User.create({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+      authToken = login.body.data.token
+    })
+
+    it("should report usage and remaining allowance for the billing period", async () => {
+      await recordUsage(user, { chatMessages: 2, tokens: 300 })
+      await recordUsage(user, { chatMessages: 1, tokens: 120 })
+
+      const response = await request(app).get("/api/auth/usage").set("Authorization", `Bearer ${authToken}`).expect(200)
+
+      const { usage } = response.body.data
+      expect(usage.plan).toBe("free")
+      expect(usage.metrics.chatMessages.used).toBe(3)
+      expect(usage.metrics.tokens.used).toBe(420)
+      expect(usage.metrics.chatMessages.remaining).toBe(usage.metrics.chatMessages.limit - 3)
+      expect(usage.features.domains.limit).toBe(3)
+      expect(new Date(usage.period.end) > new Date(usage.period.start)).toBe(true)
+    })
+  })
+
+  describe("GET /api/auth/achievements", () => {
+    let authToken
+    let user
+
+    const analysis = (grade) => ({
+      userId: user._id,
+      title: "Snippet",
+      code: "const a = 1",
+      language: "javascript",
+      status: "completed",
+      aiResponse: { analysis: "ok", metrics: { quality: { score: 90, grade } } },
+    })
+
+    beforeEach(async () => {
+      await CodeSubmission.deleteMany({})
+      user = await User.create({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "test@example.com", password: "Password123" })
+      authToken = login.body.data.token
+    })
+
+    it("should unlock achievements once, however often they are evaluated", async () => {
+      await CodeSubmission.create([analysis("A"), analysis("B")])
+
+      const first = await evaluateAchievements(user._id, "code.analyzed")
+      const second = await evaluateAchievements(user._id, "code.analyzed")
+
+      expect(first.map((achievement) => achievement.id)).toEqual(["first-analysis"])
+      expect(second).toEqual([])
+
+      const updated = await User.findById(user._id)
+      expect(updated.stats.achievements.filter((a) => a.key === "first-analysis")).toHaveLength(1)
+    })
+
+    it("should report progress toward locked achievements", async () => {
+      await CodeSubmission.create([analysis("A+"), analysis("A"), analysis("A"), analysis("C")])
+      await evaluateAchievements(user._id)
+
+      const response = await request(app)
+        .get("/api/auth/achievements")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200)
+
+      const { unlocked, locked, total } = response.body.data.achievements
+      expect(unlocked.map((achievement) => achievement.id)).toContain("first-analysis")
+      expect(locked.find((achievement) => achievement.id === "grade-a-10").progress).toEqual({
+        current: 3,
+        target: 10,
+        percent: 30,
+      })
+      expect(unlocked.length + locked.length).toBe(total)
+    })
+  })
+
+  describe("OAuth / OIDC login", () => {
+    const idp = createMockIdp()
+
+    beforeAll(async () => {
+      await idp.start()
+      registerProvider(
+        createOidcProvider({
+          id: "mock",
+          displayName: "Mock IdP",
+          issuer: idp.issuer,
+          clientId: idp.clientId,
+          clientSecret: idp.clientSecret,
+        }),
+      )
+    })
+
+    afterAll(async () => {
+      unregisterProvider("mock")
+      await idp.stop()
+    })
+
+    beforeEach(async () => {
+      idp.reset()
+      await OAuthState.deleteMany({})
+    })
+
+    const pathOf = (location) => {
+      const url = new URL(location)
+      return url.pathname + url.search
+    }
+
+    // Browser round trip: API -> provider -> API callback -> client redirect
+    const completeAtProvider = async (authorizationUrl) => {
+      const consent = await request(idp.issuer).get(pathOf(authorizationUrl)).expect(302)
+      const callback = await request(app).get(pathOf(consent.headers.location)).expect(302)
+      return new URL(callback.headers.location).searchParams
+    }
+
+    const signInWithIdp = async () => {
+      const start = await request(app).get("/api/auth/oauth/mock/authorize").expect(302)
+      return completeAtProvider(start.headers.location)
+    }
+
+    const loginWithPassword = async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "oauth@example.com", password: "Password123" })
+      return login.body.data.token
+    }
+
+    it("should list configured providers", async () => {
+      const response = await request(app).get("/api/auth/oauth/providers").expect(200)
+
+      expect(response.body.data.providers).toContainEqual({ id: "mock", displayName: "Mock IdP", type: "oidc" })
+    })
+
+    it("should register a new user and exchange the login code once", async () => {
+      const params = await signInWithIdp()
+      expect(params.get("registered")).toBe("true")
+
+      const response = await request(app).post("/api/auth/oauth/exchange").send({ code: params.get("code") }).expect(200)
+
+      expect(response.body.data.token).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+      expect(response.body.data.user.email).toBe("oauth@example.com")
+      expect(response.body.data.user.tokenVersion).toBeUndefined()
+      expect(response.body.data.user.loginAttempts?.lockHistory).toBeUndefined()
+
+      const user = await User.findOne({ email: "oauth@example.com" })
+      expect(user.emailVerified).toBe(true)
+      expect(user.oauthAccounts[0]).toMatchObject({ provider: "mock", subject: "mock-user-1" })
+
+      await request(app).post("/api/auth/oauth/exchange").send({ code: params.get("code") }).expect(400)
+    })
+
+    it("should sign in to the existing account with the same verified email", async () => {
+      const existing = await User.create({
+        name: "Existing User",
+        email: "oauth@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+
+      const params = await signInWithIdp()
+      expect(params.get("registered")).toBeNull()
+      const response = await request(app).post("/api/auth/oauth/exchange").send({ code: params.get("code") }).expect(200)
+
+      expect(response.body.data.user._id).toBe(existing._id.toString())
+      expect((await User.findById(existing._id)).oauthAccounts[0]).toMatchObject({ provider: "mock", subject: "mock-user-1" })
+      expect(await User.countDocuments({ email: "oauth@example.com" })).toBe(1)
+    })
+
+    it("should still ask for the second factor when linking to an account with 2FA", async () => {
+      await User.create({
+        name: "Existing User",
+        email: "oauth@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+        twoFactorAuth: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+      })
+
+      const params = await signInWithIdp()
+      const response = await request(app).post("/api/auth/oauth/exchange").send({ code: params.get("code") }).expect(200)
+
+      expect(response.body.data.mfaRequired).toBe(true)
+      expect(response.body.data.mfaToken).toBeDefined()
+      expect(response.body.data.token).toBeUndefined()
+    })
+
+    it("should not take over an unverified account with the same email", async () => {
+      await User.create({ name: "Squatter", email: "oauth@example.com", password: "Password123" })
+
+      const params = await signInWithIdp()
+
+      expect(params.get("error")).toBe("OAUTH_ACCOUNT_EXISTS")
+      expect((await User.findOne({ email: "oauth@example.com" })).oauthAccounts).toHaveLength(0)
+    })
+
+    it("should refuse identities without a verified email", async () => {
+      idp.setUser({ email_verified: false })
+
+      const params = await signInWithIdp()
+
+      expect(params.get("error")).toBe("OAUTH_EMAIL_UNVERIFIED")
+      expect(await User.countDocuments({})).toBe(0)
+    })
+
+    it("should reject a callback with an unknown or reused state", async () => {
+      const start = await request(app).get("/api/auth/oauth/mock/authorize").expect(302)
+      const consent = await request(idp.issuer).get(pathOf(start.headers.location)).expect(302)
+      const callbackPath = pathOf(consent.headers.location)
+
+      await request(app).get(callbackPath).expect(302)
+      const replay = await request(app).get(callbackPath).expect(302)
+
+      expect(new URL(replay.headers.location).searchParams.get("error")).toBe("OAUTH_INVALID_STATE")
+      expect(await OAuthState.countDocuments({ purpose: { $in: ["login", "link"] } })).toBe(0)
+    })
+
+    it("should link and unlink a provider for a signed-in user", async () => {
+      await User.create({
+        name: "Linker",
+        email: "oauth@example.com",
+        password: "Password123",
+        emailVerified: true,
+        accountStatus: "verified",
+      })
+      const token = await loginWithPassword()
+
+      const link = await request(app)
+        .post("/api/auth/oauth/mock/link")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(200)
+      const params = await completeAtProvider(link.body.data.authorizationUrl)
+      expect(params.get("linked")).toBe("mock")
+
+      const accounts = await request(app).get("/api/auth/oauth/accounts").set("Authorization", `Bearer ${token}`).expect(200)
+      expect(accounts.body.data.accounts).toEqual([expect.objectContaining({ provider: "mock" })])
+      expect(accounts.body.data.hasPassword).toBe(true)
+
+      await request(app).delete("/api/auth/oauth/mock").set("Authorization", `Bearer ${token}`).expect(200)
+      expect((await User.findOne({ email: "oauth@example.com" })).oauthAccounts).toHaveLength(0)
+    })
+
+    it("should not unlink the only sign-in method of a passwordless account", async () => {
+      const params = await signInWithIdp()
+      const session = await request(app).post("/api/auth/oauth/exchange").send({ code: params.get("code") }).expect(200)
+
+      const response = await request(app)
+        .delete("/api/auth/oauth/mock")
+        .set("Authorization", `Bearer ${session.body.data.token}`)
+        .expect(400)
+
+      expect(response.body.code).toBe("LAST_SIGN_IN_METHOD")
+    })
+  })
 })
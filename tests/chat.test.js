@@ -3,9 +3,17 @@ const mongoose = require("mongoose")
 const app = require("../index")
 const User = require("../models/User")
 const ChatMessage = require("../models/ChatMessage")
+const ChatMode = require("../models/ChatMode")
+const DomainIngestion = require("../models/DomainIngestion")
+const { KnowledgeGraph } = require("../models/DomainIngestion")
+const { sendChatCompletion, streamChatCompletion } = require("../utils/openaiClient")
+const { migrateConversationHistory } = require("../scripts/migrateConversationHistory")
+const { readZip } = require("../utils/zip")
 
 // Mock OpenAI
 jest.mock("../utils/openaiClient", () => ({
+  ...jest.requireActual("../utils/openaiClient"),
+  streamChatCompletion: jest.fn(),
   sendChatCompletion: jest.fn().mockResolvedValue({
     success: true,
     data: {
@@ -20,6 +28,45 @@ jest.mock("../utils/openaiClient", () => ({
 const MONGODB_URI = process.env.MONGODB_TEST_URI || "mongodb://localhost:27017/synaptron_test"
 const AUTH_DISABLED = String(process.env.DISABLE_AUTH || "true").toLowerCase() === "true"
 
+// Collect a text/event-stream body into [{ event, data }]
+const parseSse = (res, callback) => {
+  let body = ""
+  res.setEncoding("utf8")
+  res.on("data", (chunk) => (body += chunk))
+  res.on("end", () => {
+    const events = body
+      .split("\n\n")
+      .filter(Boolean)
+      .map((block) => {
+        const lines = block.split("\n")
+        return {
+          event: lines.find((line) => line.startsWith("event: ")).slice(7),
+          data: JSON.parse(lines.find((line) => line.startsWith("data: ")).slice(6)),
+        }
+      })
+    callback(null, events)
+  })
+}
+
+// Stand-in for the provider: emits the deltas, then reports the outcome
+const scriptStream = (deltas, outcome = {}) =>
+  streamChatCompletion.mockImplementationOnce(async (messages, options, { onDelta }) => {
+    deltas.forEach((delta) => onDelta(delta))
+    const content = deltas.join("")
+    return {
+      success: true,
+      content,
+      usage: { prompt_tokens: 12, completion_tokens: deltas.length, total_tokens: 12 + deltas.length },
+      usageEstimated: false,
+      finishReason: "stop",
+      aborted: false,
+      error: null,
+      processingTime: 40,
+      tokensUsed: 12 + deltas.length,
+      ...outcome,
+    }
+  })
+
 describe("Chat Routes", () => {
   let authToken
   let userId
@@ -47,6 +94,9 @@ describe("Chat Routes", () => {
     const registerResponse = await request(app).post("/api/auth/register").send(userData)
     authToken = registerResponse.body.data?.token
     userId = registerResponse.body.data.user.id
+
+    // Unverified accounts are limited to /api/auth
+    await User.updateOne({ _id: userId }, { emailVerified: true, accountStatus: "verified" })
   })
 
   describe("POST /api/chat/send", () => {
@@ -93,6 +143,61 @@ describe("Chat Routes", () => {
     })
   })
 
+  describe("POST /api/chat/send?stream=true", () => {
+    const streamRequest = (body) => {
+      const agent = request(app).post("/api/chat/send?stream=true")
+      return (AUTH_DISABLED ? agent : agent.set("Authorization", `Bearer ${authToken}`))
+        .send(body)
+        .buffer(true)
+        .parse(parseSse)
+    }
+
+    it("should stream deltas as Server-Sent Events and persist the final reply", async () => {
+      scriptStream(["Hello", ", ", "world"])
+
+      const response = await streamRequest({ message: "Say hello", domain: "general" }).expect(200)
+
+      expect(response.headers["content-type"]).toContain("text/event-stream")
+      const events = response.body
+      expect(events.map((entry) => entry.event)).toEqual(["start", "delta", "delta", "delta", "done"])
+      expect(events.filter((entry) => entry.event === "delta").map((entry) => entry.data.content)).toEqual([
+        "Hello",
+        ", ",
+        "world",
+      ])
+
+      const done = events[events.length - 1].data
+      expect(done.aiMessage.message).toBe("Hello, world")
+      expect(done.tokensUsed).toBe(15)
+
+      const saved = await ChatMessage.findById(events[0].data.aiMessageId)
+      expect(saved.message).toBe("Hello, world")
+      expect(saved.metadata.tokens.total).toBe(15)
+      expect(saved.metadata.partial).toBe(false)
+    })
+
+    it("should save partial output when the stream is aborted", async () => {
+      scriptStream(["Partial"], { finishReason: "aborted", aborted: true, usageEstimated: true })
+
+      const response = await streamRequest({ message: "Tell me a long story" }).expect(200)
+      const sessionId = response.body[0].data.sessionId
+
+      const saved = await ChatMessage.findOne({ sessionId, role: "ai" })
+      expect(saved.message).toBe("Partial")
+      expect(saved.metadata.partial).toBe(true)
+      expect(saved.metadata.finishReason).toBe("aborted")
+    })
+
+    it("should report upstream failures as an error event", async () => {
+      streamChatCompletion.mockRejectedValueOnce(new Error("upstream down"))
+
+      const response = await streamRequest({ message: "Hello?" }).expect(200)
+
+      expect(response.body.map((entry) => entry.event)).toEqual(["start", "error"])
+      expect(await ChatMessage.countDocuments({ role: "ai" })).toBe(0)
+    })
+  })
+
   describe("GET /api/chat/sessions", () => {
     beforeEach(async () => {
       const sessionId = `session_${userId}_${Date.now()}`
@@ -137,22 +242,21 @@ describe("Chat Routes", () => {
 
     beforeEach(async () => {
       sessionId = `session_${userId}_${Date.now()}`
-      await ChatMessage.create([
-        {
-          userId,
-          sessionId,
-          role: "user",
-          message: "Hello",
-          metadata: { domain: "general", mode: "chat" },
-        },
-        {
-          userId,
-          sessionId,
-          role: "ai",
-          message: "Hi there!",
-          metadata: { domain: "general", mode: "chat" },
-        },
-      ])
+      const question = await ChatMessage.create({
+        userId,
+        sessionId,
+        role: "user",
+        message: "Hello",
+        metadata: { domain: "general", mode: "chat" },
+      })
+      await ChatMessage.create({
+        userId,
+        sessionId,
+        role: "ai",
+        message: "Hi there!",
+        parentId: question._id,
+        metadata: { domain: "general", mode: "chat" },
+      })
     })
 
     it("should get user chat history", async () => {
@@ -243,4 +347,533 @@ describe("Chat Routes", () => {
       expect(response.body.message).toContain("not found")
     })
   })
+
+  describe("Edit and regenerate branches", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+
+    let sessionId
+    let firstPrompt
+    let firstAnswer
+
+    beforeEach(async () => {
+      const first = await authed(request(app).post("/api/chat/send")).send({ message: "Explain recursion", domain: "general" })
+      sessionId = first.body.data.sessionId
+      firstPrompt = first.body.data.userMessage
+      firstAnswer = first.body.data.aiMessage
+      await authed(request(app).post("/api/chat/send")).send({ message: "Show an example", sessionId, domain: "general" })
+    })
+
+    const historyOwner = () => (AUTH_DISABLED ? firstPrompt.userId : userId)
+    const activeHistory = async () => {
+      const response = await authed(request(app).get(`/api/chat/history/${historyOwner()}?sessionId=${sessionId}`)).expect(200)
+      return response.body.data.messages.map((message) => message.message).reverse()
+    }
+
+    it("should branch an edited prompt and keep the original", async () => {
+      const response = await authed(request(app).put(`/api/chat/message/${firstPrompt._id}`))
+        .send({ message: "Explain recursion simply" })
+        .expect(200)
+
+      expect(response.body.data.userMessage.branchedFrom).toBe(firstPrompt._id)
+      expect(response.body.data.aiMessage.parentId).toBe(response.body.data.userMessage._id)
+      expect(await activeHistory()).toEqual(["Explain recursion simply", "This is a test AI response"])
+      expect(await ChatMessage.countDocuments({ sessionId })).toBe(6)
+    })
+
+    it("should add a sibling answer on regenerate", async () => {
+      const response = await authed(request(app).post(`/api/chat/message/${firstAnswer._id}/regenerate`)).expect(200)
+
+      const regenerated = response.body.data.aiMessage
+      expect(regenerated.parentId).toBe(firstPrompt._id)
+      expect(regenerated.branchedFrom).toBe(firstAnswer._id)
+      expect(await activeHistory()).toHaveLength(2)
+    })
+
+    it("should list alternatives at each fork and switch between them", async () => {
+      await authed(request(app).post(`/api/chat/message/${firstAnswer._id}/regenerate`)).expect(200)
+
+      const branches = await authed(request(app).get(`/api/chat/session/${sessionId}/branches`)).expect(200)
+      const [fork] = branches.body.data.forks
+      expect(fork.parentId).toBe(firstPrompt._id)
+      expect(fork.depth).toBe(1)
+      expect(fork.alternatives).toHaveLength(2)
+      expect(fork.alternatives.find((alternative) => alternative.active)._id).not.toBe(firstAnswer._id)
+
+      const selected = await authed(request(app).post(`/api/chat/message/${firstAnswer._id}/select`)).expect(200)
+      expect(selected.body.data.messages).toHaveLength(4)
+      expect(await activeHistory()).toEqual([
+        "Explain recursion",
+        "This is a test AI response",
+        "Show an example",
+        "This is a test AI response",
+      ])
+    })
+
+    it("should only edit prompts and only regenerate answers", async () => {
+      await authed(request(app).put(`/api/chat/message/${firstAnswer._id}`)).send({ message: "Nope" }).expect(400)
+      await authed(request(app).post(`/api/chat/message/${firstPrompt._id}/regenerate`)).expect(400)
+      await authed(request(app).put(`/api/chat/message/${new mongoose.Types.ObjectId()}`)).send({ message: "Hi" }).expect(404)
+    })
+  })
+
+  describe("GET /api/chat/search", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+    const send = (message, extra = {}) => authed(request(app).post("/api/chat/send")).send({ message, ...extra }).expect(200)
+
+    beforeEach(async () => {
+      await ChatMessage.createIndexes()
+      await send("How does the event loop schedule timers?", { domain: "Node.js" })
+      await send("Is the loop event driven in browsers?", { domain: "Web" })
+      const deleted = await send("Event loop question I deleted", { domain: "Node.js" })
+      await authed(request(app).delete(`/api/chat/session/${deleted.body.data.sessionId}`)).expect(200)
+    })
+
+    it("should match phrases, filter and highlight", async () => {
+      const response = await authed(request(app).get(`/api/chat/search?q=${encodeURIComponent('"event loop"')}`)).expect(200)
+
+      const { results } = response.body.data
+      expect(results).toHaveLength(1)
+      expect(results[0].snippet).toContain("<mark>event loop</mark>")
+      expect(results[0].links.context).toBe(`/api/chat/message/${results[0].messageId}/context`)
+
+      const filtered = await authed(request(app).get("/api/chat/search?q=loop&domain=Web&role=user")).expect(200)
+      expect(filtered.body.data.results).toHaveLength(1)
+      expect(filtered.body.data.results[0].domain).toBe("Web")
+    })
+
+    it("should page with cursors", async () => {
+      const first = await authed(request(app).get("/api/chat/search?q=loop&limit=1")).expect(200)
+      expect(first.body.data.hasMore).toBe(true)
+
+      const second = await authed(
+        request(app).get(`/api/chat/search?q=loop&limit=1&cursor=${first.body.data.nextCursor}`),
+      ).expect(200)
+      expect(second.body.data.hasMore).toBe(false)
+      expect(second.body.data.results[0].messageId).not.toBe(first.body.data.results[0].messageId)
+
+      await authed(request(app).get("/api/chat/search?q=loop&cursor=bogus")).expect(400)
+      await authed(request(app).get("/api/chat/search?q=-loop")).expect(400)
+    })
+
+    it("should return the context around a result", async () => {
+      const search = await authed(request(app).get("/api/chat/search?q=timers")).expect(200)
+      const response = await authed(request(app).get(search.body.data.results[0].links.context)).expect(200)
+
+      expect(response.body.data.message.message).toBe("How does the event loop schedule timers?")
+      expect(response.body.data.before).toHaveLength(0)
+      expect(response.body.data.after.map((message) => message.role)).toEqual(["ai"])
+    })
+  })
+
+  describe("Chat export", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+    const send = (message, extra = {}) => authed(request(app).post("/api/chat/send")).send({ message, ...extra }).expect(200)
+    const binary = (res, callback) => {
+      const chunks = []
+      res.on("data", (chunk) => chunks.push(chunk))
+      res.on("end", () => callback(null, Buffer.concat(chunks)))
+    }
+
+    it("should export a session in each format", async () => {
+      const first = await send("Explain `match` in Rust", { domain: "Rust" })
+      const { sessionId } = first.body.data
+
+      const markdown = await authed(request(app).get(`/api/chat/session/${sessionId}/export`)).expect(200)
+      expect(markdown.headers["content-type"]).toMatch(/^text\/markdown/)
+      expect(markdown.headers["content-disposition"]).toMatch(/^attachment; filename="rust-\d{4}-\d{2}-\d{2}-.+\.md"$/)
+      expect(markdown.text).toContain("- **Domain:** Rust")
+      expect(markdown.text).toContain("Explain `match` in Rust")
+      expect(markdown.text).toContain("This is a test AI response")
+
+      const html = await authed(request(app).get(`/api/chat/session/${sessionId}/export?format=html`)).expect(200)
+      expect(html.text).toContain("<code>match</code>")
+
+      const json = await authed(request(app).get(`/api/chat/session/${sessionId}/export?format=json`)).expect(200)
+      expect(JSON.parse(json.text).messages.map((message) => message.role)).toEqual(["user", "ai"])
+
+      await authed(request(app).get(`/api/chat/session/${sessionId}/export?format=pdf`)).expect(400)
+      await authed(request(app).get("/api/chat/session/missing/export")).expect(404)
+    })
+
+    it("should zip every session of a domain", async () => {
+      await send("Ownership?", { domain: "Rust" })
+      await send("Lifetimes?", { domain: "Rust" })
+      await send("Closures?", { domain: "JavaScript" })
+
+      const response = await authed(request(app).get("/api/chat/export?domain=Rust&format=json"))
+        .buffer(true)
+        .parse(binary)
+        .expect(200)
+
+      expect(response.headers["content-type"]).toBe("application/zip")
+      expect(response.headers["x-session-count"]).toBe("2")
+      const entries = readZip(response.body)
+      const manifest = JSON.parse(entries[0].data.toString("utf8"))
+      expect(manifest.sessions).toHaveLength(2)
+      expect(entries.map((entry) => entry.name).slice(1)).toEqual(manifest.sessions)
+
+      await authed(request(app).get("/api/chat/export")).expect(400)
+      await authed(request(app).get("/api/chat/export?domain=Go")).expect(404)
+    })
+  })
+
+  describe("Shared chat links", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+    const send = (message, extra = {}) => authed(request(app).post("/api/chat/send")).send({ message, ...extra }).expect(200)
+
+    it("should publish a frozen, redacted snapshot", async () => {
+      const first = await send("My token is abc123, how do closures work?", { domain: "JavaScript" })
+      const { sessionId } = first.body.data
+      const created = await authed(request(app).post(`/api/chat/session/${sessionId}/share`))
+        .send({ title: "Closures", redact: [first.body.data.userMessage._id] })
+        .expect(201)
+      const { url, share } = created.body.data
+      expect(share.redactedCount).toBe(1)
+
+      // The session keeps going after it was shared
+      await send("And what about hoisting?", { sessionId, domain: "JavaScript" })
+
+      const shared = await request(app).get(url).expect(200)
+      expect(shared.headers["cache-control"]).toBe("no-store")
+      expect(shared.body.data.title).toBe("Closures")
+      expect(shared.body.data.messages).toHaveLength(2)
+      expect(shared.body.data.messages[0].redacted).toBe(true)
+      expect(JSON.stringify(shared.body.data)).not.toContain("abc123")
+
+      const html = await request(app).get(`${url}?format=html`).expect(200)
+      expect(html.headers["content-type"]).toMatch(/^text\/html/)
+      expect(html.text).not.toContain("hoisting")
+
+      await authed(request(app).post(`/api/chat/session/${sessionId}/share`))
+        .send({ redact: [String(new mongoose.Types.ObjectId())] })
+        .expect(400)
+    })
+
+    it("should require the password and honour revocation", async () => {
+      const first = await send("What is a promise?", { domain: "JavaScript" })
+      const created = await authed(request(app).post(`/api/chat/session/${first.body.data.sessionId}/share`))
+        .send({ password: "letmein", expiresInDays: 7 })
+        .expect(201)
+      const { url, share } = created.body.data
+      expect(share.passwordProtected).toBe(true)
+      expect(new Date(share.expiresAt).getTime()).toBeGreaterThan(Date.now())
+
+      const locked = await request(app).get(url).expect(401)
+      expect(locked.body.passwordRequired).toBe(true)
+      await request(app).get(url).set("X-Share-Password", "wrong").expect(401)
+      await request(app).post(url).send({ password: "letmein" }).expect(200)
+
+      const listed = await authed(request(app).get("/api/chat/shares")).expect(200)
+      expect(listed.body.data.shares.map((item) => item.id)).toContain(share.id)
+
+      await authed(request(app).delete(`/api/chat/shares/${share.id}`)).expect(200)
+      await request(app).get(url).set("X-Share-Password", "letmein").expect(410)
+      await request(app).get(`/api/shared/${"x".repeat(43)}`).expect(404)
+    })
+  })
+
+  describe("Chat modes", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+
+    beforeEach(async () => {
+      await ChatMode.deleteMany({})
+      sendChatCompletion.mockClear()
+    })
+
+    it("should answer with the mode's live prompt version and record it", async () => {
+      const mode = new ChatMode({ key: "tutor", name: "Tutor" })
+      mode.addVersion({ systemPrompt: "Old tutor prompt for {{domain}}" })
+      mode.addVersion({ systemPrompt: "Tutor v2 for {{domain}} at {{learnerLevel}} level", model: "openai/gpt-4o-mini", temperature: 0.2 })
+      await mode.save()
+
+      const response = await authed(request(app).post("/api/chat/send"))
+        .send({ message: "Teach me generics", domain: "Rust", mode: "Tutor" })
+        .expect(200)
+
+      const [messages, options] = sendChatCompletion.mock.calls[0]
+      expect(messages[0].content).toMatch(/^Tutor v2 for Rust at intermediate level/)
+      expect(options).toEqual(expect.objectContaining({ model: "openai/gpt-4o-mini", temperature: 0.2 }))
+      expect(response.body.data.userMessage.metadata.mode).toBe("tutor")
+      expect(response.body.data.aiMessage.metadata.promptVersion).toEqual({ mode: "tutor", version: 2 })
+      expect(response.body.data.aiMessage.metadata.aiModel).toBe("openai/gpt-4o-mini")
+    })
+
+    it("should reject unknown and disabled modes", async () => {
+      await ChatMode.create({ key: "retired", name: "Retired", isActive: false, activeVersion: 1, versions: [{ version: 1, systemPrompt: "x" }] })
+
+      await authed(request(app).post("/api/chat/send")).send({ message: "Hi", mode: "astrologer" }).expect(400)
+      await authed(request(app).post("/api/chat/send")).send({ message: "Hi", mode: "retired" }).expect(400)
+
+      const modes = await authed(request(app).get("/api/chat/modes")).expect(200)
+      expect(modes.body.data.modes.map((mode) => mode.key)).not.toContain("retired")
+    })
+  })
+
+  describe("Chat tools", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+
+    const completion = (message) => ({
+      success: true,
+      data: { choices: [{ message }], usage: { prompt_tokens: 10, completion_tokens: 15, total_tokens: 25 } },
+      processingTime: 1000,
+      tokensUsed: 25,
+    })
+
+    const pathCall = {
+      id: "call_1",
+      type: "function",
+      function: { name: "find_learning_path", arguments: JSON.stringify({ from: "Ownership", to: "Lifetimes" }) },
+    }
+
+    beforeEach(async () => {
+      await KnowledgeGraph.deleteMany({})
+      await KnowledgeGraph.create({
+        domain: "Rust",
+        ingestionId: new mongoose.Types.ObjectId(),
+        sessionId: "ingest-rust",
+        nodes: [
+          { id: 0, name: "Ownership" },
+          { id: 1, name: "Borrowing" },
+          { id: 2, name: "Lifetimes" },
+        ],
+        edges: [
+          { source: 0, target: 1, relationship: "prerequisite" },
+          { source: 1, target: 2, relationship: "prerequisite" },
+        ],
+      })
+      sendChatCompletion.mockClear()
+      streamChatCompletion.mockClear()
+    })
+
+    it("should run the tools the model calls and keep them on the answer", async () => {
+      sendChatCompletion
+        .mockResolvedValueOnce(completion({ content: null, tool_calls: [pathCall] }))
+        .mockResolvedValueOnce(completion({ content: "Start with ownership, then borrowing, then lifetimes." }))
+
+      const response = await authed(request(app).post("/api/chat/send"))
+        .send({ message: "How do I get to lifetimes?", domain: "Rust" })
+        .expect(200)
+
+      expect(sendChatCompletion).toHaveBeenCalledTimes(2)
+      expect(response.body.data.tokensUsed).toBe(50)
+      expect(response.body.data.aiMessage.message).toBe("Start with ownership, then borrowing, then lifetimes.")
+
+      const stored = await ChatMessage.findById(response.body.data.aiMessage._id).lean()
+      const [toolCall] = stored.metadata.toolCalls
+      expect(toolCall).toEqual(expect.objectContaining({ id: "call_1", name: "find_learning_path", round: 1 }))
+      expect(toolCall.error).toBeFalsy()
+      expect(toolCall.result.steps.map((step) => step.name)).toEqual(["Ownership", "Borrowing", "Lifetimes"])
+    })
+
+    it("should run the tools before streaming the answer", async () => {
+      scriptStream([], { finishReason: "tool_calls", toolCalls: [pathCall] })
+      scriptStream(["Ownership, ", "then borrowing."])
+
+      const response = await authed(request(app).post("/api/chat/send?stream=true"))
+        .send({ message: "How do I get to lifetimes?", domain: "Rust" })
+        .buffer(true)
+        .parse(parseSse)
+        .expect(200)
+
+      const events = response.body
+      expect(events.map((entry) => entry.event)).toEqual(["start", "tool", "delta", "delta", "done"])
+      expect(events[1].data).toEqual({ id: "call_1", name: "find_learning_path", round: 1, error: null })
+      expect(streamChatCompletion.mock.calls[1][0].at(-1)).toEqual(expect.objectContaining({ role: "tool", tool_call_id: "call_1" }))
+
+      const stored = await ChatMessage.findById(events[0].data.aiMessageId).lean()
+      expect(stored.message).toBe("Ownership, then borrowing.")
+      expect(stored.metadata.tokens.total).toBe(26)
+      expect(stored.metadata.toolCalls[0].result.steps.map((step) => step.name)).toEqual(["Ownership", "Borrowing", "Lifetimes"])
+    })
+  })
+
+  describe("Domain chat (/api/ingest)", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+
+    beforeEach(async () => {
+      await DomainIngestion.deleteMany({ sessionId: /^domain-chat-/ })
+      sendChatCompletion.mockClear()
+    })
+
+    it("should answer from the latest ingestion and keep the conversation per domain", async () => {
+      await DomainIngestion.create([
+        {
+          domain: "Rust",
+          sessionId: "domain-chat-old",
+          status: "completed",
+          completedAt: new Date("2026-01-01"),
+          knowledgeGraph: { nodes: [{ id: 0, name: "Borrowing", description: "Old notes on references" }] },
+        },
+        {
+          domain: "Rust",
+          sessionId: "domain-chat-new",
+          status: "completed",
+          completedAt: new Date("2026-06-01"),
+          knowledgeGraph: { nodes: [{ id: 0, name: "Borrowing", description: "Shared and mutable references" }] },
+        },
+      ])
+      await authed(request(app).delete("/api/ingest/conversation-history/Rust")).expect(200)
+
+      const first = await authed(request(app).post("/api/ingest/chat"))
+        .send({ domain: "rust", question: "What is borrowing?" })
+        .expect(200)
+
+      expect(first.body.data).toMatchObject({
+        answer: "This is a test AI response",
+        domain: "Rust",
+        ingestion: { sessionId: "domain-chat-new" },
+        sources: [{ index: 1, type: "node", title: "Borrowing" }],
+        conversationCount: 2,
+      })
+      expect(sendChatCompletion.mock.calls[0][0][0].content).toContain("Shared and mutable references")
+
+      await authed(request(app).post("/api/ingest/chat")).send({ domain: "Rust", question: "And lifetimes?" }).expect(200)
+      const [secondMessages] = sendChatCompletion.mock.calls[1]
+      expect(secondMessages.slice(1).map((message) => message.content)).toEqual([
+        "What is borrowing?",
+        "This is a test AI response",
+        "And lifetimes?",
+      ])
+
+      const history = await authed(request(app).get("/api/ingest/conversation-history/Rust?limit=3")).expect(200)
+      expect(history.body.data.key).toBe("rust")
+      expect(history.body.data.history.map((entry) => entry.role)).toEqual(["assistant", "user", "assistant"])
+
+      const cleared = await authed(request(app).delete("/api/ingest/conversation-history/Rust")).expect(200)
+      expect(cleared.body.data.clearedMessages).toBe(4)
+      const empty = await authed(request(app).get("/api/ingest/conversation-history/Rust")).expect(200)
+      expect(empty.body.data.history).toEqual([])
+    })
+
+    it("should refuse domains without a completed ingestion, and bad input", async () => {
+      await authed(request(app).post("/api/ingest/chat")).send({ domain: "Cobol", question: "Hi" }).expect(404)
+      await authed(request(app).post("/api/ingest/chat")).send({ domain: "Rust" }).expect(400)
+      expect(sendChatCompletion).not.toHaveBeenCalled()
+    })
+
+    ;(AUTH_DISABLED ? it.skip : it)("should require authentication", async () => {
+      await request(app).post("/api/ingest/chat").send({ domain: "Rust", question: "Hi" }).expect(401)
+      await request(app).get("/api/ingest/conversation-history/Rust").expect(401)
+    })
+  })
+
+  describe("Learner memory API", () => {
+    const authed = (req) => (AUTH_DISABLED ? req : req.set("Authorization", `Bearer ${authToken}`))
+
+    it("should add, edit, delete and clear facts per domain", async () => {
+      const added = await authed(request(app).post("/api/chat/memory/Web%20Development/facts"))
+        .send({ text: "Learning React for a job" })
+        .expect(201)
+      const [fact] = added.body.data.memory.facts
+      expect(added.body.data.memory.domain).toBe("web_development")
+      expect(fact.source).toBe("user")
+
+      const edited = await authed(request(app).put(`/api/chat/memory/web%20development/facts/${fact.id}`))
+        .send({ text: "Learning React for a frontend job" })
+        .expect(200)
+      expect(edited.body.data.memory.facts[0].text).toBe("Learning React for a frontend job")
+
+      const listed = await authed(request(app).get("/api/chat/memory?domain=Web%20Development")).expect(200)
+      expect(listed.body.data.memories).toHaveLength(1)
+
+      await authed(request(app).delete(`/api/chat/memory/web_development/facts/${fact.id}`)).expect(200)
+      await authed(request(app).delete(`/api/chat/memory/web_development/facts/${fact.id}`)).expect(404)
+
+      await authed(request(app).post("/api/chat/memory/Rust/facts")).send({ text: "Knows C" }).expect(201)
+      const cleared = await authed(request(app).delete("/api/chat/memory")).expect(200)
+      expect(cleared.body.data.deletedDomains).toBe(2)
+    })
+
+    it("should report no summary for a short session", async () => {
+      const response = await authed(request(app).get("/api/chat/session/short_session/summary")).expect(200)
+      expect(response.body.data).toMatchObject({ summary: null, summarizedMessages: 0 })
+    })
+  })
+
+  describe("ChatMessage model", () => {
+    const sessionId = "thread_session"
+    const baseMessage = () => ({ userId, sessionId, metadata: { domain: "general", mode: "chat" } })
+
+    it("should chain replies into the thread of the first message", async () => {
+      const root = await ChatMessage.create({ ...baseMessage(), role: "user", message: "What is a closure?" })
+      const reply = await ChatMessage.create({ ...baseMessage(), role: "ai", message: "A function...", parentId: root._id })
+      const followUp = await ChatMessage.create({ ...baseMessage(), role: "user", message: "Example?", parentId: reply._id })
+
+      expect(String(root.threadId)).toBe(String(root._id))
+      expect(String(reply.threadId)).toBe(String(root._id))
+      expect(String(followUp.threadId)).toBe(String(root._id))
+    })
+
+    it("should keep previous versions when a message is edited", async () => {
+      const message = await ChatMessage.create({ ...baseMessage(), role: "user", message: "First draft" })
+
+      await message.editMessage("Second draft")
+      await message.editMessage("Final")
+
+      const stored = await ChatMessage.findById(message._id)
+      expect(stored.message).toBe("Final")
+      expect(stored.isEdited).toBe(true)
+      expect(stored.editHistory.map((entry) => entry.message)).toEqual(["First draft", "Second draft"])
+    })
+
+    it("should page history and summarise a session without deleted messages", async () => {
+      const question = await ChatMessage.create({ ...baseMessage(), role: "user", message: "Hi" })
+      const answer = await ChatMessage.create({
+        ...baseMessage(),
+        role: "ai",
+        message: "Hello!",
+        parentId: question._id,
+        metadata: { domain: "general", tokens: { total: 30 } },
+      })
+      const removed = await ChatMessage.create({ ...baseMessage(), role: "user", message: "Never mind", parentId: answer._id })
+      await removed.softDelete()
+
+      const history = await ChatMessage.getChatHistory(userId, { sessionId, limit: 1 })
+      expect(history.total).toBe(2)
+      expect(history.pagination.hasNext).toBe(true)
+      expect(history.messages[0].editHistory).toBeUndefined()
+
+      const stats = await ChatMessage.getSessionStats(userId, sessionId)
+      expect(stats).toMatchObject({ sessionId, messageCount: 2, userMessages: 1, aiMessages: 1, totalTokens: 30 })
+    })
+  })
+
+  describe("Conversation history migration", () => {
+    beforeEach(async () => {
+      const user = await User.findById(userId)
+      await user.addMessage("Web Development", "user", "How do I center a div?")
+      await user.addMessage("Web Development", "assistant", "Use flexbox.", { tokens: 42, model: "gpt-3.5-turbo" })
+    })
+
+    it("should copy each conversation into one ChatMessage thread", async () => {
+      const summary = await migrateConversationHistory()
+      expect(summary).toMatchObject({ conversations: 1, messages: 2, skipped: 0 })
+
+      const user = await User.findById(userId)
+      const [session] = user.chatSessions
+      const messages = await ChatMessage.find({ userId, sessionId: session.sessionId }).sort({ createdAt: 1 })
+
+      expect(messages.map((m) => m.role)).toEqual(["user", "ai"])
+      expect(String(messages[1].parentId)).toBe(String(messages[0]._id))
+      expect(String(messages[1].threadId)).toBe(String(messages[0]._id))
+      expect(messages[1].metadata).toMatchObject({ domain: "Web Development", aiModel: "gpt-3.5-turbo" })
+      expect(messages[1].metadata.tokens.total).toBe(42)
+      expect(user.conversationHistory.get("web_development")).toHaveLength(2)
+    })
+
+    it("should skip conversations that were already migrated", async () => {
+      await migrateConversationHistory()
+      const summary = await migrateConversationHistory()
+
+      expect(summary).toMatchObject({ conversations: 0, messages: 0, skipped: 1 })
+      expect(await ChatMessage.countDocuments({ userId })).toBe(2)
+    })
+
+    it("should write nothing on a dry run", async () => {
+      const summary = await migrateConversationHistory({ dryRun: true })
+
+      expect(summary.messages).toBe(2)
+      expect(await ChatMessage.countDocuments({ userId })).toBe(0)
+    })
+  })
 })
@@ -0,0 +1,100 @@
+const ChatMode = require("../models/ChatMode")
+const aiConfig = require("../config/ai")
+const { templateVariables, renderTemplate } = require("../utils/promptTemplate")
+const { resolveChatMode, learnerLevel, renderModePrompt } = require("../services/chatModeService")
+
+const buildMode = (overrides = {}) => {
+  const mode = new ChatMode({ key: "tutor", name: "Tutor", ...overrides })
+  mode.addVersion({ systemPrompt: "Teach {{domain}} to a {{learnerLevel}} learner." })
+  return mode
+}
+
+describe("Chat mode registry", () => {
+  describe("prompt templates", () => {
+    it("should list and fill in variables, leaving unknown ones visible", () => {
+      const template = "Hi {{ learnerName }}, let's do {{domain}} ({{domain}}) {{missing}}"
+
+      expect(templateVariables(template)).toEqual(["learnerName", "domain", "missing"])
+      expect(renderTemplate(template, { learnerName: "Ada", domain: "Rust" })).toBe("Hi Ada, let's do Rust (Rust) {{missing}}")
+    })
+
+    it("should reject prompts that use variables the registry cannot fill", () => {
+      const mode = new ChatMode({ key: "bad", name: "Bad", activeVersion: 1, versions: [{ version: 1, systemPrompt: "{{salary}}" }] })
+
+      expect(mode.validateSync().errors["versions.0.systemPrompt"]).toBeDefined()
+    })
+  })
+
+  describe("versions", () => {
+    it("should number versions and only go live when asked", () => {
+      const mode = buildMode()
+      mode.addVersion({ systemPrompt: "Draft" }, { activate: false })
+      mode.addVersion({ systemPrompt: "Live", temperature: 0.2 })
+
+      expect(mode.versions.map((entry) => entry.version)).toEqual([1, 2, 3])
+      expect(mode.activeVersion).toBe(3)
+      expect(mode.getVersion().systemPrompt).toBe("Live")
+      expect(mode.getVersion(2).systemPrompt).toBe("Draft")
+      expect(mode.toSummary()).toEqual(expect.objectContaining({ activeVersion: 3, versionCount: 3, temperature: 0.2 }))
+    })
+  })
+
+  describe("resolveChatMode", () => {
+    beforeEach(() => {
+      jest.spyOn(ChatMode, "bulkWrite").mockResolvedValue({})
+    })
+
+    afterEach(() => jest.restoreAllMocks())
+
+    it("should resolve the live version with the chat defaults filled in", async () => {
+      const mode = buildMode()
+      mode.addVersion({ systemPrompt: "v2 for {{domain}}", model: "openai/gpt-4o-mini" })
+      jest.spyOn(ChatMode, "findOne").mockResolvedValue(mode)
+
+      await expect(resolveChatMode("Tutor")).resolves.toEqual({
+        key: "tutor",
+        name: "Tutor",
+        version: 2,
+        systemPrompt: "v2 for {{domain}}",
+        model: "openai/gpt-4o-mini",
+        temperature: aiConfig.chat.temperature,
+        maxTokens: aiConfig.chat.maxTokens,
+      })
+      expect(ChatMode.findOne).toHaveBeenCalledWith({ key: "tutor" })
+    })
+
+    it("should refuse disabled and unknown modes", async () => {
+      jest.spyOn(ChatMode, "findOne").mockResolvedValueOnce(buildMode({ isActive: false })).mockResolvedValueOnce(null)
+
+      await expect(resolveChatMode("tutor")).resolves.toBeNull()
+      await expect(resolveChatMode("astrologer")).resolves.toBeNull()
+    })
+
+    it("should fall back to the shipped prompt when a default is missing from the registry", async () => {
+      jest.spyOn(ChatMode, "findOne").mockResolvedValue(null)
+
+      const mode = await resolveChatMode("code-reviewer")
+
+      expect(mode).toEqual(expect.objectContaining({ key: "code-reviewer", version: 1, temperature: 0.3 }))
+    })
+  })
+
+  describe("renderModePrompt", () => {
+    const user = { name: "Ada Lovelace", preferences: { domains: [{ name: "rust", complexity: 2 }, { name: "Go", complexity: 9 }] } }
+
+    it("should derive the learner level from the domain preference", () => {
+      expect(learnerLevel(user, "Rust")).toBe("beginner")
+      expect(learnerLevel(user, "Go")).toBe("advanced")
+      expect(learnerLevel(user, "Python")).toBe("intermediate")
+    })
+
+    it("should fill in the learner and domain", () => {
+      const prompt = renderModePrompt(
+        { name: "Tutor", systemPrompt: "{{modeName}} for {{learnerName}}: {{domain}} at {{learnerLevel}} level" },
+        { user, domain: "Rust" },
+      )
+
+      expect(prompt).toBe("Tutor for Ada: Rust at beginner level")
+    })
+  })
+})
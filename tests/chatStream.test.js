@@ -0,0 +1,86 @@
+const { consumeChatStream } = require("../utils/openaiClient")
+
+// Async iterable that yields chunks like the OpenAI SDK stream, optionally failing midway
+const fakeStream = (chunks, { failAfter, signal } = {}) => ({
+  async *[Symbol.asyncIterator]() {
+    for (let index = 0; index < chunks.length; index++) {
+      if (failAfter === index) {
+        if (signal?.aborted) {
+          const error = new Error("Request was aborted.")
+          error.name = "AbortError"
+          throw error
+        }
+        throw new Error("socket hang up")
+      }
+      yield chunks[index]
+    }
+  },
+})
+
+const delta = (content, finishReason = null) => ({ choices: [{ delta: { content }, finish_reason: finishReason }] })
+
+describe("consumeChatStream", () => {
+  it("should forward deltas and assemble the reply with provider usage", async () => {
+    const seen = []
+    const usage = { prompt_tokens: 20, completion_tokens: 3, total_tokens: 23 }
+
+    const result = await consumeChatStream(
+      fakeStream([delta("Hel"), delta("lo"), delta("!", "stop"), { choices: [], usage }]),
+      { onDelta: (text) => seen.push(text) },
+    )
+
+    expect(seen).toEqual(["Hel", "lo", "!"])
+    expect(result).toEqual({ content: "Hello!", usage, finishReason: "stop", aborted: false })
+  })
+
+  it("should skip chunks without content", async () => {
+    const result = await consumeChatStream(fakeStream([{ choices: [{ delta: { role: "assistant" } }] }, delta("Hi")]))
+    expect(result.content).toBe("Hi")
+  })
+
+  it("should put tool calls back together from their pieces", async () => {
+    const piece = (toolCall, finishReason = null) => ({
+      choices: [{ delta: { tool_calls: [toolCall] }, finish_reason: finishReason }],
+    })
+
+    const result = await consumeChatStream(
+      fakeStream([
+        piece({ index: 0, id: "call_1", type: "function", function: { name: "find_learning_path", arguments: "" } }),
+        piece({ index: 0, function: { arguments: '{"from":"A",' } }),
+        piece({ index: 1, id: "call_2", function: { name: "list_team_tasks", arguments: "{}" } }),
+        piece({ index: 0, function: { arguments: '"to":"B"}' } }, "tool_calls"),
+      ]),
+    )
+
+    expect(result.content).toBe("")
+    expect(result.finishReason).toBe("tool_calls")
+    expect(result.toolCalls).toEqual([
+      { id: "call_1", type: "function", function: { name: "find_learning_path", arguments: '{"from":"A","to":"B"}' } },
+      { id: "call_2", type: "function", function: { name: "list_team_tasks", arguments: "{}" } },
+    ])
+  })
+
+  it("should keep the partial reply when aborted", async () => {
+    const controller = new AbortController()
+    const stream = fakeStream([delta("Once upon"), delta(" a time"), delta(" there")], {
+      failAfter: 2,
+      signal: controller.signal,
+    })
+
+    const result = await consumeChatStream(stream, {
+      signal: controller.signal,
+      onDelta: (text) => {
+        if (text === " a time") controller.abort()
+      },
+    })
+
+    expect(result).toEqual({ content: "Once upon a time", usage: null, finishReason: "aborted", aborted: true })
+  })
+
+  it("should rethrow other failures with the partial text attached", async () => {
+    await expect(consumeChatStream(fakeStream([delta("Half"), delta("way")], { failAfter: 1 }))).rejects.toMatchObject({
+      message: "socket hang up",
+      partialContent: "Half",
+    })
+  })
+})
@@ -0,0 +1,361 @@
+process.env.DISABLE_AUTH = "false"
+
+const mongoose = require("mongoose")
+const Team = require("../models/Team")
+const DomainIngestion = require("../models/DomainIngestion")
+const { KnowledgeGraph } = require("../models/DomainIngestion")
+const aiConfig = require("../config/ai")
+const { sendChatCompletion, streamChatCompletion } = require("../utils/openaiClient")
+const { runCodeAnalysis } = require("../services/codeAnalysisService")
+const { checkQuota } = require("../services/usageService")
+const { toolDefinitions, executeToolCall, runToolLoop, streamToolLoop } = require("../services/chatToolService")
+
+jest.mock("../utils/openaiClient", () => ({
+  ...jest.requireActual("../utils/openaiClient"),
+  sendChatCompletion: jest.fn(),
+  streamChatCompletion: jest.fn(),
+}))
+jest.mock("../services/codeAnalysisService", () => ({ runCodeAnalysis: jest.fn() }))
+jest.mock("../services/usageService", () => ({
+  ...jest.requireActual("../services/usageService"),
+  checkQuota: jest.fn(),
+}))
+
+// Mongoose query chain that resolves to `result`
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result),
+  }
+  return chain
+}
+
+const graph = {
+  domain: "Rust",
+  nodes: [
+    { id: 0, name: "Ownership", description: "Each value has a single owner", category: "theory" },
+    { id: 1, name: "Borrowing", description: "References that do not take ownership", category: "theory" },
+    { id: 2, name: "Lifetimes", description: "How long references stay valid", category: "theory" },
+    { id: 3, name: "Async Rust", description: "Futures and executors", category: "practical" },
+  ],
+  edges: [
+    { source: 0, target: 1, relationship: "prerequisite" },
+    { source: 1, target: 2, relationship: "prerequisite" },
+    { source: 3, target: 2, relationship: "builds_upon" },
+  ],
+}
+
+const user = { _id: new mongoose.Types.ObjectId(), role: "user", name: "Ada Lovelace", email: "ada@example.com" }
+const context = { user, domain: "Rust" }
+
+// One scripted model turn: either tool calls or a final answer
+const reply = ({ content = null, toolCalls } = {}) => ({
+  success: true,
+  processingTime: 100,
+  data: {
+    choices: [{ message: { content, ...(toolCalls && { tool_calls: toolCalls }) }, finish_reason: toolCalls ? "tool_calls" : "stop" }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+  },
+})
+
+// One scripted streamed turn: `deltas` go to onDelta, then the turn ends as `outcome` says
+const streamed = (deltas, outcome = {}) => async (messages, options, { onDelta }) => {
+  deltas.forEach((delta) => onDelta(delta))
+  return {
+    success: true,
+    content: deltas.join(""),
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+    usageEstimated: false,
+    finishReason: "stop",
+    aborted: false,
+    toolCalls: [],
+    error: null,
+    processingTime: 100,
+    ...outcome,
+  }
+}
+
+const call = (id, name, args) => ({
+  id,
+  type: "function",
+  function: { name, arguments: typeof args === "string" ? args : JSON.stringify(args) },
+})
+
+describe("Chat tools", () => {
+  beforeEach(() => {
+    sendChatCompletion.mockReset()
+    streamChatCompletion.mockReset()
+    runCodeAnalysis.mockReset()
+    checkQuota.mockReset().mockResolvedValue({ allowed: true })
+    jest.spyOn(KnowledgeGraph, "findOne").mockReturnValue(query(graph))
+    jest.spyOn(DomainIngestion, "findOne").mockReturnValue(query(null))
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  describe("runToolLoop", () => {
+    it("should run the tools the model calls and hand it the results", async () => {
+      sendChatCompletion
+        .mockResolvedValueOnce(reply({ toolCalls: [call("call_1", "query_knowledge_graph", { query: "borrowing" })] }))
+        .mockResolvedValueOnce(reply({ content: "Borrowing lets you use a value without owning it." }))
+      const messages = [{ role: "user", content: "What is borrowing?" }]
+
+      const result = await runToolLoop(messages, { model: "test-model" }, context)
+
+      expect(result.content).toBe("Borrowing lets you use a value without owning it.")
+      expect(result.rounds).toBe(2)
+      expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 })
+      expect(result.toolCalls).toEqual([
+        expect.objectContaining({ id: "call_1", name: "query_knowledge_graph", round: 1, error: null, arguments: { query: "borrowing" } }),
+      ])
+      expect(result.toolCalls[0].result.matches[0]).toEqual(
+        expect.objectContaining({
+          name: "Borrowing",
+          related: [
+            { name: "Ownership", relationship: "prerequisite", direction: "incoming" },
+            { name: "Lifetimes", relationship: "prerequisite", direction: "outgoing" },
+          ],
+        }),
+      )
+
+      const [, firstOptions] = sendChatCompletion.mock.calls[0]
+      expect(firstOptions.model).toBe("test-model")
+      expect(firstOptions.tools.map((tool) => tool.function.name)).toEqual([
+        "query_knowledge_graph",
+        "find_learning_path",
+        "analyze_code",
+        "list_team_tasks",
+      ])
+
+      const [secondMessages] = sendChatCompletion.mock.calls[1]
+      expect(secondMessages.slice(1).map((message) => message.role)).toEqual(["assistant", "tool"])
+      expect(secondMessages[2]).toEqual(expect.objectContaining({ tool_call_id: "call_1" }))
+      expect(JSON.parse(secondMessages[2].content).matches[0].name).toBe("Borrowing")
+      expect(messages).toHaveLength(1)
+    })
+
+    it("should make the model answer once the rounds run out", async () => {
+      sendChatCompletion.mockImplementation((messages, options) =>
+        Promise.resolve(
+          options.tools
+            ? reply({ toolCalls: [call(`call_${messages.length}`, "query_knowledge_graph", { query: "ownership" })] })
+            : reply({ content: "Done looking." }),
+        ),
+      )
+
+      const result = await runToolLoop([{ role: "user", content: "Tell me everything" }], {}, context)
+
+      expect(result.content).toBe("Done looking.")
+      expect(result.toolCalls).toHaveLength(aiConfig.tools.maxRounds)
+      expect(sendChatCompletion).toHaveBeenCalledTimes(aiConfig.tools.maxRounds + 1)
+    })
+  })
+
+  describe("streamToolLoop", () => {
+    it("should run the tools between streamed turns and stream the answer", async () => {
+      streamChatCompletion
+        .mockImplementationOnce(streamed([], { finishReason: "tool_calls", toolCalls: [call("call_1", "query_knowledge_graph", { query: "borrowing" })] }))
+        .mockImplementationOnce(streamed(["Borrowing ", "lends a value."]))
+      const deltas = []
+      const announced = []
+
+      const result = await streamToolLoop([{ role: "user", content: "What is borrowing?" }], { model: "test-model" }, context, {
+        onDelta: (delta) => deltas.push(delta),
+        onToolCall: (record) => announced.push(record.name),
+      })
+
+      expect(deltas).toEqual(["Borrowing ", "lends a value."])
+      expect(announced).toEqual(["query_knowledge_graph"])
+      expect(result).toEqual(
+        expect.objectContaining({ content: "Borrowing lends a value.", rounds: 2, tokensUsed: 30, aborted: false, error: null }),
+      )
+      expect(result.toolCalls[0]).toEqual(expect.objectContaining({ id: "call_1", round: 1, error: null }))
+      expect(streamChatCompletion.mock.calls[0][1].tools).toHaveLength(4)
+      expect(streamChatCompletion.mock.calls[1][0].at(-1)).toEqual(expect.objectContaining({ role: "tool", tool_call_id: "call_1" }))
+    })
+
+    it("should stop at an aborted turn without running its tools", async () => {
+      streamChatCompletion.mockImplementationOnce(
+        streamed(["Let me check"], {
+          finishReason: "aborted",
+          aborted: true,
+          usageEstimated: true,
+          toolCalls: [call("call_1", "query_knowledge_graph", { query: "borrowing" })],
+        }),
+      )
+
+      const result = await streamToolLoop([{ role: "user", content: "What is borrowing?" }], {}, context, { onDelta: () => {} })
+
+      expect(streamChatCompletion).toHaveBeenCalledTimes(1)
+      expect(result).toEqual(expect.objectContaining({ content: "Let me check", aborted: true, usageEstimated: true, toolCalls: [] }))
+    })
+  })
+
+  describe("permissions", () => {
+    const scopedKey = { hasScope: (scope) => scope === "chat:send" }
+
+    it("should only offer tools the caller may run", () => {
+      const names = (tools) => tools.map((tool) => tool.function.name)
+
+      expect(names(toolDefinitions({ user, apiKey: scopedKey }))).toEqual(["query_knowledge_graph", "find_learning_path"])
+      expect(names(toolDefinitions({ user: { ...user, role: "unknown" } }))).toEqual([])
+    })
+
+    it("should refuse a tool the caller may not run, even when the model calls it", async () => {
+      sendChatCompletion
+        .mockResolvedValueOnce(reply({ toolCalls: [call("call_1", "analyze_code", { code: "fn main() {}", language: "rust" })] }))
+        .mockResolvedValueOnce(reply({ content: "I can't analyse code with this key." }))
+
+      const result = await runToolLoop([{ role: "user", content: "Review this" }], {}, { ...context, apiKey: scopedKey })
+
+      expect(result.toolCalls[0]).toEqual(
+        expect.objectContaining({ name: "analyze_code", result: null, error: "Permission denied: the API key is missing the code:analyze scope" }),
+      )
+      expect(runCodeAnalysis).not.toHaveBeenCalled()
+      expect(JSON.parse(sendChatCompletion.mock.calls[1][0].at(-1).content)).toEqual({ error: result.toolCalls[0].error })
+    })
+
+    it("should report unknown tools and bad arguments to the model", async () => {
+      await expect(executeToolCall(call("a", "delete_everything", {}), context)).resolves.toEqual(
+        expect.objectContaining({ error: "Unknown tool: delete_everything" }),
+      )
+      await expect(executeToolCall(call("b", "find_learning_path", "{not json"), context)).resolves.toEqual(
+        expect.objectContaining({ error: "Arguments are not valid JSON" }),
+      )
+      await expect(executeToolCall(call("c", "find_learning_path", { from: "Ownership" }), context)).resolves.toEqual(
+        expect.objectContaining({ error: "Missing required arguments: to" }),
+      )
+    })
+  })
+
+  describe("analyze_code", () => {
+    it("should analyse the snippet as the caller and summarise the submission", async () => {
+      const submissionId = new mongoose.Types.ObjectId()
+      runCodeAnalysis.mockResolvedValue({
+        submission: {
+          _id: submissionId,
+          aiResponse: { insights: [{ message: "unused variable" }], suggestions: [], metrics: { quality: { grade: "B" } } },
+        },
+        summary: "Mostly fine",
+        qualityScore: 82,
+        fallback: false,
+      })
+
+      const { result, error } = await executeToolCall(call("a", "analyze_code", { code: "let x = 1", language: "javascript" }), context)
+
+      expect(error).toBeNull()
+      expect(checkQuota).toHaveBeenCalledWith(user, "codeAnalyses")
+      expect(runCodeAnalysis).toHaveBeenCalledWith(user, expect.objectContaining({ code: "let x = 1", language: "javascript", tags: ["chat"] }))
+      expect(result).toEqual({
+        submissionId: submissionId.toString(),
+        summary: "Mostly fine",
+        qualityScore: 82,
+        grade: "B",
+        issues: [{ message: "unused variable" }],
+        suggestions: [],
+        basicHeuristicsOnly: false,
+      })
+    })
+
+    it("should not analyse once the code analysis quota is used up", async () => {
+      const resetsAt = new Date("2026-11-01T00:00:00.000Z")
+      checkQuota.mockResolvedValue({ allowed: false, metric: "codeAnalyses", used: 10, limit: 10, remaining: 0, resetsAt })
+
+      const record = await executeToolCall(call("a", "analyze_code", { code: "x", language: "python" }), context)
+
+      expect(runCodeAnalysis).not.toHaveBeenCalled()
+      expect(record).toEqual(
+        expect.objectContaining({
+          result: null,
+          error: "Quota exceeded: the codeAnalyses allowance for this billing period is used up (resets 2026-11-01T00:00:00.000Z)",
+        }),
+      )
+    })
+
+    it("should not meter admins", async () => {
+      runCodeAnalysis.mockResolvedValue({ submission: { _id: new mongoose.Types.ObjectId() }, fallback: true })
+
+      const { error } = await executeToolCall(call("a", "analyze_code", { code: "x", language: "python" }), {
+        ...context,
+        user: { ...user, role: "admin" },
+      })
+
+      expect(error).toBeNull()
+      expect(checkQuota).not.toHaveBeenCalled()
+    })
+
+    it("should hand analysis failures to the model instead of throwing", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {})
+      runCodeAnalysis.mockRejectedValue(new Error("API quota exceeded"))
+
+      const record = await executeToolCall(call("a", "analyze_code", { code: "x", language: "python" }), context)
+
+      expect(record).toEqual(expect.objectContaining({ result: null, error: "The tool failed: API quota exceeded" }))
+    })
+  })
+
+  describe("find_learning_path", () => {
+    it("should follow edges in learning order", async () => {
+      const { result } = await executeToolCall(call("a", "find_learning_path", { from: "ownership", to: "Lifetimes" }), context)
+
+      expect(result.found).toBe(true)
+      expect(result.steps.map((step) => step.name)).toEqual(["Ownership", "Borrowing", "Lifetimes"])
+      expect(result.steps[0].next).toEqual({ relationship: "prerequisite", reversed: false })
+      expect(result.steps[2].next).toBeUndefined()
+    })
+
+    it("should fall back to links against learning order, and say when there is no path", async () => {
+      const { result } = await executeToolCall(call("a", "find_learning_path", { from: "Ownership", to: "Async Rust" }), context)
+      expect(result.steps.map((step) => step.name)).toEqual(["Ownership", "Borrowing", "Lifetimes", "Async Rust"])
+      expect(result.steps[2].next).toEqual({ relationship: "builds_upon", reversed: true })
+
+      const missing = await executeToolCall(call("b", "find_learning_path", { from: "Ownership", to: "Macros" }), context)
+      expect(missing.result).toEqual({ domain: "Rust", found: false, message: "Not in the Rust knowledge graph: Macros" })
+    })
+
+    it("should say when nothing has been ingested for the domain", async () => {
+      KnowledgeGraph.findOne.mockReturnValue(query(null))
+
+      const { result } = await executeToolCall(call("a", "find_learning_path", { from: "A", to: "B", domain: "Zig" }), context)
+
+      expect(result).toEqual({ domain: "Zig", found: false, message: "Nothing has been ingested for Zig yet" })
+    })
+  })
+
+  describe("list_team_tasks", () => {
+    it("should list open tasks of the user's teams, most urgent first", async () => {
+      const find = jest.spyOn(Team, "find").mockReturnValue(
+        query([
+          {
+            code: "CORE",
+            name: "Core",
+            tasks: [
+              { id: "t1", title: "Write docs", status: "todo", priority: "P3-Low" },
+              { id: "t2", title: "Fix login", status: "in_progress", priority: "P0-Critical", assignee: "ada@example.com" },
+              { id: "t3", title: "Ship v1", status: "done", priority: "P0-Critical" },
+              { id: "t4", title: "Triage bugs", status: "blocked", priority: "P1-High", assignee: "Grace" },
+            ],
+          },
+        ]),
+      )
+
+      const { result } = await executeToolCall(call("a", "list_team_tasks", {}), context)
+      expect(result.teams[0].openTasks).toBe(3)
+      expect(result.teams[0].tasks.map((task) => task.id)).toEqual(["t2", "t4", "t1"])
+      expect(find.mock.calls[0][0].$or[1]).toEqual({ createdBy: user._id.toString() })
+
+      const mine = await executeToolCall(call("b", "list_team_tasks", { assignedToMe: true }), context)
+      expect(mine.result.teams[0].tasks.map((task) => task.id)).toEqual(["t2"])
+    })
+
+    it("should not reveal teams the user is not on", async () => {
+      const find = jest.spyOn(Team, "find").mockReturnValue(query([]))
+
+      const { result } = await executeToolCall(call("a", "list_team_tasks", { teamCode: "other" }), context)
+
+      expect(find.mock.calls[0][0].code).toBe("OTHER")
+      expect(result).toEqual({ found: false, message: "You are not on a team with code OTHER" })
+    })
+  })
+})
@@ -3,6 +3,9 @@ const mongoose = require("mongoose")
 const app = require("../index")
 const User = require("../models/User")
 const CodeSubmission = require("../models/CodeSubmission")
+const UsageLedger = require("../models/UsageLedger")
+const { getBillingPeriod } = require("../services/usageService")
+const plans = require("../config/plans")
 
 // Mock OpenAI
 jest.mock("../utils/openaiClient", () => ({
@@ -68,6 +71,7 @@ describe("Code Analysis Routes", () => {
   beforeEach(async () => {
     await User.deleteMany({})
     await CodeSubmission.deleteMany({})
+    await UsageLedger.deleteMany({})
 
     const userData = {
       name: "Test User",
@@ -79,6 +83,9 @@ describe("Code Analysis Routes", () => {
     const registerResponse = await request(app).post("/api/auth/register").send(userData)
     authToken = registerResponse.body.data?.token
     userId = registerResponse.body.data.user.id
+
+    // Unverified accounts are limited to /api/auth
+    await User.updateOne({ _id: userId }, { emailVerified: true, accountStatus: "verified" })
   })
 
   describe("POST /api/code/analyze", () => {
@@ -370,4 +377,101 @@ describe("Code Analysis Routes", () => {
       expect(response.body.data.stats.length).toBe(2)
     })
   })
+
+  describe("Plan quotas", () => {
+    const itWithAuth = AUTH_DISABLED ? it.skip : it
+
+    itWithAuth("should return 429 once the code analysis allowance is used up", async () => {
+      const user = await User.findById(userId)
+      const { start, end } = getBillingPeriod(user)
+      await UsageLedger.create({
+        userId,
+        periodStart: start,
+        periodEnd: end,
+        usage: { codeAnalyses: plans.limits.free.codeAnalyses },
+      })
+
+      const response = await request(app)
+        .post("/api/code/analyze")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ title: "Over quota", code: "print(1)", language: "python" })
+        .expect(429)
+
+      expect(response.body.code).toBe("QUOTA_EXCEEDED")
+      expect(response.body.quota.metric).toBe("codeAnalyses")
+      expect(response.headers["retry-after"]).toBeDefined()
+    })
+
+    itWithAuth("should meter successful analyses", async () => {
+      await request(app)
+        .post("/api/code/analyze")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ title: "Metered", code: "print(1)", language: "python" })
+        .expect(200)
+
+      const ledger = await UsageLedger.findOne({ userId })
+      expect(ledger.usage.codeAnalyses).toBe(1)
+      expect(ledger.usage.tokens).toBe(150)
+    })
+
+    itWithAuth("should return 402 for analytics outside the plan", async () => {
+      const response = await request(app)
+        .get("/api/code/stats/trending")
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(402)
+
+      expect(response.body.code).toBe("FEATURE_NOT_IN_PLAN")
+    })
+  })
+
+  describe("Submission permissions", () => {
+    const itWithAuth = AUTH_DISABLED ? it.skip : it
+    let otherSubmissionId
+
+    beforeEach(async () => {
+      const otherSubmission = await CodeSubmission.create({
+        userId: new mongoose.Types.ObjectId(),
+        title: "Someone else's code",
+        code: "print(1)",
+        language: "python",
+        status: "completed",
+        aiResponse: { analysis: "Test", insights: [], suggestions: [] },
+      })
+      otherSubmissionId = otherSubmission._id
+    })
+
+    itWithAuth("should not let a regular user delete another user's submission", async () => {
+      const response = await request(app)
+        .delete(`/api/code/submission/${otherSubmissionId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(403)
+
+      expect(response.body.requiredPermission).toBe("submission:moderate")
+    })
+
+    itWithAuth("should let a moderator view and delete any submission", async () => {
+      await User.updateOne({ _id: userId }, { role: "moderator" })
+
+      await request(app)
+        .get(`/api/code/submission/${otherSubmissionId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200)
+      await request(app)
+        .delete(`/api/code/submission/${otherSubmissionId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200)
+
+      expect((await CodeSubmission.findById(otherSubmissionId)).isDeleted).toBe(true)
+    })
+
+    itWithAuth("should let a moderator read another user's code history", async () => {
+      await User.updateOne({ _id: userId }, { role: "moderator" })
+      const submission = await CodeSubmission.findById(otherSubmissionId)
+
+      await request(app)
+        .get(`/api/code/history/${submission.userId}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200)
+    })
+  })
 })
@@ -0,0 +1,92 @@
+const { markdownToHtml } = require("../utils/markdown")
+const { renderSession, exportFileName } = require("../services/exportService")
+
+const session = {
+  sessionId: "session_1767225600000_abc123xyz",
+  title: "Rust chat — 2026-01-01",
+  stats: {
+    domain: "Rust",
+    mode: "code",
+    messageCount: 2,
+    userMessages: 1,
+    aiMessages: 1,
+    totalTokens: 120,
+    avgRating: 4,
+    firstMessageAt: new Date("2026-01-01T10:00:00Z"),
+    lastMessageAt: new Date("2026-01-01T10:00:05Z"),
+  },
+  messages: [
+    {
+      id: "m1",
+      role: "user",
+      message: "How do I <b>borrow</b> a value?",
+      createdAt: new Date("2026-01-01T10:00:00Z"),
+      isEdited: true,
+      reactions: {},
+      citations: [],
+    },
+    {
+      id: "m2",
+      role: "ai",
+      message: "Use a reference:\n\n```rust\nlet r = &value;\n```",
+      createdAt: new Date("2026-01-01T10:00:05Z"),
+      isEdited: false,
+      reactions: { liked: true, rating: 4 },
+      citations: [{ index: 1, type: "document", title: "The Rust Book", url: "https://doc.rust-lang.org/book/" }],
+    },
+  ],
+}
+
+describe("Chat export", () => {
+  describe("markdownToHtml", () => {
+    it("should render fenced code with its language and escape everything", () => {
+      const html = markdownToHtml("Say <script>hi</script>\n\n```js\nif (a < b) {}\n```")
+
+      expect(html).toBe('<p>Say &lt;script&gt;hi&lt;/script&gt;</p>\n<pre><code class="language-js">if (a &lt; b) {}</code></pre>')
+    })
+
+    it("should render lists, inline code, emphasis and http links only", () => {
+      const html = markdownToHtml("1. **Own** the `Vec`\n2. [docs](https://example.com) [bad](javascript:alert(1))")
+
+      expect(html).toContain("<ol><li><strong>Own</strong> the <code>Vec</code></li>")
+      expect(html).toContain('<a href="https://example.com" rel="noopener noreferrer">docs</a>')
+      expect(html).not.toContain('href="javascript')
+    })
+  })
+
+  describe("renderSession", () => {
+    it("should write Markdown with the session header, roles, sources and reactions", () => {
+      const markdown = renderSession(session, "md")
+
+      expect(markdown.startsWith("# Rust chat — 2026-01-01\n")).toBe(true)
+      expect(markdown).toContain("- **Messages:** 2 (1 from you, 1 answers)")
+      expect(markdown).toContain("### You · 2026-01-01 10:00:00 UTC (edited)")
+      expect(markdown).toContain("```rust\nlet r = &value;\n```")
+      expect(markdown).toContain("- [1] The Rust Book — https://doc.rust-lang.org/book/")
+      expect(markdown).toContain("_👍 liked · ★ 4/5_")
+    })
+
+    it("should write a standalone HTML document with escaped messages", () => {
+      const html = renderSession(session, "html")
+
+      expect(html.startsWith("<!DOCTYPE html>")).toBe(true)
+      expect(html).toContain("<dt>Average rating</dt><dd>4/5</dd>")
+      expect(html).toContain("How do I &lt;b&gt;borrow&lt;/b&gt; a value?")
+      expect(html).toContain('<pre><code class="language-rust">let r = &amp;value;</code></pre>')
+      expect(html).toContain('<li value="1"><a href="https://doc.rust-lang.org/book/"')
+    })
+
+    it("should write JSON that keeps every field", () => {
+      const json = JSON.parse(renderSession(session, "json"))
+
+      expect(json.exportedAt).toEqual(expect.any(String))
+      expect(json.stats.totalTokens).toBe(120)
+      expect(json.messages[1].citations[0].title).toBe("The Rust Book")
+    })
+  })
+
+  it("should name files after the domain, start date and session", () => {
+    expect(exportFileName(session, "html")).toBe("rust-2026-01-01-1767225600000-abc123xyz.html")
+    expect(exportFileName({ sessionId: "legacy_64b0_web dev", stats: null }, "md")).toBe("chat-legacy-64b0-web-dev.md")
+  })
+})
@@ -0,0 +1,145 @@
+const http = require("http")
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => resolve(new URLSearchParams(body)))
+    req.on("error", reject)
+  })
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Minimal OpenID Connect provider for offline tests. /authorize consents
+ * immediately as the current user; /token enforces client auth and PKCE (S256).
+ * @param {Object} options - { clientId, clientSecret }
+ * @returns {Object} { start, stop, setUser, reset, issuer, clientId, clientSecret, options }
+ */
+const createMockIdp = ({ clientId = "synaptron-test", clientSecret = "mock-secret" } = {}) => {
+  const codes = new Map()
+  const accessTokens = new Map()
+  const idp = {
+    clientId,
+    clientSecret,
+    issuer: null,
+    user: null,
+    // Set emailInIdToken to false to make clients fall back to /userinfo
+    options: { emailInIdToken: true },
+  }
+
+  const reset = () => {
+    idp.user = { sub: "mock-user-1", email: "oauth@example.com", email_verified: true, name: "OAuth User" }
+    idp.options.emailInIdToken = true
+  }
+
+  const handleAuthorize = (url, res) => {
+    const params = url.searchParams
+    const redirectUri = params.get("redirect_uri")
+
+    if (params.get("client_id") !== clientId || params.get("response_type") !== "code" || !redirectUri) {
+      return sendJson(res, 400, { error: "invalid_request" })
+    }
+    if (params.get("code_challenge_method") !== "S256" || !params.get("code_challenge")) {
+      return sendJson(res, 400, { error: "invalid_request", error_description: "PKCE S256 required" })
+    }
+
+    const code = crypto.randomBytes(16).toString("hex")
+    codes.set(code, {
+      redirectUri,
+      codeChallenge: params.get("code_challenge"),
+      nonce: params.get("nonce"),
+      user: { ...idp.user },
+    })
+
+    const location = new URL(redirectUri)
+    location.searchParams.set("code", code)
+    location.searchParams.set("state", params.get("state"))
+    res.writeHead(302, { Location: location.toString() })
+    res.end()
+  }
+
+  const handleToken = async (req, res) => {
+    const body = await readBody(req)
+    const grant = codes.get(body.get("code"))
+    codes.delete(body.get("code"))
+
+    if (body.get("client_id") !== clientId || body.get("client_secret") !== clientSecret) {
+      return sendJson(res, 401, { error: "invalid_client" })
+    }
+    if (!grant || body.get("grant_type") !== "authorization_code" || body.get("redirect_uri") !== grant.redirectUri) {
+      return sendJson(res, 400, { error: "invalid_grant" })
+    }
+    const challenge = crypto.createHash("sha256").update(body.get("code_verifier") || "").digest("base64url")
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" })
+    }
+
+    const { email, email_verified: emailVerified, ...identity } = grant.user
+    const accessToken = crypto.randomBytes(16).toString("hex")
+    accessTokens.set(accessToken, grant.user)
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: jwt.sign(
+        {
+          ...identity,
+          ...(idp.options.emailInIdToken && { email, email_verified: emailVerified }),
+          nonce: grant.nonce,
+        },
+        "mock-idp-signing-key",
+        { issuer: idp.issuer, audience: clientId, expiresIn: "5m" },
+      ),
+    })
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, idp.issuer)
+
+    if (req.method === "GET" && url.pathname === "/.well-known/openid-configuration") {
+      return sendJson(res, 200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+      })
+    }
+    if (req.method === "GET" && url.pathname === "/authorize") return handleAuthorize(url, res)
+    if (req.method === "POST" && url.pathname === "/token") return handleToken(req, res)
+    if (req.method === "GET" && url.pathname === "/userinfo") {
+      const user = accessTokens.get(String(req.headers.authorization || "").replace(/^Bearer /, ""))
+      return user ? sendJson(res, 200, user) : sendJson(res, 401, { error: "invalid_token" })
+    }
+
+    sendJson(res, 404, { error: "not_found" })
+  })
+
+  idp.setUser = (user) => {
+    idp.user = { ...idp.user, ...user }
+  }
+  idp.reset = reset
+
+  idp.start = () =>
+    new Promise((resolve) => {
+      server.listen(0, "127.0.0.1", () => {
+        idp.issuer = `http://127.0.0.1:${server.address().port}`
+        resolve(idp.issuer)
+      })
+    })
+
+  idp.stop = () => new Promise((resolve) => server.close(() => resolve()))
+
+  reset()
+  return idp
+}
+
+module.exports = { createMockIdp }
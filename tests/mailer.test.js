@@ -0,0 +1,38 @@
+const { registerTransport, setTransport, sendVerificationEmail, sendPasswordResetEmail } = require("../services/mailer")
+
+describe("Mail templates", () => {
+  const sent = []
+  const user = { _id: "64b000000000000000000001", name: '<a href="https://evil.example">Click</a>', email: "ada@example.com" }
+
+  beforeAll(() => {
+    registerTransport({ name: "capture", send: async (message) => sent.push(message) && { id: String(sent.length) } })
+    setTransport("capture")
+  })
+
+  beforeEach(() => {
+    sent.length = 0
+  })
+
+  it.each([
+    ["verification", sendVerificationEmail],
+    ["password reset", sendPasswordResetEmail],
+  ])("should escape the user's name in the %s email", async (_, send) => {
+    await send(user, "token-123")
+
+    const [message] = sent
+    expect(message.html).toContain("Hi &lt;a href=&quot;https://evil.example&quot;&gt;Click&lt;/a&gt;,")
+    expect(message.html).not.toContain("evil.example\">")
+    expect(message.text).toContain(`Hi ${user.name},`)
+  })
+
+  it.each([
+    ["verification", sendVerificationEmail],
+    ["password reset", sendPasswordResetEmail],
+  ])("should keep the %s token out of the message metadata", async (_, send) => {
+    await send(user, "token-123")
+
+    const [message] = sent
+    expect(message.text).toContain("token=token-123")
+    expect(message.metadata).toEqual({ userId: user._id })
+  })
+})
@@ -0,0 +1,154 @@
+const mongoose = require("mongoose")
+const SessionSummary = require("../models/SessionSummary")
+const LearnerMemory = require("../models/LearnerMemory")
+const aiConfig = require("../config/ai")
+const { generateChatPrompt } = require("../utils/openaiClient")
+const { recordUsage } = require("../services/usageService")
+const { addLearnerFacts, prepareConversationMemory } = require("../services/memoryService")
+
+jest.mock("../services/usageService", () => ({ recordUsage: jest.fn() }))
+
+const USER_ID = "64b000000000000000000001"
+const userMessage = { userId: USER_ID, sessionId: "session-1" }
+const user = { _id: USER_ID, role: "user" }
+
+const lean = (result) => ({ lean: () => Promise.resolve(result) })
+
+// A branch of alternating learner/assistant messages, oldest first
+const buildBranch = (length) =>
+  Array.from({ length }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: index % 2 === 0 ? "user" : "ai",
+    message: `message ${index}`,
+  }))
+
+const scriptedSummary = (content) =>
+  jest.fn().mockResolvedValue({
+    success: true,
+    content,
+    data: { choices: [{ message: { content: JSON.stringify(content) } }] },
+    tokensUsed: 240,
+  })
+
+describe("Conversation memory", () => {
+  const { windowMessages, maxWindowMessages } = aiConfig.memory
+
+  beforeEach(() => {
+    recordUsage.mockReset()
+    jest.spyOn(SessionSummary, "findOneAndUpdate").mockResolvedValue(null)
+    jest.spyOn(LearnerMemory, "findOne").mockImplementation(() => {
+      const query = Promise.resolve(null)
+      query.lean = () => Promise.resolve(null)
+      return query
+    })
+    jest.spyOn(LearnerMemory.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("should send short sessions as they are", async () => {
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean(null))
+    const branch = buildBranch(maxWindowMessages)
+    const complete = jest.fn()
+
+    const { summary, recent } = await prepareConversationMemory(userMessage, branch, { domain: "Rust", complete })
+
+    expect(summary).toBe("")
+    expect(recent).toHaveLength(maxWindowMessages)
+    expect(complete).not.toHaveBeenCalled()
+  })
+
+  it("should replace the messages a summary covers with the summary", async () => {
+    const branch = buildBranch(8)
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean({ summary: "Learner wants to build a CLI.", throughMessageId: branch[3]._id }))
+
+    const { summary, recent } = await prepareConversationMemory(userMessage, branch, { domain: "Rust", complete: jest.fn() })
+
+    expect(summary).toBe("Learner wants to build a CLI.")
+    expect(recent.map((message) => message.message)).toEqual(["message 4", "message 5", "message 6", "message 7"])
+  })
+
+  it("should ignore a summary written for another branch", async () => {
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean({ summary: "Other branch", throughMessageId: new mongoose.Types.ObjectId() }))
+
+    const { summary, recent } = await prepareConversationMemory(userMessage, buildBranch(4), { complete: jest.fn() })
+
+    expect(summary).toBe("")
+    expect(recent).toHaveLength(4)
+  })
+
+  it("should fold the overflow into the summary and learn facts", async () => {
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean(null))
+    const branch = buildBranch(maxWindowMessages + 1)
+    const complete = scriptedSummary({ summary: "Covered ownership and borrowing.", facts: ["Prefers short examples"] })
+
+    const { summary, recent } = await prepareConversationMemory(userMessage, branch, { domain: "Rust", user, complete })
+
+    const folded = branch.length - windowMessages
+    expect(summary).toBe("Covered ownership and borrowing.")
+    expect(recent).toEqual(branch.slice(folded))
+    const transcript = complete.mock.calls[0][0][1].content
+    expect(transcript.endsWith(`message ${folded - 1}`)).toBe(true)
+    expect(SessionSummary.findOneAndUpdate).toHaveBeenCalledWith(
+      { userId: USER_ID, sessionId: "session-1" },
+      { summary: "Covered ownership and borrowing.", throughMessageId: branch[folded - 1]._id, messageCount: folded },
+      expect.objectContaining({ upsert: true }),
+    )
+    expect(LearnerMemory.prototype.save).toHaveBeenCalled()
+    expect(recordUsage).toHaveBeenCalledWith(user, { tokens: 240 })
+  })
+
+  it("should meter the summary completion even when its answer is unusable", async () => {
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean(null))
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    const branch = buildBranch(maxWindowMessages + 1)
+    const complete = scriptedSummary({ facts: [] })
+
+    const { summary } = await prepareConversationMemory(userMessage, branch, { domain: "Rust", user, complete })
+
+    expect(summary).toBe("")
+    expect(SessionSummary.findOneAndUpdate).not.toHaveBeenCalled()
+    expect(recordUsage).toHaveBeenCalledWith(user, { tokens: 240 })
+  })
+
+  it("should fall back to the window when summarising fails", async () => {
+    jest.spyOn(SessionSummary, "findOne").mockReturnValue(lean(null))
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    const branch = buildBranch(maxWindowMessages + 4)
+    const complete = jest.fn().mockRejectedValue(new Error("rate limited"))
+
+    const { summary, recent } = await prepareConversationMemory(userMessage, branch, { domain: "Rust", complete })
+
+    expect(summary).toBe("")
+    expect(recent).toEqual(branch.slice(-maxWindowMessages))
+    expect(SessionSummary.findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it("should skip known facts and drop the oldest learned ones past the cap", async () => {
+    const existing = new LearnerMemory({ userId: USER_ID, domain: "rust" })
+    existing.facts.push({ text: "Written by the user", source: "user" })
+    for (let i = 0; i < aiConfig.memory.maxFacts - 1; i++) existing.facts.push({ text: `learned ${i}`, source: "auto" })
+    LearnerMemory.findOne.mockResolvedValue(existing)
+
+    const memory = await addLearnerFacts(USER_ID, "Rust", ["LEARNED 3", "Uses Windows"], "auto")
+
+    const texts = memory.facts.map((fact) => fact.text)
+    expect(texts).toHaveLength(aiConfig.memory.maxFacts)
+    expect(texts[0]).toBe("Written by the user")
+    expect(texts).not.toContain("learned 0")
+    expect(texts[texts.length - 1]).toBe("Uses Windows")
+    expect(texts.filter((text) => text.toLowerCase() === "learned 3")).toHaveLength(1)
+  })
+
+  it("should put the summary and learner facts into the system prompt", () => {
+    const [system] = generateChatPrompt([], "Rust", "chat", {
+      summary: "Covered ownership.",
+      learnerFacts: ["Prefers short examples"],
+    })
+
+    expect(system.content).toContain("What you know about this learner:\n- Prefers short examples")
+    expect(system.content).toContain("Summary of the earlier part of this conversation:\nCovered ownership.")
+  })
+})
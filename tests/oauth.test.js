@@ -0,0 +1,139 @@
+const crypto = require("crypto")
+const request = require("supertest")
+const {
+  generatePkcePair,
+  createOidcProvider,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  registerConfiguredProviders,
+} = require("../services/oauthProviders")
+const { createMockIdp } = require("./helpers/mockIdp")
+
+const REDIRECT_URI = "http://localhost:5000/api/auth/oauth/mock/callback"
+
+describe("OAuth providers", () => {
+  const idp = createMockIdp()
+  let provider
+
+  beforeAll(async () => {
+    await idp.start()
+    provider = createOidcProvider({
+      id: "mock",
+      displayName: "Mock IdP",
+      issuer: idp.issuer,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret,
+    })
+  })
+
+  afterAll(async () => {
+    await idp.stop()
+  })
+
+  beforeEach(() => {
+    idp.reset()
+  })
+
+  // Play the browser: open the authorization URL and read the code off the redirect
+  const authorize = async ({ nonce = "nonce-1" } = {}) => {
+    const pkce = generatePkcePair()
+    const authorizationUrl = new URL(
+      await provider.getAuthorizationUrl({ state: "state-1", codeChallenge: pkce.codeChallenge, nonce, redirectUri: REDIRECT_URI }),
+    )
+    const consent = await request(idp.issuer).get(authorizationUrl.pathname + authorizationUrl.search).expect(302)
+    const callback = new URL(consent.headers.location)
+
+    return { ...pkce, authorizationUrl, callback, code: callback.searchParams.get("code") }
+  }
+
+  describe("generatePkcePair", () => {
+    it("should derive an S256 challenge from a high-entropy verifier", () => {
+      const { codeVerifier, codeChallenge } = generatePkcePair()
+
+      expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/)
+      expect(codeChallenge).toBe(crypto.createHash("sha256").update(codeVerifier).digest("base64url"))
+      expect(generatePkcePair().codeVerifier).not.toBe(codeVerifier)
+    })
+  })
+
+  describe("OIDC provider", () => {
+    it("should build the authorization URL from discovery", async () => {
+      const { authorizationUrl, callback, codeChallenge } = await authorize()
+
+      expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${idp.issuer}/authorize`)
+      expect(authorizationUrl.searchParams.get("code_challenge")).toBe(codeChallenge)
+      expect(authorizationUrl.searchParams.get("code_challenge_method")).toBe("S256")
+      expect(authorizationUrl.searchParams.get("scope")).toBe("openid email profile")
+      expect(callback.searchParams.get("state")).toBe("state-1")
+    })
+
+    it("should exchange the code and normalize the profile", async () => {
+      idp.setUser({ email: "Someone@Example.com", picture: "https://example.com/me.png" })
+      const { code, codeVerifier } = await authorize()
+
+      const profile = await provider.getProfile({ code, codeVerifier, nonce: "nonce-1", redirectUri: REDIRECT_URI })
+
+      expect(profile).toEqual({
+        subject: "mock-user-1",
+        email: "someone@example.com",
+        emailVerified: true,
+        name: "OAuth User",
+        avatar: "https://example.com/me.png",
+      })
+    })
+
+    it("should fail when the PKCE verifier does not match", async () => {
+      const { code } = await authorize()
+
+      await expect(
+        provider.getProfile({ code, codeVerifier: generatePkcePair().codeVerifier, nonce: "nonce-1", redirectUri: REDIRECT_URI }),
+      ).rejects.toMatchObject({ code: "OAUTH_EXCHANGE_FAILED" })
+    })
+
+    it("should reject an ID token minted for another login attempt", async () => {
+      const { code, codeVerifier } = await authorize({ nonce: "nonce-1" })
+
+      await expect(
+        provider.getProfile({ code, codeVerifier, nonce: "nonce-2", redirectUri: REDIRECT_URI }),
+      ).rejects.toMatchObject({ code: "OAUTH_INVALID_ID_TOKEN" })
+    })
+
+    it("should read the email from UserInfo when the ID token omits it", async () => {
+      idp.options.emailInIdToken = false
+      idp.setUser({ email_verified: false })
+      const { code, codeVerifier } = await authorize()
+
+      const profile = await provider.getProfile({ code, codeVerifier, nonce: "nonce-1", redirectUri: REDIRECT_URI })
+
+      expect(profile.email).toBe("oauth@example.com")
+      expect(profile.emailVerified).toBe(false)
+    })
+  })
+
+  describe("registry", () => {
+    afterEach(() => {
+      ;["mock", "github", "google", "oidc"].forEach(unregisterProvider)
+    })
+
+    it("should register and list providers", () => {
+      registerProvider(provider)
+
+      expect(getProvider("mock")).toBe(provider)
+      expect(listProviders()).toContainEqual({ id: "mock", displayName: "Mock IdP", type: "oidc" })
+      expect(getProvider("nope")).toBeNull()
+    })
+
+    it("should only enable providers with a client id", () => {
+      registerConfiguredProviders({
+        github: { clientId: "gh-client", clientSecret: "gh-secret" },
+        google: {},
+        oidc: { issuer: idp.issuer, clientId: "oidc-client", displayName: "Company SSO" },
+      })
+
+      expect(listProviders().map((entry) => entry.id).sort()).toEqual(["github", "oidc"])
+      expect(getProvider("github").type).toBe("oauth2")
+    })
+  })
+})
@@ -0,0 +1,250 @@
+process.env.DISABLE_AUTH = "false"
+
+const { PERMISSIONS, roles } = require("../config/permissions")
+const { can, getRolePermissions, ownsParam, managesTeam } = require("../services/policyService")
+const express = require("express")
+const request = require("supertest")
+const { authorize } = require("../middlewares/authMiddleware")
+const { generateAccessToken } = require("../services/tokenService")
+const Team = require("../models/Team")
+const User = require("../models/User")
+const ingestRoutes = require("../routes/ingest")
+
+const userWithRole = (role, id = "64b000000000000000000001") => ({
+  _id: { toString: () => id },
+  email: `${role}@example.com`,
+  role,
+})
+
+// Run a middleware and report how it finished
+const run = async (middleware, req) => {
+  const result = { nextCalled: false, status: null, body: null }
+  const res = {
+    status(code) {
+      result.status = code
+      return this
+    },
+    json(body) {
+      result.body = body
+      return this
+    },
+  }
+  await middleware(req, res, () => {
+    result.nextCalled = true
+  })
+  return result
+}
+
+describe("Policy engine", () => {
+  describe("role matrix", () => {
+    const granted = {
+      user: ["chat:use", "code:analyze", "ingest:read", "ingest:start", "team:create", "team:read"],
+      premium: ["chat:use", "code:analyze", "ingest:read", "ingest:start", "team:create", "team:read"],
+      moderator: [
+        "chat:use",
+        "chat:moderate",
+        "code:analyze",
+        "submission:moderate",
+        "ingest:read",
+        "ingest:start",
+        "ingest:moderate",
+        "ingest:delete",
+        "team:create",
+        "team:read",
+      ],
+      admin: Object.keys(PERMISSIONS),
+    }
+
+    for (const role of Object.keys(roles)) {
+      for (const permission of Object.keys(PERMISSIONS)) {
+        const expected = granted[role].includes(permission)
+
+        it(`${role} ${expected ? "can" : "cannot"} ${permission}`, () => {
+          expect(can(userWithRole(role), permission)).toBe(expected)
+        })
+      }
+    }
+
+    it("should only reference known permissions", () => {
+      for (const role of Object.keys(roles)) {
+        for (const permission of getRolePermissions(role)) {
+          expect(permission === "*" || PERMISSIONS[permission]).toBeTruthy()
+        }
+      }
+    })
+
+    it("should grant nothing to unknown roles or anonymous callers", () => {
+      expect(can(userWithRole("intern"), "chat:use")).toBe(false)
+      expect(can(null, "chat:use")).toBe(false)
+    })
+  })
+
+  describe("ingest routes", () => {
+    const app = express().use("/api/ingest", ingestRoutes)
+    const otherUserId = "64b000000000000000000099"
+
+    // [method, path, permission a caller without it is refused for]
+    const guarded = [
+      ["get", "/api/ingest/knowledge-graph/Rust", "ingest:read"],
+      ["get", "/api/ingest/dashboard/Rust", "ingest:read"],
+      ["get", "/api/ingest/resources/Rust", "ingest:read"],
+      ["get", "/api/ingest/domains", "ingest:read"],
+      ["post", "/api/ingest/analyze-resources/Rust", "ingest:read"],
+      ["post", "/api/ingest/analyze-report", "ingest:read"],
+      ["get", `/api/ingest/user-history/${otherUserId}`, "ingest:moderate"],
+    ]
+
+    // A signed-in, verified account with `role`, without touching the database
+    const tokenFor = (role) => {
+      const user = {
+        ...userWithRole(role),
+        isActive: true,
+        isBlocked: false,
+        emailVerified: true,
+        tokenVersion: 0,
+        updateLastActive: () => {},
+      }
+      jest.spyOn(User, "findById").mockReturnValue({ select: () => Promise.resolve(user) })
+      return generateAccessToken(user)
+    }
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || "policy-test-secret"
+    })
+
+    afterEach(() => jest.restoreAllMocks())
+
+    it.each(guarded)("%s %s should require a token", async (method, path) => {
+      const response = await request(app)[method](path)
+
+      expect(response.status).toBe(401)
+    })
+
+    it.each(guarded)("%s %s should require %s", async (method, path, permission) => {
+      const response = await request(app)[method](path).set("Authorization", `Bearer ${tokenFor("intern")}`)
+
+      expect(response.status).toBe(403)
+      expect(response.body.requiredPermission).toBe(permission)
+    })
+
+    it("should not show users each other's ingestion history", async () => {
+      const response = await request(app)
+        .get(`/api/ingest/user-history/${otherUserId}`)
+        .set("Authorization", `Bearer ${tokenFor("user")}`)
+
+      expect(response.status).toBe(403)
+    })
+  })
+
+  describe("authorize", () => {
+    it("should require an authenticated user", async () => {
+      const result = await run(authorize("chat:use"), {})
+
+      expect(result.status).toBe(401)
+      expect(result.nextCalled).toBe(false)
+    })
+
+    it("should let a role with the permission through with scope any", async () => {
+      const req = { user: userWithRole("moderator") }
+      const result = await run(authorize("submission:moderate"), req)
+
+      expect(result.nextCalled).toBe(true)
+      expect(req.authorization).toEqual({ permission: "submission:moderate", scope: "any" })
+    })
+
+    it("should reject a role without the permission", async () => {
+      const result = await run(authorize("ingest:delete"), { user: userWithRole("user") })
+
+      expect(result.status).toBe(403)
+      expect(result.body).toMatchObject({ code: "FORBIDDEN", requiredPermission: "ingest:delete" })
+    })
+
+    it("should let owners through with scope own", async () => {
+      const user = userWithRole("user")
+      const req = { user, params: { userId: user._id.toString() } }
+      const result = await run(authorize("chat:moderate", { owns: ownsParam("userId") }), req)
+
+      expect(result.nextCalled).toBe(true)
+      expect(req.authorization.scope).toBe("own")
+    })
+
+    it("should reject other users' resources", async () => {
+      const req = { user: userWithRole("user"), params: { userId: "64b000000000000000000099" } }
+      const result = await run(authorize("chat:moderate", { owns: ownsParam("userId") }), req)
+
+      expect(result.status).toBe(403)
+      expect(result.body.message).toContain("Access denied")
+    })
+
+    it("should answer 404 when the resource does not exist", async () => {
+      const result = await run(authorize("submission:moderate", { owns: async () => null }), {
+        user: userWithRole("user"),
+        params: {},
+      })
+
+      expect(result.status).toBe(404)
+    })
+  })
+
+  describe("requireAuthEnabled", () => {
+    afterEach(() => {
+      process.env.DISABLE_AUTH = "false"
+    })
+
+    const load = (disableAuth) => {
+      process.env.DISABLE_AUTH = disableAuth
+      let middleware
+      jest.isolateModules(() => {
+        middleware = require("../middlewares/authMiddleware").requireAuthEnabled
+      })
+      return middleware
+    }
+
+    it("should let requests through when auth is on", async () => {
+      const result = await run(load("false"), {})
+
+      expect(result.nextCalled).toBe(true)
+    })
+
+    it("should refuse requests on the auth-disabled bypass", async () => {
+      const result = await run(load("true"), {})
+
+      expect(result.nextCalled).toBe(false)
+      expect(result.status).toBe(403)
+      expect(result.body.code).toBe("AUTH_DISABLED")
+    })
+  })
+
+  describe("managesTeam", () => {
+    const mockTeam = (team) => jest.spyOn(Team, "findOne").mockReturnValue({ select: () => Promise.resolve(team) })
+
+    afterEach(() => jest.restoreAllMocks())
+
+    const requestFor = (user) => ({ user, params: { code: "ABC123" }, body: {} })
+
+    it("should treat the creator as a manager", async () => {
+      const user = userWithRole("user")
+      mockTeam({ createdBy: user._id.toString(), members: [] })
+
+      expect(await managesTeam("canManageMembers")(requestFor(user))).toBe(true)
+    })
+
+    it("should follow the member's team permissions", async () => {
+      const user = userWithRole("user")
+      mockTeam({
+        createdBy: "someone-else",
+        members: [{ email: user.email, permissions: { canCreateTasks: true, canManageMembers: false } }],
+      })
+
+      expect(await managesTeam("canCreateTasks")(requestFor(user))).toBe(true)
+      expect(await managesTeam("canManageMembers")(requestFor(user))).toBe(false)
+    })
+
+    it("should report unknown teams unless upserts are allowed", async () => {
+      mockTeam(null)
+
+      expect(await managesTeam("isAdmin")(requestFor(userWithRole("user")))).toBeNull()
+      expect(await managesTeam("isAdmin", { allowMissing: true })(requestFor(userWithRole("user")))).toBe(true)
+    })
+  })
+})
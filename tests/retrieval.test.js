@@ -0,0 +1,163 @@
+const DomainIngestion = require("../models/DomainIngestion")
+const { KnowledgeGraph, CrawledDocument } = require("../models/DomainIngestion")
+const { tokenize, createBm25Index } = require("../utils/bm25")
+const { generateChatPrompt } = require("../utils/openaiClient")
+const { splitPassages, retrieveContext, searchIngestion, clearRetrievalCache } = require("../services/retrievalService")
+
+// Mongoose query chain that resolves to `result`
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result),
+  }
+  return chain
+}
+
+const graph = {
+  nodes: [
+    { id: "n1", name: "Event Loop", description: "How Node.js schedules callbacks, timers and I/O", category: "theory" },
+    { id: "n2", name: "Streams", description: "Processing data piece by piece with backpressure", category: "practical" },
+    { id: "n3", name: "Express Middleware", description: "Functions that run between request and response" },
+  ],
+  pathways: [
+    {
+      name: "Event Loop - Complete Mastery Path",
+      description: "From callbacks to async iteration",
+      steps: [{ id: "n1", name: "Event Loop" }, { id: "n2", name: "Streams" }],
+    },
+  ],
+}
+
+const documents = [
+  {
+    _id: "d1",
+    title: "Understanding the Node.js event loop",
+    url: "https://nodejs.org/en/learn/asynchronous-work/event-loop-timers-and-nexttick",
+    content: { fullText: "The event loop lets Node.js perform non-blocking I/O. Timers run in their own phase." },
+  },
+  {
+    _id: "d2",
+    title: "Writing middleware",
+    url: "https://expressjs.com/en/guide/writing-middleware.html",
+    content: { summary: "Middleware functions have access to the request and response objects." },
+  },
+]
+
+const mockCorpus = ({ knowledgeGraph = graph, crawled = documents, ingestion = null } = {}) => {
+  jest.spyOn(KnowledgeGraph, "findOne").mockReturnValue(query(knowledgeGraph))
+  jest.spyOn(CrawledDocument, "find").mockReturnValue(query(crawled))
+  jest.spyOn(DomainIngestion, "findOne").mockReturnValue(query(ingestion))
+}
+
+describe("BM25 index", () => {
+  it("should tokenize without stop words and keep tech symbols", () => {
+    expect(tokenize("What is the Node.js event loop in C++?")).toEqual(["node.js", "event", "loop", "c++"])
+  })
+
+  it("should rank the passage with the rarer matching terms first", () => {
+    const index = createBm25Index([
+      { id: 1, text: "javascript closures capture variables" },
+      { id: 2, text: "javascript promises and async functions" },
+      { id: 3, text: "python generators" },
+    ])
+
+    const results = index.search("javascript closures")
+    expect(results.map((result) => result.document.id)).toEqual([1, 2])
+    expect(index.search("rust ownership")).toEqual([])
+  })
+})
+
+describe("Retrieval service", () => {
+  beforeEach(() => clearRetrievalCache())
+  afterEach(() => jest.restoreAllMocks())
+
+  it("should split long text into passages near the requested size", () => {
+    const passages = splitPassages("One sentence here. Another sentence there. " + "x".repeat(50), 30)
+    expect(passages.every((passage) => passage.length <= 30)).toBe(true)
+    expect(passages.join(" ")).toContain("Another sentence there.")
+  })
+
+  it("should cite nodes, pathways and documents that match the question", async () => {
+    mockCorpus()
+
+    const { passages, citations } = await retrieveContext("Node.js", "how does the event loop handle timers?", {
+      embeddings: false,
+    })
+
+    expect(passages.length).toBeGreaterThan(0)
+    expect(citations[0].index).toBe(1)
+    expect(citations).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: "node", nodeId: "n1", title: "Event Loop" }),
+        expect.objectContaining({ type: "document", url: documents[0].url }),
+        expect.objectContaining({ type: "pathway", nodeIds: ["n1", "n2"] }),
+      ]),
+    )
+    expect(citations.find((citation) => citation.title === "Writing middleware")).toBeUndefined()
+  })
+
+  it("should fall back to the latest completed ingestion without a knowledge graph", async () => {
+    mockCorpus({
+      knowledgeGraph: null,
+      crawled: [],
+      ingestion: { knowledgeGraph: { nodes: graph.nodes }, optimization: { pathways: [] } },
+    })
+
+    const { citations } = await retrieveContext("Node.js", "streams backpressure", { embeddings: false })
+    expect(citations).toEqual([expect.objectContaining({ type: "node", nodeId: "n2" })])
+  })
+
+  it("should search a single ingestion's graph and pathways", () => {
+    const ingestion = { knowledgeGraph: { nodes: graph.nodes }, optimization: { pathways: graph.pathways } }
+
+    expect(searchIngestion(ingestion, "backpressure").map((passage) => passage.title)).toEqual(["Streams"])
+    expect(searchIngestion(ingestion, "event loop").map((passage) => passage.type).sort()).toEqual(["node", "pathway"])
+    expect(searchIngestion(ingestion, "event loop", 1)).toHaveLength(1)
+    expect(searchIngestion({}, "event loop")).toEqual([])
+  })
+
+  it("should cache the corpus per domain", async () => {
+    mockCorpus()
+
+    await retrieveContext("Node.js", "event loop", { embeddings: false })
+    await retrieveContext("node.js", "middleware", { embeddings: false })
+
+    expect(KnowledgeGraph.findOne).toHaveBeenCalledTimes(1)
+  })
+
+  it("should re-rank with embeddings when given an embedder", async () => {
+    mockCorpus()
+    // Puts everything about middleware closest to the query
+    const embed = jest.fn(async (texts) => texts.map((text, index) => (index === 0 || /middleware/i.test(text) ? [1, 0] : [0, 1])))
+
+    const { citations } = await retrieveContext("Node.js", "middleware event loop", { embeddings: true, embed, limit: 2 })
+
+    expect(embed).toHaveBeenCalled()
+    expect(citations[0].title).toMatch(/middleware/i)
+  })
+
+  it("should keep BM25 order when embeddings fail", async () => {
+    mockCorpus()
+    jest.spyOn(console, "error").mockImplementation(() => {})
+    const embed = jest.fn().mockRejectedValue(new Error("offline"))
+
+    const { citations } = await retrieveContext("Node.js", "event loop timers", { embeddings: true, embed })
+    expect(citations.length).toBeGreaterThan(0)
+  })
+
+  it("should put numbered sources into the system prompt", () => {
+    const [system, user] = generateChatPrompt([{ role: "user", content: "Explain the event loop" }], "Node.js", "chat", {
+      passages: [
+        { title: "Event Loop", url: null, text: "How Node.js schedules callbacks" },
+        { title: "Understanding the Node.js event loop", url: documents[0].url, text: "Timers run in their own phase." },
+      ],
+    })
+
+    expect(system.content).toContain("[1] Event Loop\nHow Node.js schedules callbacks")
+    expect(system.content).toContain(`[2] Understanding the Node.js event loop (${documents[0].url})`)
+    expect(user.content).toBe("Explain the event loop")
+    expect(generateChatPrompt([], "Node.js")[0].content).not.toContain("[1]")
+  })
+})
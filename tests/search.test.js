@@ -0,0 +1,48 @@
+const { parseSearchQuery, buildSnippet, encodeCursor, decodeCursor } = require("../services/searchService")
+
+describe("Chat search helpers", () => {
+  describe("parseSearchQuery", () => {
+    it("should separate phrases, terms and exclusions", () => {
+      expect(parseSearchQuery('"event loop"  timers -python "  "')).toEqual({
+        phrases: ["event loop"],
+        terms: ["timers"],
+        excluded: ["python"],
+      })
+    })
+
+    it("should treat an unbalanced quote as plain text", () => {
+      expect(parseSearchQuery('closures "scope')).toEqual({ phrases: [], terms: ["closures", "scope"], excluded: [] })
+    })
+  })
+
+  describe("buildSnippet", () => {
+    it("should mark phrases and stemmed terms and escape HTML", () => {
+      const snippet = buildSnippet("The <b>event   loop</b> runs loops of timers.", parseSearchQuery('"event loop" loop'))
+
+      expect(snippet).toBe("The &lt;b&gt;<mark>event   loop</mark>&lt;/b&gt; runs <mark>loops</mark> of timers.")
+    })
+
+    it("should centre long messages on the first match", () => {
+      const text = `${"intro ".repeat(60)}the answer is recursion ${"outro ".repeat(60)}`
+      const snippet = buildSnippet(text, parseSearchQuery("recursion"))
+
+      expect(snippet.startsWith("…")).toBe(true)
+      expect(snippet.endsWith("…")).toBe(true)
+      expect(snippet).toContain("<mark>recursion</mark>")
+      expect(snippet.length).toBeLessThan(200)
+    })
+  })
+
+  describe("cursors", () => {
+    it("should round-trip the position of the last result", () => {
+      const message = { _id: "64b0000000000000000000aa", createdAt: new Date("2026-01-02T03:04:05.006Z") }
+
+      expect(decodeCursor(encodeCursor(message))).toEqual({ createdAt: message.createdAt, id: message._id })
+    })
+
+    it("should reject tampered cursors", () => {
+      expect(decodeCursor("not-a-cursor")).toBeNull()
+      expect(decodeCursor(Buffer.from(JSON.stringify({ t: 1, id: "$gt" })).toString("base64url"))).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,137 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "session-test-secret"
+
+const jwt = require("jsonwebtoken")
+const RefreshToken = require("../models/RefreshToken")
+const { findActiveSession, disconnectSessions, attachSocketSession } = require("../services/sessionService")
+
+const USER_ID = "64b000000000000000000001"
+
+const tokenRecord = (overrides = {}) => ({
+  _id: "64b0000000000000000000aa",
+  family: "family-1",
+  isExpired: false,
+  revokedAt: null,
+  revokedReason: null,
+  ...overrides,
+})
+
+const mockLatestToken = (record) =>
+  jest.spyOn(RefreshToken, "findOne").mockReturnValue({ sort: () => Promise.resolve(record) })
+
+// Records what the service does to the Socket.IO server
+const createFakeIo = () => {
+  const calls = []
+  return {
+    calls,
+    to: (room) => ({ emit: (event, payload) => calls.push({ room, event, payload }) }),
+    in: (room) => ({ disconnectSockets: (close) => calls.push({ room, disconnect: close }) }),
+  }
+}
+
+const createFakeSocket = (token) => ({
+  handshake: { auth: token ? { token } : {} },
+  data: {},
+  rooms: [],
+  emitted: [],
+  disconnected: false,
+  join(room) {
+    this.rooms.push(room)
+  },
+  emit(event, payload) {
+    this.emitted.push({ event, payload })
+  },
+  disconnect() {
+    this.disconnected = true
+  },
+})
+
+describe("Session service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete global.io
+  })
+
+  describe("findActiveSession", () => {
+    it("should accept a live session", async () => {
+      mockLatestToken(tokenRecord())
+      expect(await findActiveSession("family-1", USER_ID)).not.toBeNull()
+    })
+
+    it("should reject signed-out and expired sessions", async () => {
+      mockLatestToken(tokenRecord({ revokedAt: new Date(), revokedReason: "session_revoked" }))
+      expect(await findActiveSession("family-1", USER_ID)).toBeNull()
+
+      mockLatestToken(tokenRecord({ isExpired: true }))
+      expect(await findActiveSession("family-1", USER_ID)).toBeNull()
+
+      mockLatestToken(null)
+      expect(await findActiveSession("family-1", USER_ID)).toBeNull()
+    })
+
+    it("should tolerate a rotation in flight but not a stale one", async () => {
+      mockLatestToken(tokenRecord({ revokedAt: new Date(), revokedReason: "rotated" }))
+      expect(await findActiveSession("family-1", USER_ID)).not.toBeNull()
+
+      mockLatestToken(tokenRecord({ revokedAt: new Date(Date.now() - 5 * 60 * 1000), revokedReason: "rotated" }))
+      expect(await findActiveSession("family-1", USER_ID)).toBeNull()
+    })
+  })
+
+  describe("disconnectSessions", () => {
+    it("should notify and drop the sockets of each session", () => {
+      const io = createFakeIo()
+      global.io = io
+
+      disconnectSessions(["family-1", "family-2"], "session_revoked")
+
+      expect(io.calls).toEqual([
+        { room: "session-family-1", event: "session_revoked", payload: { sessionId: "family-1", reason: "session_revoked" } },
+        { room: "session-family-1", disconnect: true },
+        { room: "session-family-2", event: "session_revoked", payload: { sessionId: "family-2", reason: "session_revoked" } },
+        { room: "session-family-2", disconnect: true },
+      ])
+    })
+
+    it("should do nothing without a Socket.IO server", () => {
+      expect(() => disconnectSessions(["family-1"], "logout")).not.toThrow()
+    })
+  })
+
+  describe("attachSocketSession", () => {
+    const accessToken = (claims = {}) => jwt.sign({ id: USER_ID, tv: 0, sid: "family-1", ...claims }, process.env.JWT_SECRET)
+
+    it("should join the session and user rooms for a live session", async () => {
+      mockLatestToken(tokenRecord())
+      const socket = createFakeSocket(accessToken())
+
+      await attachSocketSession(socket)
+
+      expect(socket.rooms).toEqual(["session-family-1", `user-${USER_ID}`])
+      expect(socket.data.sessionId).toBe("family-1")
+      expect(socket.disconnected).toBe(false)
+    })
+
+    it("should disconnect a socket whose session was signed out", async () => {
+      mockLatestToken(tokenRecord({ revokedAt: new Date(), revokedReason: "session_revoked" }))
+      const socket = createFakeSocket(accessToken())
+
+      await attachSocketSession(socket)
+
+      expect(socket.emitted[0].event).toBe("session_revoked")
+      expect(socket.disconnected).toBe(true)
+      expect(socket.rooms).toEqual([])
+    })
+
+    it("should leave anonymous and non-access tokens alone", async () => {
+      const findOne = mockLatestToken(tokenRecord())
+
+      for (const token of [null, "not-a-jwt", accessToken({ purpose: "mfa" }), accessToken({ sid: undefined })]) {
+        const socket = createFakeSocket(token)
+        await attachSocketSession(socket)
+        expect(socket.rooms).toEqual([])
+        expect(socket.disconnected).toBe(false)
+      }
+      expect(findOne).not.toHaveBeenCalled()
+    })
+  })
+})
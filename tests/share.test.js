@@ -0,0 +1,75 @@
+const SharedSession = require("../models/SharedSession")
+const { renderSession } = require("../services/exportService")
+const { REDACTED_TEXT, buildShareSnapshot, toSharedSession } = require("../services/shareService")
+
+const session = {
+  sessionId: "session_64b0_1767225600000",
+  title: "Rust chat — 2026-01-01",
+  stats: { domain: "Rust", mode: "chat", totalTokens: 90 },
+  messages: [
+    {
+      id: "64b0000000000000000000a1",
+      role: "user",
+      message: "My API key is sk-secret, why does borrowing fail?",
+      createdAt: new Date("2026-01-01T10:00:00Z"),
+      isEdited: false,
+      reactions: {},
+      citations: [],
+    },
+    {
+      id: "64b0000000000000000000a2",
+      role: "ai",
+      message: "Because the value was moved.",
+      createdAt: new Date("2026-01-01T10:00:05Z"),
+      isEdited: false,
+      reactions: { liked: true },
+      citations: [{ index: 1, type: "document", title: "Ownership", url: "javascript:alert(1)", score: 2.5 }],
+    },
+  ],
+}
+
+describe("Shared chat snapshots", () => {
+  it("should drop the text of hidden messages and keep the rest", () => {
+    const { snapshot, unknownIds } = buildShareSnapshot(session, ["64b0000000000000000000a1"])
+
+    expect(unknownIds).toEqual([])
+    expect(snapshot.messages[0]).toEqual(expect.objectContaining({ role: "user", message: "", redacted: true }))
+    expect(snapshot.messages[1].message).toBe("Because the value was moved.")
+    expect(snapshot.messages[1].citations[0]).not.toHaveProperty("score")
+    expect(snapshot.lastMessageAt).toEqual(session.messages[1].createdAt)
+  })
+
+  it("should report redactions that are not on the branch", () => {
+    const { unknownIds } = buildShareSnapshot(session, ["64b0000000000000000000ff"])
+
+    expect(unknownIds).toEqual(["64b0000000000000000000ff"])
+  })
+
+  it("should render for readers without the author's details", () => {
+    const { snapshot } = buildShareSnapshot(session, ["64b0000000000000000000a1"])
+    const share = new SharedSession({ title: "Borrowing", snapshot })
+    const shared = toSharedSession(share)
+
+    expect(shared.stats).toEqual(expect.objectContaining({ messageCount: 2, userMessages: 1, aiMessages: 1 }))
+    expect(shared.messages[0].message).toBe(REDACTED_TEXT)
+
+    const html = renderSession(shared, "html", { shared: true })
+    expect(html).not.toContain("sk-secret")
+    expect(html).not.toContain("<dt>Session</dt>")
+    expect(html).not.toContain("<dt>Tokens</dt>")
+    expect(html).toContain("<header>Learner ")
+    expect(html).not.toContain('href="javascript')
+    expect(html).not.toContain("liked")
+  })
+
+  it("should check passwords against the stored hash only", async () => {
+    const share = new SharedSession({ title: "Borrowing" })
+    await share.setPassword("open sesame")
+
+    expect(share.passwordProtected).toBe(true)
+    expect(share.passwordHash).not.toContain("open sesame")
+    await expect(share.checkPassword("open sesame")).resolves.toBe(true)
+    await expect(share.checkPassword("guess")).resolves.toBe(false)
+    await expect(share.checkPassword()).resolves.toBe(false)
+  })
+})
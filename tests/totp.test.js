@@ -0,0 +1,91 @@
+const {
+  base32Encode,
+  base32Decode,
+  hotp,
+  totp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateBackupCodes,
+} = require("../utils/totp")
+
+// Seeds from RFC 6238 Appendix B
+const SEEDS = {
+  sha1: Buffer.from("12345678901234567890", "ascii"),
+  sha256: Buffer.from("12345678901234567890123456789012", "ascii"),
+  sha512: Buffer.from("1234567890123456789012345678901234567890123456789012345678901234", "ascii"),
+}
+
+describe("TOTP utilities", () => {
+  describe("RFC 4226 HOTP", () => {
+    const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"]
+
+    it.each(expected.map((code, counter) => [counter, code]))("counter %i should yield %s", (counter, code) => {
+      expect(hotp(SEEDS.sha1, counter)).toBe(code)
+    })
+  })
+
+  describe("RFC 6238 TOTP", () => {
+    const vectors = [
+      [59, "94287082", "46119246", "90693936"],
+      [1111111109, "07081804", "68084774", "25091201"],
+      [1111111111, "14050471", "67062674", "99943326"],
+      [1234567890, "89005924", "91819424", "93441116"],
+      [2000000000, "69279037", "90698825", "38618901"],
+      [20000000000, "65353130", "77737706", "47863826"],
+    ]
+
+    it.each(vectors)("T=%i should match SHA1/SHA256/SHA512 vectors", (seconds, sha1, sha256, sha512) => {
+      const time = seconds * 1000
+      expect(totp(SEEDS.sha1, { time, digits: 8, algorithm: "sha1" })).toBe(sha1)
+      expect(totp(SEEDS.sha256, { time, digits: 8, algorithm: "sha256" })).toBe(sha256)
+      expect(totp(SEEDS.sha512, { time, digits: 8, algorithm: "sha512" })).toBe(sha512)
+    })
+  })
+
+  describe("verifyTotp", () => {
+    const secret = base32Encode(SEEDS.sha1)
+    const time = 1111111109 * 1000
+
+    it("should accept the current code and return its time step", () => {
+      const code = totp(secret, { time })
+      expect(verifyTotp(code, secret, { time })).toBe(Math.floor(1111111109 / 30))
+    })
+
+    it("should tolerate one step of clock drift", () => {
+      const previous = totp(secret, { time: time - 30000 })
+      expect(verifyTotp(previous, secret, { time })).not.toBeNull()
+    })
+
+    it("should reject codes outside the window and malformed input", () => {
+      const stale = totp(secret, { time: time - 90000 })
+      expect(verifyTotp(stale, secret, { time })).toBeNull()
+      expect(verifyTotp("12ab56", secret, { time })).toBeNull()
+      expect(verifyTotp("", secret, { time })).toBeNull()
+    })
+  })
+
+  describe("base32", () => {
+    it("should round-trip arbitrary bytes", () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255])
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes)
+    })
+
+    it("should encode the RFC 4648 test vector", () => {
+      expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI")
+    })
+  })
+
+  it("should build an otpauth URI", () => {
+    const uri = buildOtpauthUri({ secret: "JBSWY3DPEHPK3PXP", accountName: "test@example.com", issuer: "Synaptron" })
+    expect(uri).toBe(
+      "otpauth://totp/Synaptron:test%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Synaptron&algorithm=SHA1&digits=6&period=30",
+    )
+  })
+
+  it("should generate distinct backup codes", () => {
+    const codes = generateBackupCodes(10)
+    expect(codes).toHaveLength(10)
+    expect(new Set(codes).size).toBe(10)
+    codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/))
+  })
+})
@@ -0,0 +1,75 @@
+const { addMonths, getBillingPeriod } = require("../services/usageService")
+const User = require("../models/User")
+
+const at = (iso) => new Date(iso)
+
+describe("Usage metering", () => {
+  describe("addMonths", () => {
+    it("should keep the day of month when it exists", () => {
+      expect(addMonths(at("2025-03-15T10:00:00Z"), 1).toISOString()).toBe("2025-04-15T10:00:00.000Z")
+    })
+
+    it("should clamp to the end of shorter months", () => {
+      expect(addMonths(at("2025-01-31T00:00:00Z"), 1).toISOString()).toBe("2025-02-28T00:00:00.000Z")
+      expect(addMonths(at("2024-01-31T00:00:00Z"), 1).toISOString()).toBe("2024-02-29T00:00:00.000Z")
+    })
+
+    it("should roll over years", () => {
+      expect(addMonths(at("2025-11-10T00:00:00Z"), 3).toISOString()).toBe("2026-02-10T00:00:00.000Z")
+    })
+  })
+
+  describe("getBillingPeriod", () => {
+    const userStartingOn = (iso) => ({ subscription: { startDate: at(iso) } })
+
+    it("should anchor periods on the subscription start date", () => {
+      const period = getBillingPeriod(userStartingOn("2025-01-10T12:00:00Z"), at("2025-06-20T00:00:00Z"))
+
+      expect(period.start.toISOString()).toBe("2025-06-10T12:00:00.000Z")
+      expect(period.end.toISOString()).toBe("2025-07-10T12:00:00.000Z")
+    })
+
+    it("should use the previous period before the anniversary", () => {
+      const period = getBillingPeriod(userStartingOn("2025-01-10T12:00:00Z"), at("2025-06-10T11:59:59Z"))
+
+      expect(period.start.toISOString()).toBe("2025-05-10T12:00:00.000Z")
+    })
+
+    it("should start the first period on the start date", () => {
+      const period = getBillingPeriod(userStartingOn("2025-01-10T12:00:00Z"), at("2025-01-10T12:00:00Z"))
+
+      expect(period.start.toISOString()).toBe("2025-01-10T12:00:00.000Z")
+      expect(period.end.toISOString()).toBe("2025-02-10T12:00:00.000Z")
+    })
+  })
+
+  describe("effective plan", () => {
+    it("should fall back to the free plan when a subscription lapses", () => {
+      const user = new User({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        subscription: { plan: "premium", status: "expired" },
+      })
+      user.subscription.features = { maxDomains: 25, maxChatHistory: 1000, advancedAnalytics: true }
+
+      expect(user.effectivePlan).toBe("free")
+      expect(user.hasFeature("advancedAnalytics")).toBe(false)
+      expect(user.canAddDomain(3)).toBe(false)
+    })
+
+    it("should honour an active subscription", () => {
+      const user = new User({
+        name: "Test User",
+        email: "test@example.com",
+        password: "Password123",
+        subscription: { plan: "enterprise", status: "active" },
+      })
+      user.subscription.features = { maxDomains: -1, advancedAnalytics: true }
+
+      expect(user.effectivePlan).toBe("enterprise")
+      expect(user.hasFeature("advancedAnalytics")).toBe(true)
+      expect(user.canAddDomain(500)).toBe(true)
+    })
+  })
+})
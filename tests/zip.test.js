@@ -0,0 +1,44 @@
+const zlib = require("zlib")
+const { crc32, createZip, readZip } = require("../utils/zip")
+
+describe("Zip utilities", () => {
+  it("should compute the standard CRC-32 check value", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926)
+    expect(crc32(Buffer.alloc(0))).toBe(0)
+  })
+
+  it("should round-trip entries, including UTF-8 names and content", () => {
+    const entries = [
+      { name: "manifest.json", data: JSON.stringify({ files: 2 }) },
+      { name: "notes/résumé.txt", data: "naïve café ".repeat(50) },
+      { name: "empty.json", data: "" },
+    ]
+
+    const archive = createZip(entries)
+    const read = readZip(archive)
+
+    expect(read.map((entry) => entry.name)).toEqual(entries.map((entry) => entry.name))
+    read.forEach((entry, i) => expect(entry.data.toString("utf8")).toBe(entries[i].data))
+  })
+
+  it("should write standard zip signatures and deflated data", () => {
+    const data = Buffer.from("a".repeat(1000))
+    const archive = createZip([{ name: "a.txt", data }])
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50)
+    expect(archive.readUInt32LE(archive.length - 22)).toBe(0x06054b50)
+
+    // Local header is 30 bytes plus the name; the deflated payload follows
+    const compressedSize = archive.readUInt32LE(18)
+    const payload = archive.subarray(30 + "a.txt".length, 30 + "a.txt".length + compressedSize)
+    expect(zlib.inflateRawSync(payload).equals(data)).toBe(true)
+    expect(compressedSize).toBeLessThan(data.length)
+  })
+
+  it("should detect corrupted content", () => {
+    const archive = createZip([{ name: "a.txt", data: "hello world" }])
+    archive.writeUInt32LE(0, archive.length - 22 - 46 - "a.txt".length + 16)
+
+    expect(() => readZip(archive)).toThrow("Checksum mismatch")
+  })
+})
@@ -0,0 +1,82 @@
+// Okapi BM25 over an in-memory set of passages. No network, no native deps.
+
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can do does for from how i if in into is it its me my of on or so than that the " +
+    "their them then there these they this to was we were what when where which who why will with you your"
+  ).split(" "),
+)
+
+/**
+ * Lowercase word tokens without stop words. Keeps symbols common in tech terms (c++, c#, node.js).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map((token) => token.replace(/^\.+|\.+$/g, ""))
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token))
+
+/**
+ * Build a BM25 index
+ * @param {Array<{ text: string }>} documents - Anything with a `text` field
+ * @param {Object} options
+ * @param {number} options.k1 - Term frequency saturation
+ * @param {number} options.b - Length normalisation
+ * @returns {{ size: number, search: Function }}
+ */
+const createBm25Index = (documents, { k1 = 1.2, b = 0.75 } = {}) => {
+  const termFrequencies = []
+  const lengths = []
+  const documentFrequency = new Map()
+
+  for (const document of documents) {
+    const frequencies = new Map()
+    const tokens = tokenize(document.text)
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1)
+    for (const token of frequencies.keys()) documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1)
+    termFrequencies.push(frequencies)
+    lengths.push(tokens.length)
+  }
+
+  const count = documents.length
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (count || 1) || 1
+  const idf = (token) => {
+    const df = documentFrequency.get(token) || 0
+    return Math.log(1 + (count - df + 0.5) / (df + 0.5))
+  }
+
+  /**
+   * Rank the documents for a query
+   * @param {string} query
+   * @param {number} limit - Maximum results
+   * @returns {Array<{ document: Object, score: number }>} Best first; documents scoring 0 are left out
+   */
+  const search = (query, limit = 5) => {
+    const queryTokens = [...new Set(tokenize(query))]
+    if (queryTokens.length === 0) return []
+
+    const results = []
+    documents.forEach((document, index) => {
+      const frequencies = termFrequencies[index]
+      let score = 0
+      for (const token of queryTokens) {
+        const tf = frequencies.get(token)
+        if (!tf) continue
+        score += (idf(token) * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * lengths[index]) / averageLength))
+      }
+      if (score > 0) results.push({ document, score })
+    })
+
+    return results.sort((left, right) => right.score - left.score).slice(0, limit)
+  }
+
+  return { size: count, search }
+}
+
+module.exports = {
+  tokenize,
+  createBm25Index,
+}
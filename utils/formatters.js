@@ -20,6 +20,34 @@ const formatUserResponse = (user) => {
   }
 }
 
+/**
+ * Format user data for the admin user-management API
+ * @param {Object} user - User object from database
+ * @returns {Object} Formatted user data including moderation state
+ */
+const formatAdminUserResponse = (user) => {
+  if (!user) return null
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    accountStatus: user.accountStatus,
+    emailVerified: user.emailVerified,
+    isActive: user.isActive,
+    subscription: {
+      plan: user.subscription?.plan,
+      status: user.subscription?.status,
+    },
+    moderation: user.moderation,
+    passwordResetRequired: user.passwordResetRequired,
+    twoFactorEnabled: !!user.twoFactorAuth?.enabled,
+    lastActive: user.stats?.lastActive,
+    createdAt: user.createdAt,
+  }
+}
+
 /**
  * Format chat message for API responses
  * @param {Object} message - Message object from database
@@ -221,6 +249,7 @@ const maskSensitiveData = (data, visibleChars = 4) => {
 
 module.exports = {
   formatUserResponse,
+  formatAdminUserResponse,
   formatChatMessage,
   formatCodeSubmission,
   formatErrorResponse,
@@ -222,6 +222,7 @@ const logRequest = (req, res, next) => {
       userAgent: req.get("User-Agent"),
       ip: req.ip || req.connection.remoteAddress,
       userId: req.user?.id || "anonymous",
+      ...(req.impersonatorId && { impersonatedBy: String(req.impersonatorId) }),
       contentLength: res.get("Content-Length") || 0
     };
 
@@ -256,6 +257,7 @@ const logError = (error, req = null, additionalInfo = {}) => {
       method: req.method,
       url: req.originalUrl,
       userId: req.user?.id || "anonymous",
+      ...(req.impersonatorId && { impersonatedBy: String(req.impersonatorId) }),
       ip: req.ip || req.connection.remoteAddress,
       userAgent: req.get("User-Agent")
     };
@@ -0,0 +1,86 @@
+// Just enough Markdown -> HTML for chat messages: fenced code, inline code, headings,
+// lists, bold/italic and links. Everything is escaped first, so the output is safe to embed.
+
+const escapeHtml = (value = "") =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+
+const renderInline = (text) => {
+  const codeSpans = []
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${code}</code>`)
+    return `\u0000${codeSpans.length - 1}\u0000`
+  })
+
+  html = html
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2" rel="noopener noreferrer">$1</a>')
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[index])
+}
+
+/**
+ * @param {string} markdown
+ * @returns {string} HTML fragment
+ */
+const markdownToHtml = (markdown = "") => {
+  const lines = String(markdown).replace(/\r\n/g, "\n").split("\n")
+  const blocks = []
+  let paragraph = []
+  let list = null
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`)
+    paragraph = []
+  }
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInline(item)}</li>`).join("")}</${list.tag}>`)
+    list = null
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    const fence = line.match(/^\s*```\s*([\w#+.-]*)\s*$/)
+    if (fence) {
+      flushParagraph()
+      flushList()
+      const code = []
+      while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) code.push(lines[i])
+      const language = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : ""
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`)
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/)
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/)
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/)
+
+    if (heading) {
+      flushParagraph()
+      flushList()
+      blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`)
+    } else if (bullet || numbered) {
+      flushParagraph()
+      const tag = bullet ? "ul" : "ol"
+      if (list && list.tag !== tag) flushList()
+      list = list || { tag, items: [] }
+      list.items.push((bullet || numbered)[1])
+    } else if (!line.trim()) {
+      flushParagraph()
+      flushList()
+    } else {
+      flushList()
+      paragraph.push(line)
+    }
+  }
+  flushParagraph()
+  flushList()
+
+  return blocks.join("\n")
+}
+
+module.exports = {
+  escapeHtml,
+  markdownToHtml,
+}
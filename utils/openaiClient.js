@@ -225,6 +225,150 @@ const sendChatCompletion = async (messages, options = {}) => {
   }
 };
 
+/**
+ * Read a streamed completion, handing each content delta to `onDelta` as it
+ * arrives. Tool calls arrive in pieces too and are put back together (`toolCalls`,
+ * only set when the model made some). An abort stops the read early and keeps what
+ * was received; any other failure is rethrown with the partial text on `error.partialContent`.
+ */
+const consumeChatStream = async (stream, { onDelta, signal } = {}) => {
+  let content = "";
+  let usage = null;
+  let finishReason = null;
+  let aborted = false;
+  const toolCalls = [];
+
+  try {
+    for await (const chunk of stream) {
+      if (signal?.aborted) {
+        aborted = true;
+        break;
+      }
+
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        if (onDelta) onDelta(delta);
+      }
+      // The first piece of a call carries its id and name, later ones more of the arguments
+      for (const piece of choice?.delta?.tool_calls || []) {
+        const call = (toolCalls[piece.index ?? 0] ||= { id: null, type: "function", function: { name: "", arguments: "" } });
+        if (piece.id) call.id = piece.id;
+        if (piece.function?.name) call.function.name += piece.function.name;
+        if (piece.function?.arguments) call.function.arguments += piece.function.arguments;
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    }
+  } catch (error) {
+    if (!signal?.aborted) {
+      error.partialContent = content;
+      throw error;
+    }
+    aborted = true;
+  }
+
+  return {
+    content,
+    usage,
+    finishReason: aborted ? "aborted" : finishReason,
+    aborted,
+    ...(toolCalls.length > 0 && { toolCalls: toolCalls.filter(Boolean) }),
+  };
+};
+
+/**
+ * ✅ Stream a chat completion. Usage comes from the provider's final chunk; when
+ * it never arrives (abort, provider without stream usage) it is estimated.
+ * Failures after the first delta resolve with `error` set and the partial text.
+ */
+const streamChatCompletion = async (messages, options = {}, { onDelta, signal } = {}) => {
+  const startTime = Date.now();
+  const {
+    model = process.env.OPENROUTER_MODEL || "meta-llama/llama-3.1-405b-instruct:free",
+    maxTokens = 1000,
+    temperature = 0.7,
+    presencePenalty = 0.1,
+    frequencyPenalty = 0.1,
+    ...otherOptions
+  } = options;
+
+  logger.info("Sending streaming chat completion request", {
+    model,
+    messageCount: messages.length,
+    maxTokens,
+    temperature,
+  });
+
+  const estimateUsage = (content) => {
+    const promptTokens = messages.reduce((sum, message) => sum + estimateTokenCount(message.content || ""), 0);
+    const completionTokens = estimateTokenCount(content);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+  };
+
+  let result;
+  let streamError = null;
+  try {
+    const openai = await getOpenAIClient();
+    const stream = await openai.chat.completions.create(
+      {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        presence_penalty: presencePenalty,
+        frequency_penalty: frequencyPenalty,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...otherOptions,
+      },
+      { signal },
+    );
+    result = await consumeChatStream(stream, { onDelta, signal });
+  } catch (error) {
+    if (signal?.aborted) {
+      result = { content: error.partialContent || "", usage: null, finishReason: "aborted", aborted: true };
+    } else if (error.partialContent) {
+      streamError = error;
+      result = { content: error.partialContent, usage: null, finishReason: "error", aborted: false };
+    } else {
+      logger.error("Streaming chat completion failed", {
+        error: error.message,
+        code: error.code,
+        processingTime: Date.now() - startTime,
+        model,
+      });
+      throw error;
+    }
+  }
+
+  const processingTime = Date.now() - startTime;
+  const usage = result.usage || estimateUsage(result.content);
+
+  logger.info("Streaming chat completion finished", {
+    model,
+    processingTime,
+    tokensUsed: usage.total_tokens,
+    finishReason: result.finishReason,
+    usageEstimated: !result.usage,
+    ...(streamError && { error: streamError.message }),
+  });
+
+  return {
+    success: !streamError,
+    content: result.content,
+    usage,
+    usageEstimated: !result.usage,
+    finishReason: result.finishReason,
+    aborted: result.aborted,
+    toolCalls: result.toolCalls || [],
+    error: streamError,
+    processingTime,
+    tokensUsed: usage.total_tokens,
+  };
+};
+
 /**
  * ✅ Send chat completion with retry logic
  */
@@ -308,22 +452,60 @@ ${code}
   ];
 };
 
-const generateChatPrompt = (chatHistory, domain = "general", mode = "chat") => {
-  const systemPrompts = {
-    chat: `You are Synaptron, an AI assistant specialized in ${domain}. You are helpful, knowledgeable, and provide clear explanations. Keep responses conversational but informative.`,
-    code: `You are Synaptron, a coding expert in ${domain}. Help with programming questions, provide code examples, explain concepts, and debug issues. Format code properly with syntax highlighting.`,
-    debug: `You are Synaptron, a debugging specialist in ${domain}. Help identify and fix bugs, explain error messages, and provide step-by-step debugging guidance.`,
-    help: `You are Synaptron, a helpful assistant in ${domain}. Provide guidance, explanations, and step-by-step instructions. Be patient and thorough in your explanations.`,
-  };
+/**
+ * Build the system prompt and history for a chat turn.
+ * `context.systemPrompt` is the chat mode's prompt from the registry (services/chatModeService),
+ * already filled in; without one the general chat prompt is used.
+ * `context.passages` are retrieved domain knowledge; when given, the model is told to
+ * answer from them and cite them by their [n] markers. `context.summary` stands in for
+ * messages no longer in `chatHistory`; `context.learnerFacts` describe the user.
+ */
+const generateChatPrompt = (chatHistory, domain = "general", mode = "chat", context = {}) => {
+  const { systemPrompt, passages = [], summary = "", learnerFacts = [] } = context;
+
+  let content =
+    systemPrompt ||
+    `You are Synaptron, an AI assistant specialized in ${domain}. You are helpful, knowledgeable, and provide clear explanations. Keep responses conversational but informative.`;
+
+  if (learnerFacts.length > 0) {
+    content += `\n\nWhat you know about this learner:\n${learnerFacts.map((fact) => `- ${fact}`).join("\n")}`;
+  }
+
+  if (summary) {
+    content += `\n\nSummary of the earlier part of this conversation:\n${summary}`;
+  }
+
+  if (passages.length > 0) {
+    const sources = passages
+      .map((passage, index) => `[${index + 1}] ${passage.title}${passage.url ? ` (${passage.url})` : ""}\n${passage.text}`)
+      .join("\n\n");
+    content +=
+      `\n\nUse the following knowledge ingested for ${domain} when it is relevant. ` +
+      `Cite the sources you use with their [n] markers. If they do not cover the question, say so and answer from general knowledge.\n\n${sources}`;
+  }
 
   const systemMessage = {
     role: "system",
-    content: systemPrompts[mode] || systemPrompts.chat,
+    content,
   };
 
   return [systemMessage, ...chatHistory];
 };
 
+/**
+ * ✅ Embed texts (used to re-rank retrieved passages)
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+const createEmbeddings = async (texts, options = {}) => {
+  const { model = "openai/text-embedding-3-small" } = options;
+
+  const openai = await getOpenAIClient();
+  const response = await openai.embeddings.create({ model, input: texts });
+
+  logger.info("Embeddings created", { model, count: texts.length });
+  return response.data.sort((a, b) => a.index - b.index).map((item) => item.embedding);
+};
+
 /**
  * ✅ Validate API key using dynamic import
  */
@@ -428,8 +610,11 @@ module.exports = {
   getOpenAI: getOpenAIClient, // Export the client getter
   sendChatCompletion,
   sendChatCompletionWithRetry,
+  streamChatCompletion,
+  consumeChatStream,
   generateCodeAnalysisPrompt,
   generateChatPrompt,
+  createEmbeddings,
   validateApiKey,
   getAvailableModels,
   estimateTokenCount,
@@ -0,0 +1,26 @@
+// {{name}} placeholders in chat mode system prompts
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]\w*)\s*\}\}/g
+
+/**
+ * Names of the variables a template uses, in order of first use
+ * @param {string} template
+ * @returns {Array<string>}
+ */
+const templateVariables = (template = "") => [...new Set([...String(template).matchAll(PLACEHOLDER)].map((match) => match[1]))]
+
+/**
+ * Fill in a template; unknown variables are left as written so mistakes are visible
+ * @param {string} template
+ * @param {Object} variables - name -> value
+ * @returns {string}
+ */
+const renderTemplate = (template = "", variables = {}) =>
+  String(template).replace(PLACEHOLDER, (placeholder, name) =>
+    variables[name] === undefined || variables[name] === null ? placeholder : String(variables[name]),
+  )
+
+module.exports = {
+  templateVariables,
+  renderTemplate,
+}
@@ -0,0 +1,183 @@
+const crypto = require("crypto")
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const DEFAULTS = {
+  digits: 6,
+  step: 30,
+  algorithm: "sha1",
+  window: 1,
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`)
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generate a random base32 secret
+ * @param {number} size - Secret length in bytes (20 = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size))
+
+/**
+ * HMAC-based one-time password (RFC 4226)
+ * @param {Buffer|string} secret - Raw key bytes, or a base32 string
+ * @param {number} counter - Moving factor
+ * @param {Object} options - { digits, algorithm }
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter, options = {}) => {
+  const { digits, algorithm } = { ...DEFAULTS, ...options }
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret)
+
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest()
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff)
+
+  return String(binary % 10 ** digits).padStart(digits, "0")
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} time - Unix time in milliseconds
+ * @param {number} step - Step size in seconds
+ * @returns {number} Counter value
+ */
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => Math.floor(time / 1000 / step)
+
+/**
+ * Time-based one-time password (RFC 6238)
+ * @param {Buffer|string} secret - Raw key bytes, or a base32 string
+ * @param {Object} options - { time (ms), step, digits, algorithm }
+ * @returns {string} Zero-padded code
+ */
+const totp = (secret, options = {}) => {
+  const { time = Date.now(), step, ...rest } = { ...DEFAULTS, ...options }
+  return hotp(secret, timeStep(time, step), rest)
+}
+
+/**
+ * Check a TOTP code, allowing `window` steps of clock drift either way
+ * @param {string} token - Code entered by the user
+ * @param {Buffer|string} secret - Raw key bytes, or a base32 string
+ * @param {Object} options - { time (ms), step, digits, algorithm, window }
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+const verifyTotp = (token, secret, options = {}) => {
+  const { time = Date.now(), step, window, digits, algorithm } = { ...DEFAULTS, ...options }
+  const code = String(token || "").replace(/\s/g, "")
+  if (!new RegExp(`^\\d{${digits}}$`).test(code)) return null
+
+  const current = timeStep(time, step)
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, current + offset, { digits, algorithm })
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return current + offset
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} params - { secret, accountName, issuer, digits, step, algorithm }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer, digits, step, algorithm }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: (algorithm || DEFAULTS.algorithm).toUpperCase(),
+    digits: String(digits || DEFAULTS.digits),
+    period: String(step || DEFAULTS.step),
+  })
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params.toString()}`
+}
+
+/**
+ * Generate one-time backup codes formatted as xxxxx-xxxxx
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} Plain codes (show once, store hashed)
+ */
+const generateBackupCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+}
+
+const normalizeBackupCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "")
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  timeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateBackupCodes,
+  normalizeBackupCode,
+}
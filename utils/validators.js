@@ -88,8 +88,8 @@ const chatValidations = {
     body("domain").optional().trim().isLength({ max: 100 }).withMessage("Domain cannot exceed 100 characters"),
     body("mode")
       .optional()
-      .isIn(["chat", "code", "debug", "help"])
-      .withMessage("Mode must be chat, code, debug, or help"),
+      .matches(/^[a-z][a-z0-9-]{1,39}$/i)
+      .withMessage("Mode must be the key of a chat mode"),
     body("attachments").optional().isArray().withMessage("Attachments must be an array"),
     body("attachments.*.name").optional().isString().withMessage("Attachment name must be a string"),
     body("attachments.*.type").optional().isString().withMessage("Attachment type must be a string"),
@@ -0,0 +1,141 @@
+const zlib = require("zlib")
+
+// CRC-32 (IEEE 802.3) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * CRC-32 checksum as used by zip
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date/time fields used in zip headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+/**
+ * Build a zip archive in memory (deflate, no zip64, so keep it under 4 GB)
+ * @param {Array<Object>} entries - [{ name, data (Buffer|string) }]
+ * @param {Date} modifiedAt - Timestamp stamped on every entry
+ * @returns {Buffer} Zip file
+ */
+const createZip = (entries, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8")
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf8")
+    const compressed = zlib.deflateRawSync(data)
+    const checksum = crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0) // local file header signature
+    local.writeUInt16LE(20, 4) // version needed
+    local.writeUInt16LE(0x0800, 6) // UTF-8 names
+    local.writeUInt16LE(8, 8) // deflate
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(date, 12)
+    local.writeUInt32LE(checksum, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    local.writeUInt16LE(0, 28) // extra field length
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0) // central directory signature
+    central.writeUInt16LE(20, 4) // version made by
+    central.writeUInt16LE(20, 6) // version needed
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(time, 12)
+    central.writeUInt16LE(date, 14)
+    central.writeUInt32LE(checksum, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt16LE(0, 30) // extra field length
+    central.writeUInt16LE(0, 32) // comment length
+    central.writeUInt16LE(0, 34) // disk number
+    central.writeUInt16LE(0, 36) // internal attributes
+    central.writeUInt32LE(0, 38) // external attributes
+    central.writeUInt32LE(offset, 42)
+
+    localParts.push(local, name, compressed)
+    centralParts.push(central, name)
+    offset += local.length + name.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0) // end of central directory signature
+  end.writeUInt16LE(0, 4)
+  end.writeUInt16LE(0, 6)
+  end.writeUInt16LE(entries.length, 8)
+  end.writeUInt16LE(entries.length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  end.writeUInt16LE(0, 20) // comment length
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+/**
+ * Read the entries of a zip produced by createZip
+ * @param {Buffer} buffer - Zip file
+ * @returns {Array<Object>} [{ name, data (Buffer) }]
+ */
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+  if (endOffset === -1) throw new Error("Not a zip archive")
+
+  const count = buffer.readUInt16LE(endOffset + 10)
+  let pointer = buffer.readUInt32LE(endOffset + 16)
+  const entries = []
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pointer) !== 0x02014b50) throw new Error("Corrupt central directory")
+    const method = buffer.readUInt16LE(pointer + 10)
+    const checksum = buffer.readUInt32LE(pointer + 16)
+    const compressedSize = buffer.readUInt32LE(pointer + 20)
+    const nameLength = buffer.readUInt16LE(pointer + 28)
+    const extraLength = buffer.readUInt16LE(pointer + 30)
+    const commentLength = buffer.readUInt16LE(pointer + 32)
+    const localOffset = buffer.readUInt32LE(pointer + 42)
+    const name = buffer.toString("utf8", pointer + 46, pointer + 46 + nameLength)
+
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize)
+    const data = method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw)
+    if (crc32(data) !== checksum) throw new Error(`Checksum mismatch for ${name}`)
+
+    entries.push({ name, data })
+    pointer += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+}